@@ -0,0 +1,140 @@
+#!/usr/bin/env node
+import { parseArgs } from 'node:util';
+import {
+  computeYearData,
+  buildDayRow,
+  buildYearTable,
+  buildEventTable,
+  collectUpcomingEvents,
+  formatCSV,
+  YEAR_TABLE_COLUMNS,
+  EVENT_TABLE_COLUMNS,
+  getCalendarDayInTimezone,
+  formatDateISO,
+  isValidTimezone,
+  lookupTimezone,
+  setSolarEngine,
+  SOLAR_ENGINES
+} from '../src/lib/index.js';
+
+const USAGE = `Usage: daylight [today|year|events] --lat <deg> --lng <deg> [options]
+
+Commands:
+  today     Sun data for one day (default)
+  year      One row per day of the year containing --date
+  events    Upcoming events from --date (DST, milestones, equinoxes, moons, ...)
+
+Options:
+  --lat <deg>        Latitude, -90 to 90 (required)
+  --lng <deg>        Longitude, -180 to 180 (default 0)
+  --tz <zone>        IANA timezone for times (default: looked up from the coordinates)
+  --date <date>      YYYY-MM-DD (default: today in the timezone)
+  --format <fmt>     text, csv or json (default text)
+  --engine <id>      Solar engine: suncalc (default) or spa (NREL Solar Position Algorithm)
+  --months <n>       events: every event in the next n months (1-12) instead of the short list
+  --limit <n>        events: maximum number of events in the short list (default 25)
+  -h, --help         Show this help
+
+Negative values need an equals sign: --lat=-33.87 --lng=151.21
+`;
+
+function fail(message) {
+  process.stderr.write(`daylight: ${message}\n\n${USAGE}`);
+  process.exit(2);
+}
+
+function parseNumber(value, name, min, max) {
+  const n = Number(value);
+  if (value === undefined || value === '' || !Number.isFinite(n) || n < min || n > max) {
+    fail(`--${name} must be a number between ${min} and ${max}`);
+  }
+  return n;
+}
+
+// Aligned plain-text table; null cells print as "—"
+function formatTextTable(columns, rows) {
+  const cells = rows.map((row) => columns.map((col) => (row[col] === null || row[col] === undefined ? '—' : String(row[col]))));
+  const widths = columns.map((col, i) => Math.max(col.length, ...cells.map((r) => r[i].length)));
+  const line = (values) => values.map((v, i) => (i === values.length - 1 ? v : v.padEnd(widths[i]))).join('  ');
+  return [line(columns), ...cells.map(line)].join('\n') + '\n';
+}
+
+// One "key  value" line per column
+function formatTextRecord(columns, row) {
+  const width = Math.max(...columns.map((c) => c.length));
+  return columns.map((col) => `${col.padEnd(width)}  ${row[col] ?? '—'}`).join('\n') + '\n';
+}
+
+const { values, positionals } = (() => {
+  try {
+    return parseArgs({
+      allowPositionals: true,
+      options: {
+        lat: { type: 'string' },
+        lng: { type: 'string' },
+        tz: { type: 'string' },
+        date: { type: 'string' },
+        format: { type: 'string', default: 'text' },
+        engine: { type: 'string', default: 'suncalc' },
+        months: { type: 'string' },
+        limit: { type: 'string' },
+        help: { type: 'boolean', short: 'h' }
+      }
+    });
+  } catch (err) {
+    fail(err.message);
+  }
+})();
+
+if (values.help) {
+  process.stdout.write(USAGE);
+  process.exit(0);
+}
+
+const command = positionals[0] ?? 'today';
+if (!['today', 'year', 'events'].includes(command)) fail(`unknown command "${command}"`);
+if (!['text', 'csv', 'json'].includes(values.format)) fail('--format must be text, csv or json');
+if (!SOLAR_ENGINES.some((engine) => engine.id === values.engine)) fail(`--engine must be ${SOLAR_ENGINES.map((e) => e.id).join(' or ')}`);
+setSolarEngine(values.engine);
+
+const latitude = parseNumber(values.lat, 'lat', -90, 90);
+const longitude = values.lng === undefined ? 0 : parseNumber(values.lng, 'lng', -180, 180);
+const timezone = values.tz ?? lookupTimezone(latitude, longitude);
+if (!isValidTimezone(timezone)) fail(`unknown timezone "${timezone}"`);
+
+let date;
+if (values.date) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(values.date);
+  if (!match) fail('--date must be YYYY-MM-DD');
+  date = new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+} else {
+  const { year, month, day } = getCalendarDayInTimezone(new Date(), timezone);
+  date = new Date(year, month - 1, day);
+}
+
+const meta = { latitude, longitude, timezone };
+let output;
+
+if (command === 'today') {
+  const row = buildDayRow(date, latitude, longitude, timezone);
+  if (values.format === 'json') output = JSON.stringify({ ...meta, ...row }, null, 2) + '\n';
+  else if (values.format === 'csv') output = formatCSV(YEAR_TABLE_COLUMNS, [row]);
+  else output = `Sun at ${latitude}°, ${longitude}° (${timezone})\n\n` + formatTextRecord(YEAR_TABLE_COLUMNS, row);
+} else if (command === 'year') {
+  const year = date.getFullYear();
+  const rows = buildYearTable(latitude, longitude, year, timezone);
+  if (values.format === 'json') output = JSON.stringify({ ...meta, year, days: rows }, null, 2) + '\n';
+  else if (values.format === 'csv') output = formatCSV(YEAR_TABLE_COLUMNS, rows);
+  else output = `Sun at ${latitude}°, ${longitude}° (${timezone}), ${year}\n\n` + formatTextTable(YEAR_TABLE_COLUMNS, rows);
+} else {
+  const months = values.months === undefined ? null : parseNumber(values.months, 'months', 1, 12);
+  const limit = values.limit === undefined ? 25 : parseNumber(values.limit, 'limit', 1, 1000);
+  const yearData = computeYearData(latitude, date.getFullYear());
+  const events = collectUpcomingEvents(date, yearData, latitude, longitude, timezone, { months, limit });
+  const rows = buildEventTable(events, timezone);
+  if (values.format === 'json') output = JSON.stringify({ ...meta, from: formatDateISO(date), events: rows }, null, 2) + '\n';
+  else if (values.format === 'csv') output = formatCSV(EVENT_TABLE_COLUMNS, rows);
+  else output = `Upcoming at ${latitude}°, ${longitude}° (${timezone})\n\n` + formatTextTable(EVENT_TABLE_COLUMNS, rows);
+}
+
+process.stdout.write(output);
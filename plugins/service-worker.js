@@ -0,0 +1,52 @@
+import { readFileSync, readdirSync, statSync } from 'node:fs';
+import { join, relative } from 'node:path';
+import { createHash } from 'node:crypto';
+
+/**
+ * Vite plugin emitting the service worker (src/service-worker.js) as sw.js at the site root,
+ * with the list of files to precache and a version derived from their contents. Build only:
+ * the dev server has no service worker.
+ * @param {Object} [options]
+ * @param {string} [options.source='src/service-worker.js']
+ * @param {string} [options.fileName='sw.js']
+ */
+export function serviceWorker({ source = 'src/service-worker.js', fileName = 'sw.js' } = {}) {
+  let config;
+
+  // Every file under the public directory, as paths relative to it
+  const listPublicFiles = (dir, root = dir) => readdirSync(dir).flatMap((name) => {
+    const path = join(dir, name);
+    return statSync(path).isDirectory() ? listPublicFiles(path, root) : [relative(root, path).split('\\').join('/')];
+  });
+
+  return {
+    name: 'daylight-tracker:service-worker',
+    apply: 'build',
+    enforce: 'post',
+    configResolved(resolved) {
+      config = resolved;
+    },
+    generateBundle(_options, bundle) {
+      const hash = createHash('sha256');
+      const files = [];
+      for (const [name, output] of Object.entries(bundle)) {
+        if (name.endsWith('.map')) continue;
+        files.push(name);
+        hash.update(name).update(output.type === 'chunk' ? output.code : output.source);
+      }
+      if (config.publicDir) {
+        for (const name of listPublicFiles(config.publicDir)) {
+          files.push(name);
+          hash.update(name).update(readFileSync(join(config.publicDir, name)));
+        }
+      }
+      files.sort();
+      const version = hash.digest('hex').slice(0, 12);
+
+      const code = readFileSync(join(config.root, source), 'utf8')
+        .replace('self.__PRECACHE_MANIFEST', JSON.stringify(files))
+        .replace('self.__PRECACHE_VERSION', JSON.stringify(version));
+      this.emitFile({ type: 'asset', fileName, source: code });
+    }
+  };
+}
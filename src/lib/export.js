@@ -0,0 +1,152 @@
+import { getSunData, getTwilightTimes, getDaysInYear } from './solar.js';
+import { formatTimeInTimezone, formatDateISO } from './utils.js';
+
+/**
+ * Columns of the year table, in output order (CSV header = key)
+ */
+export const YEAR_TABLE_COLUMNS = [
+  'date',
+  'sunrise',
+  'sunset',
+  'solar_noon',
+  'daylight',
+  'daylight_minutes',
+  'change_minutes',
+  'max_altitude',
+  'civil_dawn',
+  'civil_dusk',
+  'nautical_dawn',
+  'nautical_dusk',
+  'astronomical_dawn',
+  'astronomical_dusk',
+];
+
+/**
+ * Format a time as HH:MM in the timezone, or null when the event doesn't happen (polar day/night)
+ */
+function timeOrNull(date, timezone) {
+  if (!date || isNaN(date.getTime())) return null;
+  return formatTimeInTimezone(date, timezone);
+}
+
+/**
+ * Format a daylight duration as H:MM (e.g. "8:32", "24:00")
+ */
+function formatHoursMinutes(ms) {
+  const totalMinutes = Math.round(ms / 60000);
+  const hours = Math.floor(totalMinutes / 60);
+  const minutes = totalMinutes % 60;
+  return `${hours}:${String(minutes).padStart(2, '0')}`;
+}
+
+/**
+ * Build the row for one day with sun times formatted in the given timezone.
+ * Events that don't occur on the day (polar day/night, no astronomical darkness) are null;
+ * the daylight change compares against the previous calendar day.
+ * @param {Date} date
+ * @param {number} latitude
+ * @param {number} longitude
+ * @param {string} timezone - IANA timezone for formatting times
+ * @returns {Object} Row keyed by YEAR_TABLE_COLUMNS
+ */
+export function buildDayRow(date, latitude, longitude, timezone) {
+  const sun = getSunData(date, latitude, longitude);
+  const prev = getSunData(new Date(date.getFullYear(), date.getMonth(), date.getDate() - 1), latitude, longitude);
+  const twilight = getTwilightTimes(date, latitude, longitude);
+
+  return {
+    date: formatDateISO(date),
+    sunrise: timeOrNull(sun.sunrise, timezone),
+    sunset: timeOrNull(sun.sunset, timezone),
+    solar_noon: timeOrNull(sun.solarNoon, timezone),
+    daylight: formatHoursMinutes(sun.daylight),
+    daylight_minutes: Math.round(sun.daylight / 600) / 100,
+    change_minutes: Math.round((sun.daylight - prev.daylight) / 600) / 100,
+    max_altitude: Math.round(sun.maxAltitude * 100) / 100,
+    civil_dawn: timeOrNull(twilight.dawn, timezone),
+    civil_dusk: timeOrNull(twilight.dusk, timezone),
+    nautical_dawn: timeOrNull(twilight.nauticalDawn, timezone),
+    nautical_dusk: timeOrNull(twilight.nauticalDusk, timezone),
+    astronomical_dawn: timeOrNull(twilight.nightEnd, timezone),
+    astronomical_dusk: timeOrNull(twilight.night, timezone),
+  };
+}
+
+/**
+ * Build one row per day of the year (see buildDayRow); Jan 1's change compares against Dec 31
+ * of the previous year
+ * @param {number} latitude
+ * @param {number} longitude
+ * @param {number} year
+ * @param {string} timezone - IANA timezone for formatting times
+ * @returns {Array<Object>} Rows keyed by YEAR_TABLE_COLUMNS
+ */
+export function buildYearTable(latitude, longitude, year, timezone) {
+  const rows = [];
+  for (let dayOfYear = 1; dayOfYear <= getDaysInYear(year); dayOfYear++) {
+    rows.push(buildDayRow(new Date(year, 0, dayOfYear), latitude, longitude, timezone));
+  }
+  return rows;
+}
+
+/**
+ * Columns of the upcoming events table, in output order
+ */
+export const EVENT_TABLE_COLUMNS = ['date', 'time', 'type', 'description'];
+
+/**
+ * Flatten upcoming events (from collectUpcomingEvents) into table rows; time is null for all-day events
+ * @param {Array<Object>} events
+ * @param {string} timezone - IANA timezone for formatting times
+ * @returns {Array<Object>} Rows keyed by EVENT_TABLE_COLUMNS
+ */
+export function buildEventTable(events, timezone) {
+  return events.map((event) => ({
+    date: event.dateKey,
+    time: timeOrNull(event.time, timezone),
+    type: event.type,
+    description: event.description,
+  }));
+}
+
+/**
+ * Quote a CSV field if it contains a delimiter, quote or newline
+ */
+function csvField(value) {
+  if (value === null || value === undefined) return '';
+  const str = String(value);
+  return /[",\n\r]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+/**
+ * Format rows as CSV (header row + one line per row; empty cells for null)
+ * @param {string[]} columns - Keys in output order
+ * @param {Array<Object>} rows
+ * @returns {string}
+ */
+export function formatCSV(columns, rows) {
+  const lines = [columns.join(',')];
+  for (const row of rows) {
+    lines.push(columns.map((col) => csvField(row[col])).join(','));
+  }
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Format year table rows as CSV (header row + one line per day; empty cells for null)
+ * @param {Array<Object>} rows - From buildYearTable
+ * @returns {string}
+ */
+export function formatYearTableCSV(rows) {
+  return formatCSV(YEAR_TABLE_COLUMNS, rows);
+}
+
+/**
+ * Format year table rows as JSON, with the location and timezone the times are in
+ * @param {Array<Object>} rows - From buildYearTable
+ * @param {{ latitude: number, longitude: number, year: number, timezone: string }} meta
+ * @returns {string}
+ */
+export function formatYearTableJSON(rows, { latitude, longitude, year, timezone }) {
+  return JSON.stringify({ latitude, longitude, year, timezone, days: rows }, null, 2) + '\n';
+}
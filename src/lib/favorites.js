@@ -0,0 +1,92 @@
+import { isValidTimezone } from './utils.js';
+
+/**
+ * Saved locations ("favorites"): named latitude/longitude/timezone entries, kept in
+ * settings and shareable as a JSON file ({ version: 1, favorites: [...] }).
+ */
+
+/** Maximum number of saved locations */
+export const MAX_FAVORITES = 50;
+
+/**
+ * Validate and normalize one favorite
+ * @param {*} value
+ * @returns {{name: string, latitude: number, longitude: number, timezone: string} | null} null if invalid
+ */
+export function normalizeFavorite(value) {
+  if (!value || typeof value !== 'object') return null;
+  const name = String(value.name ?? '').trim();
+  const latitude = Number(value.latitude);
+  const longitude = Number(value.longitude);
+  const timezone = String(value.timezone ?? '');
+  if (!name) return null;
+  if (!Number.isFinite(latitude) || latitude < -90 || latitude > 90) return null;
+  if (!Number.isFinite(longitude) || longitude < -180 || longitude > 180) return null;
+  if (!isValidTimezone(timezone)) return null;
+  return { name: name.slice(0, 80), latitude, longitude, timezone };
+}
+
+/**
+ * Parse a favorites file: either { favorites: [...] } or a bare array
+ * @param {string} text - JSON
+ * @returns {{favorites: Array<Object>, errors: string[]}} Valid entries and one message per rejected entry
+ */
+export function parseFavoritesJSON(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    return { favorites: [], errors: ['Not a valid JSON file'] };
+  }
+  const list = Array.isArray(data) ? data : data?.favorites;
+  if (!Array.isArray(list)) return { favorites: [], errors: ['Expected a list of favorites'] };
+
+  const favorites = [];
+  const errors = [];
+  list.forEach((item, i) => {
+    const favorite = normalizeFavorite(item);
+    if (favorite) favorites.push(favorite);
+    else errors.push(`Entry ${i + 1}: needs a name, latitude, longitude and valid timezone`);
+  });
+  return { favorites, errors };
+}
+
+/**
+ * Serialize favorites for export (inverse of parseFavoritesJSON)
+ * @param {Array<Object>} favorites
+ * @returns {string}
+ */
+export function formatFavoritesJSON(favorites) {
+  return JSON.stringify({ version: 1, favorites: favorites.map(normalizeFavorite).filter(Boolean) }, null, 2);
+}
+
+/**
+ * Merge imported favorites into a list: entries with an existing name replace it in place,
+ * new names are appended (up to MAX_FAVORITES)
+ * @param {Array<Object>} current
+ * @param {Array<Object>} incoming
+ * @returns {Array<Object>}
+ */
+export function mergeFavorites(current, incoming) {
+  const result = [...current];
+  for (const favorite of incoming) {
+    const index = result.findIndex((f) => f.name.toLowerCase() === favorite.name.toLowerCase());
+    if (index !== -1) result[index] = favorite;
+    else if (result.length < MAX_FAVORITES) result.push(favorite);
+  }
+  return result;
+}
+
+/**
+ * Index of the favorite at a location (same coordinates and timezone), or -1
+ * @param {Array<Object>} favorites
+ * @param {number} latitude
+ * @param {number} longitude
+ * @param {string} timezone
+ * @returns {number}
+ */
+export function findFavoriteIndex(favorites, latitude, longitude, timezone) {
+  return favorites.findIndex((f) =>
+    Math.abs(f.latitude - latitude) < 1e-6 && Math.abs(f.longitude - longitude) < 1e-6 && f.timezone === timezone
+  );
+}
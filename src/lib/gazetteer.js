@@ -0,0 +1,606 @@
+// Offline gazetteer: national capitals, cities of roughly 1 million or more, and notable
+// high-latitude, island and remote places. Coordinates are rounded to 0.01°; population is
+// in thousands (approximate, only used to rank search results).
+// Rows: [name, country code, latitude, longitude, IANA timezone, population, alternate names?]
+
+/** ISO 3166-1 alpha-2 code → country name (as shown in search results) */
+export const COUNTRY_NAMES = {
+  AE: 'United Arab Emirates', AF: 'Afghanistan', AL: 'Albania', AM: 'Armenia', AO: 'Angola',
+  AQ: 'Antarctica', AR: 'Argentina', AT: 'Austria', AU: 'Australia', AZ: 'Azerbaijan',
+  BA: 'Bosnia and Herzegovina', BD: 'Bangladesh', BE: 'Belgium', BF: 'Burkina Faso', BG: 'Bulgaria',
+  BH: 'Bahrain', BI: 'Burundi', BJ: 'Benin', BN: 'Brunei', BO: 'Bolivia', BR: 'Brazil', BS: 'Bahamas',
+  BT: 'Bhutan', BW: 'Botswana', BY: 'Belarus', BZ: 'Belize', CA: 'Canada', CD: 'DR Congo',
+  CF: 'Central African Republic', CG: 'Congo', CH: 'Switzerland', CI: "Côte d'Ivoire", CL: 'Chile',
+  CM: 'Cameroon', CN: 'China', CO: 'Colombia', CR: 'Costa Rica', CU: 'Cuba', CV: 'Cape Verde',
+  CY: 'Cyprus', CZ: 'Czechia', DE: 'Germany', DJ: 'Djibouti', DK: 'Denmark', DO: 'Dominican Republic',
+  DZ: 'Algeria', EC: 'Ecuador', EE: 'Estonia', EG: 'Egypt', ER: 'Eritrea', ES: 'Spain', ET: 'Ethiopia',
+  FI: 'Finland', FJ: 'Fiji', FO: 'Faroe Islands', FR: 'France', GA: 'Gabon', GB: 'United Kingdom',
+  GE: 'Georgia', GH: 'Ghana', GL: 'Greenland', GM: 'Gambia', GN: 'Guinea', GQ: 'Equatorial Guinea',
+  GR: 'Greece', GT: 'Guatemala', GW: 'Guinea-Bissau', GY: 'Guyana', HK: 'Hong Kong', HN: 'Honduras',
+  HR: 'Croatia', HT: 'Haiti', HU: 'Hungary', ID: 'Indonesia', IE: 'Ireland', IL: 'Israel', IN: 'India',
+  IQ: 'Iraq', IR: 'Iran', IS: 'Iceland', IT: 'Italy', JM: 'Jamaica', JO: 'Jordan', JP: 'Japan',
+  KE: 'Kenya', KG: 'Kyrgyzstan', KH: 'Cambodia', KP: 'North Korea', KR: 'South Korea', KW: 'Kuwait',
+  KZ: 'Kazakhstan', LA: 'Laos', LB: 'Lebanon', LK: 'Sri Lanka', LR: 'Liberia', LS: 'Lesotho',
+  LT: 'Lithuania', LU: 'Luxembourg', LV: 'Latvia', LY: 'Libya', MA: 'Morocco', MD: 'Moldova',
+  ME: 'Montenegro', MG: 'Madagascar', MK: 'North Macedonia', ML: 'Mali', MM: 'Myanmar', MN: 'Mongolia',
+  MO: 'Macau', MR: 'Mauritania', MT: 'Malta', MU: 'Mauritius', MV: 'Maldives', MW: 'Malawi',
+  MX: 'Mexico', MY: 'Malaysia', MZ: 'Mozambique', NA: 'Namibia', NC: 'New Caledonia', NE: 'Niger',
+  NG: 'Nigeria', NI: 'Nicaragua', NL: 'Netherlands', NO: 'Norway', NP: 'Nepal', NZ: 'New Zealand',
+  OM: 'Oman', PA: 'Panama', PE: 'Peru', PF: 'French Polynesia', PG: 'Papua New Guinea',
+  PH: 'Philippines', PK: 'Pakistan', PL: 'Poland', PR: 'Puerto Rico', PS: 'Palestine', PT: 'Portugal',
+  PY: 'Paraguay', QA: 'Qatar', RE: 'Réunion', RO: 'Romania', RS: 'Serbia', RU: 'Russia', RW: 'Rwanda',
+  SA: 'Saudi Arabia', SB: 'Solomon Islands', SC: 'Seychelles', SD: 'Sudan', SE: 'Sweden',
+  SG: 'Singapore', SI: 'Slovenia', SJ: 'Svalbard', SK: 'Slovakia', SL: 'Sierra Leone', SN: 'Senegal',
+  SO: 'Somalia', SR: 'Suriname', SS: 'South Sudan', SV: 'El Salvador', SY: 'Syria', SZ: 'Eswatini',
+  TD: 'Chad', TG: 'Togo', TH: 'Thailand', TJ: 'Tajikistan', TL: 'Timor-Leste', TM: 'Turkmenistan',
+  TN: 'Tunisia', TO: 'Tonga', TR: 'Turkey', TT: 'Trinidad and Tobago', TW: 'Taiwan', TZ: 'Tanzania',
+  UA: 'Ukraine', UG: 'Uganda', US: 'United States', UY: 'Uruguay', UZ: 'Uzbekistan', VE: 'Venezuela',
+  VN: 'Vietnam', VU: 'Vanuatu', WS: 'Samoa', YE: 'Yemen', ZA: 'South Africa', ZM: 'Zambia', ZW: 'Zimbabwe'
+};
+
+export const GAZETTEER = [
+  // Europe
+  ['London', 'GB', 51.51, -0.13, 'Europe/London', 9000],
+  ['Birmingham', 'GB', 52.48, -1.9, 'Europe/London', 1150],
+  ['Manchester', 'GB', 53.48, -2.24, 'Europe/London', 550],
+  ['Glasgow', 'GB', 55.86, -4.25, 'Europe/London', 630],
+  ['Edinburgh', 'GB', 55.95, -3.19, 'Europe/London', 530],
+  ['Belfast', 'GB', 54.6, -5.93, 'Europe/London', 345],
+  ['Cardiff', 'GB', 51.48, -3.18, 'Europe/London', 365],
+  ['Lerwick', 'GB', 60.15, -1.15, 'Europe/London', 7, 'Shetland'],
+  ['Dublin', 'IE', 53.35, -6.26, 'Europe/Dublin', 1200],
+  ['Paris', 'FR', 48.86, 2.35, 'Europe/Paris', 11000],
+  ['Marseille', 'FR', 43.3, 5.37, 'Europe/Paris', 870],
+  ['Lyon', 'FR', 45.76, 4.84, 'Europe/Paris', 520],
+  ['Toulouse', 'FR', 43.6, 1.44, 'Europe/Paris', 490],
+  ['Nice', 'FR', 43.7, 7.27, 'Europe/Paris', 340],
+  ['Bordeaux', 'FR', 44.84, -0.58, 'Europe/Paris', 260],
+  ['Brussels', 'BE', 50.85, 4.35, 'Europe/Brussels', 1200, 'Bruxelles;Brussel'],
+  ['Antwerp', 'BE', 51.22, 4.4, 'Europe/Brussels', 530, 'Antwerpen'],
+  ['Amsterdam', 'NL', 52.37, 4.9, 'Europe/Amsterdam', 900],
+  ['Rotterdam', 'NL', 51.92, 4.48, 'Europe/Amsterdam', 650],
+  ['Luxembourg', 'LU', 49.61, 6.13, 'Europe/Luxembourg', 130],
+  ['Berlin', 'DE', 52.52, 13.4, 'Europe/Berlin', 3700],
+  ['Hamburg', 'DE', 53.55, 9.99, 'Europe/Berlin', 1900],
+  ['Munich', 'DE', 48.14, 11.58, 'Europe/Berlin', 1500, 'München'],
+  ['Cologne', 'DE', 50.94, 6.96, 'Europe/Berlin', 1080, 'Köln'],
+  ['Frankfurt', 'DE', 50.11, 8.68, 'Europe/Berlin', 760],
+  ['Stuttgart', 'DE', 48.78, 9.18, 'Europe/Berlin', 630],
+  ['Vienna', 'AT', 48.21, 16.37, 'Europe/Vienna', 1900, 'Wien'],
+  ['Zurich', 'CH', 47.37, 8.54, 'Europe/Zurich', 420, 'Zürich'],
+  ['Geneva', 'CH', 46.2, 6.14, 'Europe/Zurich', 200, 'Genève'],
+  ['Bern', 'CH', 46.95, 7.45, 'Europe/Zurich', 135],
+  ['Madrid', 'ES', 40.42, -3.7, 'Europe/Madrid', 3300],
+  ['Barcelona', 'ES', 41.39, 2.17, 'Europe/Madrid', 1600],
+  ['Valencia', 'ES', 39.47, -0.38, 'Europe/Madrid', 790],
+  ['Seville', 'ES', 37.39, -5.98, 'Europe/Madrid', 680, 'Sevilla'],
+  ['Las Palmas', 'ES', 28.12, -15.43, 'Atlantic/Canary', 380, 'Gran Canaria'],
+  ['Santa Cruz de Tenerife', 'ES', 28.46, -16.25, 'Atlantic/Canary', 210, 'Tenerife'],
+  ['Lisbon', 'PT', 38.72, -9.14, 'Europe/Lisbon', 550, 'Lisboa'],
+  ['Porto', 'PT', 41.15, -8.61, 'Europe/Lisbon', 230],
+  ['Funchal', 'PT', 32.65, -16.91, 'Atlantic/Madeira', 105, 'Madeira'],
+  ['Ponta Delgada', 'PT', 37.74, -25.67, 'Atlantic/Azores', 68, 'Azores'],
+  ['Rome', 'IT', 41.9, 12.5, 'Europe/Rome', 2800, 'Roma'],
+  ['Milan', 'IT', 45.46, 9.19, 'Europe/Rome', 1400, 'Milano'],
+  ['Naples', 'IT', 40.85, 14.27, 'Europe/Rome', 920, 'Napoli'],
+  ['Turin', 'IT', 45.07, 7.69, 'Europe/Rome', 850, 'Torino'],
+  ['Palermo', 'IT', 38.12, 13.36, 'Europe/Rome', 630],
+  ['Florence', 'IT', 43.77, 11.26, 'Europe/Rome', 360, 'Firenze'],
+  ['Venice', 'IT', 45.44, 12.32, 'Europe/Rome', 250, 'Venezia'],
+  ['Valletta', 'MT', 35.9, 14.51, 'Europe/Malta', 6],
+  ['Athens', 'GR', 37.98, 23.73, 'Europe/Athens', 3100, 'Athina'],
+  ['Thessaloniki', 'GR', 40.64, 22.94, 'Europe/Athens', 810],
+  ['Nicosia', 'CY', 35.17, 33.36, 'Asia/Nicosia', 330],
+  ['Copenhagen', 'DK', 55.68, 12.57, 'Europe/Copenhagen', 1350, 'København'],
+  ['Aarhus', 'DK', 56.16, 10.2, 'Europe/Copenhagen', 290],
+  ['Tórshavn', 'FO', 62.01, -6.77, 'Atlantic/Faroe', 14, 'Torshavn'],
+  ['Oslo', 'NO', 59.91, 10.75, 'Europe/Oslo', 1000],
+  ['Bergen', 'NO', 60.39, 5.32, 'Europe/Oslo', 290],
+  ['Trondheim', 'NO', 63.43, 10.4, 'Europe/Oslo', 210],
+  ['Stavanger', 'NO', 58.97, 5.73, 'Europe/Oslo', 145],
+  ['Bodø', 'NO', 67.28, 14.4, 'Europe/Oslo', 53, 'Bodo'],
+  ['Tromsø', 'NO', 69.65, 18.96, 'Europe/Oslo', 77, 'Tromso'],
+  ['Alta', 'NO', 69.97, 23.27, 'Europe/Oslo', 21],
+  ['Hammerfest', 'NO', 70.66, 23.68, 'Europe/Oslo', 11],
+  ['Honningsvåg', 'NO', 70.98, 25.97, 'Europe/Oslo', 2, 'Honningsvag;North Cape;Nordkapp'],
+  ['Kirkenes', 'NO', 69.73, 30.05, 'Europe/Oslo', 3],
+  ['Longyearbyen', 'SJ', 78.22, 15.65, 'Arctic/Longyearbyen', 2],
+  ['Ny-Ålesund', 'SJ', 78.92, 11.93, 'Arctic/Longyearbyen', 0.03, 'Ny-Alesund'],
+  ['Stockholm', 'SE', 59.33, 18.07, 'Europe/Stockholm', 1600],
+  ['Gothenburg', 'SE', 57.71, 11.97, 'Europe/Stockholm', 600, 'Göteborg'],
+  ['Malmö', 'SE', 55.6, 13.0, 'Europe/Stockholm', 350, 'Malmo'],
+  ['Umeå', 'SE', 63.83, 20.26, 'Europe/Stockholm', 90, 'Umea'],
+  ['Luleå', 'SE', 65.58, 22.15, 'Europe/Stockholm', 48, 'Lulea'],
+  ['Kiruna', 'SE', 67.86, 20.23, 'Europe/Stockholm', 17],
+  ['Helsinki', 'FI', 60.17, 24.94, 'Europe/Helsinki', 1300],
+  ['Tampere', 'FI', 61.5, 23.76, 'Europe/Helsinki', 250],
+  ['Oulu', 'FI', 65.01, 25.47, 'Europe/Helsinki', 210],
+  ['Rovaniemi', 'FI', 66.5, 25.73, 'Europe/Helsinki', 64],
+  ['Utsjoki', 'FI', 69.91, 27.03, 'Europe/Helsinki', 1],
+  ['Reykjavik', 'IS', 64.15, -21.94, 'Atlantic/Reykjavik', 230, 'Reykjavík'],
+  ['Akureyri', 'IS', 65.68, -18.09, 'Atlantic/Reykjavik', 19],
+  ['Tallinn', 'EE', 59.44, 24.75, 'Europe/Tallinn', 440],
+  ['Riga', 'LV', 56.95, 24.11, 'Europe/Riga', 610],
+  ['Vilnius', 'LT', 54.69, 25.28, 'Europe/Vilnius', 590],
+  ['Warsaw', 'PL', 52.23, 21.01, 'Europe/Warsaw', 1800, 'Warszawa'],
+  ['Kraków', 'PL', 50.06, 19.94, 'Europe/Warsaw', 780, 'Krakow;Cracow'],
+  ['Łódź', 'PL', 51.76, 19.46, 'Europe/Warsaw', 660, 'Lodz'],
+  ['Wrocław', 'PL', 51.11, 17.04, 'Europe/Warsaw', 640, 'Wroclaw'],
+  ['Gdańsk', 'PL', 54.35, 18.65, 'Europe/Warsaw', 470, 'Gdansk'],
+  ['Prague', 'CZ', 50.08, 14.44, 'Europe/Prague', 1300, 'Praha'],
+  ['Bratislava', 'SK', 48.15, 17.11, 'Europe/Bratislava', 475],
+  ['Budapest', 'HU', 47.5, 19.04, 'Europe/Budapest', 1750],
+  ['Ljubljana', 'SI', 46.06, 14.51, 'Europe/Ljubljana', 290],
+  ['Zagreb', 'HR', 45.81, 15.98, 'Europe/Zagreb', 770],
+  ['Split', 'HR', 43.51, 16.44, 'Europe/Zagreb', 160],
+  ['Sarajevo', 'BA', 43.86, 18.41, 'Europe/Sarajevo', 275],
+  ['Belgrade', 'RS', 44.79, 20.45, 'Europe/Belgrade', 1400, 'Beograd'],
+  ['Podgorica', 'ME', 42.44, 19.26, 'Europe/Podgorica', 190],
+  ['Skopje', 'MK', 42.0, 21.43, 'Europe/Skopje', 530],
+  ['Tirana', 'AL', 41.33, 19.82, 'Europe/Tirane', 560],
+  ['Sofia', 'BG', 42.7, 23.32, 'Europe/Sofia', 1240],
+  ['Bucharest', 'RO', 44.43, 26.1, 'Europe/Bucharest', 1800, 'București'],
+  ['Cluj-Napoca', 'RO', 46.77, 23.6, 'Europe/Bucharest', 320],
+  ['Chișinău', 'MD', 47.01, 28.86, 'Europe/Chisinau', 640, 'Chisinau'],
+  ['Kyiv', 'UA', 50.45, 30.52, 'Europe/Kyiv', 2950, 'Kiev'],
+  ['Kharkiv', 'UA', 49.99, 36.23, 'Europe/Kyiv', 1400, 'Kharkov'],
+  ['Odesa', 'UA', 46.48, 30.72, 'Europe/Kyiv', 1000, 'Odessa'],
+  ['Lviv', 'UA', 49.84, 24.03, 'Europe/Kyiv', 720],
+  ['Minsk', 'BY', 53.9, 27.56, 'Europe/Minsk', 2000],
+  ['Moscow', 'RU', 55.76, 37.62, 'Europe/Moscow', 12600, 'Moskva'],
+  ['Saint Petersburg', 'RU', 59.94, 30.31, 'Europe/Moscow', 5400, 'St Petersburg;Leningrad'],
+  ['Kaliningrad', 'RU', 54.71, 20.51, 'Europe/Kaliningrad', 490],
+  ['Murmansk', 'RU', 68.97, 33.08, 'Europe/Moscow', 270],
+  ['Arkhangelsk', 'RU', 64.54, 40.54, 'Europe/Moscow', 300],
+  ['Nizhny Novgorod', 'RU', 56.33, 44.0, 'Europe/Moscow', 1250],
+  ['Kazan', 'RU', 55.79, 49.12, 'Europe/Moscow', 1300],
+  ['Samara', 'RU', 53.2, 50.15, 'Europe/Samara', 1150],
+  ['Volgograd', 'RU', 48.71, 44.51, 'Europe/Volgograd', 1000],
+  ['Rostov-on-Don', 'RU', 47.24, 39.71, 'Europe/Moscow', 1140],
+  ['Ufa', 'RU', 54.74, 55.97, 'Asia/Yekaterinburg', 1140],
+  ['Yekaterinburg', 'RU', 56.84, 60.6, 'Asia/Yekaterinburg', 1500],
+  ['Chelyabinsk', 'RU', 55.16, 61.4, 'Asia/Yekaterinburg', 1180],
+  ['Perm', 'RU', 58.01, 56.23, 'Asia/Yekaterinburg', 1050],
+  ['Istanbul', 'TR', 41.01, 28.98, 'Europe/Istanbul', 15500],
+  ['Ankara', 'TR', 39.93, 32.85, 'Europe/Istanbul', 5700],
+  ['Izmir', 'TR', 38.42, 27.14, 'Europe/Istanbul', 4400, 'İzmir'],
+  ['Bursa', 'TR', 40.19, 29.06, 'Europe/Istanbul', 3100],
+  ['Antalya', 'TR', 36.9, 30.7, 'Europe/Istanbul', 2600],
+
+  // Caucasus and Central Asia
+  ['Tbilisi', 'GE', 41.72, 44.79, 'Asia/Tbilisi', 1200],
+  ['Yerevan', 'AM', 40.18, 44.51, 'Asia/Yerevan', 1100],
+  ['Baku', 'AZ', 40.41, 49.87, 'Asia/Baku', 2300],
+  ['Astana', 'KZ', 51.17, 71.45, 'Asia/Almaty', 1350, 'Nur-Sultan'],
+  ['Almaty', 'KZ', 43.24, 76.89, 'Asia/Almaty', 2000],
+  ['Tashkent', 'UZ', 41.3, 69.24, 'Asia/Tashkent', 2900],
+  ['Samarkand', 'UZ', 39.65, 66.96, 'Asia/Samarkand', 550],
+  ['Bishkek', 'KG', 42.87, 74.59, 'Asia/Bishkek', 1100],
+  ['Dushanbe', 'TJ', 38.56, 68.79, 'Asia/Dushanbe', 900],
+  ['Ashgabat', 'TM', 37.95, 58.38, 'Asia/Ashgabat', 1000],
+
+  // Siberia and the Russian Far East
+  ['Omsk', 'RU', 54.99, 73.37, 'Asia/Omsk', 1100],
+  ['Novosibirsk', 'RU', 55.03, 82.92, 'Asia/Novosibirsk', 1630],
+  ['Krasnoyarsk', 'RU', 56.01, 92.87, 'Asia/Krasnoyarsk', 1190],
+  ['Norilsk', 'RU', 69.35, 88.2, 'Asia/Krasnoyarsk', 180],
+  ['Irkutsk', 'RU', 52.29, 104.28, 'Asia/Irkutsk', 620],
+  ['Yakutsk', 'RU', 62.03, 129.73, 'Asia/Yakutsk', 355],
+  ['Tiksi', 'RU', 71.64, 128.87, 'Asia/Yakutsk', 5],
+  ['Oymyakon', 'RU', 63.46, 142.79, 'Asia/Vladivostok', 0.5],
+  ['Vladivostok', 'RU', 43.12, 131.89, 'Asia/Vladivostok', 600],
+  ['Khabarovsk', 'RU', 48.48, 135.08, 'Asia/Vladivostok', 620],
+  ['Magadan', 'RU', 59.56, 150.8, 'Asia/Magadan', 90],
+  ['Petropavlovsk-Kamchatsky', 'RU', 53.02, 158.65, 'Asia/Kamchatka', 165, 'Kamchatka'],
+  ['Anadyr', 'RU', 64.73, 177.51, 'Asia/Anadyr', 15],
+
+  // Middle East
+  ['Cairo', 'EG', 30.04, 31.24, 'Africa/Cairo', 21000],
+  ['Alexandria', 'EG', 31.2, 29.92, 'Africa/Cairo', 5400],
+  ['Tel Aviv', 'IL', 32.09, 34.78, 'Asia/Jerusalem', 4000],
+  ['Jerusalem', 'IL', 31.77, 35.21, 'Asia/Jerusalem', 970],
+  ['Gaza', 'PS', 31.5, 34.47, 'Asia/Gaza', 590],
+  ['Amman', 'JO', 31.95, 35.93, 'Asia/Amman', 4000],
+  ['Beirut', 'LB', 33.89, 35.5, 'Asia/Beirut', 2400],
+  ['Damascus', 'SY', 33.51, 36.29, 'Asia/Damascus', 2500],
+  ['Aleppo', 'SY', 36.2, 37.16, 'Asia/Damascus', 2000],
+  ['Baghdad', 'IQ', 33.31, 44.36, 'Asia/Baghdad', 7500],
+  ['Basra', 'IQ', 30.51, 47.78, 'Asia/Baghdad', 1400],
+  ['Mosul', 'IQ', 36.34, 43.13, 'Asia/Baghdad', 1700],
+  ['Erbil', 'IQ', 36.19, 44.01, 'Asia/Baghdad', 1600],
+  ['Tehran', 'IR', 35.69, 51.39, 'Asia/Tehran', 9000],
+  ['Mashhad', 'IR', 36.3, 59.6, 'Asia/Tehran', 3300],
+  ['Isfahan', 'IR', 32.65, 51.67, 'Asia/Tehran', 2200],
+  ['Tabriz', 'IR', 38.08, 46.29, 'Asia/Tehran', 1600],
+  ['Shiraz', 'IR', 29.59, 52.58, 'Asia/Tehran', 1600],
+  ['Riyadh', 'SA', 24.71, 46.68, 'Asia/Riyadh', 7600],
+  ['Jeddah', 'SA', 21.49, 39.19, 'Asia/Riyadh', 4700],
+  ['Mecca', 'SA', 21.39, 39.86, 'Asia/Riyadh', 2400, 'Makkah'],
+  ['Medina', 'SA', 24.47, 39.61, 'Asia/Riyadh', 1500],
+  ['Dammam', 'SA', 26.43, 50.1, 'Asia/Riyadh', 1300],
+  ['Kuwait City', 'KW', 29.38, 47.99, 'Asia/Kuwait', 3000],
+  ['Manama', 'BH', 26.23, 50.59, 'Asia/Bahrain', 650],
+  ['Doha', 'QA', 25.29, 51.53, 'Asia/Qatar', 2400],
+  ['Dubai', 'AE', 25.2, 55.27, 'Asia/Dubai', 3600],
+  ['Abu Dhabi', 'AE', 24.45, 54.38, 'Asia/Dubai', 1500],
+  ['Muscat', 'OM', 23.59, 58.41, 'Asia/Muscat', 1600],
+  ["Sana'a", 'YE', 15.37, 44.19, 'Asia/Aden', 3300, 'Sanaa'],
+  ['Aden', 'YE', 12.79, 45.02, 'Asia/Aden', 1000],
+
+  // South Asia
+  ['Kabul', 'AF', 34.53, 69.17, 'Asia/Kabul', 4600],
+  ['Karachi', 'PK', 24.86, 67.01, 'Asia/Karachi', 16800],
+  ['Lahore', 'PK', 31.55, 74.34, 'Asia/Karachi', 13000],
+  ['Faisalabad', 'PK', 31.42, 73.08, 'Asia/Karachi', 3600],
+  ['Rawalpindi', 'PK', 33.6, 73.04, 'Asia/Karachi', 2300],
+  ['Islamabad', 'PK', 33.69, 73.06, 'Asia/Karachi', 1200],
+  ['Peshawar', 'PK', 34.01, 71.58, 'Asia/Karachi', 2300],
+  ['Delhi', 'IN', 28.61, 77.21, 'Asia/Kolkata', 32000, 'New Delhi'],
+  ['Mumbai', 'IN', 19.08, 72.88, 'Asia/Kolkata', 21000, 'Bombay'],
+  ['Kolkata', 'IN', 22.57, 88.36, 'Asia/Kolkata', 15000, 'Calcutta'],
+  ['Bengaluru', 'IN', 12.97, 77.59, 'Asia/Kolkata', 13000, 'Bangalore'],
+  ['Chennai', 'IN', 13.08, 80.27, 'Asia/Kolkata', 11500, 'Madras'],
+  ['Hyderabad', 'IN', 17.39, 78.49, 'Asia/Kolkata', 10500],
+  ['Ahmedabad', 'IN', 23.02, 72.57, 'Asia/Kolkata', 8500],
+  ['Pune', 'IN', 18.52, 73.86, 'Asia/Kolkata', 7000],
+  ['Surat', 'IN', 21.17, 72.83, 'Asia/Kolkata', 7500],
+  ['Jaipur', 'IN', 26.91, 75.79, 'Asia/Kolkata', 4100],
+  ['Lucknow', 'IN', 26.85, 80.95, 'Asia/Kolkata', 3900],
+  ['Kanpur', 'IN', 26.45, 80.33, 'Asia/Kolkata', 3200],
+  ['Nagpur', 'IN', 21.15, 79.09, 'Asia/Kolkata', 3000],
+  ['Patna', 'IN', 25.59, 85.14, 'Asia/Kolkata', 2500],
+  ['Indore', 'IN', 22.72, 75.86, 'Asia/Kolkata', 3200],
+  ['Bhopal', 'IN', 23.26, 77.41, 'Asia/Kolkata', 2400],
+  ['Kochi', 'IN', 9.93, 76.27, 'Asia/Kolkata', 2200, 'Cochin'],
+  ['Thiruvananthapuram', 'IN', 8.52, 76.94, 'Asia/Kolkata', 1700, 'Trivandrum'],
+  ['Varanasi', 'IN', 25.32, 82.97, 'Asia/Kolkata', 1700, 'Benares'],
+  ['Srinagar', 'IN', 34.08, 74.8, 'Asia/Kolkata', 1500],
+  ['Guwahati', 'IN', 26.14, 91.74, 'Asia/Kolkata', 1200],
+  ['Leh', 'IN', 34.16, 77.58, 'Asia/Kolkata', 30],
+  ['Kathmandu', 'NP', 27.72, 85.32, 'Asia/Kathmandu', 1500],
+  ['Thimphu', 'BT', 27.47, 89.64, 'Asia/Thimphu', 115],
+  ['Dhaka', 'BD', 23.81, 90.41, 'Asia/Dhaka', 23000],
+  ['Chittagong', 'BD', 22.36, 91.78, 'Asia/Dhaka', 5300, 'Chattogram'],
+  ['Colombo', 'LK', 6.93, 79.86, 'Asia/Colombo', 2300],
+  ['Malé', 'MV', 4.18, 73.51, 'Indian/Maldives', 210, 'Male'],
+
+  // East Asia
+  ['Beijing', 'CN', 39.9, 116.41, 'Asia/Shanghai', 21500, 'Peking'],
+  ['Shanghai', 'CN', 31.23, 121.47, 'Asia/Shanghai', 24900],
+  ['Guangzhou', 'CN', 23.13, 113.26, 'Asia/Shanghai', 18700, 'Canton'],
+  ['Shenzhen', 'CN', 22.54, 114.06, 'Asia/Shanghai', 17600],
+  ['Chongqing', 'CN', 29.56, 106.55, 'Asia/Shanghai', 16000],
+  ['Tianjin', 'CN', 39.13, 117.2, 'Asia/Shanghai', 13900],
+  ['Chengdu', 'CN', 30.57, 104.07, 'Asia/Shanghai', 16300],
+  ['Wuhan', 'CN', 30.59, 114.31, 'Asia/Shanghai', 12300],
+  ["Xi'an", 'CN', 34.34, 108.94, 'Asia/Shanghai', 12900, 'Xian'],
+  ['Hangzhou', 'CN', 30.27, 120.16, 'Asia/Shanghai', 12200],
+  ['Nanjing', 'CN', 32.06, 118.8, 'Asia/Shanghai', 9300],
+  ['Shenyang', 'CN', 41.81, 123.43, 'Asia/Shanghai', 9100],
+  ['Harbin', 'CN', 45.8, 126.53, 'Asia/Shanghai', 10000],
+  ['Changchun', 'CN', 43.82, 125.32, 'Asia/Shanghai', 9000],
+  ['Dalian', 'CN', 38.91, 121.61, 'Asia/Shanghai', 7500],
+  ['Qingdao', 'CN', 36.07, 120.38, 'Asia/Shanghai', 10000],
+  ['Jinan', 'CN', 36.65, 117.12, 'Asia/Shanghai', 9200],
+  ['Zhengzhou', 'CN', 34.75, 113.63, 'Asia/Shanghai', 12600],
+  ['Changsha', 'CN', 28.23, 112.94, 'Asia/Shanghai', 10000],
+  ['Kunming', 'CN', 25.04, 102.71, 'Asia/Shanghai', 8500],
+  ['Xiamen', 'CN', 24.48, 118.09, 'Asia/Shanghai', 5200],
+  ['Fuzhou', 'CN', 26.07, 119.3, 'Asia/Shanghai', 8300],
+  ['Nanning', 'CN', 22.82, 108.37, 'Asia/Shanghai', 8700],
+  ['Lanzhou', 'CN', 36.06, 103.83, 'Asia/Shanghai', 4400],
+  ['Hohhot', 'CN', 40.84, 111.75, 'Asia/Shanghai', 3400],
+  ['Mohe', 'CN', 52.97, 122.54, 'Asia/Shanghai', 80],
+  ['Ürümqi', 'CN', 43.83, 87.62, 'Asia/Urumqi', 4000, 'Urumqi'],
+  ['Kashgar', 'CN', 39.47, 75.99, 'Asia/Urumqi', 700, 'Kashi'],
+  ['Lhasa', 'CN', 29.65, 91.17, 'Asia/Shanghai', 870],
+  ['Hong Kong', 'HK', 22.32, 114.17, 'Asia/Hong_Kong', 7500],
+  ['Macau', 'MO', 22.2, 113.54, 'Asia/Macau', 680, 'Macao'],
+  ['Taipei', 'TW', 25.03, 121.57, 'Asia/Taipei', 7000],
+  ['Kaohsiung', 'TW', 22.63, 120.3, 'Asia/Taipei', 2700],
+  ['Ulaanbaatar', 'MN', 47.89, 106.91, 'Asia/Ulaanbaatar', 1650, 'Ulan Bator'],
+  ['Seoul', 'KR', 37.57, 126.98, 'Asia/Seoul', 9700],
+  ['Busan', 'KR', 35.18, 129.08, 'Asia/Seoul', 3400, 'Pusan'],
+  ['Incheon', 'KR', 37.46, 126.71, 'Asia/Seoul', 3000],
+  ['Daegu', 'KR', 35.87, 128.6, 'Asia/Seoul', 2400],
+  ['Pyongyang', 'KP', 39.04, 125.76, 'Asia/Pyongyang', 3000],
+  ['Tokyo', 'JP', 35.68, 139.69, 'Asia/Tokyo', 37000],
+  ['Yokohama', 'JP', 35.44, 139.64, 'Asia/Tokyo', 3800],
+  ['Osaka', 'JP', 34.69, 135.5, 'Asia/Tokyo', 19000],
+  ['Nagoya', 'JP', 35.18, 136.91, 'Asia/Tokyo', 9500],
+  ['Sapporo', 'JP', 43.06, 141.35, 'Asia/Tokyo', 1970],
+  ['Fukuoka', 'JP', 33.59, 130.4, 'Asia/Tokyo', 1600],
+  ['Kobe', 'JP', 34.69, 135.2, 'Asia/Tokyo', 1500],
+  ['Kyoto', 'JP', 35.01, 135.77, 'Asia/Tokyo', 1460],
+  ['Hiroshima', 'JP', 34.39, 132.46, 'Asia/Tokyo', 1200],
+  ['Sendai', 'JP', 38.27, 140.87, 'Asia/Tokyo', 1100],
+  ['Naha', 'JP', 26.21, 127.68, 'Asia/Tokyo', 320, 'Okinawa'],
+
+  // Southeast Asia
+  ['Bangkok', 'TH', 13.76, 100.5, 'Asia/Bangkok', 11000],
+  ['Chiang Mai', 'TH', 18.79, 98.98, 'Asia/Bangkok', 1200],
+  ['Phuket', 'TH', 7.88, 98.39, 'Asia/Bangkok', 420],
+  ['Yangon', 'MM', 16.87, 96.2, 'Asia/Yangon', 5600, 'Rangoon'],
+  ['Mandalay', 'MM', 21.96, 96.09, 'Asia/Yangon', 1500],
+  ['Naypyidaw', 'MM', 19.76, 96.08, 'Asia/Yangon', 1000],
+  ['Vientiane', 'LA', 17.97, 102.63, 'Asia/Vientiane', 950],
+  ['Phnom Penh', 'KH', 11.56, 104.92, 'Asia/Phnom_Penh', 2300],
+  ['Ho Chi Minh City', 'VN', 10.82, 106.63, 'Asia/Ho_Chi_Minh', 9400, 'Saigon'],
+  ['Hanoi', 'VN', 21.03, 105.85, 'Asia/Ho_Chi_Minh', 8400],
+  ['Da Nang', 'VN', 16.05, 108.2, 'Asia/Ho_Chi_Minh', 1200],
+  ['Kuala Lumpur', 'MY', 3.14, 101.69, 'Asia/Kuala_Lumpur', 8400],
+  ['George Town', 'MY', 5.41, 100.33, 'Asia/Kuala_Lumpur', 800, 'Penang'],
+  ['Kota Kinabalu', 'MY', 5.98, 116.07, 'Asia/Kuching', 500],
+  ['Singapore', 'SG', 1.35, 103.82, 'Asia/Singapore', 5900],
+  ['Bandar Seri Begawan', 'BN', 4.9, 114.94, 'Asia/Brunei', 100],
+  ['Jakarta', 'ID', -6.21, 106.85, 'Asia/Jakarta', 11000],
+  ['Surabaya', 'ID', -7.25, 112.75, 'Asia/Jakarta', 3000],
+  ['Bandung', 'ID', -6.92, 107.62, 'Asia/Jakarta', 2500],
+  ['Medan', 'ID', 3.6, 98.67, 'Asia/Jakarta', 2500],
+  ['Semarang', 'ID', -6.97, 110.42, 'Asia/Jakarta', 1700],
+  ['Palembang', 'ID', -2.98, 104.76, 'Asia/Jakarta', 1700],
+  ['Makassar', 'ID', -5.15, 119.43, 'Asia/Makassar', 1500],
+  ['Denpasar', 'ID', -8.65, 115.22, 'Asia/Makassar', 900, 'Bali'],
+  ['Jayapura', 'ID', -2.53, 140.72, 'Asia/Jayapura', 400],
+  ['Dili', 'TL', -8.56, 125.57, 'Asia/Dili', 280],
+  ['Manila', 'PH', 14.6, 120.98, 'Asia/Manila', 14000],
+  ['Quezon City', 'PH', 14.68, 121.04, 'Asia/Manila', 2960],
+  ['Davao', 'PH', 7.07, 125.61, 'Asia/Manila', 1800],
+  ['Cebu', 'PH', 10.32, 123.89, 'Asia/Manila', 960],
+
+  // Africa
+  ['Lagos', 'NG', 6.52, 3.38, 'Africa/Lagos', 15400],
+  ['Kano', 'NG', 12.0, 8.52, 'Africa/Lagos', 4300],
+  ['Ibadan', 'NG', 7.38, 3.95, 'Africa/Lagos', 3900],
+  ['Abuja', 'NG', 9.08, 7.4, 'Africa/Lagos', 3800],
+  ['Port Harcourt', 'NG', 4.82, 7.03, 'Africa/Lagos', 3300],
+  ['Kinshasa', 'CD', -4.44, 15.27, 'Africa/Kinshasa', 17000],
+  ['Lubumbashi', 'CD', -11.66, 27.48, 'Africa/Lubumbashi', 2600],
+  ['Mbuji-Mayi', 'CD', -6.14, 23.59, 'Africa/Lubumbashi', 2900],
+  ['Goma', 'CD', -1.68, 29.23, 'Africa/Lubumbashi', 700],
+  ['Brazzaville', 'CG', -4.27, 15.28, 'Africa/Brazzaville', 2500],
+  ['Luanda', 'AO', -8.84, 13.23, 'Africa/Luanda', 9000],
+  ['Johannesburg', 'ZA', -26.2, 28.05, 'Africa/Johannesburg', 6200],
+  ['Cape Town', 'ZA', -33.92, 18.42, 'Africa/Johannesburg', 4800],
+  ['Durban', 'ZA', -29.86, 31.02, 'Africa/Johannesburg', 3200],
+  ['Pretoria', 'ZA', -25.75, 28.19, 'Africa/Johannesburg', 2800, 'Tshwane'],
+  ['Port Elizabeth', 'ZA', -33.96, 25.6, 'Africa/Johannesburg', 1200, 'Gqeberha'],
+  ['Windhoek', 'NA', -22.56, 17.08, 'Africa/Windhoek', 480],
+  ['Gaborone', 'BW', -24.65, 25.91, 'Africa/Gaborone', 270],
+  ['Maseru', 'LS', -29.31, 27.48, 'Africa/Maseru', 330],
+  ['Mbabane', 'SZ', -26.31, 31.14, 'Africa/Mbabane', 95],
+  ['Maputo', 'MZ', -25.97, 32.57, 'Africa/Maputo', 1200],
+  ['Harare', 'ZW', -17.83, 31.05, 'Africa/Harare', 2200],
+  ['Bulawayo', 'ZW', -20.15, 28.58, 'Africa/Harare', 670],
+  ['Lusaka', 'ZM', -15.39, 28.32, 'Africa/Lusaka', 3000],
+  ['Lilongwe', 'MW', -13.96, 33.79, 'Africa/Blantyre', 1200],
+  ['Antananarivo', 'MG', -18.88, 47.51, 'Indian/Antananarivo', 3700],
+  ['Port Louis', 'MU', -20.16, 57.5, 'Indian/Mauritius', 150],
+  ['Saint-Denis', 'RE', -20.88, 55.45, 'Indian/Reunion', 150],
+  ['Victoria', 'SC', -4.62, 55.45, 'Indian/Mahe', 26],
+  ['Dar es Salaam', 'TZ', -6.79, 39.21, 'Africa/Dar_es_Salaam', 7400],
+  ['Dodoma', 'TZ', -6.16, 35.75, 'Africa/Dar_es_Salaam', 770],
+  ['Zanzibar', 'TZ', -6.17, 39.2, 'Africa/Dar_es_Salaam', 700],
+  ['Nairobi', 'KE', -1.29, 36.82, 'Africa/Nairobi', 5100],
+  ['Mombasa', 'KE', -4.04, 39.67, 'Africa/Nairobi', 1400],
+  ['Kampala', 'UG', 0.35, 32.58, 'Africa/Kampala', 3800],
+  ['Kigali', 'RW', -1.94, 30.06, 'Africa/Kigali', 1300],
+  ['Bujumbura', 'BI', -3.38, 29.36, 'Africa/Bujumbura', 1100],
+  ['Addis Ababa', 'ET', 9.03, 38.74, 'Africa/Addis_Ababa', 5500],
+  ['Asmara', 'ER', 15.32, 38.93, 'Africa/Asmara', 900],
+  ['Djibouti', 'DJ', 11.59, 43.15, 'Africa/Djibouti', 600],
+  ['Mogadishu', 'SO', 2.05, 45.32, 'Africa/Mogadishu', 2600],
+  ['Juba', 'SS', 4.86, 31.57, 'Africa/Juba', 530],
+  ['Khartoum', 'SD', 15.5, 32.56, 'Africa/Khartoum', 6000],
+  ['Omdurman', 'SD', 15.64, 32.48, 'Africa/Khartoum', 2800],
+  ["N'Djamena", 'TD', 12.13, 15.06, 'Africa/Ndjamena', 1500, 'Ndjamena'],
+  ['Bangui', 'CF', 4.39, 18.56, 'Africa/Bangui', 900],
+  ['Yaoundé', 'CM', 3.85, 11.5, 'Africa/Douala', 4300, 'Yaounde'],
+  ['Douala', 'CM', 4.05, 9.77, 'Africa/Douala', 4000],
+  ['Libreville', 'GA', 0.42, 9.47, 'Africa/Libreville', 850],
+  ['Malabo', 'GQ', 3.75, 8.78, 'Africa/Malabo', 300],
+  ['Accra', 'GH', 5.6, -0.19, 'Africa/Accra', 2600],
+  ['Kumasi', 'GH', 6.69, -1.62, 'Africa/Accra', 3600],
+  ['Lomé', 'TG', 6.13, 1.22, 'Africa/Lome', 1900, 'Lome'],
+  ['Cotonou', 'BJ', 6.37, 2.39, 'Africa/Porto-Novo', 700],
+  ['Porto-Novo', 'BJ', 6.5, 2.6, 'Africa/Porto-Novo', 270],
+  ['Abidjan', 'CI', 5.36, -4.01, 'Africa/Abidjan', 5600],
+  ['Yamoussoukro', 'CI', 6.83, -5.29, 'Africa/Abidjan', 360],
+  ['Ouagadougou', 'BF', 12.37, -1.52, 'Africa/Ouagadougou', 3000],
+  ['Niamey', 'NE', 13.51, 2.11, 'Africa/Niamey', 1400],
+  ['Bamako', 'ML', 12.64, -8.0, 'Africa/Bamako', 2900],
+  ['Timbuktu', 'ML', 16.77, -3.01, 'Africa/Bamako', 33, 'Tombouctou'],
+  ['Monrovia', 'LR', 6.3, -10.8, 'Africa/Monrovia', 1600],
+  ['Freetown', 'SL', 8.47, -13.23, 'Africa/Freetown', 1200],
+  ['Conakry', 'GN', 9.64, -13.58, 'Africa/Conakry', 2000],
+  ['Bissau', 'GW', 11.86, -15.6, 'Africa/Bissau', 500],
+  ['Banjul', 'GM', 13.45, -16.58, 'Africa/Banjul', 35],
+  ['Dakar', 'SN', 14.72, -17.47, 'Africa/Dakar', 3300],
+  ['Nouakchott', 'MR', 18.08, -15.98, 'Africa/Nouakchott', 1300],
+  ['Praia', 'CV', 14.93, -23.51, 'Atlantic/Cape_Verde', 160],
+  ['Casablanca', 'MA', 33.57, -7.59, 'Africa/Casablanca', 3700],
+  ['Rabat', 'MA', 34.02, -6.84, 'Africa/Casablanca', 1900],
+  ['Marrakesh', 'MA', 31.63, -7.99, 'Africa/Casablanca', 1000, 'Marrakech'],
+  ['Fez', 'MA', 34.03, -5.0, 'Africa/Casablanca', 1200, 'Fès'],
+  ['Algiers', 'DZ', 36.75, 3.06, 'Africa/Algiers', 3000, 'Alger'],
+  ['Oran', 'DZ', 35.7, -0.63, 'Africa/Algiers', 1500],
+  ['Tamanrasset', 'DZ', 22.79, 5.52, 'Africa/Algiers', 100],
+  ['Tunis', 'TN', 36.81, 10.18, 'Africa/Tunis', 2400],
+  ['Tripoli', 'LY', 32.89, 13.19, 'Africa/Tripoli', 1200],
+  ['Benghazi', 'LY', 32.12, 20.07, 'Africa/Tripoli', 800],
+  ['Luxor', 'EG', 25.69, 32.64, 'Africa/Cairo', 500],
+  ['Aswan', 'EG', 24.09, 32.9, 'Africa/Cairo', 300],
+
+  // North America
+  ['New York', 'US', 40.71, -74.01, 'America/New_York', 18800, 'NYC'],
+  ['Los Angeles', 'US', 34.05, -118.24, 'America/Los_Angeles', 12500, 'LA'],
+  ['Chicago', 'US', 41.88, -87.63, 'America/Chicago', 8900],
+  ['Houston', 'US', 29.76, -95.37, 'America/Chicago', 6400],
+  ['Dallas', 'US', 32.78, -96.8, 'America/Chicago', 6500],
+  ['Phoenix', 'US', 33.45, -112.07, 'America/Phoenix', 4700],
+  ['Philadelphia', 'US', 39.95, -75.17, 'America/New_York', 5700],
+  ['San Antonio', 'US', 29.42, -98.49, 'America/Chicago', 2000],
+  ['San Diego', 'US', 32.72, -117.16, 'America/Los_Angeles', 3300],
+  ['San Jose', 'US', 37.34, -121.89, 'America/Los_Angeles', 1800],
+  ['San Francisco', 'US', 37.77, -122.42, 'America/Los_Angeles', 3300],
+  ['Austin', 'US', 30.27, -97.74, 'America/Chicago', 1900],
+  ['Jacksonville', 'US', 30.33, -81.66, 'America/New_York', 1300],
+  ['Columbus', 'US', 39.96, -83.0, 'America/New_York', 1700],
+  ['Indianapolis', 'US', 39.77, -86.16, 'America/Indiana/Indianapolis', 1700],
+  ['Charlotte', 'US', 35.23, -80.84, 'America/New_York', 1900],
+  ['Seattle', 'US', 47.61, -122.33, 'America/Los_Angeles', 3500],
+  ['Denver', 'US', 39.74, -104.99, 'America/Denver', 2700],
+  ['Washington', 'US', 38.91, -77.04, 'America/New_York', 4900, 'Washington DC;DC'],
+  ['Boston', 'US', 42.36, -71.06, 'America/New_York', 4300],
+  ['Nashville', 'US', 36.16, -86.78, 'America/Chicago', 1300],
+  ['Detroit', 'US', 42.33, -83.05, 'America/Detroit', 3700],
+  ['Portland', 'US', 45.52, -122.68, 'America/Los_Angeles', 2000],
+  ['Las Vegas', 'US', 36.17, -115.14, 'America/Los_Angeles', 2300],
+  ['Memphis', 'US', 35.15, -90.05, 'America/Chicago', 1100],
+  ['Baltimore', 'US', 39.29, -76.61, 'America/New_York', 2200],
+  ['Milwaukee', 'US', 43.04, -87.91, 'America/Chicago', 1400],
+  ['Albuquerque', 'US', 35.08, -106.65, 'America/Denver', 900],
+  ['Tucson', 'US', 32.22, -110.97, 'America/Phoenix', 1000],
+  ['Sacramento', 'US', 38.58, -121.49, 'America/Los_Angeles', 2000],
+  ['Kansas City', 'US', 39.1, -94.58, 'America/Chicago', 1700],
+  ['Atlanta', 'US', 33.75, -84.39, 'America/New_York', 5100],
+  ['Miami', 'US', 25.76, -80.19, 'America/New_York', 6100],
+  ['Orlando', 'US', 28.54, -81.38, 'America/New_York', 2100],
+  ['Tampa', 'US', 27.95, -82.46, 'America/New_York', 2500],
+  ['Minneapolis', 'US', 44.98, -93.27, 'America/Chicago', 2900],
+  ['St. Louis', 'US', 38.63, -90.2, 'America/Chicago', 2100, 'Saint Louis'],
+  ['New Orleans', 'US', 29.95, -90.07, 'America/Chicago', 1000],
+  ['Pittsburgh', 'US', 40.44, -80.0, 'America/New_York', 1700],
+  ['Cleveland', 'US', 41.5, -81.69, 'America/New_York', 1700],
+  ['Salt Lake City', 'US', 40.76, -111.89, 'America/Denver', 1200],
+  ['Boise', 'US', 43.62, -116.2, 'America/Boise', 230],
+  ['Anchorage', 'US', 61.22, -149.9, 'America/Anchorage', 290],
+  ['Fairbanks', 'US', 64.84, -147.72, 'America/Anchorage', 32],
+  ['Juneau', 'US', 58.3, -134.42, 'America/Juneau', 32],
+  ['Utqiaġvik', 'US', 71.29, -156.79, 'America/Anchorage', 5, 'Utqiagvik;Barrow'],
+  ['Nome', 'US', 64.5, -165.41, 'America/Nome', 4],
+  ['Honolulu', 'US', 21.31, -157.86, 'Pacific/Honolulu', 1000],
+  ['San Juan', 'PR', 18.47, -66.11, 'America/Puerto_Rico', 2400],
+  ['Toronto', 'CA', 43.65, -79.38, 'America/Toronto', 6200],
+  ['Montreal', 'CA', 45.5, -73.57, 'America/Toronto', 4300, 'Montréal'],
+  ['Vancouver', 'CA', 49.28, -123.12, 'America/Vancouver', 2600],
+  ['Calgary', 'CA', 51.05, -114.07, 'America/Edmonton', 1500],
+  ['Edmonton', 'CA', 53.55, -113.49, 'America/Edmonton', 1400],
+  ['Ottawa', 'CA', 45.42, -75.7, 'America/Toronto', 1400],
+  ['Winnipeg', 'CA', 49.9, -97.14, 'America/Winnipeg', 830],
+  ['Quebec City', 'CA', 46.81, -71.21, 'America/Toronto', 840, 'Québec'],
+  ['Halifax', 'CA', 44.65, -63.57, 'America/Halifax', 470],
+  ['St. John\'s', 'CA', 47.56, -52.71, 'America/St_Johns', 210, 'Saint Johns'],
+  ['Regina', 'CA', 50.45, -104.61, 'America/Regina', 230],
+  ['Whitehorse', 'CA', 60.72, -135.06, 'America/Whitehorse', 30],
+  ['Yellowknife', 'CA', 62.45, -114.37, 'America/Yellowknife', 20],
+  ['Iqaluit', 'CA', 63.75, -68.52, 'America/Iqaluit', 8],
+  ['Inuvik', 'CA', 68.36, -133.72, 'America/Inuvik', 3],
+  ['Resolute', 'CA', 74.7, -94.83, 'America/Resolute', 0.2],
+  ['Alert', 'CA', 82.5, -62.35, 'America/Iqaluit', 0.06],
+  ['Nuuk', 'GL', 64.18, -51.72, 'America/Nuuk', 19, 'Godthåb'],
+  ['Ilulissat', 'GL', 69.22, -51.1, 'America/Nuuk', 5],
+  ['Qaanaaq', 'GL', 77.47, -69.23, 'America/Thule', 0.6, 'Thule'],
+  ['Mexico City', 'MX', 19.43, -99.13, 'America/Mexico_City', 22000, 'CDMX'],
+  ['Guadalajara', 'MX', 20.66, -103.35, 'America/Mexico_City', 5300],
+  ['Monterrey', 'MX', 25.69, -100.32, 'America/Monterrey', 5300],
+  ['Puebla', 'MX', 19.04, -98.21, 'America/Mexico_City', 3200],
+  ['Tijuana', 'MX', 32.51, -117.04, 'America/Tijuana', 2200],
+  ['León', 'MX', 21.12, -101.68, 'America/Mexico_City', 1900, 'Leon'],
+  ['Ciudad Juárez', 'MX', 31.69, -106.42, 'America/Ciudad_Juarez', 1500, 'Ciudad Juarez'],
+  ['Mérida', 'MX', 20.97, -89.62, 'America/Merida', 1300, 'Merida'],
+  ['Cancún', 'MX', 21.16, -86.85, 'America/Cancun', 900, 'Cancun'],
+  ['Hermosillo', 'MX', 29.07, -110.96, 'America/Hermosillo', 950],
+
+  // Central America and the Caribbean
+  ['Guatemala City', 'GT', 14.63, -90.51, 'America/Guatemala', 3000],
+  ['Belize City', 'BZ', 17.5, -88.2, 'America/Belize', 60],
+  ['San Salvador', 'SV', 13.69, -89.22, 'America/El_Salvador', 1100],
+  ['Tegucigalpa', 'HN', 14.07, -87.19, 'America/Tegucigalpa', 1300],
+  ['Managua', 'NI', 12.11, -86.24, 'America/Managua', 1100],
+  ['San José', 'CR', 9.93, -84.08, 'America/Costa_Rica', 1400, 'San Jose Costa Rica'],
+  ['Panama City', 'PA', 8.98, -79.52, 'America/Panama', 1900],
+  ['Havana', 'CU', 23.11, -82.37, 'America/Havana', 2100, 'La Habana'],
+  ['Kingston', 'JM', 17.97, -76.79, 'America/Jamaica', 1200],
+  ['Port-au-Prince', 'HT', 18.59, -72.31, 'America/Port-au-Prince', 2800],
+  ['Santo Domingo', 'DO', 18.49, -69.93, 'America/Santo_Domingo', 3500],
+  ['Nassau', 'BS', 25.05, -77.35, 'America/Nassau', 280],
+  ['Port of Spain', 'TT', 10.66, -61.51, 'America/Port_of_Spain', 540],
+
+  // South America
+  ['São Paulo', 'BR', -23.55, -46.63, 'America/Sao_Paulo', 22400, 'Sao Paulo'],
+  ['Rio de Janeiro', 'BR', -22.91, -43.17, 'America/Sao_Paulo', 13600],
+  ['Brasília', 'BR', -15.79, -47.88, 'America/Sao_Paulo', 4800, 'Brasilia'],
+  ['Salvador', 'BR', -12.97, -38.5, 'America/Bahia', 3900],
+  ['Fortaleza', 'BR', -3.73, -38.52, 'America/Fortaleza', 4100],
+  ['Belo Horizonte', 'BR', -19.92, -43.94, 'America/Sao_Paulo', 6000],
+  ['Manaus', 'BR', -3.12, -60.02, 'America/Manaus', 2300],
+  ['Curitiba', 'BR', -25.43, -49.27, 'America/Sao_Paulo', 3700],
+  ['Recife', 'BR', -8.05, -34.88, 'America/Recife', 4100],
+  ['Porto Alegre', 'BR', -30.03, -51.23, 'America/Sao_Paulo', 4300],
+  ['Belém', 'BR', -1.46, -48.49, 'America/Belem', 2500, 'Belem'],
+  ['Goiânia', 'BR', -16.69, -49.26, 'America/Sao_Paulo', 2700, 'Goiania'],
+  ['Florianópolis', 'BR', -27.6, -48.55, 'America/Sao_Paulo', 1200, 'Florianopolis'],
+  ['Bogotá', 'CO', 4.71, -74.07, 'America/Bogota', 11300, 'Bogota'],
+  ['Medellín', 'CO', 6.24, -75.58, 'America/Bogota', 4100, 'Medellin'],
+  ['Cali', 'CO', 3.45, -76.53, 'America/Bogota', 2800],
+  ['Barranquilla', 'CO', 10.96, -74.8, 'America/Bogota', 2300],
+  ['Cartagena', 'CO', 10.39, -75.48, 'America/Bogota', 1100],
+  ['Caracas', 'VE', 10.48, -66.9, 'America/Caracas', 2900],
+  ['Maracaibo', 'VE', 10.65, -71.64, 'America/Caracas', 2300],
+  ['Georgetown', 'GY', 6.8, -58.16, 'America/Guyana', 240],
+  ['Paramaribo', 'SR', 5.85, -55.2, 'America/Paramaribo', 240],
+  ['Quito', 'EC', -0.18, -78.47, 'America/Guayaquil', 2000],
+  ['Guayaquil', 'EC', -2.19, -79.89, 'America/Guayaquil', 3100],
+  ['Lima', 'PE', -12.05, -77.04, 'America/Lima', 11000],
+  ['Arequipa', 'PE', -16.41, -71.54, 'America/Lima', 1100],
+  ['Cusco', 'PE', -13.53, -71.97, 'America/Lima', 430, 'Cuzco'],
+  ['La Paz', 'BO', -16.49, -68.12, 'America/La_Paz', 1900],
+  ['Santa Cruz de la Sierra', 'BO', -17.78, -63.18, 'America/La_Paz', 1700, 'Santa Cruz'],
+  ['Asunción', 'PY', -25.26, -57.58, 'America/Asuncion', 3400, 'Asuncion'],
+  ['Santiago', 'CL', -33.45, -70.67, 'America/Santiago', 6900],
+  ['Valparaíso', 'CL', -33.05, -71.62, 'America/Santiago', 1000, 'Valparaiso'],
+  ['Punta Arenas', 'CL', -53.16, -70.91, 'America/Punta_Arenas', 130],
+  ['Hanga Roa', 'CL', -27.15, -109.43, 'Pacific/Easter', 8, 'Easter Island;Rapa Nui'],
+  ['Buenos Aires', 'AR', -34.6, -58.38, 'America/Argentina/Buenos_Aires', 15400],
+  ['Córdoba', 'AR', -31.42, -64.18, 'America/Argentina/Cordoba', 1600, 'Cordoba'],
+  ['Rosario', 'AR', -32.95, -60.65, 'America/Argentina/Cordoba', 1300],
+  ['Mendoza', 'AR', -32.89, -68.83, 'America/Argentina/Mendoza', 1100],
+  ['Ushuaia', 'AR', -54.8, -68.3, 'America/Argentina/Ushuaia', 80],
+  ['Montevideo', 'UY', -34.9, -56.16, 'America/Montevideo', 1800],
+  ['Stanley', 'GB', -51.7, -57.85, 'Atlantic/Stanley', 2.5, 'Falkland Islands'],
+
+  // Oceania
+  ['Sydney', 'AU', -33.87, 151.21, 'Australia/Sydney', 5300],
+  ['Melbourne', 'AU', -37.81, 144.96, 'Australia/Melbourne', 5200],
+  ['Brisbane', 'AU', -27.47, 153.03, 'Australia/Brisbane', 2600],
+  ['Perth', 'AU', -31.95, 115.86, 'Australia/Perth', 2200],
+  ['Adelaide', 'AU', -34.93, 138.6, 'Australia/Adelaide', 1400],
+  ['Gold Coast', 'AU', -28.02, 153.4, 'Australia/Brisbane', 700],
+  ['Canberra', 'AU', -35.28, 149.13, 'Australia/Sydney', 460],
+  ['Hobart', 'AU', -42.88, 147.33, 'Australia/Hobart', 250],
+  ['Darwin', 'AU', -12.46, 130.84, 'Australia/Darwin', 150],
+  ['Cairns', 'AU', -16.92, 145.77, 'Australia/Brisbane', 160],
+  ['Alice Springs', 'AU', -23.7, 133.88, 'Australia/Darwin', 26],
+  ['Auckland', 'NZ', -36.85, 174.76, 'Pacific/Auckland', 1700],
+  ['Wellington', 'NZ', -41.29, 174.78, 'Pacific/Auckland', 420],
+  ['Christchurch', 'NZ', -43.53, 172.64, 'Pacific/Auckland', 390],
+  ['Dunedin', 'NZ', -45.87, 170.5, 'Pacific/Auckland', 130],
+  ['Invercargill', 'NZ', -46.41, 168.35, 'Pacific/Auckland', 56],
+  ['Port Moresby', 'PG', -9.44, 147.18, 'Pacific/Port_Moresby', 400],
+  ['Honiara', 'SB', -9.43, 159.95, 'Pacific/Guadalcanal', 90],
+  ['Port Vila', 'VU', -17.73, 168.32, 'Pacific/Efate', 50],
+  ['Nouméa', 'NC', -22.28, 166.46, 'Pacific/Noumea', 95, 'Noumea'],
+  ['Suva', 'FJ', -18.14, 178.44, 'Pacific/Fiji', 95],
+  ['Apia', 'WS', -13.83, -171.76, 'Pacific/Apia', 37],
+  ["Nuku'alofa", 'TO', -21.14, -175.2, 'Pacific/Tongatapu', 23, 'Nukualofa'],
+  ['Papeete', 'PF', -17.54, -149.57, 'Pacific/Tahiti', 27, 'Tahiti'],
+
+  // Antarctica
+  ['McMurdo Station', 'AQ', -77.85, 166.67, 'Antarctica/McMurdo', 0.25],
+  ['Amundsen–Scott South Pole Station', 'AQ', -90, 0, 'Antarctica/South_Pole', 0.05, 'South Pole'],
+  ['Palmer Station', 'AQ', -64.77, -64.05, 'Antarctica/Palmer', 0.04],
+  ['Casey Station', 'AQ', -66.28, 110.53, 'Antarctica/Casey', 0.03],
+  ['Mawson Station', 'AQ', -67.6, 62.87, 'Antarctica/Mawson', 0.02],
+  ['Vostok Station', 'AQ', -78.46, 106.84, 'Antarctica/Vostok', 0.02]
+];
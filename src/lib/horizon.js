@@ -0,0 +1,86 @@
+/**
+ * Horizon masks: obstruction altitude (degrees above the flat horizon) by compass azimuth
+ * (0° = North, 90° = East), as a list of points interpolated linearly around the circle.
+ */
+
+/** Maximum number of points accepted in a mask */
+export const MAX_HORIZON_POINTS = 720;
+
+/**
+ * Dip of the sea-level horizon seen from a height above the surrounding terrain
+ * (same formula SunCalc uses for its observer height)
+ * @param {number} elevation - Meters above the horizon
+ * @returns {number} Dip in degrees (positive = horizon below eye level)
+ */
+export function getHorizonDip(elevation) {
+  return elevation > 0 ? 2.076 * Math.sqrt(elevation) / 60 : 0;
+}
+
+/**
+ * Parse a horizon mask from CSV text: one "azimuth,altitude" pair per line, in degrees.
+ * Commas, semicolons, tabs or spaces separate the columns; blank lines, lines starting
+ * with # and a non-numeric header row are skipped.
+ * @param {string} text
+ * @returns {{points: Array<{azimuth: number, altitude: number}>, errors: string[]}} Points sorted by azimuth
+ */
+export function parseHorizonCSV(text) {
+  const points = [];
+  const errors = [];
+  const lines = String(text).split(/\r?\n/);
+  lines.forEach((raw, i) => {
+    const line = raw.trim();
+    if (!line || line.startsWith('#')) return;
+    const cols = line.split(/[,;\t ]+/);
+    const azimuth = parseFloat(cols[0]);
+    const altitude = parseFloat(cols[1]);
+    if (isNaN(azimuth) || isNaN(altitude)) {
+      // Tolerate a header row
+      if (points.length === 0 && errors.length === 0 && /[a-z]/i.test(line)) return;
+      errors.push(`Line ${i + 1}: expected "azimuth,altitude"`);
+      return;
+    }
+    if (altitude < -10 || altitude > 90) {
+      errors.push(`Line ${i + 1}: altitude must be between -10° and 90°`);
+      return;
+    }
+    points.push({ azimuth: ((azimuth % 360) + 360) % 360, altitude });
+  });
+  if (points.length > MAX_HORIZON_POINTS) {
+    errors.push(`Too many points (max ${MAX_HORIZON_POINTS})`);
+    points.length = MAX_HORIZON_POINTS;
+  }
+  points.sort((a, b) => a.azimuth - b.azimuth);
+  return { points, errors };
+}
+
+/**
+ * Format a horizon mask as CSV (with header), the inverse of parseHorizonCSV
+ * @param {Array<{azimuth: number, altitude: number}>} points
+ * @returns {string}
+ */
+export function formatHorizonCSV(points) {
+  return ['azimuth,altitude', ...points.map((p) => `${p.azimuth},${p.altitude}`)].join('\n') + '\n';
+}
+
+/**
+ * Obstruction altitude at a compass azimuth, interpolated between neighbouring points
+ * (wrapping through north). An empty mask is a flat horizon (0°); a single point applies all round.
+ * @param {Array<{azimuth: number, altitude: number}>} points - Sorted by azimuth
+ * @param {number} azimuth - Compass degrees (0 = North)
+ * @returns {number} Degrees
+ */
+export function interpolateHorizon(points, azimuth) {
+  const n = points.length;
+  if (n === 0) return 0;
+  if (n === 1) return points[0].altitude;
+  const az = ((azimuth % 360) + 360) % 360;
+  // Find the first point at or after az; the previous one (wrapping) bounds it from below
+  let hi = points.findIndex((p) => p.azimuth >= az);
+  if (hi === -1) hi = 0;
+  const lo = (hi - 1 + n) % n;
+  const a = points[lo];
+  const b = points[hi];
+  const span = ((b.azimuth - a.azimuth) + 360) % 360 || 360;
+  const offset = ((az - a.azimuth) + 360) % 360;
+  return a.altitude + (b.altitude - a.altitude) * (offset / span);
+}
@@ -0,0 +1,136 @@
+import { formatTimeInTimezone } from './utils.js';
+
+/**
+ * Escape a text value per RFC 5545 (backslash, semicolon, comma, newline)
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeText(text) {
+  return String(text)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Fold a content line to at most 75 octets per line (RFC 5545 §3.1).
+ * Continuation lines start with a single space. Never splits a UTF-8 character.
+ * @param {string} line
+ * @returns {string}
+ */
+const _encoder = new TextEncoder();
+function foldLine(line) {
+  if (_encoder.encode(line).length <= 75) return line;
+  const parts = [];
+  let current = '';
+  let currentBytes = 0;
+  for (const ch of line) {
+    const chBytes = _encoder.encode(ch).length;
+    // First line holds 75 octets, continuation lines 74 (plus the leading space)
+    const max = parts.length === 0 ? 75 : 74;
+    if (currentBytes + chBytes > max) {
+      parts.push(current);
+      current = '';
+      currentBytes = 0;
+    }
+    current += ch;
+    currentBytes += chBytes;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+/**
+ * Format a Date as a UTC date-time value (YYYYMMDDTHHMMSSZ)
+ * @param {Date} date
+ * @returns {string}
+ */
+function formatUTCDateTime(date) {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}` +
+    `T${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}${pad(date.getUTCSeconds())}Z`;
+}
+
+/**
+ * Format a calendar day as a DATE value (YYYYMMDD), using local calendar fields
+ * @param {Date} date
+ * @returns {string}
+ */
+function formatDateValue(date) {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}`;
+}
+
+/**
+ * Build a stable UID from the event day, type and description, so re-importing
+ * an updated export replaces events instead of duplicating them.
+ */
+function buildUid(event, location) {
+  const slug = `${event.dateKey}-${event.type}-${event.description}`
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-|-$/g, '');
+  return `${slug}-${location.latitude}-${location.longitude}@daylight-tracker`;
+}
+
+/**
+ * Build an iCalendar (.ics) document from upcoming events (see collectUpcomingEvents).
+ * Events with an exact `time` become timed VEVENTs (UTC instants, local time in the
+ * summary); events without one (DST changes, polar events) become all-day VEVENTs.
+ * @param {Array} events - Upcoming events with date, dateKey, description, type, time, endTime
+ * @param {Object} options
+ * @param {number} options.latitude
+ * @param {number} options.longitude
+ * @param {string} options.timezone - IANA timezone for the local times shown in summaries
+ * @param {Date} [options.now] - DTSTAMP value (defaults to current time)
+ * @returns {string} iCalendar text with CRLF line endings
+ */
+export function buildUpcomingEventsCalendar(events, { latitude, longitude, timezone, now = new Date() }) {
+  const location = { latitude, longitude };
+  const place = `${latitude.toFixed(1)}°, ${longitude.toFixed(1)}°`;
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Daylight Tracker//Upcoming sun events//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(`Sun events (${place})`)}`,
+    `X-WR-TIMEZONE:${timezone}`,
+  ];
+
+  for (const event of events) {
+    const hasTime = event.time && !isNaN(event.time.getTime());
+    // Timed events show the local time in the selected timezone, since the instant itself is UTC
+    const summary = hasTime && (event.type === 'astronomical' || event.type === 'moon')
+      ? `${event.description} (${formatTimeInTimezone(event.time, timezone)})`
+      : event.description;
+
+    lines.push('BEGIN:VEVENT');
+    lines.push(`UID:${buildUid(event, location)}`);
+    lines.push(`DTSTAMP:${formatUTCDateTime(now)}`);
+    if (hasTime) {
+      lines.push(`DTSTART:${formatUTCDateTime(event.time)}`);
+      if (event.endTime && !isNaN(event.endTime.getTime()) && event.endTime > event.time) {
+        lines.push(`DTEND:${formatUTCDateTime(event.endTime)}`);
+      }
+    } else {
+      const nextDay = new Date(event.date.getFullYear(), event.date.getMonth(), event.date.getDate() + 1);
+      lines.push(`DTSTART;VALUE=DATE:${formatDateValue(event.date)}`);
+      lines.push(`DTEND;VALUE=DATE:${formatDateValue(nextDay)}`);
+    }
+    lines.push(`SUMMARY:${escapeText(summary)}`);
+    const details = hasTime
+      ? `${event.description} at ${place}. Local time (${timezone}): ${formatTimeInTimezone(event.time, timezone)}` +
+        (event.endTime ? `–${formatTimeInTimezone(event.endTime, timezone)}` : '') + '.'
+      : `${event.description} at ${place}.`;
+    lines.push(`DESCRIPTION:${escapeText(details)}`);
+    lines.push(`GEO:${latitude};${longitude}`);
+    lines.push(`CATEGORIES:${escapeText(event.type)}`);
+    lines.push('TRANSP:TRANSPARENT');
+    lines.push('END:VEVENT');
+  }
+
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
@@ -0,0 +1,20 @@
+/**
+ * Node/library entry point: the pure computation modules behind the app, without any UI.
+ * (solar-async.js and the worker pool are browser-only and not included.)
+ *
+ *   import { getSunData, buildYearTable, collectUpcomingEvents } from 'daylight-tracker';
+ */
+
+export * from './solar.js';
+export * from './solar-engines.js';
+export { getSolarPosition, getDeltaT } from './spa.js';
+export * from './moon.js';
+export * from './utils.js';
+export * from './upcoming.js';
+export * from './export.js';
+export * from './ical.js';
+export * from './horizon.js';
+export * from './shadow.js';
+export * from './irradiance.js';
+export * from './places.js';
+export * from './timezone-lookup.js';
@@ -0,0 +1,136 @@
+import { getSunPathForDay, getHorizonAltitude, getDaysInYear } from './solar.js';
+
+/**
+ * Clear-sky solar irradiance and PV yield from the sun path: Meinel's direct normal
+ * irradiance with Kasten–Young air mass, diffuse as a fixed fraction of it, and an
+ * isotropic-sky transposition onto a tilted panel. Estimates for a cloudless sky; real
+ * yields are lower wherever it is cloudy.
+ */
+
+const RAD = Math.PI / 180;
+
+/** Extraterrestrial irradiance used by Meinel's model, W/m² */
+export const SOLAR_CONSTANT = 1353;
+/** Diffuse horizontal irradiance as a fraction of direct normal on a clear day */
+const DIFFUSE_FRACTION = 0.1;
+/** Hours between the points of getSunPathForDay */
+const PATH_STEP_HOURS = 5 / 60;
+
+/** Default panel: 35° tilt, facing south, 100 Wp, 75% performance ratio, grass albedo */
+export const DEFAULT_PANEL = { tilt: 35, azimuth: 180, peakPower: 100, performanceRatio: 0.75, albedo: 0.2 };
+
+/**
+ * Relative air mass for a sun altitude (Kasten & Young 1989)
+ * @param {number} altitude - Degrees
+ * @returns {number} Infinity with the sun below the horizon
+ */
+export function getAirMass(altitude) {
+  if (altitude <= 0) return Infinity;
+  const zenith = 90 - altitude;
+  return 1 / (Math.cos(zenith * RAD) + 0.50572 * (96.07995 - zenith) ** -1.6364);
+}
+
+/**
+ * Clear-sky irradiance for a sun altitude
+ * @param {number} altitude - Degrees
+ * @returns {{dni: number, dhi: number, ghi: number}} Direct normal, diffuse horizontal and
+ *   global horizontal irradiance in W/m² (all 0 with the sun down)
+ */
+export function getClearSkyIrradiance(altitude) {
+  if (altitude <= 0) return { dni: 0, dhi: 0, ghi: 0 };
+  const dni = SOLAR_CONSTANT * 0.7 ** (getAirMass(altitude) ** 0.678);
+  const dhi = DIFFUSE_FRACTION * dni;
+  return { dni, dhi, ghi: dni * Math.sin(altitude * RAD) + dhi };
+}
+
+/**
+ * Irradiance on a tilted plane (isotropic sky). The direct part is dropped while the sun is
+ * behind the horizon mask, also from the horizontal irradiance the ground reflects.
+ * @param {number} altitude - Sun altitude, degrees
+ * @param {number} azimuth - Sun compass azimuth, degrees (0 = North, 90 = East)
+ * @param {{tilt: number, azimuth: number, albedo?: number}} panel - Tilt from horizontal and
+ *   compass direction the panel faces, degrees
+ * @returns {{beam: number, diffuse: number, reflected: number, total: number, horizontal: number}} W/m²
+ */
+export function getPlaneIrradiance(altitude, azimuth, panel) {
+  const { dni, dhi, ghi } = getClearSkyIrradiance(altitude);
+  if (ghi === 0) return { beam: 0, diffuse: 0, reflected: 0, total: 0, horizontal: 0 };
+  const tilt = panel.tilt * RAD;
+  const zenith = (90 - altitude) * RAD;
+  const cosIncidence = Math.cos(zenith) * Math.cos(tilt) + Math.sin(zenith) * Math.sin(tilt) * Math.cos((azimuth - panel.azimuth) * RAD);
+  const blocked = altitude < getHorizonAltitude(azimuth);
+  const beam = blocked ? 0 : dni * Math.max(0, cosIncidence);
+  const diffuse = dhi * (1 + Math.cos(tilt)) / 2;
+  const horizontal = (blocked ? 0 : dni * Math.sin(altitude * RAD)) + dhi;
+  const reflected = horizontal * (panel.albedo ?? DEFAULT_PANEL.albedo) * (1 - Math.cos(tilt)) / 2;
+  return { beam, diffuse, reflected, total: beam + diffuse + reflected, horizontal };
+}
+
+/**
+ * Clear-sky insolation for a calendar day, integrated over getSunPathForDay's 5-minute points
+ * @param {Date} date
+ * @param {number} latitude
+ * @param {number} longitude
+ * @param {{tilt: number, azimuth: number, albedo?: number}} panel
+ * @param {string} [timezone] - IANA timezone for the day's midnight-to-midnight span
+ * @returns {{date: Date, plane: number, beam: number, horizontal: number}} kWh/m² on the panel
+ *   (and its direct part) and on a horizontal surface
+ */
+export function computeDailyInsolation(date, latitude, longitude, panel, timezone = null) {
+  let plane = 0;
+  let beam = 0;
+  let horizontal = 0;
+  for (const p of getSunPathForDay(date, latitude, longitude, timezone)) {
+    const compass = (p.azimuth + 180) % 360;
+    const irradiance = getPlaneIrradiance(p.altitude, compass, panel);
+    plane += irradiance.total;
+    beam += irradiance.beam;
+    horizontal += irradiance.horizontal;
+  }
+  const toKWh = PATH_STEP_HOURS / 1000;
+  return { date, plane: plane * toKWh, beam: beam * toKWh, horizontal: horizontal * toKWh };
+}
+
+/**
+ * Daily clear-sky insolation for every day of a year
+ * @param {number} latitude
+ * @param {number} longitude
+ * @param {number} year
+ * @param {{tilt: number, azimuth: number, albedo?: number}} panel
+ * @param {string} [timezone]
+ * @returns {Array<ReturnType<typeof computeDailyInsolation>>}
+ */
+export function computeInsolationYear(latitude, longitude, year, panel, timezone = null) {
+  const days = [];
+  for (let doy = 1; doy <= getDaysInYear(year); doy++) {
+    days.push(computeDailyInsolation(new Date(year, 0, doy), latitude, longitude, panel, timezone));
+  }
+  return days;
+}
+
+/**
+ * Monthly totals of a year of daily insolation
+ * @param {Array<{date: Date, plane: number, beam: number, horizontal: number}>} days
+ * @returns {Array<{month: number, plane: number, beam: number, horizontal: number}>} month 0-11, kWh/m²
+ */
+export function getMonthlyInsolation(days) {
+  const months = Array.from({ length: 12 }, (_, month) => ({ month, plane: 0, beam: 0, horizontal: 0 }));
+  for (const day of days) {
+    const m = months[day.date.getMonth()];
+    m.plane += day.plane;
+    m.beam += day.beam;
+    m.horizontal += day.horizontal;
+  }
+  return months;
+}
+
+/**
+ * PV energy from insolation on the panel: rated power (at 1 kW/m²) times the performance ratio
+ * for system losses
+ * @param {number} insolation - kWh/m² on the panel
+ * @param {{peakPower: number, performanceRatio: number}} panel - peakPower in watts
+ * @returns {number} kWh
+ */
+export function estimatePVYield(insolation, panel) {
+  return insolation * (panel.peakPower / 1000) * panel.performanceRatio;
+}
@@ -0,0 +1,237 @@
+import SunCalc from 'suncalc';
+import { getCalendarDayInTimezone, dateAtLocalInTimezone } from './utils.js';
+import { LRUCache, CACHE_MAX_LARGE, CACHE_MAX_SMALL } from './cache.js';
+
+// SunCalc's moonrise/moonset altitude: 0.133° below the horizon (refraction + parallax + disc)
+const MOON_HORIZON = -0.133 * Math.PI / 180;
+
+/**
+ * Get the moon's position for a moment in time (degrees).
+ * Azimuth uses the same convention as getSunPosition (SunCalc: 0 = South, 90 = West, 0–360).
+ * @param {Date} date
+ * @param {number} latitude
+ * @param {number} longitude
+ * @returns {{altitude: number, azimuth: number, distance: number}} distance in km
+ */
+const _moonPosCache = new LRUCache(CACHE_MAX_LARGE);
+export function getMoonPosition(date, latitude, longitude = 0) {
+  const cacheKey = `${date.getTime()}:${latitude}:${longitude}`;
+  const cached = _moonPosCache.get(cacheKey);
+  if (cached) return cached;
+
+  const pos = SunCalc.getMoonPosition(date, latitude, longitude);
+  let azimuth = pos.azimuth * 180 / Math.PI;
+  if (azimuth < 0) azimuth += 360;
+  const result = {
+    altitude: pos.altitude * 180 / Math.PI,
+    azimuth,
+    distance: pos.distance
+  };
+  _moonPosCache.set(cacheKey, result);
+  return result;
+}
+
+/**
+ * Get the moon's illumination for a moment in time.
+ * @param {Date} date
+ * @returns {{fraction: number, phase: number, angle: number}} fraction lit (0–1),
+ *   phase (0 = new, 0.25 = first quarter, 0.5 = full, 0.75 = last quarter)
+ */
+const _moonIllumCache = new LRUCache(CACHE_MAX_LARGE);
+export function getMoonIllumination(date) {
+  const cacheKey = date.getTime();
+  const cached = _moonIllumCache.get(cacheKey);
+  if (cached) return cached;
+  const result = SunCalc.getMoonIllumination(date);
+  _moonIllumCache.set(cacheKey, result);
+  return result;
+}
+
+/**
+ * Name of a moon phase (0–1, as returned by getMoonIllumination)
+ * @param {number} phase
+ * @returns {string}
+ */
+export function getMoonPhaseName(phase) {
+  const names = [
+    'New moon', 'Waxing crescent', 'First quarter', 'Waxing gibbous',
+    'Full moon', 'Waning gibbous', 'Last quarter', 'Waning crescent'
+  ];
+  return names[Math.round(phase * 8) % 8];
+}
+
+/**
+ * Find moonrise/moonset crossings in the 24 hours after `start`.
+ * Same 2-hour quadratic fit as SunCalc.getMoonTimes, but starts at an arbitrary
+ * instant (e.g. midnight in the selected timezone) and keeps every crossing.
+ * @returns {Array<{hour: number, type: 'rise'|'set'}>} Hours after start, sorted
+ */
+function findMoonCrossings(start, latitude, longitude) {
+  const altAt = (h) => SunCalc.getMoonPosition(new Date(start.getTime() + h * 3600000), latitude, longitude).altitude - MOON_HORIZON;
+  const crossings = [];
+  let h0 = altAt(0);
+  for (let i = 1; i <= 24; i += 2) {
+    const h1 = altAt(i);
+    const h2 = altAt(i + 1);
+    const a = (h0 + h2) / 2 - h1;
+    const b = (h2 - h0) / 2;
+    const xe = -b / (2 * a);
+    const ye = (a * xe + b) * xe + h1;
+    const d = b * b - 4 * a * h1;
+    if (d >= 0) {
+      const dx = Math.sqrt(d) / (Math.abs(a) * 2);
+      const x1 = xe - dx;
+      const x2 = xe + dx;
+      const roots = [x1, x2].filter((x) => Math.abs(x) <= 1);
+      if (roots.length === 1) {
+        crossings.push({ hour: i + roots[0], type: h0 < 0 ? 'rise' : 'set' });
+      } else if (roots.length === 2) {
+        crossings.push({ hour: i + (ye < 0 ? x2 : x1), type: 'rise' });
+        crossings.push({ hour: i + (ye < 0 ? x1 : x2), type: 'set' });
+      }
+    }
+    h0 = h2;
+  }
+  return crossings.sort((a, b) => a.hour - b.hour);
+}
+
+/**
+ * Calculate moon data for a calendar day: rise/set times, the intervals the moon is up
+ * and how much of it is lit. The day is the Date's calendar day, running from midnight
+ * in `timezone` (or local midnight when no timezone is given).
+ * @param {Date} date
+ * @param {number} latitude
+ * @param {number} longitude
+ * @param {string|null} timezone - IANA timezone for day boundaries
+ * @returns {Object} { date, moonrise, moonset, alwaysUp, alwaysDown, upIntervals: [{start, end}] in hours
+ *   after midnight (0–24), fraction and phase at midday, phaseName }
+ */
+const _moonDataCache = new LRUCache(CACHE_MAX_LARGE);
+export function getMoonData(date, latitude, longitude = 0, timezone = null) {
+  const year = date.getFullYear();
+  const month = date.getMonth() + 1;
+  const day = date.getDate();
+  const cacheKey = `${year}-${month}-${day}:${latitude}:${longitude}:${timezone}`;
+  const cached = _moonDataCache.get(cacheKey);
+  if (cached) return cached;
+
+  const midnight = timezone ? dateAtLocalInTimezone(year, month, day, 0, 0, timezone) : new Date(year, month - 1, day);
+  const crossings = findMoonCrossings(midnight, latitude, longitude);
+  const startsUp = SunCalc.getMoonPosition(midnight, latitude, longitude).altitude > MOON_HORIZON;
+
+  // Walk the crossings to build the intervals the moon is above the horizon
+  const upIntervals = [];
+  let upSince = startsUp ? 0 : null;
+  for (const c of crossings) {
+    if (c.type === 'rise' && upSince === null) {
+      upSince = c.hour;
+    } else if (c.type === 'set' && upSince !== null) {
+      if (c.hour > upSince) upIntervals.push({ start: upSince, end: c.hour });
+      upSince = null;
+    }
+  }
+  if (upSince !== null && upSince < 24) upIntervals.push({ start: upSince, end: 24 });
+
+  const rise = crossings.find((c) => c.type === 'rise');
+  const set = crossings.find((c) => c.type === 'set');
+  const toDate = (h) => new Date(midnight.getTime() + h * 3600000);
+  const illumination = getMoonIllumination(toDate(12));
+
+  const result = {
+    date,
+    moonrise: rise ? toDate(rise.hour) : null,
+    moonset: set ? toDate(set.hour) : null,
+    alwaysUp: crossings.length === 0 && startsUp,
+    alwaysDown: crossings.length === 0 && !startsUp,
+    upIntervals,
+    fraction: illumination.fraction,
+    phase: illumination.phase,
+    phaseName: getMoonPhaseName(illumination.phase)
+  };
+  _moonDataCache.set(cacheKey, result);
+  return result;
+}
+
+/**
+ * Moon path for a day (10-minute points), same shape as getSunPathForDay
+ * @param {Date} date
+ * @param {number} latitude
+ * @param {number} longitude
+ * @param {string|null} timezone - IANA timezone; the day runs midnight to midnight there
+ * @returns {Array<{time: Date, altitude: number, azimuth: number}>}
+ */
+export function getMoonPathForDay(date, latitude, longitude = 0, timezone = null) {
+  const cal = timezone ? getCalendarDayInTimezone(date, timezone) : { year: date.getFullYear(), month: date.getMonth() + 1, day: date.getDate() };
+  const { year, month, day } = cal;
+  const points = [];
+  for (let hour = 0; hour < 24; hour++) {
+    for (let min = 0; min < 60; min += 10) {
+      const d = timezone ? dateAtLocalInTimezone(year, month, day, hour, min, timezone) : new Date(year, month - 1, day, hour, min, 0);
+      const { altitude, azimuth } = getMoonPosition(d, latitude, longitude);
+      points.push({ time: d, altitude, azimuth });
+    }
+  }
+  return points;
+}
+
+/**
+ * Signed distance (in phase units, -0.5..0.5) from the target phase at a moment
+ */
+function phaseOffset(date, target) {
+  const phase = SunCalc.getMoonIllumination(date).phase;
+  return ((phase - target + 1.5) % 1) - 0.5;
+}
+
+/**
+ * Find upcoming full and new moons. Moments are found to the minute, but SunCalc's
+ * simplified lunar theory puts them within a few hours of the true phase.
+ * @param {Date} currentDate - First day to search from (start of that day)
+ * @param {number} count - Number of events to return
+ * @returns {Array<{date: Date, type: 'full'|'new', name: string}>}
+ */
+const _moonPhasesCache = new LRUCache(CACHE_MAX_SMALL);
+export function findUpcomingMoonPhases(currentDate, count = 4) {
+  const start = new Date(currentDate.getFullYear(), currentDate.getMonth(), currentDate.getDate());
+  const key = `${start.getTime()}:${count}`;
+  const cached = _moonPhasesCache.get(key);
+  if (cached) return cached;
+
+  const targets = [
+    { phase: 0, type: 'new', name: 'New moon' },
+    { phase: 0.5, type: 'full', name: 'Full moon' }
+  ];
+  const step = 12 * 3600000;
+  const events = [];
+  // A lunation is ~29.5 days, so two events per month; cap the scan at a little over the count needed
+  const maxSteps = Math.ceil((count / 2 + 1) * 30 * 2);
+  let prevTime = start.getTime();
+  let prevOffsets = targets.map((t) => phaseOffset(new Date(prevTime), t.phase));
+
+  for (let i = 1; i <= maxSteps && events.length < count; i++) {
+    const time = start.getTime() + i * step;
+    const offsets = targets.map((t) => phaseOffset(new Date(time), t.phase));
+    const found = [];
+    targets.forEach((target, j) => {
+      // Crossing from behind to at/after the target (ignore the ±0.5 wrap on the opposite side)
+      if (prevOffsets[j] < 0 && offsets[j] >= 0 && offsets[j] - prevOffsets[j] < 0.25) {
+        let low = prevTime;
+        let high = time;
+        while (high - low > 60000) {
+          const mid = (low + high) / 2;
+          if (phaseOffset(new Date(mid), target.phase) < 0) low = mid;
+          else high = mid;
+        }
+        found.push({ date: new Date(Math.round(high / 60000) * 60000), type: target.type, name: target.name });
+      }
+    });
+    found.sort((a, b) => a.date - b.date);
+    for (const event of found) {
+      if (events.length < count) events.push(event);
+    }
+    prevTime = time;
+    prevOffsets = offsets;
+  }
+
+  _moonPhasesCache.set(key, events);
+  return events;
+}
@@ -0,0 +1,76 @@
+import { formatDateISO, parseDateISO, isValidTimezone } from './utils.js';
+
+/**
+ * View state carried in the URL query string (?lat=69.65&lng=18.96&tz=Europe/Oslo&date=2026-12-21&...).
+ * Only the keys present in the URL are restored, so a link can pin just a location or just a date.
+ */
+
+/**
+ * Build the query string for a view state
+ * @param {Object} state
+ * @param {number} state.latitude
+ * @param {number} state.longitude
+ * @param {string} state.timezone
+ * @param {Date} state.selectedDate
+ * @param {number} state.derivativeCount
+ * @param {boolean} state.settingsExpanded
+ * @param {boolean} state.mapExpanded
+ * @returns {string} Query string without the leading '?'
+ */
+export function encodeViewState({ latitude, longitude, timezone, selectedDate, derivativeCount, settingsExpanded, mapExpanded }) {
+  const params = new URLSearchParams();
+  params.set('lat', String(latitude));
+  params.set('lng', String(longitude));
+  params.set('tz', timezone);
+  params.set('date', formatDateISO(selectedDate));
+  params.set('deriv', String(derivativeCount));
+  params.set('settings', settingsExpanded ? '1' : '0');
+  params.set('map', mapExpanded ? '1' : '0');
+  // Keep '/' readable in timezone names (Europe/Oslo rather than Europe%2FOslo)
+  return params.toString().replace(/%2F/g, '/');
+}
+
+/**
+ * Parse a query string into a partial view state; invalid or missing values are left out
+ * @param {string} search - location.search (with or without the leading '?')
+ * @returns {Object} Any of latitude, longitude, timezone, selectedDate, derivativeCount, settingsExpanded, mapExpanded
+ */
+export function decodeViewState(search) {
+  const params = new URLSearchParams(search);
+  const state = {};
+
+  const lat = parseFloat(params.get('lat'));
+  if (!isNaN(lat) && lat >= -90 && lat <= 90) state.latitude = lat;
+
+  const lng = parseFloat(params.get('lng'));
+  if (!isNaN(lng) && lng >= -180 && lng <= 180) state.longitude = lng;
+
+  const tz = params.get('tz');
+  if (tz && isValidTimezone(tz)) state.timezone = tz;
+
+  const date = params.get('date');
+  if (date && /^\d{4}-\d{2}-\d{2}$/.test(date)) {
+    const parsed = parseDateISO(date);
+    // Reject dates that rolled over (e.g. 2026-02-31)
+    if (!isNaN(parsed.getTime()) && formatDateISO(parsed) === date) state.selectedDate = parsed;
+  }
+
+  const deriv = parseInt(params.get('deriv'), 10);
+  if (!isNaN(deriv)) state.derivativeCount = Math.max(1, Math.min(5, deriv));
+
+  for (const [key, field] of [['settings', 'settingsExpanded'], ['map', 'mapExpanded']]) {
+    const value = params.get(key);
+    if (value === '1' || value === '0') state[field] = value === '1';
+  }
+
+  return state;
+}
+
+/**
+ * Key identifying the "place" in history: changes to these push a new entry,
+ * while panel toggles only replace the current one.
+ * @returns {string}
+ */
+export function getNavigationKey({ latitude, longitude, timezone, selectedDate }) {
+  return `${latitude}|${longitude}|${timezone}|${formatDateISO(selectedDate)}`;
+}
@@ -0,0 +1,70 @@
+import { GAZETTEER, COUNTRY_NAMES } from './gazetteer.js';
+
+/**
+ * Type-ahead search over the bundled gazetteer (no network).
+ * Matching ignores case, accents and punctuation; "name, country" narrows by country
+ * name or ISO code. Better matches rank first, then larger places.
+ */
+
+/** Lowercase, strip accents and collapse punctuation/whitespace to single spaces */
+function normalize(text) {
+  return String(text)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+let _index = null;
+function getIndex() {
+  if (!_index) {
+    _index = GAZETTEER.map(([name, code, latitude, longitude, timezone, population, alternates]) => {
+      const country = COUNTRY_NAMES[code] ?? code;
+      return {
+        place: { name, country, label: `${name}, ${country}`, latitude, longitude, timezone },
+        population,
+        names: [name, ...(alternates ? alternates.split(';') : [])].map(normalize),
+        countryKeys: [normalize(country), code.toLowerCase()]
+      };
+    });
+  }
+  return _index;
+}
+
+// 0 = exact, 1 = prefix, 2 = word prefix, 3 = substring, null = no match
+function matchScore(candidate, query) {
+  if (candidate === query) return 0;
+  if (candidate.startsWith(query)) return 1;
+  if (candidate.includes(` ${query}`)) return 2;
+  if (candidate.includes(query)) return 3;
+  return null;
+}
+
+/**
+ * Find places matching a query
+ * @param {string} query - Place name, optionally followed by ", country"
+ * @param {number} [limit=8] - Maximum number of results
+ * @returns {Array<{name: string, country: string, label: string, latitude: number, longitude: number, timezone: string}>}
+ */
+export function searchPlaces(query, limit = 8) {
+  const [rawName, rawCountry = ''] = String(query).split(',');
+  const nameQuery = normalize(rawName);
+  const countryQuery = normalize(rawCountry);
+  if (!nameQuery) return [];
+
+  const matches = [];
+  for (const entry of getIndex()) {
+    if (countryQuery && !entry.countryKeys.some((key) => key.startsWith(countryQuery))) continue;
+    let best = null;
+    entry.names.forEach((candidate, i) => {
+      const score = matchScore(candidate, nameQuery);
+      // Alternate names rank just behind the main name with the same match quality
+      if (score !== null) best = Math.min(best ?? Infinity, score + (i > 0 ? 0.5 : 0));
+    });
+    if (best !== null) matches.push({ entry, score: best });
+  }
+
+  matches.sort((a, b) => a.score - b.score || b.entry.population - a.entry.population);
+  return matches.slice(0, limit).map((m) => m.entry.place);
+}
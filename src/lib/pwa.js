@@ -0,0 +1,39 @@
+/**
+ * Service worker registration for offline use and updates (see src/service-worker.js).
+ * Browser-only; a no-op in the dev server and where service workers aren't supported.
+ */
+
+/**
+ * Register the service worker
+ * @param {Object} handlers
+ * @param {() => void} [handlers.onOfflineReady] - First install finished: the app now works offline
+ * @param {(applyUpdate: () => void) => void} [handlers.onNeedRefresh] - A new version is installed and
+ *   waiting; applyUpdate activates it and reloads the page
+ */
+export function registerServiceWorker({ onOfflineReady, onNeedRefresh } = {}) {
+  if (!import.meta.env.PROD || !('serviceWorker' in navigator)) return;
+
+  const applyUpdate = (worker) => () => {
+    navigator.serviceWorker.addEventListener('controllerchange', () => window.location.reload(), { once: true });
+    worker.postMessage({ type: 'SKIP_WAITING' });
+  };
+
+  // A worker finished installing: an update if a previous one controls the page, else the first install
+  const watch = (worker) => {
+    worker.addEventListener('statechange', () => {
+      if (worker.state !== 'installed') return;
+      if (navigator.serviceWorker.controller) onNeedRefresh?.(applyUpdate(worker));
+      else onOfflineReady?.();
+    });
+  };
+
+  navigator.serviceWorker.register(`${import.meta.env.BASE_URL}sw.js`).then((registration) => {
+    if (registration.waiting && navigator.serviceWorker.controller) onNeedRefresh?.(applyUpdate(registration.waiting));
+    if (registration.installing) watch(registration.installing);
+    registration.addEventListener('updatefound', () => watch(registration.installing));
+    // Long-lived tabs (a chart left open on a boat) still notice new deploys
+    setInterval(() => registration.update().catch(() => {}), 60 * 60 * 1000);
+  }).catch(() => {
+    // Registration failed (e.g. not served over HTTPS); the app works online as before
+  });
+}
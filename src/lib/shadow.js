@@ -0,0 +1,196 @@
+import { getSolarEngine, getHorizonAltitude, getDaysInYear, cachedSunTimes } from './solar.js';
+import { getSolarEngineById } from './solar-engines.js';
+import { dateAtLocalInTimezone } from './utils.js';
+
+/**
+ * Shadows cast on level ground by a vertical object (a pole, a building edge): length and
+ * compass direction from the sun's apparent altitude and azimuth, using the selected solar
+ * engine. There is no shadow without direct sun: at night or behind the horizon mask.
+ */
+
+const RAD = Math.PI / 180;
+
+/** Sampling step for day scans; crossings are refined to REFINE_MS by bisection */
+const SCAN_STEP_MS = 10 * 60000;
+const REFINE_MS = 30000;
+
+/**
+ * Atmospheric refraction for a true (geometric) altitude, as SunCalc applies it
+ * @param {number} altitude - Degrees
+ * @returns {number} Degrees to add
+ */
+export function getRefraction(altitude) {
+  const h = Math.max(altitude, 0) * RAD;
+  return 0.0002967 / Math.tan(h + 0.00312536 / (h + 0.08901179)) / RAD;
+}
+
+/**
+ * Shadow length of an object at a sun altitude
+ * @param {number} height - Object height (any unit)
+ * @param {number} altitude - Apparent sun altitude in degrees
+ * @returns {number} Same unit as height; Infinity with the sun at or below the horizon
+ */
+export function getShadowLength(height, altitude) {
+  return altitude > 0 ? height / Math.tan(altitude * RAD) : Infinity;
+}
+
+/**
+ * Sun altitude below which an object's shadow is longer than a length
+ * @param {number} height
+ * @param {number} length - Same unit as height
+ * @returns {number} Degrees
+ */
+export function getShadowAltitude(height, length) {
+  return Math.atan2(height, length) / RAD;
+}
+
+const COMPASS_POINTS = ['N', 'NNE', 'NE', 'ENE', 'E', 'ESE', 'SE', 'SSE', 'S', 'SSW', 'SW', 'WSW', 'W', 'WNW', 'NW', 'NNW'];
+
+/**
+ * Nearest 16-wind compass point for a bearing
+ * @param {number} bearing - Degrees, 0 = North, 90 = East
+ * @returns {string} e.g. "NNE"
+ */
+export function getCompassPoint(bearing) {
+  return COMPASS_POINTS[Math.round((((bearing % 360) + 360) % 360) / 22.5) % 16];
+}
+
+// Apparent sun position (compass azimuth) and whether direct sun reaches the ground
+function sunAt(engine, ms, latitude, longitude) {
+  const pos = engine.getPosition(new Date(ms), latitude, longitude);
+  const trueAltitude = pos.altitude / RAD;
+  const altitude = trueAltitude + getRefraction(trueAltitude);
+  const azimuth = (pos.azimuth / RAD + 540) % 360;
+  return { altitude, azimuth, sunlit: altitude > Math.max(0, getHorizonAltitude(azimuth)) };
+}
+
+// Local midnight of a calendar day and of the next one, in ms
+function dayBounds(date, timezone) {
+  const next = new Date(date.getFullYear(), date.getMonth(), date.getDate() + 1);
+  return [
+    dateAtLocalInTimezone(date.getFullYear(), date.getMonth() + 1, date.getDate(), 0, 0, timezone).getTime(),
+    dateAtLocalInTimezone(next.getFullYear(), next.getMonth() + 1, next.getDate(), 0, 0, timezone).getTime()
+  ];
+}
+
+/**
+ * Shadow of an object at a moment
+ * @param {Date} time
+ * @param {number} latitude
+ * @param {number} longitude
+ * @param {number} height - Object height in meters
+ * @returns {{time: Date, altitude: number, azimuth: number, length: number|null, direction: number|null}}
+ *   Apparent sun altitude and compass azimuth in degrees; shadow length in meters and the compass
+ *   bearing it points to, both null without direct sun
+ */
+export function getShadow(time, latitude, longitude, height) {
+  const engine = getSolarEngineById(getSolarEngine());
+  const { altitude, azimuth, sunlit } = sunAt(engine, time.getTime(), latitude, longitude);
+  return {
+    time,
+    altitude,
+    azimuth,
+    length: sunlit ? getShadowLength(height, altitude) : null,
+    direction: sunlit ? (azimuth + 180) % 360 : null
+  };
+}
+
+/**
+ * Shadows through a calendar day, from local midnight to midnight in a timezone
+ * @param {Date} date - Calendar day (local date parts)
+ * @param {number} latitude
+ * @param {number} longitude
+ * @param {number} height - Object height in meters
+ * @param {string} timezone - IANA timezone
+ * @param {number} [stepMinutes=10]
+ * @returns {Array<ReturnType<typeof getShadow>>}
+ */
+export function getShadowsForDay(date, latitude, longitude, height, timezone, stepMinutes = 10) {
+  const [start, end] = dayBounds(date, timezone);
+  const shadows = [];
+  for (let ms = start; ms <= end; ms += stepMinutes * 60000) {
+    shadows.push(getShadow(new Date(ms), latitude, longitude, height));
+  }
+  return shadows;
+}
+
+// Periods within [start, end] when the shadow is longer than the threshold altitude allows
+function scanLongShadows(engine, start, end, latitude, longitude, maxAltitude) {
+  const isLong = (ms) => {
+    const sun = sunAt(engine, ms, latitude, longitude);
+    return sun.sunlit && sun.altitude < maxAltitude;
+  };
+  const refine = (lo, hi, loValue) => {
+    while (hi - lo > REFINE_MS) {
+      const mid = (lo + hi) / 2;
+      if (isLong(mid) === loValue) lo = mid;
+      else hi = mid;
+    }
+    return Math.round((lo + hi) / 2);
+  };
+
+  const periods = [];
+  let prevMs = start;
+  let prev = isLong(start);
+  let openStart = prev ? start : null;
+  for (let step = start + SCAN_STEP_MS; prevMs < end; step += SCAN_STEP_MS) {
+    const ms = Math.min(step, end);
+    const value = isLong(ms);
+    if (value !== prev) {
+      const crossing = refine(prevMs, ms, prev);
+      if (value) openStart = crossing;
+      else {
+        periods.push({ start: new Date(openStart), end: new Date(crossing) });
+        openStart = null;
+      }
+    }
+    prevMs = ms;
+    prev = value;
+  }
+  if (openStart !== null) periods.push({ start: new Date(openStart), end: new Date(end) });
+  return periods;
+}
+
+/**
+ * Periods of a calendar day when the object's shadow is longer than a length: the sun is up
+ * (and clear of the horizon mask) but below getShadowAltitude(height, length)
+ * @param {Date} date - Calendar day (local date parts)
+ * @param {number} latitude
+ * @param {number} longitude
+ * @param {number} height - Object height in meters
+ * @param {number} length - Shadow length in meters
+ * @param {string} timezone - IANA timezone
+ * @returns {Array<{start: Date, end: Date}>} Clipped to the day
+ */
+export function findLongShadowPeriods(date, latitude, longitude, height, length, timezone) {
+  const [start, end] = dayBounds(date, timezone);
+  const engine = getSolarEngineById(getSolarEngine());
+  return scanLongShadows(engine, start, end, latitude, longitude, getShadowAltitude(height, length));
+}
+
+/**
+ * Noon shadow and long-shadow periods for every day of a year
+ * @param {number} latitude
+ * @param {number} longitude
+ * @param {number} year
+ * @param {number} height - Object height in meters
+ * @param {number} length - Shadow length in meters for the long-shadow periods
+ * @param {string} timezone - IANA timezone
+ * @returns {Array<{date: Date, noon: ReturnType<typeof getShadow>, periods: Array<{start: Date, end: Date}>}>}
+ */
+export function computeShadowYear(latitude, longitude, year, height, length, timezone) {
+  const engine = getSolarEngineById(getSolarEngine());
+  const maxAltitude = getShadowAltitude(height, length);
+  const days = [];
+  for (let doy = 1; doy <= getDaysInYear(year); doy++) {
+    const date = new Date(year, 0, doy);
+    const { solarNoon } = cachedSunTimes(new Date(year, 0, doy, 12), latitude, longitude);
+    const [start, end] = dayBounds(date, timezone);
+    days.push({
+      date,
+      noon: getShadow(solarNoon, latitude, longitude, height),
+      periods: scanLongShadows(engine, start, end, latitude, longitude, maxAltitude)
+    });
+  }
+  return days;
+}
@@ -0,0 +1,118 @@
+import { WorkerPool } from './worker-pool.js';
+import { SOLAR_TASKS } from './solar-tasks.js';
+import { primeCache, peekCache, getObserver, getObserverKey, getSolarEngine, computeWindowData, getWindowYears } from './solar.js';
+
+/**
+ * Promise-based versions of the heavy solar.js computations, run in a pool of Web Workers.
+ * Results are copied into solar.js's caches on the main thread, so synchronous calls with
+ * the same arguments afterwards are instant. Without Worker support (e.g. Node) tasks run inline.
+ *
+ * Every function takes { signal } to cancel; cancelled calls reject with an AbortError.
+ */
+
+let _pool = null;
+function getPool() {
+  if (typeof Worker === 'undefined') return null;
+  if (!_pool) {
+    // Leave a core for the UI thread
+    const size = Math.min(4, Math.max(1, (navigator.hardwareConcurrency || 2) - 1));
+    _pool = new WorkerPool(() => new Worker(new URL('./solar.worker.js', import.meta.url), { type: 'module' }), size);
+  }
+  return _pool;
+}
+
+// Everything in solar.js that results depend on besides the arguments
+const getSettingsKey = () => `${getSolarEngine()}:${getObserverKey(getObserver())}`;
+
+async function runTask(task, args, { signal } = {}) {
+  const pool = getPool();
+  if (pool) return pool.run('withSettings', [{ engine: getSolarEngine(), observer: getObserver() }, task, args], { signal });
+  if (signal?.aborted) throw new DOMException('The operation was aborted.', 'AbortError');
+  return SOLAR_TASKS[task](...args);
+}
+
+// Serve from the main-thread cache when possible, otherwise compute in a worker and prime the cache
+async function runCached(fn, args, options) {
+  const cached = peekCache(fn, args);
+  if (cached !== undefined) return cached;
+  const settingsKey = getSettingsKey();
+  const result = await runTask(fn, args, options);
+  // A result computed for a previous engine or observer must not land in the (cleared) caches
+  if (getSettingsKey() === settingsKey) primeCache(fn, args, result);
+  return result;
+}
+
+/** @see computeYearData */
+export function computeYearDataAsync(latitude, year, options) {
+  return runCached('computeYearData', [latitude, year], options);
+}
+
+/**
+ * @see computeWindowData - the years the window spans are computed in parallel workers,
+ * then stitched together from the primed caches
+ */
+export async function computeWindowDataAsync(latitude, window, options) {
+  await Promise.all(getWindowYears(window).map((year) => computeYearDataAsync(latitude, year, options)));
+  return computeWindowData(latitude, window);
+}
+
+/** @see findUpcomingSunriseMilestones */
+export function findUpcomingSunriseMilestonesAsync(currentDate, latitude, longitude, timezone, count, options) {
+  return runCached('findUpcomingSunriseMilestones', [currentDate, latitude, longitude, timezone, count], options);
+}
+
+/** @see findUpcomingSunsetMilestones */
+export function findUpcomingSunsetMilestonesAsync(currentDate, latitude, longitude, timezone, count, options) {
+  return runCached('findUpcomingSunsetMilestones', [currentDate, latitude, longitude, timezone, count], options);
+}
+
+/** @see findUpcomingDSTChanges */
+export function findUpcomingDSTChangesAsync(currentDate, timezone, latitude, longitude, count, options) {
+  return runCached('findUpcomingDSTChanges', [currentDate, timezone, latitude, longitude, count], options);
+}
+
+/** @see findUpcomingDaylightMilestones (not cached, so always runs in a worker) */
+export function findUpcomingDaylightMilestonesAsync(currentDate, yearData, latitude, count, options) {
+  return runTask('findUpcomingDaylightMilestones', [currentDate, yearData, latitude, count], options);
+}
+
+/** @see computeShadowYear (not cached, so always runs in a worker) */
+export function computeShadowYearAsync(latitude, longitude, year, height, length, timezone, options) {
+  return runTask('computeShadowYear', [latitude, longitude, year, height, length, timezone], options);
+}
+
+/** @see computeInsolationYear (not cached, so always runs in a worker) */
+export function computeInsolationYearAsync(latitude, longitude, year, panel, timezone, options) {
+  return runTask('computeInsolationYear', [latitude, longitude, year, panel, timezone], options);
+}
+
+/**
+ * Precompute year data, sun data and milestones for many latitudes at one longitude,
+ * timezone and date, spread across the worker pool in small chunks.
+ * @param {Object} job
+ * @param {number[]} job.latitudes
+ * @param {number} job.year
+ * @param {Date} job.date
+ * @param {number} job.longitude
+ * @param {string} job.timezone
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Cancels the remaining chunks
+ * @param {(fraction: number) => void} [options.onProgress] - Called with 0–1 as chunks finish
+ * @param {number} [options.chunkSize] - Latitudes per worker task
+ * @returns {Promise<void>}
+ */
+export async function precomputeLatitudesAsync({ latitudes, year, date, longitude, timezone }, { signal, onProgress, chunkSize = 6 } = {}) {
+  const total = latitudes.length;
+  let done = 0;
+  const chunks = [];
+  for (let i = 0; i < total; i += chunkSize) chunks.push(latitudes.slice(i, i + chunkSize));
+
+  const settingsKey = getSettingsKey();
+  await Promise.all(chunks.map(async (chunk) => {
+    const entries = await runTask('precomputeLatitudes', [chunk, year, date, longitude, timezone], { signal });
+    if (signal?.aborted || getSettingsKey() !== settingsKey) return;
+    for (const [fn, args, value] of entries) primeCache(fn, args, value);
+    done += chunk.length;
+    onProgress?.(done / total);
+  }));
+}
@@ -0,0 +1,36 @@
+import SunCalc from 'suncalc';
+import * as spa from './spa.js';
+
+/**
+ * Solar engines: interchangeable sun position/times back ends for solar.js. Each has
+ * SunCalc's getPosition(date, lat, lng) and getTimes(date, lat, lng, height) signatures
+ * and result shapes (radians, azimuth from south, Dates keyed by SunCalc.times names).
+ */
+export const SOLAR_ENGINES = [
+  {
+    id: 'suncalc',
+    label: 'SunCalc',
+    description: 'Fast simplified formulas; typically within a minute or two, worse near the poles',
+    getPosition: SunCalc.getPosition,
+    getTimes: SunCalc.getTimes
+  },
+  {
+    id: 'spa',
+    label: 'NREL SPA',
+    description: 'NREL Solar Position Algorithm: ±0.0003°, includes ΔT and nutation; slower',
+    getPosition: spa.getPosition,
+    // SunCalc.times includes the custom times registered with SunCalc.addTime
+    getTimes: (date, latitude, longitude, height) => spa.getTimes(date, latitude, longitude, height, SunCalc.times)
+  }
+];
+
+export const DEFAULT_SOLAR_ENGINE = 'suncalc';
+
+/**
+ * Engine by id, falling back to the default for unknown ids
+ * @param {string} id
+ * @returns {{id: string, label: string, description: string, getPosition: Function, getTimes: Function}}
+ */
+export function getSolarEngineById(id) {
+  return SOLAR_ENGINES.find((engine) => engine.id === id) ?? SOLAR_ENGINES.find((engine) => engine.id === DEFAULT_SOLAR_ENGINE);
+}
@@ -0,0 +1,62 @@
+import {
+  computeYearData,
+  getSunData,
+  findUpcomingSunriseMilestones,
+  findUpcomingSunsetMilestones,
+  findUpcomingDaylightMilestones,
+  findUpcomingDSTChanges,
+  setObserver,
+  setSolarEngine
+} from './solar.js';
+import { computeShadowYear } from './shadow.js';
+import { computeInsolationYear } from './irradiance.js';
+
+/**
+ * Warm everything the UI needs for a set of latitudes at one longitude/timezone/date:
+ * year data, per-day sun data at the real longitude and the milestone finders.
+ * Returns the results as primeCache entries so the caller can copy them into its own caches.
+ * @returns {Array<[string, Array, *]>} [fn, args, value] entries
+ */
+function precomputeLatitudes(latitudes, year, date, longitude, timezone) {
+  const entries = [];
+  for (const lat of latitudes) {
+    const yd = computeYearData(lat, year);
+    entries.push(['computeYearData', [lat, year], yd]);
+    for (let doy = 1; doy <= yd.length; doy++) {
+      const day = new Date(year, 0, doy);
+      entries.push(['getSunData', [day, lat, longitude], getSunData(day, lat, longitude)]);
+    }
+    entries.push(['findUpcomingSunriseMilestones', [date, lat, longitude, timezone], findUpcomingSunriseMilestones(date, lat, longitude, timezone)]);
+    entries.push(['findUpcomingSunsetMilestones', [date, lat, longitude, timezone], findUpcomingSunsetMilestones(date, lat, longitude, timezone)]);
+    entries.push(['findUpcomingDSTChanges', [date, timezone, lat, longitude], findUpcomingDSTChanges(date, timezone, lat, longitude)]);
+    // Not cached in solar.js, but computing it warms the year data it reads
+    findUpcomingDaylightMilestones(date, yd, lat);
+  }
+  return entries;
+}
+
+/**
+ * Run a task with the main thread's solar engine and observer (elevation and horizon mask),
+ * since each worker has its own copy of solar.js state
+ */
+function withSettings({ engine, observer }, task, args) {
+  setSolarEngine(engine);
+  setObserver(observer);
+  return SOLAR_TASKS[task](...args);
+}
+
+/**
+ * Computations that can run in a worker, by name. Arguments and results must be
+ * structured-clonable (plain objects, arrays and Dates).
+ */
+export const SOLAR_TASKS = {
+  computeYearData,
+  findUpcomingSunriseMilestones,
+  findUpcomingSunsetMilestones,
+  findUpcomingDaylightMilestones,
+  findUpcomingDSTChanges,
+  precomputeLatitudes,
+  computeShadowYear,
+  computeInsolationYear,
+  withSettings
+};
@@ -1,6 +1,227 @@
 import SunCalc from 'suncalc';
-import { getCalendarDayInTimezone, dateAtLocalInTimezone, formatTimeInTimezone } from './utils.js';
+import { getCalendarDayInTimezone, getHourInTimezone, dateAtLocalInTimezone, formatTimeInTimezone } from './utils.js';
 import { LRUCache, CACHE_MAX_LARGE, CACHE_MAX_SMALL } from './cache.js';
+import { getHorizonDip, interpolateHorizon } from './horizon.js';
+import { getSolarEngineById, DEFAULT_SOLAR_ENGINE } from './solar-engines.js';
+
+/**
+ * Golden hour: sun between -4° and 6°; blue hour: between -6° and -4° (photography convention).
+ * SunCalc already has 6° (goldenHourEnd/goldenHour) and -6° (dawn/dusk); register -4°
+ * so every getTimes result also carries blueHourEnd (morning) and blueHour (evening).
+ */
+export const GOLDEN_HOUR_ALTITUDE = 6;
+export const BLUE_HOUR_ALTITUDE = -4;
+export const CIVIL_TWILIGHT_ALTITUDE = -6;
+SunCalc.addTime(BLUE_HOUR_ALTITUDE, 'blueHourEnd', 'blueHour');
+
+/** Refraction + solar semi-diameter: the sun's centre is this far below the horizon at sunrise (SunCalc's -0.833°) */
+export const SUN_HORIZON_ALLOWANCE = 0.833;
+
+/**
+ * Solar engine behind every position and sun-times calculation (see solar-engines.js).
+ * Module-level like the observer below; changing it clears every cache.
+ */
+let _engine = getSolarEngineById(DEFAULT_SOLAR_ENGINE);
+
+/**
+ * Select the solar engine by id ('suncalc' or 'spa'). No-op if unchanged.
+ * @param {string} id
+ */
+export function setSolarEngine(id) {
+  const next = getSolarEngineById(id);
+  if (next === _engine) return;
+  _engine = next;
+  for (const cache of [_sunDataCache, _twilightCache, _sunTimesCache, _sunPosCache, _yearDataCache, _sunriseMilestonesCache, _sunsetMilestonesCache, _twilightMilestonesCache, _thresholdMilestonesCache, _sunTimeExtremesCache, _dstCache]) {
+    cache.clear();
+  }
+}
+
+/**
+ * Id of the current solar engine
+ * @returns {string}
+ */
+export function getSolarEngine() {
+  return _engine.id;
+}
+
+/**
+ * Observer: elevation above the surrounding terrain (meters; lowers the horizon by its dip)
+ * and an optional horizon mask (see horizon.js). Applies to sunrise, sunset and daylight from
+ * getSunData and everything built on it. Kept at module level because every cached result
+ * depends on it: changing it clears those caches.
+ */
+let _observer = { elevation: 0, horizon: [] };
+let _observerKey = getObserverKey(_observer);
+
+/**
+ * Stable key for an observer setting (for cache invalidation and change detection)
+ * @param {{elevation: number, horizon: Array<{azimuth: number, altitude: number}>}} observer
+ * @returns {string}
+ */
+export function getObserverKey(observer) {
+  const horizon = observer?.horizon ?? [];
+  return `${observer?.elevation || 0}:${horizon.map((p) => `${p.azimuth}/${p.altitude}`).join(',')}`;
+}
+
+/**
+ * Set the observer used by getSunData. No-op if unchanged.
+ * @param {{elevation?: number, horizon?: Array<{azimuth: number, altitude: number}>}} observer
+ */
+export function setObserver(observer) {
+  const next = {
+    elevation: Math.max(0, observer?.elevation || 0),
+    horizon: [...(observer?.horizon ?? [])].sort((a, b) => a.azimuth - b.azimuth)
+  };
+  const key = getObserverKey(next);
+  if (key === _observerKey) return;
+  _observer = next;
+  _observerKey = key;
+  for (const cache of [_sunDataCache, _yearDataCache, _sunriseMilestonesCache, _sunsetMilestonesCache, _sunTimeExtremesCache, _dstCache]) {
+    cache.clear();
+  }
+}
+
+/**
+ * Current observer setting
+ * @returns {{elevation: number, horizon: Array<{azimuth: number, altitude: number}>}}
+ */
+export function getObserver() {
+  return _observer;
+}
+
+/**
+ * User-defined sun altitude thresholds (e.g. "Panels" at 10°, "Ridge" at 5°), registered with
+ * SunCalc.addTime so every engine's getTimes result carries their rise and set crossings
+ * (the SPA engine reads the same SunCalc.times list). Module-level like the observer.
+ */
+export const MAX_ALTITUDE_THRESHOLDS = 6;
+let _altitudeThresholds = [];
+
+/**
+ * Keys of a threshold's crossings in getTimes results (getTwilightTimes, cachedSunTimes)
+ * @param {number} altitude - Degrees
+ * @returns {{rise: string, set: string}}
+ */
+export function getThresholdTimeKeys(altitude) {
+  return { rise: `thresholdRise${altitude}`, set: `thresholdSet${altitude}` };
+}
+
+/**
+ * Clean up a list of thresholds: named, altitude rounded to 0.1° within -30°..85°, unique
+ * altitudes, sorted from highest to lowest, at most MAX_ALTITUDE_THRESHOLDS
+ * @param {Array<{name?: string, altitude: number}>} thresholds
+ * @returns {Array<{name: string, altitude: number}>}
+ */
+export function normalizeAltitudeThresholds(thresholds) {
+  const seen = new Set();
+  const result = [];
+  for (const t of thresholds ?? []) {
+    const value = Number(t?.altitude);
+    if (!Number.isFinite(value)) continue;
+    const altitude = Math.round(Math.max(-30, Math.min(85, value)) * 10) / 10;
+    if (seen.has(altitude)) continue;
+    seen.add(altitude);
+    const name = String(t.name ?? '').trim().slice(0, 30) || `${altitude}°`;
+    result.push({ name, altitude });
+  }
+  return result.sort((a, b) => b.altitude - a.altitude).slice(0, MAX_ALTITUDE_THRESHOLDS);
+}
+
+/**
+ * Stable key for a threshold list (for change detection)
+ * @param {Array<{name: string, altitude: number}>} thresholds
+ * @returns {string}
+ */
+export function getAltitudeThresholdsKey(thresholds) {
+  return (thresholds ?? []).map((t) => `${t.name}@${t.altitude}`).join(',');
+}
+
+/**
+ * Set the user-defined altitude thresholds. No-op if unchanged.
+ * @param {Array<{name?: string, altitude: number}>} thresholds
+ */
+export function setAltitudeThresholds(thresholds) {
+  const next = normalizeAltitudeThresholds(thresholds);
+  if (getAltitudeThresholdsKey(next) === getAltitudeThresholdsKey(_altitudeThresholds)) return;
+  // SunCalc has no removeTime: drop our entries from its list, then register the new ones
+  const registered = new Set(_altitudeThresholds.map((t) => getThresholdTimeKeys(t.altitude).rise));
+  for (let i = SunCalc.times.length - 1; i >= 0; i--) {
+    if (registered.has(SunCalc.times[i][1])) SunCalc.times.splice(i, 1);
+  }
+  for (const t of next) {
+    const keys = getThresholdTimeKeys(t.altitude);
+    SunCalc.addTime(t.altitude, keys.rise, keys.set);
+  }
+  _altitudeThresholds = next;
+  // Cached getTimes results lack the new crossings
+  for (const cache of [_twilightCache, _sunTimesCache, _thresholdMilestonesCache]) {
+    cache.clear();
+  }
+}
+
+/**
+ * Current altitude thresholds, highest first
+ * @returns {Array<{name: string, altitude: number}>}
+ */
+export function getAltitudeThresholds() {
+  return _altitudeThresholds;
+}
+
+/**
+ * Altitude of the observer's horizon at a compass azimuth (0° = North): the horizon mask,
+ * or the dipped sea-level horizon where that is lower.
+ * @param {number} azimuth - Compass degrees
+ * @returns {number} Degrees
+ */
+export function getHorizonAltitude(azimuth) {
+  const dip = -getHorizonDip(_observer.elevation);
+  return _observer.horizon.length > 0 ? Math.max(dip, interpolateHorizon(_observer.horizon, azimuth)) : dip;
+}
+
+/**
+ * Intervals when the sun is above the horizon mask within 12 hours either side of solar noon.
+ * Sampled every 6 minutes, crossings refined by bisection to ~10 seconds.
+ * @returns {{intervals: Array<{start: number, end: number}>, windowStart: number, windowEnd: number}} Times in ms
+ */
+function findMaskedSunIntervals(solarNoon, latitude, longitude) {
+  const STEP = 6 * 60000;
+  const windowStart = solarNoon.getTime() - 12 * 3600000;
+  const windowEnd = solarNoon.getTime() + 12 * 3600000;
+  const isVisible = (ms) => {
+    const pos = _engine.getPosition(new Date(ms), latitude, longitude);
+    const compass = ((pos.azimuth * 180 / Math.PI) + 540) % 360;
+    return pos.altitude * 180 / Math.PI > getHorizonAltitude(compass) - SUN_HORIZON_ALLOWANCE;
+  };
+  const refine = (lo, hi, loVisible) => {
+    while (hi - lo > 10000) {
+      const mid = (lo + hi) / 2;
+      if (isVisible(mid) === loVisible) lo = mid;
+      else hi = mid;
+    }
+    return Math.round((lo + hi) / 2);
+  };
+
+  const intervals = [];
+  let prevMs = windowStart;
+  let prevVisible = isVisible(windowStart);
+  let openStart = prevVisible ? windowStart : null;
+  for (let ms = windowStart + STEP; ms <= windowEnd; ms += STEP) {
+    const visible = isVisible(ms);
+    if (visible !== prevVisible) {
+      const crossing = refine(prevMs, ms, prevVisible);
+      if (visible) {
+        openStart = crossing;
+      } else {
+        intervals.push({ start: openStart, end: crossing });
+        openStart = null;
+      }
+    }
+    prevMs = ms;
+    prevVisible = visible;
+  }
+  if (openStart !== null) intervals.push({ start: openStart, end: windowEnd });
+  return { intervals, windowStart, windowEnd };
+}
 
 /**
  * Check if a year is a leap year
@@ -26,6 +247,91 @@ export function getDayOfYear(date) {
   return Math.floor(diff / oneDay);
 }
 
+/** Year chart ranges: the calendar year of the selected date, or 12 months centred on it */
+export const CHART_RANGES = ['year', 'rolling'];
+
+/**
+ * Days covered by the year charts
+ * @param {Date} date - Selected date
+ * @param {'year'|'rolling'} [range='year'] - The calendar year of date, or 365 days with date in the middle
+ * @returns {{start: Date, days: number}} start is local midnight of the first day
+ */
+export function getDateWindow(date, range = 'year') {
+  if (range === 'rolling') {
+    return { start: new Date(date.getFullYear(), date.getMonth(), date.getDate() - 182), days: 365 };
+  }
+  return { start: new Date(date.getFullYear(), 0, 1), days: getDaysInYear(date.getFullYear()) };
+}
+
+/**
+ * Index of a calendar day within a window (0 = first day); outside [0, days) if the day isn't in it
+ * @param {Date} date
+ * @param {{start: Date, days: number}} window
+ * @returns {number}
+ */
+export function getWindowIndex(date, window) {
+  const { start } = window;
+  const dayMs = Date.UTC(date.getFullYear(), date.getMonth(), date.getDate());
+  const startMs = Date.UTC(start.getFullYear(), start.getMonth(), start.getDate());
+  return Math.round((dayMs - startMs) / 86400000);
+}
+
+/**
+ * Local midnight of the day at an index of a window
+ * @param {{start: Date, days: number}} window
+ * @param {number} index
+ * @returns {Date}
+ */
+export function getWindowDate(window, index) {
+  const { start } = window;
+  return new Date(start.getFullYear(), start.getMonth(), start.getDate() + index);
+}
+
+/**
+ * Index of a date's month and day within a window, in whichever year puts it there
+ * (for yearly dates like a solstice or the mirror date), or null if it isn't in the window
+ * @param {Date} date
+ * @param {{start: Date, days: number}} window
+ * @returns {number|null}
+ */
+export function getWindowIndexOfDay(date, window) {
+  for (const offset of [0, -1, 1]) {
+    const index = getWindowIndex(new Date(date.getFullYear() + offset, date.getMonth(), date.getDate()), window);
+    if (index >= 0 && index < window.days) return index;
+  }
+  return null;
+}
+
+/**
+ * First day of each month within a window
+ * @param {{start: Date, days: number}} window
+ * @returns {Array<{index: number, date: Date}>}
+ */
+export function getWindowMonthStarts(window) {
+  const { start } = window;
+  const result = [];
+  for (let month = start.getMonth() + (start.getDate() === 1 ? 0 : 1); ; month++) {
+    const date = new Date(start.getFullYear(), month, 1);
+    const index = getWindowIndex(date, window);
+    if (index >= window.days) break;
+    result.push({ index, date });
+  }
+  return result;
+}
+
+/**
+ * Calendar years a window touches
+ * @param {{start: Date, days: number}} window
+ * @returns {number[]}
+ */
+export function getWindowYears(window) {
+  const first = window.start.getFullYear();
+  const last = getWindowDate(window, window.days - 1).getFullYear();
+  const years = [];
+  for (let year = first; year <= last; year++) years.push(year);
+  return years;
+}
+
 /**
  * Julian date (UTC) for a given Date (fractional days since J2000 epoch).
  */
@@ -101,6 +407,39 @@ export function getSeptemberEquinox(year) {
   return findSolsticeEquinoxMoment(year, 180);
 }
 
+/** Solstices and equinoxes in calendar order, with the function finding each */
+const SEASON_MOMENTS = [
+  { id: 'march-equinox', getMoment: getMarchEquinox },
+  { id: 'june-solstice', getMoment: getSummerSolstice },
+  { id: 'september-equinox', getMoment: getSeptemberEquinox },
+  { id: 'december-solstice', getMoment: getWinterSolstice }
+];
+
+/**
+ * Solstice and equinox moments for consecutive years, each with its shift against the same
+ * event a year earlier: how much later in the calendar it falls (about +5h 49m a year, then
+ * about 18h earlier after a leap day)
+ * @param {number} startYear
+ * @param {number} count - Number of years
+ * @returns {Array<{year: number, events: Array<{id: string, date: Date, shift: number}>}>} shift in ms
+ */
+export function getSolsticeEquinoxShifts(startYear, count) {
+  const rows = [];
+  for (let year = startYear; year < startYear + count; year++) {
+    rows.push({
+      year,
+      events: SEASON_MOMENTS.map(({ id, getMoment }) => {
+        const date = getMoment(year);
+        // Last year's moment moved to the same calendar date and time this year
+        const previous = getMoment(year - 1);
+        previous.setUTCFullYear(year);
+        return { id, date, shift: date.getTime() - previous.getTime() };
+      })
+    });
+  }
+  return rows;
+}
+
 /**
  * Calculate sun data for a specific date and location
  * @param {Date} date - The date to calculate for
@@ -109,18 +448,20 @@ export function getSeptemberEquinox(year) {
  * @returns {Object} Sun data including sunrise, sunset, daylight duration, etc.
  */
 const _sunDataCache = new LRUCache(CACHE_MAX_LARGE);
+const sunDataKey = (date, latitude, longitude = 0) => `${date.getFullYear()}-${date.getMonth()}-${date.getDate()}:${latitude}:${longitude}`;
 export function getSunData(date, latitude, longitude = 0) {
-  const cacheKey = `${date.getFullYear()}-${date.getMonth()}-${date.getDate()}:${latitude}:${longitude}`;
+  const cacheKey = sunDataKey(date, latitude, longitude);
   const cached = _sunDataCache.get(cacheKey);
   if (cached) return cached;
 
-  // Use noon local for the calendar day so SunCalc (UTC-based) gets the correct day;
+  // Use noon local for the calendar day so the engine (UTC-based) gets the correct day;
   // midnight local can be the previous UTC day in positive-offset timezones.
   const noon = new Date(date.getFullYear(), date.getMonth(), date.getDate(), 12, 0, 0);
-  const times = SunCalc.getTimes(noon, latitude, longitude);
+  // Observer elevation lowers the horizon (the engine applies the dip to its sunrise/sunset angle)
+  const times = _engine.getTimes(noon, latitude, longitude, _observer.elevation);
   
-  const sunrise = times.sunrise;
-  const sunset = times.sunset;
+  let sunrise = times.sunrise;
+  let sunset = times.sunset;
   const solarNoon = times.solarNoon;
   
   // Calculate daylight duration in milliseconds
@@ -128,9 +469,20 @@ export function getSunData(date, latitude, longitude = 0) {
   let isPolarDay = false;
   let isPolarNight = false;
   
-  if (isNaN(sunrise.getTime()) || isNaN(sunset.getTime())) {
+  if (_observer.horizon.length > 0) {
+    // Horizon mask: sunrise is when the sun clears the skyline, sunset when it drops behind it.
+    // Daylight counts only the time the sun is actually visible (it may dip behind peaks at midday).
+    const { intervals, windowStart, windowEnd } = findMaskedSunIntervals(solarNoon, latitude, longitude);
+    daylight = intervals.reduce((sum, iv) => sum + (iv.end - iv.start), 0);
+    isPolarDay = intervals.length === 1 && intervals[0].start === windowStart && intervals[0].end === windowEnd;
+    isPolarNight = intervals.length === 0;
+    const first = intervals[0];
+    const last = intervals[intervals.length - 1];
+    sunrise = first && first.start !== windowStart ? new Date(first.start) : null;
+    sunset = last && last.end !== windowEnd ? new Date(last.end) : null;
+  } else if (isNaN(sunrise.getTime()) || isNaN(sunset.getTime())) {
     // Polar day or polar night
-    const noonPosition = SunCalc.getPosition(solarNoon, latitude, longitude);
+    const noonPosition = _engine.getPosition(solarNoon, latitude, longitude);
     if (noonPosition.altitude > 0) {
       // Sun is above horizon at noon - polar day (midnight sun)
       isPolarDay = true;
@@ -145,7 +497,7 @@ export function getSunData(date, latitude, longitude = 0) {
   }
   
   // Get sun position at solar noon for max altitude
-  const noonPosition = SunCalc.getPosition(solarNoon, latitude, longitude);
+  const noonPosition = _engine.getPosition(solarNoon, latitude, longitude);
   const maxAltitude = noonPosition.altitude * 180 / Math.PI; // Convert radians to degrees
   
   const result = {
@@ -165,11 +517,11 @@ export function getSunData(date, latitude, longitude = 0) {
 
 /**
  * Get all twilight boundary times for a given date.
- * Returns the raw SunCalc times object plus maxAltitude for polar handling.
+ * Returns the engine's raw times object plus maxAltitude for polar handling.
  * @param {Date} date - The date
  * @param {number} latitude - Latitude
  * @param {number} longitude - Longitude
- * @returns {Object} SunCalc times object with all twilight boundaries + maxAltitude in degrees
+ * @returns {Object} SunCalc-style times object with all twilight boundaries + maxAltitude in degrees
  */
 const _twilightCache = new LRUCache(CACHE_MAX_LARGE);
 export function getTwilightTimes(date, latitude, longitude = 0) {
@@ -178,24 +530,138 @@ export function getTwilightTimes(date, latitude, longitude = 0) {
   if (cached) return cached;
 
   const noon = new Date(date.getFullYear(), date.getMonth(), date.getDate(), 12, 0, 0);
-  const times = SunCalc.getTimes(noon, latitude, longitude);
-  const noonPosition = SunCalc.getPosition(times.solarNoon, latitude, longitude);
+  const times = _engine.getTimes(noon, latitude, longitude);
+  const noonPosition = _engine.getPosition(times.solarNoon, latitude, longitude);
   times.maxAltitude = noonPosition.altitude * 180 / Math.PI;
   _twilightCache.set(cacheKey, times);
   return times;
 }
 
 /**
- * Cached wrapper around SunCalc.getTimes for arbitrary reference timestamps.
- * Unlike getTwilightTimes, this takes the exact timestamp to pass to SunCalc.
+ * Golden and blue hour windows from a SunCalc-style times object (getTwilightTimes or cachedSunTimes).
+ * When the sun never climbs above 6°, golden hour runs from the morning to the evening -4° crossing.
+ * Windows whose boundaries don't occur (polar day/night) are left out.
+ * @param {Object} times - SunCalc-style times including blueHourEnd/blueHour
+ * @returns {{golden: Array<{start: Date, end: Date, period: string}>, blue: Array<{start: Date, end: Date, period: string}>}}
+ *   period is 'morning', 'evening' or 'day' (one golden window spanning the whole low-sun day)
+ */
+export function getLightWindows(times) {
+  const valid = (t) => t && !isNaN(t.getTime());
+  const makeWindow = (start, end, period) => (valid(start) && valid(end) && end > start ? { start, end, period } : null);
+  const lowSun = !valid(times.goldenHourEnd) && !valid(times.goldenHour);
+  const golden = lowSun
+    ? [makeWindow(times.blueHourEnd, times.blueHour, 'day')]
+    : [makeWindow(times.blueHourEnd, times.goldenHourEnd, 'morning'), makeWindow(times.goldenHour, times.blueHour, 'evening')];
+  const blue = [makeWindow(times.dawn, times.blueHourEnd, 'morning'), makeWindow(times.blueHour, times.dusk, 'evening')];
+  return { golden: golden.filter(Boolean), blue: blue.filter(Boolean) };
+}
+
+/**
+ * Golden and blue hour windows for a calendar day (see getLightWindows)
+ * @param {Date} date
+ * @param {number} latitude
+ * @param {number} longitude
+ */
+export function getGoldenBlueHours(date, latitude, longitude = 0) {
+  return getLightWindows(getTwilightTimes(date, latitude, longitude));
+}
+
+// Twilight boundaries in a SunCalc-style times object, in the order they occur on a normal day
+const TWILIGHT_BOUNDARIES = [
+  { key: 'nightEnd', label: 'Astronomical dawn' },
+  { key: 'nauticalDawn', label: 'Nautical dawn' },
+  { key: 'dawn', label: 'Civil dawn' },
+  { key: 'dusk', label: 'Civil dusk' },
+  { key: 'nauticalDusk', label: 'Nautical dusk' },
+  { key: 'night', label: 'Astronomical dusk' }
+];
+
+/**
+ * Next sunrise, sunset and twilight boundary after a moment, for the live countdowns.
+ * Sunrise and sunset follow getSunData (observer elevation and horizon mask); twilight
+ * boundaries are the civil, nautical and astronomical dawns and dusks.
+ * @param {Date} now
+ * @param {number} latitude
+ * @param {number} longitude
+ * @param {number} [days=2] - How many days ahead to look
+ * @returns {{sunrise: Date|null, sunset: Date|null, twilight: {time: Date, label: string}|null}}
+ *   null where the event doesn't occur within the look-ahead (polar day or night)
+ */
+export function getNextSunEvents(now, latitude, longitude = 0, days = 2) {
+  const t = now.getTime();
+  const valid = (time) => time && !isNaN(time.getTime()) && time.getTime() > t;
+  const result = { sunrise: null, sunset: null, twilight: null };
+  // Start a day back: the location's calendar day can lag the browser's, so its events may still be ahead
+  for (let offset = -1; offset <= days; offset++) {
+    const date = new Date(now.getFullYear(), now.getMonth(), now.getDate() + offset);
+    const { sunrise, sunset } = getSunData(date, latitude, longitude);
+    if (valid(sunrise) && (!result.sunrise || sunrise < result.sunrise)) result.sunrise = sunrise;
+    if (valid(sunset) && (!result.sunset || sunset < result.sunset)) result.sunset = sunset;
+    const times = getTwilightTimes(date, latitude, longitude);
+    for (const { key, label } of TWILIGHT_BOUNDARIES) {
+      if (valid(times[key]) && (!result.twilight || times[key] < result.twilight.time)) {
+        result.twilight = { time: times[key], label };
+      }
+    }
+  }
+  return result;
+}
+
+/**
+ * Rise and set crossings of each user-defined altitude threshold on a calendar day
+ * (see setAltitudeThresholds)
+ * @param {Date} date
+ * @param {number} latitude
+ * @param {number} longitude
+ * @returns {Array<{name: string, altitude: number, rise: Date|null, set: Date|null, above: 'always'|'never'|null}>}
+ *   above is set when the sun stays on one side of the threshold all day
+ */
+export function getThresholdCrossings(date, latitude, longitude = 0) {
+  const times = getTwilightTimes(date, latitude, longitude);
+  const valid = (t) => t && !isNaN(t.getTime());
+  return _altitudeThresholds.map(({ name, altitude }) => {
+    const keys = getThresholdTimeKeys(altitude);
+    const rise = valid(times[keys.rise]) ? times[keys.rise] : null;
+    const set = valid(times[keys.set]) ? times[keys.set] : null;
+    const above = rise || set ? null : times.maxAltitude > altitude ? 'always' : 'never';
+    return { name, altitude, rise, set, above };
+  });
+}
+
+/**
+ * Split a day's path (from getSunPathForDay) into runs of consecutive points whose
+ * altitude lies in [minAltitude, maxAltitude), e.g. the golden-hour arcs of the sun path.
+ * @param {Array<{altitude: number}>} points
+ * @param {number} minAltitude
+ * @param {number} maxAltitude
+ * @returns {Array<Array>} Runs of points (each with at least 2 points)
+ */
+export function splitPathByAltitude(points, minAltitude, maxAltitude) {
+  const runs = [];
+  let current = [];
+  for (const p of points) {
+    if (p.altitude >= minAltitude && p.altitude < maxAltitude) {
+      current.push(p);
+    } else {
+      if (current.length >= 2) runs.push(current);
+      current = [];
+    }
+  }
+  if (current.length >= 2) runs.push(current);
+  return runs;
+}
+
+/**
+ * Cached wrapper around the engine's getTimes for arbitrary reference timestamps.
+ * Unlike getTwilightTimes, this takes the exact timestamp to pass to the engine.
  */
-const _sunCalcTimesCache = new LRUCache(CACHE_MAX_LARGE);
-export function cachedSunCalcTimes(refDate, latitude, longitude) {
+const _sunTimesCache = new LRUCache(CACHE_MAX_LARGE);
+export function cachedSunTimes(refDate, latitude, longitude) {
   const key = `${refDate.getTime()}:${latitude}:${longitude}`;
-  const cached = _sunCalcTimesCache.get(key);
+  const cached = _sunTimesCache.get(key);
   if (cached) return cached;
-  const times = SunCalc.getTimes(refDate, latitude, longitude);
-  _sunCalcTimesCache.set(key, times);
+  const times = _engine.getTimes(refDate, latitude, longitude);
+  _sunTimesCache.set(key, times);
   return times;
 }
 
@@ -212,7 +678,7 @@ export function getSunPosition(date, latitude, longitude = 0) {
   const cached = _sunPosCache.get(cacheKey);
   if (cached) return cached;
 
-  const pos = SunCalc.getPosition(date, latitude, longitude);
+  const pos = _engine.getPosition(date, latitude, longitude);
   let azimuth = pos.azimuth * 180 / Math.PI;
   if (azimuth < 0) azimuth += 360;
   const result = {
@@ -234,11 +700,13 @@ export function getSunPosition(date, latitude, longitude = 0) {
 export function getSunPathForDay(date, latitude, longitude = 0, timezone = null) {
   const cal = timezone ? getCalendarDayInTimezone(date, timezone) : { year: date.getFullYear(), month: date.getMonth() + 1, day: date.getDate() };
   const { year, month, day } = cal;
+  // dateAtLocalInTimezone offsets from the zone's midnight; find that once rather than per point
+  const midnight = timezone ? dateAtLocalInTimezone(year, month, day, 0, 0, timezone).getTime() : null;
   const points = [];
   for (let hour = 0; hour < 24; hour++) {
     for (let min = 0; min < 60; min += 5) {
-      const d = timezone ? dateAtLocalInTimezone(year, month, day, hour, min, timezone) : new Date(year, month - 1, day, hour, min, 0);
-      const pos = SunCalc.getPosition(d, latitude, longitude);
+      const d = timezone ? new Date(midnight + hour * 3600000 + min * 60000) : new Date(year, month - 1, day, hour, min, 0);
+      const pos = _engine.getPosition(d, latitude, longitude);
       const altitude = pos.altitude * 180 / Math.PI;
       let azimuth = pos.azimuth * 180 / Math.PI;
       if (azimuth < 0) azimuth += 360;
@@ -248,6 +716,190 @@ export function getSunPathForDay(date, latitude, longitude = 0, timezone = null)
   return points;
 }
 
+/**
+ * The analemma: the sun's position at the same clock time on every day of a year
+ * @param {number} year
+ * @param {number} latitude
+ * @param {number} longitude
+ * @param {number} hour - Clock time in hours (fractional for minutes)
+ * @param {string} [timezone] - IANA timezone of the clock; host-local when omitted
+ * @returns {Array<{date: Date, altitude: number, compassAzimuth: number}>} degrees; azimuth from north
+ */
+export function getAnalemma(year, latitude, longitude = 0, hour = 12, timezone = null) {
+  const h = Math.floor(hour);
+  const min = Math.round((hour - h) * 60);
+  const points = [];
+  for (let dayOfYear = 1; dayOfYear <= getDaysInYear(year); dayOfYear++) {
+    const date = new Date(year, 0, dayOfYear);
+    const at = timezone
+      ? dateAtLocalInTimezone(year, date.getMonth() + 1, date.getDate(), h, min, timezone)
+      : new Date(year, date.getMonth(), date.getDate(), h, min, 0);
+    const pos = getSunPosition(at, latitude, longitude);
+    points.push({ date, altitude: pos.altitude, compassAzimuth: (pos.azimuth + 180) % 360 });
+  }
+  return points;
+}
+
+// Hours wrapped into [-12, 12)
+const wrapHours = (h) => ((((h + 12) % 24) + 24) % 24) - 12;
+
+/**
+ * How far solar noon falls from noon on the clock on one day. clockOffset combines the time zone's
+ * offset from the meridian, daylight saving time and the equation of time; equationOfTime is the
+ * last alone (apparent minus mean solar time, so positive when a sundial runs ahead of mean time).
+ * @param {Date} date
+ * @param {number} latitude
+ * @param {number} longitude
+ * @param {string} [timezone] - IANA timezone of the clock; host-local when omitted
+ * @returns {{date: Date, solarNoon: Date, clockOffset: number, equationOfTime: number}} offsets in minutes;
+ *   clockOffset is positive when solar noon comes after 12:00
+ */
+export function getSolarNoonDrift(date, latitude, longitude = 0, timezone = null) {
+  const { solarNoon } = getTwilightTimes(date, latitude, longitude);
+  const clockHour = timezone
+    ? getHourInTimezone(solarNoon, timezone)
+    : solarNoon.getHours() + solarNoon.getMinutes() / 60 + solarNoon.getSeconds() / 3600;
+  return {
+    date,
+    solarNoon,
+    clockOffset: wrapHours(clockHour - 12) * 60,
+    equationOfTime: -hoursFromMeanNoon(solarNoon, longitude) * 60
+  };
+}
+
+// Hours from the nearest local mean noon: 12:00 UTC shifted by 4 minutes per degree of longitude
+function hoursFromMeanNoon(date, longitude) {
+  const utcHour = date.getUTCHours() + date.getUTCMinutes() / 60 + date.getUTCSeconds() / 3600;
+  return wrapHours(utcHour + longitude / 15 - 12);
+}
+
+/**
+ * The sun's declination at a moment, from the ecliptic longitude used for solstices and equinoxes
+ * @param {Date} date
+ * @returns {number} Degrees
+ */
+export function getSunDeclination(date) {
+  const lambda = sunEclipticLongitude(julianDate(date)) * Math.PI / 180;
+  return Math.asin(Math.sin(23.44 * Math.PI / 180) * Math.sin(lambda)) * 180 / Math.PI;
+}
+
+/**
+ * How dark a day gets, brightest first: ordinary day and night, nights that stay in
+ * twilight (white nights), midnight sun, then polar night by how bright noon still gets
+ */
+export const TWILIGHT_CLASSES = [
+  { id: 'midnightSun', label: 'Midnight sun' },
+  { id: 'civil', label: 'Civil twilight all night' },
+  { id: 'nautical', label: 'Nautical twilight all night' },
+  { id: 'astronomical', label: 'No full darkness' },
+  { id: 'night', label: 'Day and full night' },
+  { id: 'polarCivil', label: 'Polar night, civil twilight at noon' },
+  { id: 'polarNautical', label: 'Polar night, nautical twilight at noon' },
+  { id: 'polarAstronomical', label: 'Polar night, astronomical twilight at noon' },
+  { id: 'polarDark', label: 'Polar night, dark at noon' }
+];
+
+/**
+ * Twilight class of a day at a latitude (see TWILIGHT_CLASSES), from the sun's geometric noon and
+ * midnight altitudes for that declination. The sun counts as up above -0.833°, as for sunrise.
+ * @param {number} latitude
+ * @param {number} declination - Degrees (getSunDeclination)
+ * @returns {string} Class id
+ */
+export function getTwilightClass(latitude, declination) {
+  const noon = 90 - Math.abs(latitude - declination);
+  const midnight = Math.abs(latitude + declination) - 90;
+  if (noon <= -0.833) {
+    if (noon > CIVIL_TWILIGHT_ALTITUDE) return 'polarCivil';
+    if (noon > -12) return 'polarNautical';
+    if (noon > -18) return 'polarAstronomical';
+    return 'polarDark';
+  }
+  if (midnight > -0.833) return 'midnightSun';
+  if (midnight > CIVIL_TWILIGHT_ALTITUDE) return 'civil';
+  if (midnight > -12) return 'nautical';
+  if (midnight > -18) return 'astronomical';
+  return 'night';
+}
+
+/**
+ * The point on Earth with the sun straight overhead at a moment, from the selected engine.
+ * At the pole the sun's altitude is its declination and its azimuth is the Greenwich hour angle.
+ * @param {Date} date
+ * @returns {{latitude: number, longitude: number}} Degrees, longitude in [-180, 180)
+ */
+export function getSubsolarPoint(date) {
+  const atPole = getSunPosition(date, 89.99, 0);
+  const hourAngle = atPole.azimuth > 180 ? atPole.azimuth - 360 : atPole.azimuth;
+  return { latitude: atPole.altitude, longitude: -hourAngle };
+}
+
+/**
+ * Sunrise, sunset and daylight for any point on a flat sea-level horizon: the observer's
+ * elevation and horizon mask belong to the selected location, not to every point on a map.
+ * @param {Date} date - Calendar day (host-local, as for getSunData)
+ * @param {number} latitude
+ * @param {number} longitude
+ * @returns {{sunrise: Date|null, sunset: Date|null, daylight: number, daylightHours: number, isPolarDay: boolean, isPolarNight: boolean}} daylight in ms
+ */
+export function getSeaLevelSunTimes(date, latitude, longitude = 0) {
+  const times = getTwilightTimes(date, latitude, longitude);
+  if (!isNaN(times.sunrise.getTime()) && !isNaN(times.sunset.getTime())) {
+    return {
+      sunrise: times.sunrise,
+      sunset: times.sunset,
+      daylight: times.sunset - times.sunrise,
+      daylightHours: (times.sunset - times.sunrise) / 3600000,
+      isPolarDay: false,
+      isPolarNight: false
+    };
+  }
+  const isPolarDay = times.maxAltitude > 0;
+  const daylight = isPolarDay ? 24 * 3600000 : 0;
+  return { sunrise: null, sunset: null, daylight, daylightHours: daylight / 3600000, isPolarDay, isPolarNight: !isPolarDay };
+}
+
+/**
+ * Per-day differences between two solar engines at a location, for diagnostics: each engine's
+ * own sunrise, sunset and solar noon (no horizon mask) and noon altitude, for every day of a year.
+ * Independent of the selected engine and observer.
+ * @param {number} latitude
+ * @param {number} longitude
+ * @param {number} year
+ * @param {Object} [options]
+ * @param {number} [options.elevation=0] - Observer elevation in meters (lowers the horizon)
+ * @param {string} [options.baseId='suncalc'] - Reference engine
+ * @param {string} [options.otherId='spa'] - Engine compared with it
+ * @returns {Array<{date: Date, sunrise: number|null, sunset: number|null, solarNoon: number, daylight: number, maxAltitude: number, polarMismatch: boolean}>}
+ *   other − base in seconds (maxAltitude in degrees); sunrise/sunset are null when either engine has
+ *   no such event, and polarMismatch marks days only one engine calls polar day or night
+ */
+export function compareSolarEngines(latitude, longitude, year, { elevation = 0, baseId = 'suncalc', otherId = 'spa' } = {}) {
+  const engines = [getSolarEngineById(baseId), getSolarEngineById(otherId)];
+  const rows = [];
+  for (let doy = 1; doy <= getDaysInYear(year); doy++) {
+    const noon = new Date(year, 0, doy, 12, 0, 0);
+    const [base, other] = engines.map((engine) => {
+      const times = engine.getTimes(noon, latitude, longitude, elevation);
+      const maxAltitude = engine.getPosition(times.solarNoon, latitude, longitude).altitude * 180 / Math.PI;
+      const hasEvents = !isNaN(times.sunrise.getTime()) && !isNaN(times.sunset.getTime());
+      const daylight = hasEvents ? times.sunset - times.sunrise : (maxAltitude > 0 ? 86400000 : 0);
+      return { times, maxAltitude, hasEvents, daylight };
+    });
+    const both = base.hasEvents && other.hasEvents;
+    rows.push({
+      date: new Date(year, 0, doy),
+      sunrise: both ? (other.times.sunrise - base.times.sunrise) / 1000 : null,
+      sunset: both ? (other.times.sunset - base.times.sunset) / 1000 : null,
+      solarNoon: (other.times.solarNoon - base.times.solarNoon) / 1000,
+      daylight: (other.daylight - base.daylight) / 1000,
+      maxAltitude: other.maxAltitude - base.maxAltitude,
+      polarMismatch: base.hasEvents !== other.hasEvents
+    });
+  }
+  return rows;
+}
+
 /**
  * Compute sun data for all days in a year
  * @param {number} latitude - The latitude (-90 to 90)
@@ -255,9 +907,10 @@ export function getSunPathForDay(date, latitude, longitude = 0, timezone = null)
  * @returns {Array} Array of sun data for each day
  */
 const _yearDataCache = new LRUCache(CACHE_MAX_SMALL);
+const yearDataKey = (latitude, year) => `${latitude}:${year}`;
 
 export function computeYearData(latitude, year) {
-  const key = `${latitude}:${year}`;
+  const key = yearDataKey(latitude, year);
   const cached = _yearDataCache.get(key);
   if (cached) return cached;
 
@@ -273,6 +926,28 @@ export function computeYearData(latitude, year) {
   return data;
 }
 
+/**
+ * Sun data for each day of a window (see getDateWindow), taken from computeYearData for
+ * each year it spans, so the year caches (and the workers that prime them) serve it too
+ * @param {number} latitude
+ * @param {{start: Date, days: number}} window
+ * @returns {Array} One getSunData result per day
+ */
+export function computeWindowData(latitude, window) {
+  const data = [];
+  let year = null;
+  let yearData = null;
+  for (let i = 0; i < window.days; i++) {
+    const date = getWindowDate(window, i);
+    if (date.getFullYear() !== year) {
+      year = date.getFullYear();
+      yearData = computeYearData(latitude, year);
+    }
+    data.push(yearData[getDayOfYear(date) - 1]);
+  }
+  return data;
+}
+
 /**
  * Find the opposite date (mirror date) - the date with the same amount of daylight
  * as the selected date, on the other half of the year.
@@ -896,8 +1571,10 @@ function getSunriseDecimalHours(sunData, timezone) {
  * @returns {Array} Array of milestones with date and crossing description
  */
 const _sunriseMilestonesCache = new LRUCache(CACHE_MAX_SMALL);
+const milestonesKey = (currentDate, latitude, longitude, timezone, count = 8) =>
+  `${currentDate.getFullYear()}-${currentDate.getMonth()}-${currentDate.getDate()}:${latitude}:${longitude}:${timezone}:${count}`;
 export function findUpcomingSunriseMilestones(currentDate, latitude, longitude, timezone, count = 8) {
-  const key = `${currentDate.getFullYear()}-${currentDate.getMonth()}-${currentDate.getDate()}:${latitude}:${longitude}:${timezone}:${count}`;
+  const key = milestonesKey(currentDate, latitude, longitude, timezone, count);
   const cached = _sunriseMilestonesCache.get(key);
   if (cached) return cached;
 
@@ -984,7 +1661,7 @@ function getSunsetDecimalHours(sunData, timezone) {
  */
 const _sunsetMilestonesCache = new LRUCache(CACHE_MAX_SMALL);
 export function findUpcomingSunsetMilestones(currentDate, latitude, longitude, timezone, count = 8) {
-  const key = `${currentDate.getFullYear()}-${currentDate.getMonth()}-${currentDate.getDate()}:${latitude}:${longitude}:${timezone}:${count}`;
+  const key = milestonesKey(currentDate, latitude, longitude, timezone, count);
   const cached = _sunsetMilestonesCache.get(key);
   if (cached) return cached;
 
@@ -1045,6 +1722,248 @@ export function findUpcomingSunsetMilestones(currentDate, latitude, longitude, t
   return milestones;
 }
 
+/**
+ * Find upcoming twilight milestones:
+ * - White nights: the last night with true (astronomical) darkness, the first night without it,
+ *   the nights without nautical darkness, and when each kind of darkness returns
+ * - Civil-twilight day length (civil dawn to civil dusk) crossing integer hours, like the
+ *   daylight milestones: "More than 18h from civil dawn to dusk"
+ * A night belongs to the date it starts on: its darkness is the sun's altitude at solar midnight
+ * after that day's solar noon.
+ * @param {Date} currentDate - The current date
+ * @param {number} latitude - The latitude
+ * @param {number} longitude - The longitude
+ * @param {number} count - Number of milestones to find
+ * @returns {Array<{date: Date, description: string, time: Date|null, endTime?: Date|null}>}
+ *   Day-length milestones span civil dawn to dusk; night milestones are all-night (time null)
+ */
+const _twilightMilestonesCache = new LRUCache(CACHE_MAX_SMALL);
+export function findUpcomingTwilightMilestones(currentDate, latitude, longitude, count = 10) {
+  const key = `${currentDate.getFullYear()}-${currentDate.getMonth()}-${currentDate.getDate()}:${latitude}:${longitude}:${count}`;
+  const cached = _twilightMilestonesCache.get(key);
+  if (cached) return cached;
+
+  const NAUTICAL = -12;
+  const ASTRONOMICAL = -18;
+  const valid = (t) => t && !isNaN(t.getTime());
+  const dayAt = (offset) => {
+    const date = new Date(currentDate.getFullYear(), currentDate.getMonth(), currentDate.getDate() + offset);
+    const times = getTwilightTimes(date, latitude, longitude);
+    const midnight = new Date(times.solarNoon.getTime() + 12 * 60 * 60 * 1000);
+    const midnightAltitude = _engine.getPosition(midnight, latitude, longitude).altitude * 180 / Math.PI;
+    // Civil day length; without a civil dawn or dusk it is all or nothing
+    let civilHours;
+    if (valid(times.dawn) && valid(times.dusk)) civilHours = (times.dusk - times.dawn) / (1000 * 60 * 60);
+    else civilHours = times.maxAltitude > CIVIL_TWILIGHT_ALTITUDE ? 24 : 0;
+    return { date, dawn: valid(times.dawn) ? times.dawn : null, dusk: valid(times.dusk) ? times.dusk : null, midnightAltitude, civilHours };
+  };
+
+  const milestones = [];
+  // Start from the day before so crossings on the selected date (e.g. today) are included
+  let prev = dayAt(-1);
+  for (let offset = 0; offset <= 365 && milestones.length < count; offset++) {
+    const curr = dayAt(offset);
+
+    // Astronomical darkness: lost (white nights begin) or back
+    if (prev.midnightAltitude < ASTRONOMICAL && curr.midnightAltitude >= ASTRONOMICAL) {
+      if (offset > 0) milestones.push({ date: prev.date, description: 'Last night with true darkness', time: null });
+      milestones.push({ date: curr.date, description: 'White nights begin: no astronomical darkness', time: null });
+    } else if (prev.midnightAltitude >= ASTRONOMICAL && curr.midnightAltitude < ASTRONOMICAL) {
+      milestones.push({ date: curr.date, description: 'First night with true darkness: white nights end', time: null });
+    }
+    // Nautical darkness: lost or back
+    if (prev.midnightAltitude < NAUTICAL && curr.midnightAltitude >= NAUTICAL) {
+      milestones.push({ date: curr.date, description: 'No nautical darkness: bright white nights begin', time: null });
+    } else if (prev.midnightAltitude >= NAUTICAL && curr.midnightAltitude < NAUTICAL) {
+      milestones.push({ date: curr.date, description: 'Nautical darkness returns', time: null });
+    }
+
+    // Civil day length crossing whole hours from 1h to 23h; one per day (the furthest hour
+    // crossed), since it can jump several hours near polar day and night
+    if (curr.civilHours > prev.civilHours) {
+      const h = Math.min(23, Math.floor(curr.civilHours));
+      if (h >= 1 && h > prev.civilHours) {
+        milestones.push({ date: curr.date, description: `More than ${h}h from civil dawn to dusk`, time: curr.dawn, endTime: curr.dusk });
+      }
+    } else if (curr.civilHours < prev.civilHours) {
+      const h = Math.max(1, Math.floor(curr.civilHours) + 1);
+      if (h <= 23 && h <= prev.civilHours) {
+        milestones.push({ date: curr.date, description: `Less than ${h}h from civil dawn to dusk`, time: curr.dawn, endTime: curr.dusk });
+      }
+    }
+
+    prev = curr;
+  }
+
+  _twilightMilestonesCache.set(key, milestones);
+  return milestones;
+}
+
+/**
+ * Find upcoming dates when the noon sun starts or stops clearing a user-defined altitude
+ * threshold: "First day the sun clears 10° (Panels)" and the last day before it no longer does
+ * @param {Date} currentDate - The current date
+ * @param {number} latitude - The latitude
+ * @param {number} longitude - The longitude
+ * @param {number} count - Number of milestones to find
+ * @returns {Array<{date: Date, description: string, time: Date}>} time is that day's solar noon
+ */
+const _thresholdMilestonesCache = new LRUCache(CACHE_MAX_SMALL);
+export function findUpcomingThresholdMilestones(currentDate, latitude, longitude, count = 10) {
+  const key = `${currentDate.getFullYear()}-${currentDate.getMonth()}-${currentDate.getDate()}:${latitude}:${longitude}:${count}`;
+  const cached = _thresholdMilestonesCache.get(key);
+  if (cached) return cached;
+
+  const milestones = [];
+  if (_altitudeThresholds.length > 0) {
+    const dayAt = (offset) => {
+      const date = new Date(currentDate.getFullYear(), currentDate.getMonth(), currentDate.getDate() + offset);
+      const times = getTwilightTimes(date, latitude, longitude);
+      return { date, solarNoon: times.solarNoon, maxAltitude: times.maxAltitude };
+    };
+    // Start from the day before so a first day on the selected date (e.g. today) is included
+    let prev = dayAt(-1);
+    for (let offset = 0; offset <= 365; offset++) {
+      const curr = dayAt(offset);
+      for (const { name, altitude } of _altitudeThresholds) {
+        const label = name === `${altitude}°` ? name : `${altitude}° (${name})`;
+        if (prev.maxAltitude <= altitude && curr.maxAltitude > altitude) {
+          milestones.push({ date: curr.date, description: `First day the sun clears ${label}`, time: curr.solarNoon });
+        } else if (offset > 0 && prev.maxAltitude > altitude && curr.maxAltitude <= altitude) {
+          milestones.push({ date: prev.date, description: `Last day the sun clears ${label}`, time: prev.solarNoon });
+        }
+      }
+      prev = curr;
+    }
+  }
+
+  const result = milestones.slice(0, count);
+  _thresholdMilestonesCache.set(key, result);
+  return result;
+}
+
+/**
+ * The yearly extremes of sunrise, sunset and solar noon, in the order getSunTimeExtremes checks them
+ */
+export const SUN_TIME_EXTREMES = [
+  { id: 'earliestSunrise', label: 'Earliest sunrise', field: 'sunrise', latest: false },
+  { id: 'latestSunrise', label: 'Latest sunrise', field: 'sunrise', latest: true },
+  { id: 'earliestSunset', label: 'Earliest sunset', field: 'sunset', latest: false },
+  { id: 'latestSunset', label: 'Latest sunset', field: 'sunset', latest: true },
+  { id: 'earliestSolarNoon', label: 'Earliest solar noon', field: 'solarNoon', latest: false },
+  { id: 'latestSolarNoon', label: 'Latest solar noon', field: 'solarNoon', latest: true }
+];
+
+/**
+ * Days of a calendar year with the earliest and latest sunrise, sunset and solar noon (from
+ * getSunData, so the horizon mask counts). Times are compared on local mean time, so daylight
+ * saving jumps don't count as extremes. Sunrise and sunset extremes sit off the solstices because
+ * solar noon drifts (the equation of time) while the day length barely changes; each one carries
+ * the nearest solstice, its offset in days and an explanation. Only turning points count, so an
+ * extreme just across New Year belongs to the other year. Years with polar day or night have no
+ * sunrise or sunset extremes.
+ * @param {number} year
+ * @param {number} latitude
+ * @param {number} longitude
+ * @returns {Array<{id: string, label: string, field: string, date: Date, time: Date, solstice: {name: string, date: Date}|null, offsetDays: number|null, explanation: string}>}
+ *   sorted by date
+ */
+const _sunTimeExtremesCache = new LRUCache(CACHE_MAX_SMALL);
+export function getSunTimeExtremes(year, latitude, longitude = 0) {
+  const key = `${year}:${latitude}:${longitude}`;
+  const cached = _sunTimeExtremesCache.get(key);
+  if (cached) return cached;
+
+  const DAY = 24 * 60 * 60 * 1000;
+  // The year plus a margin on each side, to tell turning points from the year's first and last days
+  const MARGIN = 30;
+  const daysInYear = getDaysInYear(year);
+  const days = [];
+  for (let dayOfYear = 1 - MARGIN; dayOfYear <= daysInYear + MARGIN; dayOfYear++) {
+    days.push(getSunData(new Date(year, 0, dayOfYear), latitude, longitude));
+  }
+  const hasSunriseSunset = days.every((d) => d.sunrise && d.sunset);
+  // Hours from local mean noon, anchored on each day's own solar noon so nothing wraps at midnight
+  const valueOf = (d, field) => (d[field] - d.solarNoon) / 3600000 + hoursFromMeanNoon(d.solarNoon, longitude);
+
+  const solstices = [
+    { northernName: 'Winter Solstice', date: getWinterSolstice(year - 1) },
+    { northernName: 'Summer Solstice', date: getSummerSolstice(year) },
+    { northernName: 'Winter Solstice', date: getWinterSolstice(year) }
+  ];
+  const startOfDay = (d) => new Date(d.getFullYear(), d.getMonth(), d.getDate());
+
+  const extremes = [];
+  for (const { id, label, field, latest } of SUN_TIME_EXTREMES) {
+    if (field !== 'solarNoon' && !hasSunriseSunset) continue;
+    const values = days.map((d) => valueOf(d, field));
+    const beats = (a, b) => (latest ? a > b : a < b);
+    let best = null;
+    for (let i = MARGIN; i < MARGIN + daysInYear; i++) {
+      if (best && !beats(values[i], best.v)) continue;
+      let turning = true;
+      for (let j = i - MARGIN / 2; j <= i + MARGIN / 2 && turning; j++) {
+        if (j !== i && beats(values[j], values[i])) turning = false;
+      }
+      if (turning) best = { d: days[i], v: values[i] };
+    }
+    if (!best) continue;
+    const date = best.d.date;
+    const time = best.d[field];
+
+    if (field === 'solarNoon') {
+      const eot = -hoursFromMeanNoon(time, longitude) * 60;
+      extremes.push({
+        id, label, field, date, time, solstice: null, offsetDays: null,
+        explanation: `Set by the equation of time rather than the solstices: sundials run ${Math.abs(eot).toFixed(1)} min ${eot >= 0 ? 'fast' : 'slow'} on this day.`
+      });
+      continue;
+    }
+
+    const nearest = solstices.reduce((a, b) => (Math.abs(b.date - date) < Math.abs(a.date - date) ? b : a));
+    const solsticeDay = startOfDay(nearest.date);
+    const offsetDays = Math.round((date - solsticeDay) / DAY);
+    const name = getSeasonName(nearest.northernName, latitude);
+    // Solar noon drift around the solstice, in seconds per day
+    const before = getSunData(new Date(solsticeDay.getFullYear(), solsticeDay.getMonth(), solsticeDay.getDate() - 1), latitude, longitude);
+    const after = getSunData(new Date(solsticeDay.getFullYear(), solsticeDay.getMonth(), solsticeDay.getDate() + 1), latitude, longitude);
+    const drift = Math.round((after.solarNoon - before.solarNoon - 2 * DAY) / 2000);
+    const when = offsetDays === 0 ? 'On' : `${Math.abs(offsetDays)} day${Math.abs(offsetDays) === 1 ? '' : 's'} ${offsetDays < 0 ? 'before' : 'after'}`;
+    // Far from a solstice (low latitudes) the day length hardly changes all year
+    const explanation = Math.abs(offsetDays) > MARGIN
+      ? `${when} the ${name}: the day length hardly changes here, so ${field}s follow solar noon and the equation of time rather than the solstices.`
+      : `${when} the ${name}: the day length barely changes around the solstice, but solar noon moves ${drift >= 0 ? 'later' : 'earlier'} by about ${Math.abs(drift)} s a day (the equation of time), which pulls the ${field}s off the solstice.`;
+    extremes.push({ id, label, field, date, time, solstice: { name, date: nearest.date }, offsetDays, explanation });
+  }
+
+  extremes.sort((a, b) => a.date - b.date);
+  _sunTimeExtremesCache.set(key, extremes);
+  return extremes;
+}
+
+/**
+ * Find the next earliest and latest sunrise, sunset and solar noon from a date (see getSunTimeExtremes)
+ * @param {Date} currentDate - The current date
+ * @param {number} latitude - The latitude
+ * @param {number} longitude - The longitude
+ * @param {string} timezone - The timezone, for the clock time in each description
+ * @param {number} count - Number of extremes to return
+ * @returns {Array<{date: Date, description: string, time: Date, explanation: string}>}
+ */
+export function findUpcomingSunTimeExtremes(currentDate, latitude, longitude, timezone, count = 6) {
+  const start = new Date(currentDate.getFullYear(), currentDate.getMonth(), currentDate.getDate());
+  return [currentDate.getFullYear(), currentDate.getFullYear() + 1]
+    .flatMap((year) => getSunTimeExtremes(year, latitude, longitude))
+    .filter((e) => e.date >= start)
+    .slice(0, count)
+    .map((e) => ({
+      date: e.date,
+      description: `${e.label} of the year (${formatTimeInTimezone(e.time, timezone)})`,
+      time: e.time,
+      explanation: e.explanation
+    }));
+}
+
 /**
  * Get the UTC offset in minutes for a date in a specific timezone
  */
@@ -1100,8 +2019,10 @@ function formatTimeInTz(date, timezone) {
  * @returns {Array} Array of DST transitions with date, description, and sun times
  */
 const _dstCache = new LRUCache(CACHE_MAX_SMALL);
+const dstKey = (currentDate, timezone, latitude, longitude, count = 2) =>
+  `${currentDate.getFullYear()}-${currentDate.getMonth()}-${currentDate.getDate()}:${timezone}:${latitude}:${longitude}:${count}`;
 export function findUpcomingDSTChanges(currentDate, timezone, latitude, longitude, count = 2) {
-  const key = `${currentDate.getFullYear()}-${currentDate.getMonth()}-${currentDate.getDate()}:${timezone}:${latitude}:${longitude}:${count}`;
+  const key = dstKey(currentDate, timezone, latitude, longitude, count);
   const cached = _dstCache.get(key);
   if (cached) return cached;
 
@@ -1155,3 +2076,45 @@ export function findUpcomingDSTChanges(currentDate, timezone, latitude, longitud
   _dstCache.set(key, transitions);
   return transitions;
 }
+
+/**
+ * Caches that can be filled with results computed elsewhere (see primeCache)
+ */
+const _primeableCaches = {
+  getSunData: [_sunDataCache, sunDataKey],
+  computeYearData: [_yearDataCache, yearDataKey],
+  findUpcomingSunriseMilestones: [_sunriseMilestonesCache, milestonesKey],
+  findUpcomingSunsetMilestones: [_sunsetMilestonesCache, milestonesKey],
+  findUpcomingDSTChanges: [_dstCache, dstKey],
+};
+
+/**
+ * Store a result computed elsewhere (e.g. in a Web Worker) in this module's cache, so a later
+ * synchronous call with the same arguments returns it without recomputing.
+ * Year data also primes the per-day sun data it contains.
+ * @param {string} fn - Name of a cached function (getSunData, computeYearData, findUpcoming*Milestones, findUpcomingDSTChanges)
+ * @param {Array} args - Arguments the function was called with
+ * @param {*} value - The function's result
+ */
+export function primeCache(fn, args, value) {
+  const entry = _primeableCaches[fn];
+  if (!entry) throw new Error(`No cache for ${fn}`);
+  const [cache, keyOf] = entry;
+  cache.set(keyOf(...args), value);
+  if (fn === 'computeYearData') {
+    const latitude = args[0];
+    for (const day of value) _sunDataCache.set(sunDataKey(day.date, latitude), day);
+  }
+}
+
+/**
+ * Return a cached result without computing it (undefined when not cached)
+ * @param {string} fn - Name of a cached function, as for primeCache
+ * @param {Array} args - Arguments the function would be called with
+ */
+export function peekCache(fn, args) {
+  const entry = _primeableCaches[fn];
+  if (!entry) throw new Error(`No cache for ${fn}`);
+  const [cache, keyOf] = entry;
+  return cache.has(keyOf(...args)) ? cache.get(keyOf(...args)) : undefined;
+}
@@ -0,0 +1,13 @@
+import { SOLAR_TASKS } from './solar-tasks.js';
+
+// Worker entry: runs one named task per message and posts back { id, result } or { id, error }
+self.onmessage = (event) => {
+  const { id, task, args } = event.data;
+  try {
+    const fn = SOLAR_TASKS[task];
+    if (!fn) throw new Error(`Unknown task: ${task}`);
+    self.postMessage({ id, result: fn(...args) });
+  } catch (err) {
+    self.postMessage({ id, error: err?.message ?? String(err) });
+  }
+};
@@ -0,0 +1,392 @@
+/**
+ * NREL Solar Position Algorithm (Reda & Andreas, NREL/TP-560-34302, 2008): topocentric sun
+ * position to ±0.0003° for years -2000 to 6000, and sunrise/transit/sunset per its appendix A.2.
+ *
+ * getPosition and getTimes mirror SunCalc's signatures and results (radians, azimuth measured
+ * from south towards west, Dates) so solar.js can use either library as its engine.
+ */
+
+const RAD = Math.PI / 180;
+const DAY_MS = 86400000;
+const JD_UNIX_EPOCH = 2440587.5;
+const J2000 = 2451545;
+
+// Earth periodic terms [A, B, C]: each series is Σ A·cos(B + C·JME)
+const L_TERMS = [
+  [
+    [175347046, 0, 0], [3341656, 4.6692568, 6283.07585], [34894, 4.6261, 12566.1517], [3497, 2.7441, 5753.3849],
+    [3418, 2.8289, 3.5231], [3136, 3.6277, 77713.7715], [2676, 4.4181, 7860.4194], [2343, 6.1352, 3930.2097],
+    [1324, 0.7425, 11506.7698], [1273, 2.0371, 529.691], [1199, 1.1096, 1577.3435], [990, 5.233, 5884.927],
+    [902, 2.045, 26.298], [857, 3.508, 398.149], [780, 1.179, 5223.694], [753, 2.533, 5507.553],
+    [505, 4.583, 18849.228], [492, 4.205, 775.523], [357, 2.92, 0.067], [317, 5.849, 11790.629],
+    [284, 1.899, 796.298], [271, 0.315, 10977.079], [243, 0.345, 5486.778], [206, 4.806, 2544.314],
+    [205, 1.869, 5573.143], [202, 2.458, 6069.777], [156, 0.833, 213.299], [132, 3.411, 2942.463],
+    [126, 1.083, 20.775], [115, 0.645, 0.98], [103, 0.636, 4694.003], [102, 0.976, 15720.839],
+    [102, 4.267, 7.114], [99, 6.21, 2146.17], [98, 0.68, 155.42], [86, 5.98, 161000.69],
+    [85, 1.3, 6275.96], [85, 3.67, 71430.7], [80, 1.81, 17260.15], [79, 3.04, 12036.46],
+    [75, 1.76, 5088.63], [74, 3.5, 3154.69], [74, 4.68, 801.82], [70, 0.83, 9437.76],
+    [62, 3.98, 8827.39], [61, 1.82, 7084.9], [57, 2.78, 6286.6], [56, 4.39, 14143.5],
+    [56, 3.47, 6279.55], [52, 0.19, 12139.55], [52, 1.33, 1748.02], [51, 0.28, 5856.48],
+    [49, 0.49, 1194.45], [41, 5.37, 8429.24], [41, 2.4, 19651.05], [39, 6.17, 10447.39],
+    [37, 6.04, 10213.29], [37, 2.57, 1059.38], [36, 1.71, 2352.87], [36, 1.78, 6812.77],
+    [33, 0.59, 17789.85], [30, 0.44, 83996.85], [30, 2.74, 1349.87], [25, 3.16, 4690.48]
+  ],
+  [
+    [628331966747, 0, 0], [206059, 2.678235, 6283.07585], [4303, 2.6351, 12566.1517], [425, 1.59, 3.523],
+    [119, 5.796, 26.298], [109, 2.966, 1577.344], [93, 2.59, 18849.23], [72, 1.14, 529.69],
+    [68, 1.87, 398.15], [67, 4.41, 5507.55], [59, 2.89, 5223.69], [56, 2.17, 155.42],
+    [45, 0.4, 796.3], [36, 0.47, 775.52], [29, 2.65, 7.11], [21, 5.34, 0.98],
+    [19, 1.85, 5486.78], [19, 4.97, 213.3], [17, 2.99, 6275.96], [16, 0.03, 2544.31],
+    [16, 1.43, 2146.17], [15, 1.21, 10977.08], [12, 2.83, 1748.02], [12, 3.26, 5088.63],
+    [12, 5.27, 1194.45], [12, 2.08, 4694], [11, 0.77, 553.57], [10, 1.3, 6286.6],
+    [10, 4.24, 1349.87], [9, 2.7, 242.73], [9, 5.64, 951.72], [8, 5.3, 2352.87],
+    [6, 2.65, 9437.76], [6, 4.67, 4690.48]
+  ],
+  [
+    [52919, 0, 0], [8720, 1.0721, 6283.0758], [309, 0.867, 12566.152], [27, 0.05, 3.52],
+    [16, 5.19, 26.3], [16, 3.68, 155.42], [10, 0.76, 18849.23], [9, 2.06, 77713.77],
+    [7, 0.83, 775.52], [5, 4.66, 1577.34], [4, 1.03, 7.11], [4, 3.44, 5573.14],
+    [3, 5.14, 796.3], [3, 6.05, 5507.55], [3, 1.19, 242.73], [3, 6.12, 529.69],
+    [3, 0.31, 398.15], [3, 2.28, 553.57], [2, 4.38, 5223.69], [2, 3.75, 0.98]
+  ],
+  [
+    [289, 5.844, 6283.076], [35, 0, 0], [17, 5.49, 12566.15], [3, 5.2, 155.42],
+    [1, 4.72, 3.52], [1, 5.3, 18849.23], [1, 5.97, 242.73]
+  ],
+  [[114, 3.142, 0], [8, 4.13, 6283.08], [1, 3.84, 12566.15]],
+  [[1, 3.14, 0]]
+];
+
+const B_TERMS = [
+  [[280, 3.199, 84334.662], [102, 5.422, 5507.553], [80, 3.88, 5223.69], [44, 3.7, 2352.87], [32, 4, 1577.34]],
+  [[9, 3.9, 5507.55], [6, 1.73, 5223.69]]
+];
+
+const R_TERMS = [
+  [
+    [100013989, 0, 0], [1670700, 3.0984635, 6283.07585], [13956, 3.05525, 12566.1517], [3084, 5.1985, 77713.7715],
+    [1628, 1.1739, 5753.3849], [1576, 2.8469, 7860.4194], [925, 5.453, 11506.77], [542, 4.564, 3930.21],
+    [472, 3.661, 5884.927], [346, 0.964, 5507.553], [329, 5.9, 5223.694], [307, 0.299, 5573.143],
+    [243, 4.273, 11790.629], [212, 5.847, 1577.344], [186, 5.022, 10977.079], [175, 3.012, 18849.228],
+    [110, 5.055, 5486.778], [98, 0.89, 6069.78], [86, 5.69, 15720.84], [86, 1.27, 161000.69],
+    [65, 0.27, 17260.15], [63, 0.92, 529.69], [57, 2.01, 83996.85], [56, 5.24, 71430.7],
+    [49, 3.25, 2544.31], [47, 2.58, 775.52], [45, 5.54, 9437.76], [43, 6.01, 6275.96],
+    [39, 5.36, 4694], [38, 2.39, 8827.39], [37, 0.83, 19651.05], [37, 4.9, 12139.55],
+    [36, 1.67, 12036.46], [35, 1.84, 2942.46], [33, 0.24, 7084.9], [32, 0.18, 5088.63],
+    [32, 1.78, 398.15], [28, 1.21, 6286.6], [28, 1.9, 6279.55], [26, 4.59, 10447.39]
+  ],
+  [
+    [103019, 1.10749, 6283.07585], [1721, 1.0644, 12566.1517], [702, 3.142, 0], [32, 1.02, 18849.23],
+    [31, 2.84, 5507.55], [25, 1.32, 5223.69], [18, 1.42, 1577.34], [10, 5.91, 10977.08],
+    [9, 1.42, 6275.96], [9, 0.27, 5486.78]
+  ],
+  [[4359, 5.7846, 6283.0758], [124, 5.579, 12566.152], [12, 3.14, 0], [9, 3.63, 77713.77], [6, 1.87, 5573.14], [3, 5.47, 18849.23]],
+  [[145, 4.273, 6283.076], [7, 3.92, 12566.15]],
+  [[4, 2.56, 6283.08]]
+];
+
+// Nutation: multiples of the arguments X0–X4 [D, M, M', F, Ω] and the coefficients
+// [a, b, c, d] of Δψ = Σ(a + b·JCE)·sin(...) and Δε = Σ(c + d·JCE)·cos(...), in 0.0001″
+const NUTATION_Y = [
+  [0, 0, 0, 0, 1], [-2, 0, 0, 2, 2], [0, 0, 0, 2, 2], [0, 0, 0, 0, 2], [0, 1, 0, 0, 0], [0, 0, 1, 0, 0],
+  [-2, 1, 0, 2, 2], [0, 0, 0, 2, 1], [0, 0, 1, 2, 2], [-2, -1, 0, 2, 2], [-2, 0, 1, 0, 0], [-2, 0, 0, 2, 1],
+  [0, 0, -1, 2, 2], [2, 0, 0, 0, 0], [0, 0, 1, 0, 1], [2, 0, -1, 2, 2], [0, 0, -1, 0, 1], [0, 0, 1, 2, 1],
+  [-2, 0, 2, 0, 0], [0, 0, -2, 2, 1], [2, 0, 0, 2, 2], [0, 0, 2, 2, 2], [0, 0, 2, 0, 0], [-2, 0, 1, 2, 2],
+  [0, 0, 0, 2, 0], [-2, 0, 0, 2, 0], [0, 0, -1, 2, 1], [0, 2, 0, 0, 0], [2, 0, -1, 0, 1], [-2, 2, 0, 2, 2],
+  [0, 1, 0, 0, 1], [-2, 0, 1, 0, 1], [0, -1, 0, 0, 1], [0, 0, 2, -2, 0], [2, 0, -1, 2, 1], [2, 0, 1, 2, 2],
+  [0, 1, 0, 2, 2], [-2, 1, 1, 0, 0], [0, -1, 0, 2, 2], [2, 0, 0, 2, 1], [2, 0, 1, 0, 0], [-2, 0, 2, 2, 2],
+  [-2, 0, 1, 2, 1], [2, 0, -2, 0, 1], [2, 0, 0, 0, 1], [0, -1, 1, 0, 0], [-2, -1, 0, 2, 1], [-2, 0, 0, 0, 1],
+  [0, 0, 2, 2, 1], [-2, 0, 2, 0, 1], [-2, 1, 0, 2, 1], [0, 0, 1, -2, 0], [-1, 0, 1, 0, 0], [-2, 1, 0, 0, 0],
+  [1, 0, 0, 0, 0], [0, 0, 1, 2, 0], [0, 0, -2, 2, 2], [-1, -1, 1, 0, 0], [0, 1, 1, 0, 0], [0, -1, 1, 2, 2],
+  [2, -1, -1, 2, 2], [0, 0, 3, 2, 2], [2, -1, 0, 2, 2]
+];
+
+const NUTATION_PE = [
+  [-171996, -174.2, 92025, 8.9], [-13187, -1.6, 5736, -3.1], [-2274, -0.2, 977, -0.5], [2062, 0.2, -895, 0.5],
+  [1426, -3.4, 54, -0.1], [712, 0.1, -7, 0], [-517, 1.2, 224, -0.6], [-386, -0.4, 200, 0],
+  [-301, 0, 129, -0.1], [217, -0.5, -95, 0.3], [-158, 0, 0, 0], [129, 0.1, -70, 0],
+  [123, 0, -53, 0], [63, 0, 0, 0], [63, 0.1, -33, 0], [-59, 0, 26, 0],
+  [-58, -0.1, 32, 0], [-51, 0, 27, 0], [48, 0, 0, 0], [46, 0, -24, 0],
+  [-38, 0, 16, 0], [-31, 0, 13, 0], [29, 0, 0, 0], [29, 0, -12, 0],
+  [26, 0, 0, 0], [-22, 0, 0, 0], [21, 0, -10, 0], [17, -0.1, 0, 0],
+  [16, 0, -8, 0], [-16, 0.1, 7, 0], [-15, 0, 9, 0], [-13, 0, 7, 0],
+  [-12, 0, 6, 0], [11, 0, 0, 0], [-10, 0, 5, 0], [-8, 0, 3, 0],
+  [7, 0, -3, 0], [-7, 0, 0, 0], [-7, 0, 3, 0], [-7, 0, 3, 0],
+  [6, 0, 0, 0], [6, 0, -3, 0], [6, 0, -3, 0], [-6, 0, 3, 0],
+  [-6, 0, 3, 0], [5, 0, 0, 0], [-5, 0, 3, 0], [-5, 0, 3, 0],
+  [-5, 0, 3, 0], [4, 0, 0, 0], [4, 0, 0, 0], [4, 0, 0, 0],
+  [-4, 0, 0, 0], [-4, 0, 0, 0], [-4, 0, 0, 0], [3, 0, 0, 0],
+  [-3, 0, 0, 0], [-3, 0, 0, 0], [-3, 0, 0, 0], [-3, 0, 0, 0],
+  [-3, 0, 0, 0], [-3, 0, 0, 0], [-3, 0, 0, 0]
+];
+
+const limitDegrees = (deg) => ((deg % 360) + 360) % 360;
+const limitDegrees180 = (deg) => limitDegrees(deg + 180) - 180;
+
+// Σ over series i of (Σ A·cos(B + C·JME))·JME^i, divided by 1e8
+function earthValue(series, jme) {
+  let sum = 0;
+  for (let i = series.length - 1; i >= 0; i--) {
+    let s = 0;
+    for (const [a, b, c] of series[i]) s += a * Math.cos(b + c * jme);
+    sum = sum * jme + s;
+  }
+  return sum / 1e8;
+}
+
+/**
+ * ΔT = TT − UT in seconds (Espenak & Meeus polynomials; a parabola outside 1900–2150)
+ * @param {number} year - Decimal year
+ * @returns {number}
+ */
+export function getDeltaT(year) {
+  if (year >= 2005 && year < 2050) {
+    const t = year - 2000;
+    return 62.92 + 0.32217 * t + 0.005589 * t * t;
+  }
+  if (year >= 1986 && year < 2005) {
+    const t = year - 2000;
+    return 63.86 + 0.3345 * t - 0.060374 * t ** 2 + 0.0017275 * t ** 3 + 0.000651814 * t ** 4 + 0.00002373599 * t ** 5;
+  }
+  if (year >= 1961 && year < 1986) {
+    const t = year - 1975;
+    return 45.45 + 1.067 * t - t ** 2 / 260 - t ** 3 / 718;
+  }
+  if (year >= 1941 && year < 1961) {
+    const t = year - 1950;
+    return 29.07 + 0.407 * t - t ** 2 / 233 + t ** 3 / 2547;
+  }
+  if (year >= 1920 && year < 1941) {
+    const t = year - 1920;
+    return 21.2 + 0.84493 * t - 0.0761 * t ** 2 + 0.0020936 * t ** 3;
+  }
+  if (year >= 1900 && year < 1920) {
+    const t = year - 1900;
+    return -2.79 + 1.494119 * t - 0.0598939 * t ** 2 + 0.0061966 * t ** 3 - 0.000197 * t ** 4;
+  }
+  const u = (year - 1820) / 100;
+  if (year >= 2050 && year < 2150) return -20 + 32 * u * u - 0.5628 * (2150 - year);
+  return -20 + 32 * u * u;
+}
+
+// Decimal year of a Julian date (close enough for ΔT)
+const yearOfJulianDate = (jd) => 2000 + (jd - J2000) / 365.25;
+
+/**
+ * Geocentric sun: right ascension, declination (degrees), Earth–sun distance (AU),
+ * nutation in longitude and true obliquity (degrees), for a Julian ephemeris date
+ */
+function geocentricSun(jde) {
+  const jce = (jde - J2000) / 36525;
+  const jme = jce / 10;
+
+  const L = limitDegrees(earthValue(L_TERMS, jme) / RAD);
+  const B = earthValue(B_TERMS, jme) / RAD;
+  const R = earthValue(R_TERMS, jme);
+
+  const theta = limitDegrees(L + 180);
+  const beta = -B;
+
+  const x = [
+    297.85036 + 445267.11148 * jce - 0.0019142 * jce ** 2 + jce ** 3 / 189474,
+    357.52772 + 35999.05034 * jce - 0.0001603 * jce ** 2 - jce ** 3 / 300000,
+    134.96298 + 477198.867398 * jce + 0.0086972 * jce ** 2 + jce ** 3 / 56250,
+    93.27191 + 483202.017538 * jce - 0.0036825 * jce ** 2 + jce ** 3 / 327270,
+    125.04452 - 1934.136261 * jce + 0.0020708 * jce ** 2 + jce ** 3 / 450000
+  ];
+  let sumPsi = 0;
+  let sumEps = 0;
+  for (let i = 0; i < NUTATION_Y.length; i++) {
+    const y = NUTATION_Y[i];
+    const arg = (x[0] * y[0] + x[1] * y[1] + x[2] * y[2] + x[3] * y[3] + x[4] * y[4]) * RAD;
+    const [a, b, c, d] = NUTATION_PE[i];
+    sumPsi += (a + b * jce) * Math.sin(arg);
+    sumEps += (c + d * jce) * Math.cos(arg);
+  }
+  const deltaPsi = sumPsi / 36000000;
+  const deltaEps = sumEps / 36000000;
+
+  const u = jme / 10;
+  const eps0 = 84381.448 + u * (-4680.93 + u * (-1.55 + u * (1999.25 + u * (-51.38 + u * (-249.67 +
+    u * (-39.05 + u * (7.12 + u * (27.87 + u * (5.79 + u * 2.45)))))))));
+  const epsilon = eps0 / 3600 + deltaEps;
+
+  // Aberration, then apparent longitude
+  const lambda = theta + deltaPsi - 20.4898 / (3600 * R);
+
+  const lr = lambda * RAD;
+  const er = epsilon * RAD;
+  const br = beta * RAD;
+  const alpha = limitDegrees(Math.atan2(Math.sin(lr) * Math.cos(er) - Math.tan(br) * Math.sin(er), Math.cos(lr)) / RAD);
+  const delta = Math.asin(Math.sin(br) * Math.cos(er) + Math.cos(br) * Math.sin(er) * Math.sin(lr)) / RAD;
+
+  return { alpha, delta, R, deltaPsi, epsilon };
+}
+
+// Apparent sidereal time at Greenwich (degrees) for a Julian (UT) date
+function siderealTime(jd, deltaPsi, epsilon) {
+  const jc = (jd - J2000) / 36525;
+  const nu0 = limitDegrees(280.46061837 + 360.98564736629 * (jd - J2000) + 0.000387933 * jc ** 2 - jc ** 3 / 38710000);
+  return nu0 + deltaPsi * Math.cos(epsilon * RAD);
+}
+
+/**
+ * Full topocentric solar position
+ * @param {Date} date
+ * @param {number} latitude
+ * @param {number} longitude - East positive
+ * @param {Object} [options]
+ * @param {number} [options.elevation=0] - Observer elevation in meters
+ * @param {number} [options.pressure=1010] - Millibars, for refraction
+ * @param {number} [options.temperature=10] - °C, for refraction
+ * @param {number} [options.deltaT] - TT − UT in seconds (default from getDeltaT)
+ * @returns {{zenith: number, azimuth: number, elevation: number, trueElevation: number,
+ *   rightAscension: number, declination: number, hourAngle: number, distance: number}}
+ *   Degrees (azimuth from north, eastward; elevation with refraction, trueElevation without); distance in AU
+ */
+export function getSolarPosition(date, latitude, longitude, { elevation = 0, pressure = 1010, temperature = 10, deltaT } = {}) {
+  const jd = date.getTime() / DAY_MS + JD_UNIX_EPOCH;
+  const dt = deltaT ?? getDeltaT(yearOfJulianDate(jd));
+  const sun = geocentricSun(jd + dt / 86400);
+  const nu = siderealTime(jd, sun.deltaPsi, sun.epsilon);
+  const H = limitDegrees(nu + longitude - sun.alpha);
+
+  // Parallax for an observer on the ellipsoid
+  const phi = latitude * RAD;
+  const xi = (8.794 / (3600 * sun.R)) * RAD;
+  const u = Math.atan(0.99664719 * Math.tan(phi));
+  const x = Math.cos(u) + (elevation / 6378140) * Math.cos(phi);
+  const y = 0.99664719 * Math.sin(u) + (elevation / 6378140) * Math.sin(phi);
+  const hr = H * RAD;
+  const dr = sun.delta * RAD;
+  const deltaAlpha = Math.atan2(-x * Math.sin(xi) * Math.sin(hr), Math.cos(dr) - x * Math.sin(xi) * Math.cos(hr));
+  const deltaPrime = Math.atan2((Math.sin(dr) - y * Math.sin(xi)) * Math.cos(deltaAlpha), Math.cos(dr) - x * Math.sin(xi) * Math.cos(hr));
+  const hPrime = hr - deltaAlpha;
+
+  const e0 = Math.asin(Math.sin(phi) * Math.sin(deltaPrime) + Math.cos(phi) * Math.cos(deltaPrime) * Math.cos(hPrime)) / RAD;
+  const refraction = e0 >= -(0.26667 + 0.5667)
+    ? (pressure / 1010) * (283 / (273 + temperature)) * 1.02 / (60 * Math.tan((e0 + 10.3 / (e0 + 5.11)) * RAD))
+    : 0;
+  const e = e0 + refraction;
+
+  const gamma = Math.atan2(Math.sin(hPrime), Math.cos(hPrime) * Math.sin(phi) - Math.tan(deltaPrime) * Math.cos(phi)) / RAD;
+
+  return {
+    zenith: 90 - e,
+    azimuth: limitDegrees(gamma + 180),
+    elevation: e,
+    trueElevation: e0,
+    rightAscension: sun.alpha + deltaAlpha / RAD,
+    declination: deltaPrime / RAD,
+    hourAngle: limitDegrees(hPrime / RAD),
+    distance: sun.R
+  };
+}
+
+/**
+ * SunCalc-compatible sun position: azimuth from south towards west and the true
+ * (unrefracted) altitude, both in radians, like SunCalc.getPosition
+ * @param {Date} date
+ * @param {number} latitude
+ * @param {number} longitude
+ * @returns {{azimuth: number, altitude: number}}
+ */
+export function getPosition(date, latitude, longitude) {
+  const pos = getSolarPosition(date, latitude, longitude);
+  return {
+    azimuth: limitDegrees180(pos.azimuth - 180) * RAD,
+    altitude: pos.trueElevation * RAD
+  };
+}
+
+/** SunCalc's default sun times: [altitude, morning name, evening name] */
+export const DEFAULT_SUN_TIMES = [
+  [-0.833, 'sunrise', 'sunset'],
+  [-0.3, 'sunriseEnd', 'sunsetStart'],
+  [-6, 'dawn', 'dusk'],
+  [-12, 'nauticalDawn', 'nauticalDusk'],
+  [-18, 'nightEnd', 'night'],
+  [6, 'goldenHourEnd', 'goldenHour']
+];
+
+/**
+ * SunCalc-compatible sun times around the solar transit nearest to a date: solarNoon, nadir and
+ * a morning/evening Date for each altitude in `times` (Invalid Date when the sun doesn't reach it).
+ * Uses the SPA's interpolated rise/transit/set method (appendix A.2); like SunCalc, observer
+ * height lowers every altitude by the horizon dip.
+ * @param {Date} date
+ * @param {number} latitude
+ * @param {number} longitude
+ * @param {number} [height=0] - Observer height in meters
+ * @param {Array<[number, string, string]>} [times=DEFAULT_SUN_TIMES]
+ * @returns {Object<string, Date>}
+ */
+export function getTimes(date, latitude, longitude, height = 0, times = DEFAULT_SUN_TIMES) {
+  // UT day holding the transit nearest to the date (local noon is about -longitude/360 days from 12:00 UT)
+  const transitGuess = 0.5 - longitude / 360;
+  const day0 = Math.round(date.getTime() / DAY_MS - transitGuess);
+  const jd0 = day0 + JD_UNIX_EPOCH;
+  const deltaT = getDeltaT(yearOfJulianDate(jd0));
+
+  const now = geocentricSun(jd0);
+  const nu = siderealTime(jd0, now.deltaPsi, now.epsilon);
+  const prev = geocentricSun(jd0 - 1);
+  const next = geocentricSun(jd0 + 1);
+
+  // Interpolation differences, taking the 360° wrap of right ascension into account
+  const wrap = (d) => (Math.abs(d) > 2 ? d - Math.round(d / 360) * 360 : d);
+  const a = wrap(now.alpha - prev.alpha);
+  const b = wrap(next.alpha - now.alpha);
+  const aPrime = now.delta - prev.delta;
+  const bPrime = next.delta - now.delta;
+
+  const phi = latitude * RAD;
+  // Sun's hour angle, declination and altitude at fraction m of the UT day
+  const at = (m) => {
+    const n = m + deltaT / 86400;
+    const alpha = now.alpha + (n * (a + b + (b - a) * n)) / 2;
+    const delta = now.delta + (n * (aPrime + bPrime + (bPrime - aPrime) * n)) / 2;
+    const H = limitDegrees180(nu + 360.985647 * m + longitude - alpha);
+    const dr = delta * RAD;
+    const h = Math.asin(Math.sin(phi) * Math.sin(dr) + Math.cos(phi) * Math.cos(dr) * Math.cos(H * RAD)) / RAD;
+    return { H, delta: dr, h };
+  };
+
+  let m0 = (now.alpha - longitude - nu) / 360;
+  m0 -= Math.round(m0 - transitGuess);
+  const transit = m0 - at(m0).H / 360;
+  const toDate = (m) => new Date((day0 + m) * DAY_MS);
+
+  const result = {
+    solarNoon: toDate(transit),
+    nadir: toDate(transit - 0.5)
+  };
+
+  const dip = height > 0 ? 2.076 * Math.sqrt(height) / 60 : 0;
+  const delta0 = now.delta * RAD;
+  for (const [altitude, riseName, setName] of times) {
+    const h0 = altitude - dip;
+    const cosH0 = (Math.sin(h0 * RAD) - Math.sin(phi) * Math.sin(delta0)) / (Math.cos(phi) * Math.cos(delta0));
+    if (Math.abs(cosH0) > 1) {
+      result[riseName] = new Date(NaN);
+      result[setName] = new Date(NaN);
+      continue;
+    }
+    const H0 = Math.acos(cosH0) / RAD;
+    // Correction from the transit ± H0 estimate (A.2 equations A24–A25), repeated until it
+    // settles: a single step can be minutes off where the sun grazes the altitude near the poles
+    const correct = (m) => {
+      for (let i = 0; i < 10; i++) {
+        const s = at(m);
+        const step = (s.h - h0) / (360 * Math.cos(s.delta) * Math.cos(phi) * Math.sin(s.H * RAD));
+        if (!Number.isFinite(step)) break;
+        m += Math.max(-0.02, Math.min(0.02, step));
+        if (Math.abs(step) < 1e-6) break;
+      }
+      return m;
+    };
+    result[riseName] = toDate(correct(m0 - H0 / 360));
+    result[setName] = toDate(correct(m0 + H0 / 360));
+  }
+  return result;
+}
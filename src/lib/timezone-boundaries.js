@@ -0,0 +1,421 @@
+// Auto-generated from timezone-boundary-builder (all IANA zones, via the geo-tz package),
+// merged per zone, simplified to ~0.1° (finer for small rings) and rounded to 0.1°; zones include territorial waters.
+// Equirectangular projection: x = longitude (-180..180), y = -latitude (-90..90).
+// Do not edit by hand.
+export const TIMEZONE_BOUNDARY_PATHS = [
+  ["Africa/Abidjan", "M-8.6 -6.5L-7.9 -6.3 -7.7 -5.9 -7.4 -5.8 -7.4 -5.3 -7.6 -4.9 -7.5 -4.2 -5.8 -4.8 -4 -5 -3.1 -4.9 -3.1 -5.1 -2.7 -5.1 -2.8 -5.6 -3 -5.7 -3.3 -6.6 -2.8 -8 -2.5 -8.2 -2.6 -8.9 -2.8 -9.1 -2.7 -9.5 -2.8 -9.5 -3.2 -9.9 -4.1 -9.8 -4.3 -9.6 -4.5 -9.8 -4.7 -9.7 -5 -9.9 -5.1 -10.3 -5.6 -10.5 -6.2 -10.2 -6.2 -10.7 -6.4 -10.6 -6.6 -10.7 -6.6 -10.4 -6.9 -10.4 -7 -10.2 -7.6 -10.5 -8.1 -10.1 -8.1 -9.5 -7.8 -9.4 -7.9 -9.2 -7.7 -9.1 -8 -8.8 -7.7 -8.6 -7.6 -8.4 -8.2 -8.5 -8.2 -8.2 -8 -8.2 -7.9 -8 -8.1 -8 -8.2 -7.5 -8.5 -7.6 -8.3 -7Z"],
+  ["Africa/Accra", "M-3.3 -6.6L-3 -5.7 -2.8 -5.6 -2.7 -5.4 -2.7 -5.1 -3.1 -5.1 -3.1 -4.9 -2.1 -4.5 0.3 -5.6 1.1 -5.6 1.3 -5.9 1.2 -6.2 0.7 -6.4 0.5 -6.8 0.7 -7.3 0.5 -7.5 0.6 -8.2 0.7 -8.3 0.4 -8.8 0.5 -8.9 0.5 -9.4 0.2 -9.5 0.4 -9.6 0.4 -10.3 -0.1 -10.6 0 -11.1 -0.3 -11.2 -0.6 -10.9 -2.8 -11 -2.9 -10.6 -2.8 -10.4 -2.7 -9.3 -2.8 -9.1 -2.6 -8.9 -2.5 -8.2 -2.8 -8Z"],
+  ["Africa/Addis_Ababa", "M33 -7.9L33 -7.8 33.9 -7.5 34.2 -7 34.9 -6.6 35 -5.9 35.3 -5.3 35.7 -5.4 35.8 -5.1 35.8 -4.8 36 -4.4 36.8 -4.4 38.1 -3.6 38.5 -3.7 39.6 -3.4 39.9 -3.9 40.8 -4.3 41.2 -3.9 41.8 -3.9 42.1 -4.2 42.8 -4.3 43.1 -4.6 43.6 -4.8 45 -4.9 45.4 -5.5 48 -8 47 -8 44 -9 43.5 -9.4 42.8 -10.3 42.7 -10.6 43 -11 42.6 -11.1 41.8 -11 41.8 -11.7 42.4 -12.5 40.9 -14.1 40.1 -14.5 39.9 -14.4 39.6 -14.6 39.3 -14.4 39.2 -14.7 38.5 -14.4 37.9 -14.9 37.5 -14.2 37.3 -14.4 37 -14.3 36.6 -14.3 36.1 -12.7 35.7 -12.7 35.1 -11.8 34.9 -10.7 34.6 -10.9 34.3 -10.6 34.3 -10.1 34.1 -9.6 34.2 -8.6 33.8 -8.4 33.2 -8.4 33.2 -8.1Z"],
+  ["Africa/Algiers", "M-8.7 -28.2L-8.7 -27.3 1.2 -21.1 1.2 -20.7 1.6 -20.6 1.8 -20.3 2.2 -20.3 2.4 -20 2.7 -20.1 3.3 -19.8 3.1 -19.2 3.3 -19 5.8 -19.4 7.5 -20.8 12 -23.5 11.6 -24.3 11.4 -24.2 10.9 -24.6 10.2 -24.7 10 -25.4 9.4 -26.2 9.9 -26.6 9.8 -27.4 10 -27.9 9.8 -29.4 9.4 -30.1 9.6 -30.2 9.1 -32.1 8.4 -32.5 8.3 -32.8 7.8 -33.2 7.5 -33.8 7.5 -34.1 8.3 -34.7 8.2 -34.9 8.5 -35.2 8.3 -35.3 8.3 -35.9 8.4 -36.4 8.2 -36.5 8.4 -36.6 8.4 -36.8 8.7 -36.8 8.6 -37.1 7.4 -37.3 6.8 -37.2 6.4 -37.3 5.5 -37 3.9 -37.1 1 -36.7 0 -36.2 -1.3 -35.9 -1.7 -35.5 -2.2 -35.3 -2.2 -35 -1.7 -34.7 -1.9 -34.6 -1.7 -34.5 -1.7 -33.3 -1.4 -32.8 -1 -32.5 -1.2 -32.3 -1.3 -32.2 -1.2 -32.1 -2.9 -32.1 -2.8 -31.8 -3.7 -31.6 -3.8 -31.2 -3.5 -31 -3.7 -30.7 -4.3 -30.5 -5.2 -29.9 -5.6 -29.5 -5.8 -29.6 -7.6 -29.4 -8.7 -28.7Z"],
+  ["Africa/Asmara", "M36.4 -15.2L36.6 -14.3 37 -14.3 37.3 -14.4 37.5 -14.2 37.9 -14.9 38.5 -14.4 39.2 -14.7 39.3 -14.4 39.5 -14.5 39.6 -14.6 39.9 -14.4 40.1 -14.5 40.2 -14.4 40.9 -14.1 42.4 -12.5 42.7 -12.4 43.3 -12.8 42.8 -13.3 42.6 -13.7 42.5 -13.7 41.3 -14.8 40.7 -15.2 41.1 -15.4 41 -15.8 40.4 -16.2 40.3 -16.7 39.6 -16.7 39.3 -16.8 38.8 -18.1 38.5 -17.9 38.3 -17.5 37.5 -17.3 37.4 -17.1 37 -17.1 37 -16.3Z"],
+  ["Africa/Bamako", "M-12.2 -14.8L-12.2 -14.4 -12 -14.2 -12 -13.6 -11.8 -13.3 -11.6 -13.4 -11.4 -13 -11.5 -12.2 -11.3 -12 -10.9 -12.2 -10.7 -11.9 -10.3 -12.2 -9.7 -12 -9.3 -12.2 -9.4 -12.5 -9 -12.5 -8.8 -12 -8.8 -11.7 -8.4 -11.4 -8.7 -11 -8.3 -11 -8.3 -10.6 -8 -10.3 -8 -10.2 -7.6 -10.5 -7 -10.2 -6.9 -10.4 -6.6 -10.4 -6.6 -10.7 -6.4 -10.6 -6.2 -10.7 -6.2 -10.6 -6.1 -10.2 -5.5 -10.4 -5.5 -11.1 -5.2 -11.4 -5.4 -11.8 -4.7 -12 -4.4 -12.3 -4.5 -12.7 -4.2 -12.8 -4.3 -13.1 -4 -13.5 -4 -13.4 -3.4 -13.2 -3.2 -13.3 -3.3 -13.7 -2.9 -13.7 -2.8 -14.1 -2.5 -14.3 -2 -14.2 -2 -14.5 -1.1 -14.8 -0.7 -15.1 0.7 -14.9 1.3 -15.3 3.5 -15.4 3.9 -15.7 4.2 -16.4 4.3 -19.1 3.3 -19 3.1 -19.2 3.3 -19.8 2.7 -20.1 2.4 -20 2.2 -20.3 1.8 -20.3 1.6 -20.6 1.2 -20.7 1.2 -21.1 -4.8 -25 -6.6 -25 -5.6 -16.5 -5.3 -16.3 -5.5 -15.5 -9.3 -15.5 -9.3 -15.7 -9.4 -15.4 -10.7 -15.4 -10.9 -15.1 -11.5 -15.6 -11.7 -15.5 -11.8 -14.9Z"],
+  ["Africa/Bangui", "M14.4 -6L14.6 -5.9 14.5 -5.3 14.7 -5.2 14.7 -4.6 15.1 -4.3 15.2 -3.7 16 -3 16.2 -2.2 16.5 -2.8 16.6 -3.5 17.4 -3.6 17.5 -3.7 18.2 -3.5 18.5 -3.7 18.6 -3.5 18.5 -4.3 19.4 -5.1 20.2 -4.9 20.6 -4.4 21.7 -4.3 22.3 -4.1 22.5 -4.2 22.6 -4.5 23 -4.8 23.4 -4.6 24.3 -4.9 24.4 -5.1 24.7 -4.9 25.1 -4.9 25.3 -5 25.4 -5.3 25.5 -5.4 25.9 -5.2 26.1 -5.3 26.5 -5 26.7 -5.1 26.9 -5 27.1 -5.2 27.5 -5 27.2 -5.7 26.4 -6.1 26.5 -6.2 26.3 -6.5 26.4 -6.7 25.2 -7.5 25.2 -7.9 24.9 -8.2 24.2 -8.3 24.3 -8.7 23.5 -8.7 23.6 -9 23.4 -9 23.7 -9.3 23.7 -9.9 22.9 -10.9 22.5 -11 21.7 -10.6 21.7 -10.3 20.4 -9.1 19 -9 18.9 -8.9 19.1 -8.7 18.6 -8.1 17.7 -8 16.8 -7.5 16.6 -7.9 16 -7.5 15.5 -7.5 14.8 -6.3Z"],
+  ["Africa/Banjul", "M-17 -13.4L-17 -13.1 -16.8 -13.1 -16.7 -13.2 -15.8 -13.2 -15.8 -13.3 -15.3 -13.4 -15.1 -13.6 -14.8 -13.4 -14.2 -13.2 -13.9 -13.3 -13.8 -13.5 -14 -13.6 -14.3 -13.5 -14.5 -13.6 -14.7 -13.6 -14.9 -13.8 -15.1 -13.8 -15.3 -13.7 -15.4 -13.8 -15.5 -13.6 -16.9 -13.6Z"],
+  ["Africa/Bissau", "M-16.9 -12.2L-16.6 -11.2 -15.8 -10.7 -15.3 -10.7 -15 -11 -14.7 -11.5 -13.7 -11.8 -13.7 -12 -14 -12.2 -13.7 -12.3 -13.7 -12.7 -15.2 -12.7 -15.7 -12.4 -16.2 -12.5Z"],
+  ["Africa/Blantyre", "M32.7 13.6L33 14.1 33.1 13.9 33.3 14 33.7 14.6 34.4 14.4 34.5 14.6 34.6 15.3 34.3 15.9 34.4 16.3 35.2 16.8 35.1 17.1 35.3 17.1 35.1 16.6 35.4 16.1 35.8 16 35.8 15.2 35.9 14.9 35.1 13.7 34.6 13.3 34.4 12.2 34.6 11.6 35 11.6 34.6 11.1 34.7 10.8 34.5 10.1 34 9.5 33.9 9.7 33 9.4 33.7 10.6 33.2 10.9 33.4 11.2 33.2 11.4 33.3 12.1 33.5 12.4 33 12.7 33 13.2ZM33.7 12L33.7 10.2 34.5 10.2 34.5 12ZM33.7 12L34.5 12 34.5 10.2 33.7 10.2Z"],
+  ["Africa/Brazzaville", "M11 4.1L11.6 4.6 11.8 5.1 12.4 4.6 12.8 4.5 12.8 4.3 13.4 4.9 13.7 4.7 13.7 4.4 13.9 4.5 14.4 4.3 14.4 4.9 14.7 4.9 15.2 4.3 15.9 3.9 16.2 3.3 16.2 2.2 16.9 1.2 17.3 1 17.7 0.6 17.7 0.2 18 -0.4 17.8 -1 18.1 -1.5 18.1 -2.2 18.6 -3.1 18.6 -3.5 18.5 -3.7 18.2 -3.5 17.5 -3.7 17.4 -3.6 16.6 -3.5 16.5 -2.8 16.1 -2.2 16.1 -1.7 15.7 -1.9 14.9 -2 14.6 -2.2 13.3 -2.2 13.2 -1.2 13.8 -1.4 14.3 -1.3 14.5 -0.8 14 -0.3 13.8 0.2 14.5 0.6 14.5 1.7 14.1 2.5 13.9 2.5 13.8 2.1 13.5 2.4 13 2.4 12.8 1.9 12.4 1.9 12.5 2.5 11.9 2.4 11.7 2.6 11.5 2.4 11.5 2.8 11.8 3.1 11.7 3.2 12 3.3 11.9 3.6 11.7 3.7 11.4 3.5Z"],
+  ["Africa/Bujumbura", "M29 2.8L29.3 3.1 29.2 3.9 29.4 4.4 29.8 4.5 30 4.3 30.4 3.8 30.4 3.6 30.8 3.3 30.8 3 30.4 2.9 30.5 2.7 30.4 2.7 30.5 2.4 30.5 2.3 30.1 2.4 30 2.3 29.9 2.7 29.8 2.8 29.4 2.8 29.3 2.7 29.1 2.6Z"],
+  ["Africa/Cairo", "M24.6 -30.1L25 -29.2 25 -22 33.2 -22 33.6 -21.7 34 -21.8 34.1 -22 36.7 -22 37.1 -22.1 36.6 -23 36.5 -23.7 36 -24 35.8 -24.4 35.4 -24.7 34.5 -26.2 34.2 -26.9 34.9 -29.5 34.2 -31.3 34.1 -31.5 32.7 -31.3 32 -31.7 31 -31.8 30.3 -31.7 29 -31.1 25.9 -31.8 25.1 -31.7 24.9 -31.4 25 -30.8ZM34.6 -26.3L34.7 -26.2 34.9 -26.1 35 -26.2 35.1 -26.3 35 -26.5 34.8 -26.5 34.7 -26.5Z"],
+  ["Africa/Casablanca", "M-13.4 -27.6L-8.7 -27.7 -8.7 -28.7 -7.6 -29.4 -5.8 -29.6 -5.6 -29.5 -4.9 -30.1 -4.3 -30.5 -3.7 -30.7 -3.5 -31 -3.8 -31.2 -3.7 -31.6 -2.8 -31.8 -2.9 -32.1 -1.2 -32.1 -1.3 -32.2 -1.2 -32.3 -1 -32.5 -1.4 -32.8 -1.7 -33.3 -1.6 -33.6 -1.7 -33.7 -1.6 -34.1 -1.8 -34.7 -1.7 -34.7 -2.2 -35 -2.2 -35.3 -2.6 -35.4 -3 -35.3 -2.7 -35.5 -2.9 -35.6 -3.3 -35.4 -4.6 -35.4 -5.4 -36 -6.1 -36 -7 -34.2 -8.7 -33.4 -9.5 -32.6 -9.6 -32.2 -10.1 -31.4 -10.1 -30.6 -9.8 -30.3 -10.4 -29.5 -11.6 -28.5 -13 -28.1Z"],
+  ["Africa/Ceuta", "M-5.4 -36L-5.4 -35.9 -5.2 -35.8 -5 -35.8 -5 -35.9 -5.1 -36ZM-3 -35.3L-2.9 -35.3 -2.8 -35.3 -2.6 -35.4 -2.7 -35.5 -3 -35.3Z"],
+  ["Africa/Conakry", "M-15.6 -10.6L-15.4 -10.4 -15.1 -10.6 -14.9 -10.6 -14.6 -10.1 -14 -9.7 -14 -9.4 -13.6 -9.3 -13.5 -9 -13 -9.1 -12.4 -9.9 -11.2 -10 -10.7 -9.3 -10.7 -9.1 -10.6 -9.1 -10.5 -8.7 -10.7 -8.3 -10.3 -8.5 -9.6 -8.5 -9.5 -8.4 -9.3 -7.7 -9.5 -7.4 -9.2 -7.4 -9.1 -7.2 -8.8 -7.3 -8.7 -7.7 -8.2 -7.6 -8.1 -8 -7.9 -8 -8 -8.2 -8.2 -8.2 -8.2 -8.5 -7.6 -8.4 -7.7 -8.6 -8 -8.8 -7.7 -9.1 -7.9 -9.2 -7.8 -9.4 -8 -9.4 -8.1 -9.6 -8.2 -10 -7.9 -10.3 -8.3 -10.6 -8.3 -11 -8.7 -11 -8.4 -11.4 -8.8 -11.7 -8.8 -12 -8.9 -12.3 -9.3 -12.5 -9.4 -12.5 -9.3 -12.2 -9.7 -12 -10.3 -12.2 -10.7 -11.9 -10.9 -12.2 -11.3 -12 -11.5 -12.2 -11.4 -12.4 -12.4 -12.3 -12.9 -12.6 -13.1 -12.5 -13.1 -12.6 -13.7 -12.7 -13.7 -12.3 -14 -12.2 -13.7 -12 -13.7 -11.7 -14.7 -11.5 -15 -11Z"],
+  ["Africa/Dakar", "M-17.7 -14.7L-17.6 -14.5 -17.3 -14.5 -17.1 -14.3 -16.9 -13.6 -15.5 -13.6 -15.4 -13.8 -15.1 -13.8 -14.3 -13.5 -14 -13.6 -13.8 -13.4 -14.4 -13.2 -15.1 -13.6 -15.3 -13.4 -15.8 -13.3 -15.8 -13.2 -16.7 -13.2 -16.9 -13.1 -16.9 -12.2 -16.2 -12.5 -15.7 -12.4 -15.2 -12.7 -13.1 -12.6 -13.1 -12.5 -12.9 -12.6 -12.4 -12.3 -11.4 -12.4 -11.4 -13 -11.6 -13.4 -11.8 -13.3 -12.1 -13.7 -12 -13.8 -12.2 -14.7 -13.2 -15.6 -13.4 -16.1 -13.8 -16.1 -14.3 -16.6 -16.3 -16.5 -16.5 -16.1 -16.7 -16.1 -17.1 -15.2Z"],
+  ["Africa/Dar_es_Salaam", "M29.3 4.7L29.6 5.7 29.6 6.3 30.3 7.1 31 8.5 31.4 8.6 32 9.1 32.4 9.1 33.4 9.6 33.9 9.7 34 9.5 34.5 10.1 34.6 11 35 11.6 35.6 11.6 35.8 11.4 36.2 11.5 36.2 11.7 36.6 11.7 36.8 11.6 37.4 11.7 37.8 11.5 37.9 11.3 38.5 11.4 38.9 11.2 39.2 11.2 40.7 10.3 40 9.7 39.8 9 39.8 8.6 40.1 7.7 40.1 6.9 39.8 6.3 40 4.8 39.6 4.7 39.4 4.9 37.6 3.5 37.7 3.1 34 1 30.5 1.1 30.8 1.7 30.9 2.1 30.8 2.4 30.5 2.4 30.4 2.9 30.8 3 30.8 3.3 30.5 3.6 30 4.3 29.8 4.5 29.4 4.4Z"],
+  ["Africa/Djibouti", "M41.8 -11.5L41.8 -11 42.4 -11 42.6 -11.1 43 -11 43.6 -11.9 43.7 -12.4 43.6 -12.5 43.3 -12.6 43.3 -12.8 43 -12.6 42.7 -12.4 42.5 -12.5 42.4 -12.5 41.8 -11.7Z"],
+  ["Africa/Douala", "M8.4 -4.3L9.4 -3.7 9.8 -3.1 9.6 -2.4 10 -2.1 11.4 -2.2 11.4 -2.3 11.7 -2.3 14.6 -2.2 16.1 -1.7 16.1 -2.9 15.2 -3.7 15.1 -4.3 14.7 -4.6 14.7 -5.2 14.5 -5.3 14.6 -5.9 14.4 -6 14.8 -6.3 15.6 -7.8 15.1 -8.7 14.5 -9.1 14 -9.6 14.2 -10 15.7 -10 15.1 -10.7 15.1 -11.8 14.9 -12.2 14.8 -12.6 14.6 -12.8 14.5 -13.1 14.1 -13.1 14.2 -12.4 14.7 -12.2 14.5 -11.7 14.6 -11.6 14.2 -11.2 14 -11.3 13.7 -11 13.5 -10.2 13.2 -10 13.2 -9.6 12.8 -9.4 12.8 -8.7 12.3 -8.4 11.9 -7.1 11.6 -7 11.4 -6.5 11.1 -6.5 11.1 -6.7 10.9 -6.7 10.6 -7.2 10.5 -6.9 10.2 -6.9 10.2 -7 9.8 -6.8 9.7 -6.5 9.5 -6.5 8.8 -5.8 8.8 -5.2Z"],
+  ["Africa/El_Aaiun", "M-17.3 -20.8L-17.2 -20.7 -17 -20.8 -17 -21.3 -13 -21.3 -13.1 -22.9 -12.6 -23.3 -12 -23.5 -12 -26 -8.7 -26 -8.7 -27.7 -13.4 -27.6 -13.8 -26.9 -14.7 -26.3 -15 -25.3 -15.1 -24.8 -16.1 -23.9 -16.7 -22.5 -17 -22.2Z"],
+  ["Africa/Freetown", "M-13.5 -8.5L-13.4 -8 -13.2 -7.9 -13.2 -7.5 -11.6 -6.8 -11.3 -7.2 -10.6 -7.8 -10.6 -8 -10.3 -8.2 -10.3 -8.5 -10.7 -8.3 -10.5 -8.7 -10.6 -9.1 -10.7 -9.1 -10.7 -9.3 -11.2 -10 -11.9 -10 -12.5 -9.8 -12.8 -9.3 -13.1 -9 -13.5 -9Z"],
+  ["Africa/Gaborone", "M20 24.1L20 24.8 20.4 25 20.8 26 20.6 26.5 20.7 26.9 20.9 26.8 21.7 26.9 21.8 26.7 22.1 26.6 22.7 26 23 25.3 23.5 25.3 23.9 25.6 24.4 25.8 25.3 25.8 25.6 25.6 25.8 24.8 26.4 24.6 26.9 24.3 27.1 23.5 27.7 23.2 28.3 22.6 29.4 22.2 29.1 22 29 21.8 28.1 21.6 27.7 21.1 27.7 20.5 27.3 20.5 27.2 20.1 26.2 19.5 25.3 17.8 25 17.8 24.6 18.1 24.2 18 23.6 18.5 23.3 18 21 18.3 21 22 20 22Z"],
+  ["Africa/Harare", "M25.2 17.9L26 18.9 26.2 19.5 27.2 20.1 27.3 20.5 27.7 20.5 27.7 21.1 28 21.6 29 21.8 29.1 22 29.4 22.2 29.7 22.1 30.3 22.4 30.8 22.3 31.3 22.4 32.5 21.3 32.4 21.1 32.5 20.7 32.8 20.4 33.1 19.8 32.8 19.7 32.9 19.1 32.7 18.9 32.9 18.8 32.9 18.5 33.1 18.3 32.9 18 33.1 17.3 32.8 16.9 33 16.7 31.9 16.4 31.3 16 30.4 16 30.4 15.6 29.6 15.6 28.9 15.9 28.8 16.5 27.8 17 27 18 26.7 18.1 26.2 17.9 25.9 18 25.7 17.8 25.3 17.8Z"],
+  ["Africa/Johannesburg", "M-5.5 86L0 86 0 68 -2.1 68.4 -5.5 69ZM16.3 28.8L17.1 30.4 18 31.8 18.1 32.2 17.6 32.9 18.2 34.3 19.6 35 20.1 35 20.9 34.7 21.9 34.6 22.3 34.4 24.9 34.4 26.4 34 28.1 33.2 30.1 31.5 31.5 29.5 32.6 28.6 33.1 27 32.9 26.9 32 26.8 32 27.3 31.5 27.3 31.2 27.2 30.8 26.8 30.8 26.4 31.3 25.7 32 26 32 24.3 31.6 23.5 31.3 22.4 30.3 22.4 29.7 22.1 29 22.2 28.9 22.5 28.3 22.6 27.7 23.2 27 23.6 26.9 24.3 26.4 24.6 25.8 24.8 25.5 25.7 24.7 25.8 23.9 25.6 23.5 25.3 23 25.3 22.6 26.2 21.7 26.9 20.9 26.8 20.7 26.9 20.6 26.5 20.8 26 20.4 25.1 20 24.8 20 28.4 19.6 28.5 19.2 29 18.7 28.8 18.2 28.9 17.4 28.7 17.4 28.3 17.1 28ZM27 29.6L27.4 29.5 27.8 28.9 28 28.9 28.4 28.6 28.7 28.6 29.2 29 29.5 29.3 29.2 29.7 29.2 29.9 28.4 30.1 28.2 30.3 28.1 30.7 27.7 30.6 27.4 30.3 27.4 30.1ZM37.3 46.9L37.3 47.1 37.5 47.1 38 47.2 38.2 47 38.2 46.8 38.3 46.7 38.3 46.6 38.1 46.4 37.8 46.4 37.4 46.8Z"],
+  ["Africa/Juba", "M23.4 -9L23.6 -9 23.5 -8.7 24.2 -8.7 24.2 -8.3 24.9 -8.2 25.2 -7.9 25.2 -7.5 26.4 -6.7 26.3 -6.5 26.5 -6.2 26.4 -6.1 27.2 -5.7 27.3 -5.3 27.8 -4.6 28.4 -4.3 28.8 -4.6 29.2 -4.3 29.5 -4.7 29.6 -4.7 30.2 -3.9 30.6 -3.8 30.6 -3.6 30.8 -3.7 30.9 -3.5 31.2 -3.8 31.5 -3.6 31.8 -3.8 32 -3.6 32.2 -3.5 32.4 -3.7 33 -3.9 33.5 -3.8 34.4 -4.6 35.9 -4.6 35.8 -4.8 35.9 -5.3 35.3 -5.3 35 -5.9 35 -6.5 34.2 -7 33.9 -7.5 33 -7.9 33.2 -8.4 33.8 -8.4 34.2 -8.6 34.1 -9.5 33.9 -9.5 34 -10.1 33.2 -10.8 33.1 -11.6 33.3 -12.2 32.7 -12.2 32.7 -12 32.1 -12 32.4 -11.7 32.5 -11 31.3 -9.8 30.8 -9.7 30 -10.3 29.5 -10.1 29.5 -9.7 29 -9.7 29 -10.2 27.8 -10.2 27.9 -9.6 26.7 -9.5 26.3 -9.6 25.9 -10.4 25.7 -10.4 25.1 -10.3 24.8 -9.8 23.7 -9.7Z"],
+  ["Africa/Kampala", "M29.6 1.2L29.6 1.4 29.8 1.3 29.9 1.5 30.4 1.1 30.8 1 33.9 1 33.9 -0.1 35 -1.7 35 -2.5 34.5 -3.2 34.5 -3.7 34.1 -3.9 34 -4.2 33.5 -3.8 33 -3.9 32.4 -3.7 32.2 -3.5 32 -3.6 31.8 -3.8 31.5 -3.6 31.2 -3.8 30.8 -3.5 30.9 -2.9 30.8 -2.4 31.2 -2.3 31.3 -2.1 30 -0.8 30 -0.5 29.7 -0.1Z"],
+  ["Africa/Khartoum", "M21.8 -12.8L21.9 -12.6 22.2 -12.7 22.5 -12.6 22.5 -12 22.6 -12.1 22.6 -11.6 22.9 -11.4 22.9 -10.9 23.7 -9.9 23.7 -9.3 23.4 -9 23.6 -9 23.5 -8.7 24.4 -8.7 24.6 -8.9 24.7 -9.7 25 -9.9 25.1 -10.3 25.3 -10.3 25.9 -10.4 26.4 -9.6 27.9 -9.6 28 -9.3 28.8 -9.4 29 -9.7 29.5 -9.7 29.5 -10.1 29.9 -10.3 30.8 -9.7 31.3 -9.8 32.5 -11 32.4 -11.7 32.1 -12 32.7 -12 32.7 -12.2 33.3 -12.2 33.1 -11.6 33.2 -10.8 34 -10.1 33.9 -9.5 34.1 -9.5 34.3 -10.1 34.3 -10.6 34.6 -10.9 34.9 -10.7 35.1 -11.8 35.7 -12.7 36.1 -12.7 36.6 -14.3 36.4 -15.2 37 -16.3 37 -17.1 37.4 -17.1 37.5 -17.3 38.3 -17.5 39 -18.5 38.9 -19 38.5 -19.1 38.4 -19.3 38 -19.6 37.8 -19.6 37.6 -19.2 37.4 -20.3 37.5 -21.1 37.1 -21.6 37.1 -22 34.1 -22 34 -21.8 33.6 -21.7 33.2 -22 25 -22 25 -20 24 -20 24 -15.7 23.1 -15.7 22.9 -15.6 23 -15.2 22.7 -14.9 22.7 -14.7 22.4 -14.5 22.6 -14.2 22.1 -13.8 22.3 -13.4Z"],
+  ["Africa/Kigali", "M28.9 2.5L29 2.7 29.1 2.6 29.3 2.7 29.4 2.8 29.7 2.8 29.9 2.7 30 2.3 30.1 2.4 30.4 2.3 30.7 2.4 30.8 2.4 30.9 2.2 30.8 1.7 30.5 1.1 30.4 1.1 30.1 1.4 29.9 1.5 29.8 1.3 29.4 1.5 29.1 1.9 29.1 2.3 28.9 2.4Z"],
+  ["Africa/Kinshasa", "M12 5.9L12.4 6.1 13 5.9 16.6 5.9 16.9 7.2 17.6 8.1 18.5 7.9 19.4 8 19.5 7 20 7 19.9 6.8 19.7 6.2 20.2 5.7 20 4.3 20.3 4.4 20.7 4.1 20.7 3.3 20.9 2.6 21.3 2.5 21.7 2.7 22.1 2.3 22.3 2.5 22.2 1.9 22.5 2 22.7 1.8 23.4 2.1 24 1.7 24.4 1.7 24.3 1.3 23.5 1 23.5 0.7 23.7 0.5 23 0.4 23.4 0.2 23 -0.4 22.7 -1.4 22.3 -1.5 22.5 -1.9 22.4 -2.2 22.8 -2 23 -2.2 23.2 -2.1 23.3 -2.3 23.6 -2.2 23.5 -2.5 22.9 -2.7 23.1 -3 22.6 -3.2 22.8 -3.6 23.5 -3.8 22.8 -3.9 22.7 -4.1 21.7 -4.3 20.6 -4.4 20.4 -4.8 19.7 -5.1 19.1 -4.9 18.8 -4.4 18.5 -4.3 18.6 -3.2 18.1 -2.2 18.1 -1.5 17.8 -1 18 -0.4 17.7 0.2 17.7 0.6 17.3 1 16.9 1.2 16.2 2.2 16.2 3.3 15.9 3.9 15.6 4 14.7 4.9 14.4 4.9 14.4 4.3 13.9 4.5 13.7 4.4 13.7 4.7 13.4 4.9 13.1 4.6 12.5 5.1 12.5 5.7Z"],
+  ["Africa/Lagos", "M2.7 -7.9L2.8 -7.5 2.7 -6.2 4.4 -6.1 4.8 -5.7 5.5 -4.5 5.9 -4.1 8.3 -4.3 8.8 -5.2 8.8 -5.8 9.5 -6.5 9.7 -6.5 9.8 -6.8 10.2 -7 10.2 -6.9 10.5 -6.9 10.6 -7.2 10.9 -6.7 11.1 -6.7 11.1 -6.5 11.5 -6.6 11.6 -7 11.9 -7.1 12.3 -8.4 12.8 -8.7 12.8 -9.4 13.2 -9.6 13.2 -10 13.5 -10.2 13.5 -10.6 14 -11.3 14.2 -11.2 14.6 -11.5 14.7 -12.2 14.2 -12.4 14.1 -13.1 13.6 -13.7 12.9 -13.5 12.5 -13.1 11.5 -13.4 10.7 -13.4 10 -13.2 9.6 -12.8 9 -12.8 7.8 -13.3 6.9 -13 6.4 -13.6 5.5 -13.9 4.5 -13.7 4.1 -13.5 4.1 -13 3.7 -12.5 3.7 -11.8 3.5 -11.4 3.7 -11.1 3.8 -10.6 3.8 -10.4 3.6 -10.4 3.7 -10.1 3.3 -9.8 3.1 -9.1 2.8 -9.1Z"],
+  ["Africa/Libreville", "M8.5 0.7L9.5 2.5 11 4.1 11.4 3.5 11.7 3.7 11.9 3.6 12 3.3 11.7 3.2 11.8 3.1 11.5 2.8 11.5 2.4 11.7 2.6 11.9 2.4 12.5 2.5 12.4 1.9 12.7 1.8 13 2.4 13.5 2.4 13.8 2.1 13.9 2.5 14.1 2.5 14.5 1.6 14.5 0.6 13.8 0.2 14 -0.3 14.5 -0.8 14.2 -1.4 13.2 -1.2 13.3 -1.3 13.2 -1.9 13.3 -2.1 13.2 -2.3 11.4 -2.3 11.3 -1 9.5 -1 9.1 -0.8 9.1 -0.4Z"],
+  ["Africa/Lome", "M-0.1 -11.1L0 -11.1 -0.1 -10.6 0.4 -10.3 0.4 -9.6 0.2 -9.5 0.6 -9.4 0.5 -8.9 0.4 -8.8 0.6 -8.5 0.7 -8.3 0.6 -8.2 0.5 -7.5 0.7 -7.3 0.5 -6.8 1.3 -5.9 1.7 -6 1.6 -6.2 1.8 -6.3 1.6 -6.7 1.7 -8.5 1.6 -9.1 1.3 -9.5 1.4 -10 0.8 -10.4 0.9 -11 0.5 -10.9Z"],
+  ["Africa/Luanda", "M11.5 16.6L11.5 17.3 11.8 17.3 12.1 17.1 12.6 17.2 13.2 17 13.5 17 14 17.4 18.4 17.4 18.9 17.8 20.3 17.9 20.8 18 23.4 17.6 22.1 16.5 22 16.2 22 13 24.1 13 23.9 12.8 24.1 12.4 24 10.9 23.4 10.9 23.2 11.1 22.6 11 22.3 11.3 22.2 10.9 22.3 10.8 22.3 10.4 22.2 9.9 21.8 9.4 22 8.5 21.8 7.9 21.8 7.3 20.6 7.3 20.6 6.9 19.5 7 19.4 8 18.5 7.9 17.6 8.1 16.9 7.2 16.6 5.9 14 5.8 13 5.9 12.4 6.1 12.1 6 12.1 6.2 12.6 7.1 13.2 8.4 12.8 9.1 13.7 11 13.5 12.2 12.8 12.7 12.3 13.4 11.8 15.5 11.5 15.8ZM11.8 5.1L12 5.5 11.9 5.7 12 5.9 12.2 5.8 12.5 5.7 12.5 5.1 12.6 5 12.6 4.9 12.7 5 12.9 4.8 12.9 4.7 13.1 4.7 13.1 4.6 12.9 4.4 12.8 4.4 12.8 4.3 12.8 4.5 12.7 4.5 12.6 4.6 12.4 4.6 12.3 4.8 12.2 4.8 12.2 4.9Z"],
+  ["Africa/Lubumbashi", "M19.7 6.2L20 7 20.6 6.9 20.6 7.3 21.8 7.3 21.8 7.9 22 8.5 21.8 9.4 22.2 9.9 22.3 10.4 22.3 10.8 22.2 10.9 22.2 11.3 22.5 11 23.2 11.1 24.1 10.9 24.4 11.1 24.3 11.4 24.4 11.5 25.4 11.2 25.3 11.6 26 11.9 26.9 12 27 11.6 27.2 11.6 27.6 12.3 27.9 12.2 28.4 12.5 28.5 12.7 28.8 12.9 29 13.4 29.6 13.2 29.6 13.4 29.8 13.4 29.8 12.2 29.5 12.2 29.5 12.5 29 12.4 28.8 12 28.5 11.8 28.4 11.6 28.7 10.7 28.6 10.2 28.7 9.8 28.4 9.2 28.8 8.9 29 8.5 30.8 8.3 30.3 7.1 29.6 6.3 29.6 5.7 29.3 4.9 29.4 4.4 29.2 3.9 29.3 3.1 28.9 2.5 29.2 2.1 29.2 1.7 29.6 1.4 29.7 0.5 30 -0.8 31.3 -2.1 31.2 -2.3 30.7 -2.5 30.9 -3.5 30.2 -3.9 29.8 -4.4 29.8 -4.6 29.5 -4.7 29.2 -4.3 28.8 -4.6 28.4 -4.3 27.2 -5.2 26.5 -5 25.5 -5.4 25.4 -5.3 25.3 -5 25.1 -4.9 24.7 -4.9 24.4 -5.1 24.3 -4.9 23.4 -4.6 22.9 -4.8 22.4 -4.1 22.7 -4.1 22.8 -3.9 23.5 -3.8 22.8 -3.6 22.6 -3.2 23.1 -3 22.9 -2.7 23.5 -2.5 23.6 -2.2 23.3 -2.3 23.2 -2.1 23 -2.2 22.8 -2 22.4 -2.2 22.5 -1.9 22.3 -1.5 22.7 -1.4 23 -0.4 23.4 0.2 23 0.4 23.7 0.5 23.5 0.7 23.5 1 24.3 1.3 24.4 1.7 24 1.7 23.4 2.1 22.7 1.8 22.5 2 22.2 1.9 22.3 2.5 22.1 2.3 21.7 2.7 21.3 2.5 20.9 2.6 20.7 3.3 20.7 4.1 20.3 4.4 20 4.3 20.2 5.7Z"],
+  ["Africa/Lusaka", "M22 16.2L22.1 16.5 23.4 17.6 24.7 17.5 25.9 18 26.2 17.9 26.7 18.1 27 18 27.8 17 28.8 16.5 28.9 15.9 29.6 15.6 30.4 15.6 30.2 15 33.2 14 33 14.1 32.7 13.6 33 13.2 33 12.7 33.5 12.4 33.3 12.1 33.2 11.4 33.4 11.2 33.2 10.9 33.7 10.6 33 9.4 32.4 9.1 32 9.1 31.4 8.6 31.1 8.6 30.8 8.3 29 8.5 28.8 8.9 28.4 9.3 28.7 9.8 28.6 10.2 28.7 10.7 28.5 11.1 28.4 11.8 29 12.4 29.5 12.5 29.5 12.2 29.8 12.2 29.8 13.4 29.6 13.4 29.6 13.2 29 13.4 28.4 12.5 27.9 12.2 27.6 12.3 27.2 11.6 27 11.6 26.9 12 26 11.9 25.3 11.6 25.4 11.2 24.4 11.5 24.3 11.4 24.4 11.1 24 10.9 24.1 12.4 23.9 12.8 24.1 13 22 13Z"],
+  ["Africa/Malabo", "M5.4 1.4L5.5 1.6 5.6 1.7 5.7 1.7 5.8 1.6 5.9 1.4 5.8 1.2 5.6 1.2 5.5 1.3ZM8.2 -3.4L8.3 -3.1 8.7 -3 8.9 -3.2 9.1 -3.5 9.1 -3.8 9 -3.9 8.7 -4 8.5 -3.9 8.4 -3.7 8.3 -3.6ZM9.1 -0.9L9.1 -0.8 9.7 -1.1 10 -0.9 11.3 -1 11.4 -2.2 10 -2.1 9.6 -2.4 9.6 -2 9.2 -1.3Z"],
+  ["Africa/Maputo", "M30.2 15.1L30.4 16 31.3 16 31.9 16.4 33 16.7 32.8 16.9 33.1 17.3 32.9 18 33.1 18.3 32.9 18.5 32.9 18.8 32.7 18.9 32.9 19.1 32.8 19.5 32.8 19.7 33.1 19.8 33 20 32.5 20.6 32.4 21.1 32.5 21.3 31.3 22.4 31.6 23.5 32 24.3 31.9 25.8 32.1 26 32.1 26.8 33.1 26.9 33.2 26.1 33.5 25.4 35.2 24.8 35.7 24.2 35.6 23.5 35.8 22.9 35.8 22.1 35.6 21.9 35.7 21.5 35.3 21.3 35.3 20.9 34.9 20.4 35 20 35.9 19.2 36.5 19 37.4 17.9 38.1 17.5 39 17.4 39.9 16.8 40.2 16.5 41 14.9 41 14.4 40.8 13.7 40.9 11 40.6 10.3 39.2 11.2 38.9 11.2 38.5 11.4 37.9 11.3 37.8 11.5 37.4 11.7 36.8 11.6 36.6 11.7 36.2 11.7 36.2 11.5 35.8 11.4 35.4 11.6 34.6 11.6 34.4 12.2 34.6 13.5 34.9 13.5 35.1 13.7 35.9 14.9 35.8 15.2 35.8 16 35.4 16.1 35.1 16.6 35.3 17.1 35.1 17.1 35.2 16.8 34.4 16.3 34.3 15.9 34.6 15.3 34.4 14.4 33.7 14.6 33.2 14Z"],
+  ["Africa/Maseru", "M27 29.6L27.4 30.1 27.4 30.3 27.7 30.6 28.1 30.7 28.2 30.3 28.4 30.1 29.2 29.9 29.2 29.7 29.5 29.3 29.2 29 28.7 28.6 28.4 28.6 28 28.9 27.8 28.9 27.4 29.5Z"],
+  ["Africa/Mbabane", "M30.8 26.7L31.2 27.2 31.5 27.3 32 27.3 32 26.8 32.1 26.8 32.1 26 31.9 26 31.4 25.7 31.3 25.7 30.8 26.4Z"],
+  ["Africa/Mogadishu", "M41 -2.8L41 0.8 41.7 1.8 43.7 -0.6 44.8 -1.5 46.1 -2.3 46.8 -2.9 48.1 -4.3 48.8 -5.4 50 -7.9 51 -9.3 51.1 -10.2 51.4 -10.2 51.6 -10.4 51.6 -10.6 51.3 -10.7 51.4 -12 50.8 -12.2 50.4 -12 50 -11.7 48.9 -11.4 48.5 -11.5 47.7 -11.3 47.2 -11.4 46.6 -10.9 45.8 -11.1 44.6 -10.6 43.9 -11 43.6 -11.6 43.4 -11.7 42.7 -10.6 43.5 -9.4 44 -9 47 -8 48 -8 45.4 -5.5 45 -4.9 43.8 -4.9 43.1 -4.6 42.8 -4.3 42.1 -4.2Z"],
+  ["Africa/Monrovia", "M-11.6 -6.8L-9.1 -4.8 -7.5 -4.2 -7.6 -4.9 -7.4 -5.3 -7.4 -5.8 -7.7 -5.9 -7.9 -6.3 -8.6 -6.5 -8.3 -7 -8.6 -7.7 -9 -7.3 -9.1 -7.2 -9.3 -7.4 -9.5 -7.4 -9.3 -7.7 -9.5 -8.4 -9.8 -8.6 -10.1 -8.4 -10.1 -8.5 -10.3 -8.5 -10.3 -8.2 -10.6 -8 -10.6 -7.8 -11.3 -7.2Z"],
+  ["Africa/Nairobi", "M33.9 -0.1L33.9 1 37.7 3.1 37.6 3.5 39.4 4.9 40.4 3.1 41.7 1.9 41 0.8 41 -2.8 41.9 -4 41.2 -3.9 40.8 -4.3 39.9 -3.9 39.5 -3.4 38.5 -3.7 38.1 -3.6 36.8 -4.4 36 -4.4 35.9 -4.6 34.4 -4.6 34 -4.2 34.1 -3.9 34.5 -3.7 34.5 -3.2 35 -2.5 35 -1.8 34.8 -1.3 34.5 -1.1 34.3 -0.7Z"],
+  ["Africa/Ndjamena", "M13.5 -14.4L13.6 -13.7 14.1 -13.1 14.5 -13.1 14.6 -12.8 14.8 -12.6 14.9 -12.2 15.1 -11.8 15.1 -10.5 15.7 -10 14.2 -10 14 -9.6 15.2 -8.6 15.6 -7.8 15.5 -7.5 15.9 -7.5 16.5 -7.8 16.6 -7.9 16.8 -7.5 17.7 -8 18.6 -8.1 19.1 -8.7 18.9 -8.9 19 -9 20.4 -9.1 21.7 -10.3 21.7 -10.6 22.5 -11 22.9 -10.9 23 -11.3 22.6 -11.6 22.6 -12.1 22.5 -12 22.5 -12.6 22.2 -12.7 21.9 -12.6 21.8 -12.8 22.3 -13.4 22.1 -13.8 22.6 -14.2 22.4 -14.5 22.7 -14.7 22.7 -14.9 23 -15.2 22.9 -15.6 23.1 -15.7 24 -15.7 24 -19.5 19 -22.1 16 -23.5 15 -23 15.2 -21.5 15.6 -21 15.6 -20.8 16 -20.4 15.8 -19.9 15.5 -16.9 14.4 -15.7 13.7 -14.6Z"],
+  ["Africa/Niamey", "M0.2 -14.5L0.6 -13.7 1.3 -13.4 1 -13.4 1 -13.1 1.9 -12.6 2 -12.7 2.2 -12.6 2.3 -12.4 2.1 -12.3 2.4 -11.9 2.4 -12.2 2.8 -12.4 3.6 -11.7 3.7 -12.5 4.1 -13 4.1 -13.5 4.9 -13.8 5.5 -13.9 6.3 -13.7 6.9 -13 7.8 -13.3 8.7 -12.9 9.3 -12.8 9.7 -12.8 10 -13.2 10.7 -13.4 11.5 -13.4 12.5 -13.1 12.7 -13.3 13.3 -13.7 13.6 -13.7 13.5 -14.5 13.7 -14.6 14.4 -15.7 15.5 -16.9 15.8 -19.9 16 -20.4 15.6 -20.8 15.6 -21 15.2 -21.5 15 -23 14.2 -22.6 13.5 -23.2 12 -23.5 7.5 -20.8 5.8 -19.4 4.3 -19.1 4.2 -16.4 3.9 -15.7 3.5 -15.4 1.3 -15.3 1 -15 0.2 -15Z"],
+  ["Africa/Nouakchott", "M-17.2 -20.7L-16.3 -18.4 -16.3 -17.6 -16.7 -16.1 -16.5 -16.1 -16.3 -16.5 -14.3 -16.6 -13.8 -16.1 -13.4 -16.1 -13.2 -15.6 -12.4 -14.9 -12.1 -14.7 -11.8 -14.9 -11.7 -15.5 -11.5 -15.6 -10.9 -15.1 -10.7 -15.4 -9.4 -15.4 -9.3 -15.7 -9.3 -15.5 -5.5 -15.5 -5.3 -16.3 -5.6 -16.5 -6.6 -25 -4.8 -25 -8.7 -27.3 -8.7 -26 -12 -26 -12 -23.5 -12.6 -23.3 -13.1 -22.9 -13 -21.3 -17 -21.3 -17 -20.8Z"],
+  ["Africa/Ouagadougou", "M-5.5 -10.4L-5.1 -10.3 -5 -9.9 -4.7 -9.7 -4.5 -9.8 -4.3 -9.6 -4.1 -9.8 -3.2 -9.9 -2.8 -9.4 -2.8 -10.4 -2.9 -10.6 -2.8 -11 -0.6 -10.9 -0.3 -11.2 0.5 -10.9 1.1 -11 1.1 -11.3 1.3 -11.3 1.4 -11.5 2 -11.4 2.3 -11.7 2.4 -11.9 2.1 -12.4 2.3 -12.4 2.2 -12.6 2 -12.7 1.9 -12.6 1 -13.1 1 -13.4 1.3 -13.4 0.6 -13.7 0.5 -13.9 0.2 -14.5 0.2 -15 -0.7 -15.1 -1.1 -14.8 -2 -14.5 -2 -14.2 -2.5 -14.3 -2.8 -14.1 -2.9 -13.7 -3.3 -13.7 -3.2 -13.3 -3.4 -13.2 -4 -13.4 -4 -13.5 -4.3 -13.1 -4.2 -12.8 -4.5 -12.7 -4.4 -12.3 -4.7 -12 -5.4 -11.8 -5.2 -11.4 -5.5 -11.1Z"],
+  ["Africa/Porto-Novo", "M0.8 -10.4L1.4 -10 1.3 -9.5 1.6 -9 1.6 -6.7 1.8 -6.3 1.6 -6.2 1.7 -6 2.7 -6.2 2.8 -9.1 3.1 -9.1 3.1 -9.4 3.6 -10 3.6 -10.4 3.8 -10.4 3.8 -10.7 3.5 -11.4 3.6 -11.8 2.8 -12.4 2.4 -12.3 2.5 -12 2.3 -11.7 1.9 -11.4 1.4 -11.5 1.1 -11.3 1.1 -11 0.9 -11Z"],
+  ["Africa/Sao_Tome", "M6.3 -0.2L6.4 0.2 6.6 0.2 6.8 0.1 7.6 -1.5 7.6 -1.8 7.4 -1.9 7.2 -1.9Z"],
+  ["Africa/Tripoli", "M9.4 -30.2L9.8 -29.4 10 -27.9 9.8 -27.4 9.9 -26.6 9.4 -26.2 10 -25.4 10 -25 10.4 -24.5 10.8 -24.6 11.4 -24.2 11.6 -24.3 12 -23.5 13.5 -23.2 14.2 -22.6 16 -23.5 19 -22.1 24 -19.5 24 -20 25 -20 25 -25.6 25 -29.2 24.6 -30.1 25 -30.8 24.9 -31.4 25.4 -31.7 25.1 -32.1 23.5 -32.4 23.3 -32.8 22.6 -33 21.7 -33.1 20.4 -32.7 14.6 -32.7 13.4 -33.1 12.5 -33 11.7 -33.4 11.5 -32.9 11.6 -32.5 10.3 -31.7 10.1 -31.5 10.2 -30.7 9.9 -30.4Z"],
+  ["Africa/Tunis", "M7.5 -33.9L7.8 -33.2 8.3 -32.8 8.4 -32.5 9.1 -32.1 9.6 -30.2 9.9 -30.4 10.3 -30.8 10.1 -31.5 10.3 -31.7 11.6 -32.5 11.5 -32.9 11.7 -33.3 11.4 -33.5 11.2 -34 11.3 -34.4 11.7 -34.6 11.9 -34.9 11.3 -35.4 11.3 -35.9 10.8 -36 10.7 -36.1 11.4 -36.8 11.3 -37.2 10.1 -37.6 9.2 -37.4 9.2 -37.7 8.9 -37.8 8.6 -37.5 8.9 -37.3 8.6 -37.1 8.7 -36.8 8.2 -36.5 8.4 -36.4 8.3 -35.8 8.3 -35.3 8.5 -35.2 8.2 -34.9 8.3 -34.6 7.9 -34.4Z"],
+  ["Africa/Windhoek", "M11.5 17.6L11.8 18.6 12.4 19.2 13.2 21 14.3 22.6 14.2 23 14.3 24.7 14.6 24.9 14.7 26.4 15.5 28.1 16.3 28.8 17.1 28 17.4 28.3 17.4 28.7 18.2 28.9 18.7 28.8 19.2 29 19.6 28.5 20 28.4 20 22 21 22 21 18.3 23.3 18 23.6 18.5 24.2 18 24.6 18.1 25 17.8 25.3 17.8 25 17.6 24.2 17.5 20.8 18 20.3 17.9 18.9 17.8 18.4 17.4 14 17.4 13.5 17 13.2 17 12.5 17.2 12.1 17.1 11.5 17.3Z"],
+  ["America/Adak", "M-180 -51.8L-179.9 -51.9 -179.9 -52 -179.9 -52.1 -180 -52.1ZM-179.5 -51.3L-179.4 -51.1 -179.1 -51 -178.6 -51.3 -178.2 -51.3 -177.4 -51.5 -176.7 -51.4 -175.3 -51.8 -173.1 -51.8 -172 -52.2 -172 -52.4 -172.2 -52.6 -172.7 -52.5 -173 -52.3 -173.7 -52.3 -174.2 -52.6 -174.9 -52.3 -175.2 -52.4 -177 -52.1 -178.2 -52.1 -178.5 -52 -178.9 -52 -179.4 -51.7ZM-171.6 -52.5L-171.5 -52.3 -171.3 -52.2 -170.6 -52.4 -170.3 -52.5 -169.5 -52.6 -169.3 -53.1 -169.5 -53.2 -169.9 -53.3 -170.4 -53 -170.5 -52.9 -170.7 -52.9 -171.3 -52.8 -171.6 -52.6ZM172.1 -52.9L172.2 -52.8 172.6 -52.6 173.2 -52.6 173 -52.4 173.3 -52.2 173.9 -52.2 174.1 -52.5 174.6 -52.4 174.8 -52.6 174.7 -52.8 173.7 -53 173.2 -53.2 172.5 -53.2 172.2 -53.1ZM175.5 -52.4L175.6 -52.2 175.9 -52.1 176.2 -52.2 176.3 -52.3 176.3 -52.4 176.2 -52.5 175.9 -52.6 175.6 -52.5ZM176.9 -51.9L177.2 -51.6 177.8 -51.7 178 -51.7 179.2 -51.2 179.7 -51.2 179.8 -51.4 179.7 -51.5 178.9 -51.8 178.9 -52 178.7 -52.1 177.7 -52.3 177.1 -52.3ZM179.2 -52L179.2 -51.8 179.4 -51.7 179.6 -51.7 179.8 -51.7 180 -51.8 180 -52.1 179.8 -52.2 179.5 -52.2 179.2 -52.1Z"],
+  ["America/Anchorage", "M-162 -54.4L-161.4 -54.6 -161.1 -55 -159.7 -54.6 -159.1 -54.7 -158.9 -55 -159.2 -55.5 -158.5 -55.7 -157.5 -56.1 -157.4 -56.3 -157.1 -56.3 -157 -55.8 -156.4 -55.8 -156.3 -56.1 -156.7 -56.4 -156.6 -56.6 -156.2 -56.8 -155.9 -57.2 -154.7 -57.8 -154.5 -57.8 -155.2 -57.3 -154.7 -56.8 -155.1 -56.6 -155.1 -56.4 -154.7 -56.2 -153.7 -56.4 -153.4 -56.7 -151.9 -57.3 -151.8 -57.6 -152 -58 -151.5 -58 -151.4 -58.2 -151.5 -58.5 -151.9 -58.7 -151.6 -58.9 -150.2 -59.2 -149.9 -59.4 -149.4 -59.4 -149 -59.7 -147.7 -59.6 -147.1 -59.7 -146.9 -60 -146 -60.2 -144.8 -60 -145 -59.7 -144.6 -59.6 -144.1 -59.8 -142.8 -59.9 -141.6 -59.7 -141 -60.3 -141 -69.6 -140.8 -69.8 -143.1 -70.3 -144.8 -70.2 -147.8 -70.7 -151 -70.7 -152.3 -71.1 -153.8 -71.1 -156.4 -71.6 -157.2 -71.4 -158.2 -71 -159.4 -71.1 -161.3 -70.5 -162 -70.5 -162 -64.3 -161.3 -63.8 -162 -63.8 -162 -58.4 -159.9 -58.4 -159.6 -58.5 -159.2 -58.2 -158.2 -58.4 -158 -58.2 -158.2 -57.6 -159 -57.1 -160.4 -56.5 -160.8 -56.2 -162 -56.1ZM-157.8 -55.8L-157.7 -55.6 -157.4 -55.6 -157.2 -55.6 -157.1 -55.8 -157.2 -55.9 -157.4 -56 -157.7 -55.9ZM-156.2 -55.8L-156.1 -55.7 -156 -55.6 -155.6 -55.6 -155.3 -55.6 -155.2 -55.9 -155.2 -56 -155.3 -56 -155.6 -56.1 -156 -56ZM-146.8 -59.4L-146.8 -59.3 -146.6 -59.2 -146.3 -59.2 -145.9 -59.3 -145.9 -59.4 -145.9 -59.5 -146.1 -59.7 -146.4 -59.7 -146.7 -59.6Z"],
+  ["America/Anguilla", "M-63.6 -18.6L-63.6 -18.4 -63.5 -18.4 -63.5 -18.2 -63.4 -18.1 -62.9 -18.2 -62.8 -18.2 -62.7 -18.3 -62.8 -18.5 -63.2 -18.5 -63.2 -18.7 -63.4 -18.8 -63.6 -18.7Z"],
+  ["America/Antigua", "M-62.6 -16.9L-62.4 -16.8 -62.2 -16.9 -61.9 -16.8 -61.6 -16.9 -61.4 -17.1 -61.5 -17.6 -61.7 -17.9 -62 -17.9Z"],
+  ["America/Araguaina", "M-50.7 11.4L-50.6 12.8 -50.5 12.9 -50.1 12.4 -50.3 12.8 -49.4 13.3 -49.1 12.8 -49 13 -48.8 12.8 -48.6 13.1 -48.6 13.3 -48.5 13.1 -48.4 13.3 -48.1 13.2 -48.2 13.3 -47.8 13.3 -47.7 13.5 -47.6 13.1 -47.4 13.3 -46.5 13 -46.4 12.8 -46.4 13 -46.2 13 -46.3 13 -46.2 12.5 -46.3 12.5 -46.4 12.1 -46.5 12 -46.2 11.9 -46.4 11.9 -46.4 11.6 -46.1 11.6 -46.5 11.5 -46.6 11.3 -45.7 10.2 -45.9 10.4 -46 10.2 -46.4 10.2 -46.6 9.7 -46.6 9.5 -47.1 9.1 -46.8 8.4 -46.5 8.3 -46.5 8 -46.6 7.9 -47 8.1 -47.6 7.4 -47.5 7.3 -47.7 7.2 -47.5 7 -47.4 6.3 -47.5 5.6 -47.9 5.3 -48.4 5.2 -48.8 5.4 -48.4 5.4 -48.1 5.6 -48.3 5.8 -48.4 6.4 -49.2 6.9 -49.2 7.2 -49.4 7.5 -49.1 7.8 -49.2 8.2 -50 9.3 -50.6 10.7Z"],
+  ["America/Argentina/Buenos_Aires", "M-63.4 34.5L-63.4 40.7 -63 40.8 -62.6 41.2 -62.1 41 -61.7 40.6 -61.8 39.6 -61.4 39.2 -58.9 38.9 -57.5 38.3 -56.4 37 -56.5 36.3 -55.7 35.8 -58 34.7 -57.9 34.4 -58.4 34 -58.7 34 -60.3 33.3 -60.5 33.6 -60.9 33.6 -61.7 34.4 -63.4 34.4Z"],
+  ["America/Argentina/Catamarca", "M-72.2 42.2L-72 42.5 -72.1 42.9 -71.7 43.2 -71.9 43.5 -71.6 43.7 -71.8 43.8 -71.6 43.9 -71.8 44.1 -71.8 44.4 -71.1 44.5 -71.3 44.8 -72.1 44.8 -71.3 45.2 -71.5 45.4 -71.5 45.5 -71.8 45.6 -71.6 46 -65.3 46 -65.1 45.1 -65.2 44.9 -64.8 44.4 -65 43.7 -64.7 43.4 -63.5 42.9 -63.3 42.6 -63.4 42 -71.8 42 -71.8 42.1ZM-69.1 27.8L-68.6 27.8 -68.5 27.7 -68.5 28 -67.9 28.1 -67.8 28.4 -66.6 28.3 -66.4 28.9 -65.7 29.3 -65.4 30.1 -64.9 29.8 -64.8 29.3 -64.9 28.8 -65.2 28.6 -65.2 27.9 -65.4 27.8 -65.6 28 -65.8 27.8 -65.8 27.9 -66 27.3 -66.1 27.3 -65.8 26.7 -66.2 26.6 -66.1 26.2 -66.2 26.1 -66.4 26.4 -66.8 26 -66.8 25.7 -66.6 25.6 -66.6 25.3 -67.4 25.2 -68.5 25.2 -68.6 25.4 -68.4 26.2 -68.6 26.5 -68.3 26.9 -68.6 27.2 -68.8 27.2Z"],
+  ["America/Argentina/Cordoba", "M-65.8 31L-65.8 31.9 -65.3 32 -65.2 32.3 -64.9 32.3 -64.9 32.5 -65.1 33.2 -65.1 35 -63.4 35 -63.4 34.4 -61.7 34.4 -60.9 33.6 -60.5 33.6 -60.3 33.3 -59.6 33.7 -58.4 34 -58.4 33.2 -58.1 33 -58.2 31.9 -58 31.8 -58.1 31.5 -57.8 30.9 -57.9 30.5 -55.9 28.4 -55.7 28.4 -55.8 28.2 -55 27.9 -54.8 27.5 -54.3 27.4 -54.2 27.3 -53.8 27.1 -53.7 26.9 -53.7 26 -53.8 25.7 -54.1 25.5 -54.4 25.7 -54.6 25.6 -54.8 26.6 -55.6 27.1 -55.7 27.4 -56.1 27.3 -56.4 27.6 -56.6 27.4 -56.8 27.6 -57.9 27.3 -58.6 27.3 -58.7 27.1 -58.2 26.6 -58.2 26.2 -57.9 26 -57.8 25.8 -57.6 25.6 -57.8 25.2 -59.1 24.6 -60 24 -61 23.8 -62 23 -62.3 22.5 -62.3 24.4 -63.5 25.7 -64.3 25.7 -64.5 26.2 -64.5 26.7 -65 27.5 -65 27.9 -65.2 27.9 -65.2 28.6 -64.9 28.8 -64.8 29.6 -65 29.6 -64.9 29.8 -65.4 30.1ZM-57 27.5L-56.9 27.5 -56.9 27.6 -56.8 27.6 -56.7 27.6 -56.7 27.5 -56.8 27.5 -56.9 27.4Z"],
+  ["America/Argentina/Jujuy", "M-67.2 23.7L-66.5 24.2 -66.3 23.6 -66.1 23.4 -66 23.5 -66 24 -65.7 24.1 -65.7 24.4 -65.3 24.5 -64.9 24.6 -64.8 24.5 -64.6 24.6 -64.3 24.4 -64.2 24.1 -64.2 23.5 -64.4 23.6 -64.9 23.5 -65.3 22.9 -65.4 22.5 -65.2 22.1 -65.7 22.1 -66.2 21.8 -66.3 22.1 -66.7 22.2 -67.2 22.8 -67 23ZM-65.4 24.3L-65.4 23.6 -64.7 23.6 -64.7 24.3ZM-65.4 24.3L-64.7 24.3 -64.7 23.6 -65.4 23.6Z"],
+  ["America/Argentina/La_Rioja", "M-69.6 28.4L-69.3 28.4 -69.2 28.8 -68.9 28.8 -69 29.6 -68.5 29.6 -68.2 29.9 -67.2 30.7 -67 31.6 -66.7 31.9 -65.8 31.9 -65.8 31 -65.4 30.1 -65.7 29.3 -66.4 28.9 -66.6 28.3 -67.8 28.4 -67.9 28.1 -68.5 28 -68.5 27.7 -68.6 27.8 -69.1 27.8Z"],
+  ["America/Argentina/Mendoza", "M-70.6 35.3L-70.4 35.5 -70.4 36.3 -69.8 36.9 -69.8 37.1 -68.4 37.6 -68.2 37.6 -68.3 36 -66.6 36 -66.5 35.1 -66.8 34.3 -66.7 34 -67.1 33.5 -67.3 32.4 -67.8 32.2 -68.1 32.1 -68.9 32.3 -68.9 32.1 -69.2 32 -69.6 32.1 -69.7 32.5 -70.2 32.6 -70 32.9 -70 33.3 -69.8 33.3 -69.9 33.8 -69.8 34.2 -70 34.3 -70.4 35.2Z"],
+  ["America/Argentina/Rio_Gallegos", "M-73.6 49.9L-73.4 50 -73.5 50.2 -73.4 50.5 -73.1 50.7 -73.2 50.8 -72.7 50.6 -72.3 50.7 -72.3 51 -72.4 51.1 -72.3 51.3 -72.4 51.6 -72.1 51.8 -71.9 52 -70 52 -69.2 52.2 -68.4 52.3 -68.5 52.5 -68.2 52.6 -68 52.3 -68.6 51.7 -68.8 51.1 -68.8 50.6 -67.6 50.1 -67.3 49.1 -65.4 48 -65.6 47 -65.3 46 -71.6 46 -71.9 46.1 -71.7 46.3 -71.6 46.6 -72 46.8 -71.9 47.2 -72 47.2 -72.5 47.7 -72.2 48.3 -72.6 48.5 -72.5 48.8 -72.9 48.9 -73.1 49.2 -73 49.3 -73.5 49.2Z"],
+  ["America/Argentina/Salta", "M-72 40.7L-71.8 42 -63.4 42 -62.9 41.3 -62.6 41.2 -63 40.8 -63.4 40.7 -63.4 35 -65.1 35 -65.1 36 -68.3 36 -68.2 37.6 -69.7 37.1 -69.8 36.9 -70.4 36.3 -70.4 36.1 -70.7 36.4 -71 36.5 -71.1 36.7 -71.2 37.7 -70.8 38.6 -71.4 38.9 -71.5 39.6 -71.7 39.6 -71.6 39.9 -71.8 40.1 -71.7 40.4ZM-68.6 24.8L-68.3 25.1 -68.5 25.2 -66.6 25.3 -66.6 25.6 -66.8 25.7 -66.8 26 -66.4 26.4 -66.2 26.1 -65.7 26.4 -65.7 26.1 -65.4 26.1 -65 26.3 -64.5 26.2 -64.3 25.7 -63.5 25.7 -62.3 24.4 -62.3 22.5 -62.8 22.2 -62.8 22 -63.9 22 -64.3 22.9 -64.5 22.3 -64.9 22.1 -65.2 22.1 -65.4 22.6 -64.9 23.5 -64.4 23.6 -64.2 23.5 -64.3 24.4 -64.6 24.6 -64.8 24.5 -64.9 24.6 -65.5 24.5 -65.7 24.1 -66 24 -66 23.5 -66.2 23.4 -66.5 24.2 -67.2 23.7 -67.3 24 -68.3 24.4Z"],
+  ["America/Argentina/San_Juan", "M-70.6 31.5L-70.5 31.8 -70.2 32 -70.4 32 -70.1 32.6 -69.7 32.5 -69.6 32.1 -69.2 32 -68.9 32.1 -68.9 32.3 -68.2 32.1 -67.9 32.2 -67.3 32.4 -67.5 32.1 -67.5 31.9 -66.7 31.9 -67 31.6 -67.1 30.9 -67.6 30.3 -68.3 29.7 -69 29.6 -68.9 28.8 -69.2 28.8 -69.3 28.4 -69.7 28.5 -69.8 29.1 -70 29.4 -69.9 29.7 -70 30.1 -69.8 30.2 -70 30.4 -70.2 30.3 -70.3 31 -70.5 31.1Z"],
+  ["America/Argentina/San_Luis", "M-67.5 32.1L-67.3 32.3 -67.1 33.5 -66.7 33.9 -66.8 34.3 -66.5 35.1 -66.6 36 -65.1 36 -65.1 33.2 -64.9 32.6 -64.9 32.3 -65.2 32.3 -65.2 32.1 -65.6 31.9 -66.3 32 -67.5 31.9Z"],
+  ["America/Argentina/Tucuman", "M-66.2 26.5L-66.2 26.6 -65.8 26.7 -66.1 27.3 -66 27.3 -65.8 27.9 -65.8 27.8 -65.6 28 -65.4 27.8 -65.2 27.9 -65 27.9 -65 27.5 -64.6 26.7 -64.5 26.7 -64.5 26.2 -64.7 26.2 -65 26.3 -65.3 26.1 -65.6 26.1 -65.7 26.1 -65.7 26.4 -66.1 26.2Z"],
+  ["America/Argentina/Ushuaia", "M-68.6 54.9L-67.3 54.9 -66.1 55.2 -65 55 -64.1 55.1 -63.6 54.9 -63.5 54.6 -64.1 54.4 -64.6 54.5 -65.7 54.5 -67 53.9 -67.7 53.5 -68.2 52.6 -68.5 52.5ZM-67.5 86L-35 86 -35 75 -58 74 -55.4 66.8 -54 63 -57 61.6 -59 61.8 -58.8 62.3 -57.3 63.4 -64 64 -63.8 64.8 -67.5 66ZM-47.5 60.5L-46 61.5 -44.3 61.2 -43.5 61 -43.5 60 -45 60Z"],
+  ["America/Aruba", "M-70.3 -12.5L-70.2 -12.4 -70.2 -12.3 -69.7 -12.3 -69.7 -12.4 -69.8 -12.6 -69.9 -12.8 -70.1 -12.8 -70.2 -12.7Z"],
+  ["America/Asuncion", "M-62.6 22.2L-62.2 22.5 -62 23 -61 23.8 -60 24 -59.1 24.6 -57.8 25.2 -57.6 25.6 -57.8 25.8 -57.9 26 -58.2 26.2 -58.2 26.6 -58.7 27.1 -58.6 27.3 -57.9 27.3 -56.8 27.6 -56.6 27.4 -56.4 27.6 -56.1 27.3 -55.7 27.4 -55.6 27.1 -55.1 26.9 -54.7 26.4 -54.6 25.5 -54.3 24.4 -54.3 24.2 -54.3 24 -54.7 23.8 -55.4 24 -55.6 22.7 -55.9 22.3 -56.2 22.3 -56.4 22.1 -56.8 22.3 -58 22.1 -57.8 20.9 -58.2 20.3 -58.2 19.8 -59.1 19.3 -60 19.3 -61.7 19.6 -62.3 20.6 -62.3 21.1ZM-57 27.5L-56.9 27.4 -56.8 27.5 -56.7 27.5 -56.7 27.6 -56.8 27.6 -56.9 27.6 -56.9 27.5 -57 27.5Z"],
+  ["America/Atikokan", "M-92.3 -48.5L-92 -48.4 -92.1 -48.4 -92 -48.2 -91.7 -48.2 -91.7 -48.1 -91.6 -48.1 -91.6 -48 -91.3 -48.1 -91 -48.2 -91 -49 -91.8 -49 -91.8 -48.7 -92 -48.6ZM-90.7 -51.2L-90.5 -51 -90 -50.7 -90 -51.4 -89.9 -51.4 -89.9 -51.5 -90 -51.5 -90 -52 -90.5 -51.7 -90.7 -51.5ZM-87.3 -63.5L-85 -62.7 -85 -60.3 -80 -62.9 -80 -63.9 -80.2 -64 -82.5 -65.5 -84.1 -65.5 -84.8 -66.1 -85.2 -66.1 -86.4 -65.7 -86.5 -65.1ZM-86.6 -80.1L-86.5 -80 -85.2 -79.9 -86.4 -80 -86.5 -79.9 -86.4 -79.8 -86.5 -79.8 -86 -79.7 -85.4 -79.7 -85 -79.6 -85 -80.3 -86.4 -80.3 -86.5 -80.3Z"],
+  ["America/Bahia", "M-46.6 11.4L-46.1 11.6 -46.4 11.6 -46.4 11.9 -46.2 11.9 -46.5 12 -46.2 12.5 -46.3 13 -46.1 12.9 -46.3 13.1 -46.3 13.3 -46.1 13.3 -46.2 13.4 -46.3 13.9 -45.9 14.4 -46 15 -46.1 15.2 -44.9 14.6 -44.3 14.2 -44 14.3 -43.8 14.3 -43.9 14.7 -43.5 14.8 -43.2 14.7 -42.1 15.2 -41.8 15.1 -41.4 15.5 -41.3 15.7 -40.8 15.6 -40.2 15.8 -39.9 16.1 -40.3 16.6 -40.3 16.9 -40.5 16.9 -40.6 17.1 -40.6 17.4 -40.2 17.7 -40.3 17.9 -39.5 18.4 -39.4 18.2 -39 18.1 -38.5 18.2 -38.5 17.8 -38.7 17.7 -39 17.2 -38.8 17 -38.9 16.6 -38.6 15.9 -38.8 14.8 -38.6 13.3 -37.8 12.7 -37.2 11.6 -37.3 11.4 -37.8 11.5 -38.2 10.9 -38.2 10.7 -37.8 10.7 -37.7 10.3 -37.8 10 -38 9.9 -38 9.5 -38.2 9.4 -38.5 8.9 -38.7 9 -39.4 8.5 -39.9 8.8 -40 9.1 -40.3 9.1 -40.4 9.4 -40.6 9.5 -40.8 9.5 -40.7 9.2 -40.9 8.8 -41.4 8.7 -41.8 9.2 -42.2 9.3 -42.8 9.6 -43 9.4 -43.6 9.3 -43.9 9.6 -43.7 10 -43.9 10.4 -44.1 10.6 -44.6 10.6 -44.8 10.9 -45.4 10.7 -45.6 10.1 -45.7 10.2ZM-40.1 17.9L-40.1 16.5 -39.4 16.5 -39.4 17.9ZM-40.1 17.9L-39.4 17.9 -39.4 16.5 -40.1 16.5Z"],
+  ["America/Bahia_Banderas", "M-105.9 -20.7L-105.6 -20.6 -105.3 -20.6 -105.3 -20.7 -105.2 -20.7 -105.2 -20.8 -105.1 -20.9 -105 -20.9 -105 -21 -105.2 -20.9 -105.4 -20.9 -105.3 -20.9 -105.5 -21.1 -105.7 -20.9 -105.8 -20.8Z"],
+  ["America/Barbados", "M-59.9 -13.3L-59.8 -13 -59.6 -12.9 -59.4 -12.9 -59.2 -13.1 -59.3 -13.3 -59.5 -13.5 -59.8 -13.5Z"],
+  ["America/Belem", "M-54.9 -2.4L-54.7 -1.8 -54.3 -1.7 -54.1 -1.5 -53.4 -1.2 -53.4 -0.9 -53.1 -0.7 -53.2 -0.4 -52.5 0.6 -52.4 1.1 -52.1 1.2 -51.8 1.1 -52 1.4 -51.8 1.5 -52.3 1.7 -52 2.8 -51.6 3.2 -51.8 3.3 -51.7 3.5 -51.8 3.6 -52.2 3.2 -52.6 3.8 -52.9 5.1 -52.9 5.4 -52.5 5.8 -52.5 6.3 -52 6.7 -52 6.9 -52.5 7.1 -52.8 7.9 -52.6 8.4 -52.3 8.6 -52 9.3 -52.2 9.6 -52.6 9.7 -50.2 9.8 -50 9.3 -49.2 8.2 -49.1 7.8 -49.4 7.5 -49.2 7.2 -49.2 6.9 -48.4 6.4 -48.4 6.2 -48.2 5.9 -48.3 5.8 -48.1 5.6 -48.8 5.4 -47.6 4.6 -47.1 3.9 -46.6 2.8 -46.7 2.7 -46.4 2.5 -46.3 1.7 -46.2 1.7 -45.9 0.8 -47.6 0.3 -50.3 -2.3 -50.8 -3 -50.9 -4.2 -51.4 -4.6 -51.6 -4.5 -51.7 -4.1 -52.3 -3.2 -52.6 -2.5 -52.9 -2.2 -53.8 -2.4 -54.1 -2.1 -54.5 -2.2 -54.7 -2.5Z"],
+  ["America/Belize", "M-89.2 -15.9L-88.6 -16.1 -88.2 -15.9 -87.3 -17.2 -87.3 -17.6 -87.7 -17.9 -87.6 -18.2 -88 -18.2 -88 -18.4 -88.5 -18.5 -88.7 -18.1 -88.9 -17.9 -89.2 -17.9ZM-88.6 -16.5L-88.6 -17.9 -87.9 -17.9 -87.9 -16.5ZM-88.6 -16.5L-87.9 -16.5 -87.9 -17.9 -88.6 -17.9Z"],
+  ["America/Blanc-Sablon", "M-63 -49.8L-61.9 -49.4 -61.6 -49.1 -62.3 -49 -62.9 -49.2 -62.9 -48.5 -60.5 -48.5 -60.5 -48.8 -57.1 -51.3 -57.1 -52 -63 -52Z"],
+  ["America/Boa_Vista", "M-64.8 -4.2L-64.1 -3.5 -64.2 -3.1 -64 -2.7 -64.1 -2.5 -63.4 -2.5 -63.4 -2.2 -62.7 -1.9 -62.8 -1.6 -62.5 -1.1 -62.5 -0.5 -62.2 0.3 -62.3 0.6 -62.5 0.8 -61.9 1.4 -61.5 1.6 -61.6 1.4 -61.6 0.9 -61.2 0.5 -60.9 0.5 -60.7 0.9 -60.3 0.7 -60.4 0.5 -60.2 0.1 -60 -0.3 -58.9 -0.3 -58.9 -1.3 -59.7 -1.8 -59.7 -2.3 -60 -2.6 -59.9 -3.6 -59.5 -3.9 -59.7 -4.2 -59.7 -4.4 -60.2 -4.5 -60 -5.1 -60.1 -5.2 -60.7 -5.2 -60.6 -4.9 -61 -4.5 -61.3 -4.5 -61.6 -4.3 -61.9 -4.1 -62.5 -4.2 -62.6 -4 -62.8 -4 -62.7 -3.7 -63 -3.6 -63.4 -4 -63.5 -3.8 -63.6 -4 -64 -3.9 -64.1 -4.1Z"],
+  ["America/Bogota", "M-82.1 -12.1L-81.8 -12 -81.7 -12 -81.6 -12.2 -81.3 -12.2 -81.2 -12.4 -81.3 -12.6 -81.7 -12.8 -81.9 -12.7 -81.9 -12.6 -81.9 -12.4 -82.1 -12.3ZM-81.8 -4L-81.8 -3.9 -81.6 -3.8 -81.5 -3.9 -81.4 -4 -81.4 -4.1 -81.5 -4.2 -81.6 -4.2 -81.8 -4.1ZM-81.6 -13.4L-81.6 -13.2 -81.5 -13.2 -81.4 -13.1 -81.2 -13.2 -81.1 -13.4 -81.1 -13.6 -81.2 -13.7 -81.4 -13.7 -81.5 -13.6ZM-81.4 -14.3L-81.3 -14 -81.1 -13.9 -81 -14 -80.9 -14.3 -80.9 -14.5 -80.9 -14.6 -81.1 -14.7 -81.2 -14.7 -81.3 -14.6ZM-80.5 -14.3L-80.4 -14.1 -80.2 -14.1 -80.1 -14.2 -79.9 -14.4 -80 -14.6 -80.1 -14.7 -80.3 -14.7 -80.4 -14.5ZM-80.3 -13.6L-80.2 -13.4 -80.1 -13.3 -79.9 -13.3 -79.9 -13.4 -79.8 -13.5 -79.9 -13.7 -80.1 -13.8 -80.2 -13.7ZM-80.1 -15.8L-80 -15.7 -79.9 -15.6 -79.7 -15.7 -79.7 -15.8 -79.7 -15.9 -79.9 -16 -80 -15.9ZM-79.2 -1.6L-79.2 -1.5 -78.3 -1.2 -78 -0.8 -77.7 -0.8 -77.5 -0.7 -77.5 -0.4 -76.6 -0.2 -76.3 -0.4 -75.8 -0.1 -74.8 0.2 -74.4 0.5 -74.3 1 -73.6 1.3 -73.5 1.7 -73.1 1.8 -73.2 2.2 -72.9 2.5 -72.6 2.4 -72.2 2.5 -71.7 2.1 -71.4 2.4 -71 2.2 -70.6 2.5 -70.3 2.5 -70.1 2.8 -70.7 3.8 -70.3 3.8 -69.9 4.2 -69.4 1.1 -69.6 0.5 -70 0.2 -70 -0.6 -69.5 -0.7 -69.1 -0.6 -69.2 -1.1 -69.8 -1.1 -69.8 -1.7 -68.2 -1.7 -68.3 -1.8 -68.2 -2 -67.9 -1.8 -67.4 -2.2 -67.1 -1.8 -67.1 -1.2 -66.9 -1.2 -67.3 -2.4 -67.6 -2.8 -67.9 -2.8 -67.3 -3.4 -67.6 -3.8 -67.9 -4.5 -67.9 -5.3 -67.6 -5.5 -67.5 -6.2 -67.8 -6.3 -68 -6.2 -69.4 -6.1 -70.1 -7 -70.7 -7.1 -71 -7 -72.1 -7 -72.2 -7.4 -72.5 -7.5 -72.4 -8.2 -72.8 -9.1 -72.9 -9.1 -73 -9.3 -73.3 -9.2 -72.9 -9.8 -72.9 -10.5 -72.5 -11.1 -72.2 -11.1 -72 -11.6 -71.1 -12 -71.1 -12.5 -71.7 -12.7 -75 -11.3 -75.7 -10.7 -76.3 -9.5 -77.3 -9 -77.5 -8.5 -77.2 -7.9 -77.6 -7.5 -77.7 -7.7 -77.7 -7.5 -78 -7.1 -77.7 -6.2 -77.7 -4.3ZM-78.8 -15.9L-78.8 -15.7 -78.6 -15.7 -78.5 -15.7 -78.4 -15.8 -78.5 -16 -78.6 -16 -78.8 -16Z"],
+  ["America/Boise", "M-118.2 -44.2L-118.2 -42.4 -117 -42.5 -117 -42 -111 -42 -111.1 -44.5 -111.4 -44.8 -111.5 -44.5 -112.3 -44.6 -112.8 -44.4 -113.1 -44.8 -113.5 -44.9 -113.9 -45.7 -114.3 -45.5 -114.8 -45.5 -114.7 -45.4 -115.2 -45.6 -115.5 -45.4 -116.3 -45.4 -116.3 -45.9 -116.6 -46 -116.8 -45.8 -116.5 -45.6 -117.2 -44.5 -117.2 -44.3 -118 -44.4Z"],
+  ["America/Cambridge_Bay", "M-120.7 -68L-116.5 -66.8 -112.5 -65.5 -110.7 -65.5 -109.3 -64.8 -102 -64.2 -102 -67 -89 -67 -89 -69.3 -89.6 -70 -92.2 -71.9 -102 -73.4 -102 -80.1 -110 -79.1 -110 -70 -112.5 -70 -112.3 -69.9 -112.4 -69.9 -112.9 -69.8 -112.9 -70 -117.1 -70 -117.1 -69.9 -116.6 -69.6 -120.7 -69.6Z"],
+  ["America/Campo_Grande", "M-58.2 20.2L-57.8 20.9 -58 22.1 -56.8 22.3 -56.4 22.1 -56.2 22.3 -55.9 22.3 -55.6 22.7 -55.5 23.7 -55.3 24 -54.7 23.8 -54.3 24.1 -54.1 24 -54 23.5 -53.7 23.3 -53.6 23 -52.5 22.2 -52.1 21.7 -51.6 20.6 -51.1 20.2 -50.9 19.5 -52.5 18.7 -52.9 18.6 -52.8 18.4 -53.1 18.3 -53.1 18 -54 17.9 -53.7 17.7 -53.7 17.2 -54.1 17.6 -54.3 17.7 -54.6 17.5 -55.1 17.7 -56.1 17.2 -56.7 17.3 -57 17.7 -57.5 17.9 -57.8 17.6 -57.5 18.2 -58.1 19.8 -57.9 20Z"],
+  ["America/Cancun", "M-89.3 -19.6L-89.1 -19.4 -89.2 -18 -88.9 -17.9 -88.5 -18.5 -88 -18.4 -88 -18.2 -87.9 -18.1 -87.6 -18.2 -87.5 -18.5 -87.3 -18.4 -87.1 -18.5 -87.1 -18.9 -87.4 -19 -87.2 -19.6 -87.3 -20.1 -86.9 -20.1 -86.5 -20.6 -86.7 -20.8 -86.5 -21.2 -86.7 -21.7 -87.5 -21.7 -87.5 -21 -87.7 -20.7Z"],
+  ["America/Caracas", "M-73.4 -9.2L-73 -9.3 -72.9 -9.1 -72.8 -9.1 -72.4 -8.2 -72.5 -7.5 -72.2 -7.4 -72.1 -7 -71 -7 -70.7 -7.1 -70.1 -7 -69.4 -6.1 -68 -6.2 -67.8 -6.3 -67.5 -6.2 -67.6 -5.5 -67.9 -5.3 -67.9 -4.5 -67.6 -3.8 -67.3 -3.4 -67.9 -2.8 -67.6 -2.8 -67.2 -2.4 -66.9 -1.2 -66.3 -0.7 -65.6 -1 -65.5 -0.9 -65.6 -0.7 -65.4 -0.7 -65.2 -1.1 -64.7 -1.2 -64.4 -1.5 -64.3 -1.4 -64 -2 -63.4 -2.2 -63.4 -2.5 -64.1 -2.5 -64 -2.7 -64.2 -3.1 -64.1 -3.3 -64.2 -3.6 -64.8 -4.1 -64.8 -4.3 -64.6 -4.1 -64.1 -4.1 -64 -3.9 -63.2 -3.9 -63 -3.6 -62.7 -3.7 -62.7 -4 -61.6 -4.3 -61.3 -4.5 -61 -4.5 -60.6 -4.9 -61.4 -5.9 -61.1 -6.2 -61.1 -6.7 -60.7 -6.8 -60.3 -7 -60.4 -7.2 -60.6 -7.2 -60.7 -7.5 -60.5 -7.8 -59.8 -8.2 -60 -8.5 -59.8 -8.6 -60.4 -8.8 -60.5 -9.2 -60.9 -9.7 -62.1 -10 -62 -10.2 -62.3 -10.3 -61.9 -10.4 -61.7 -10.9 -63.6 -10.8 -63.4 -11.3 -63.6 -11.5 -64.5 -11.2 -64.6 -11 -64.4 -10.8 -64.5 -10.6 -65.1 -10.3 -65.8 -10.5 -66.1 -11 -66.4 -10.8 -67.9 -10.7 -68.3 -11.4 -68.8 -11.6 -69.5 -11.7 -69.7 -12.3 -70.1 -12.4 -70.5 -12 -70.4 -11.5 -71.5 -11.2 -71.8 -11.4 -71.1 -11.7 -71.3 -11.9 -72 -11.6 -72.2 -11.1 -72.6 -10.9 -72.9 -10.4 -72.9 -9.8ZM-71.1 -12.5L-71 -12.3 -70.9 -12.2 -70.8 -12.2 -70.7 -12.3 -70.7 -12.4 -70.7 -12.6 -70.9 -12.7 -71 -12.7 -71.1 -12.6ZM-67.9 -12.1L-67.9 -11.9 -67.7 -11.8 -67.4 -11.7 -67.2 -11.8 -67.2 -12.1 -67.3 -12.2 -67.5 -12.2 -67.6 -12.2 -67.7 -12.3 -67.9 -12.2ZM-67.2 -11.8L-67 -11.5 -66.9 -11.5 -66.5 -11.6 -66.4 -11.7 -66.2 -11.6 -66 -11.6 -65.9 -11.8 -66 -12 -66.2 -12.1 -66.4 -11.9 -66.5 -12.1 -66.6 -12.2 -67 -12.1ZM-65.6 -11L-65.6 -10.8 -65.5 -10.7 -65.3 -10.7 -65.1 -10.7 -65 -10.8 -65 -10.9 -65 -11 -65.1 -11.1 -65.3 -11.2 -65.4 -11.2 -65.6 -11.1ZM-64.9 -11.8L-64.8 -11.7 -64.6 -11.6 -64.5 -11.5 -64.3 -11.5 -64.2 -11.6 -64.2 -11.8 -64.2 -11.9 -64.3 -12 -64.5 -12.1 -64.6 -12.1 -64.7 -12.1ZM-63.9 -15.7L-63.8 -15.5 -63.6 -15.5 -63.5 -15.5 -63.4 -15.7 -63.5 -15.9 -63.6 -15.9 -63.8 -15.8ZM-63.3 -11.3L-63.3 -11.2 -63.1 -11.1 -62.9 -11.2 -62.8 -11.4 -62.9 -11.6 -63.1 -11.6 -63.3 -11.5Z"],
+  ["America/Cayenne", "M-54.6 -2.3L-54.1 -2.1 -53.8 -2.4 -53.5 -2.3 -53.3 -2.4 -53.3 -2.2 -52.9 -2.3 -52.6 -2.5 -52.3 -3.2 -51.7 -4.1 -51.5 -4.7 -52.5 -5.5 -53.9 -6 -54.5 -4.9 -54.4 -4 -54 -3.6 -54.2 -3.2 -54.2 -2.8Z"],
+  ["America/Cayman", "M-81.6 -19.4L-81.6 -19.2 -81.4 -19.1 -81 -19.1 -80.9 -19.2 -80.9 -19.3 -80.9 -19.4 -81 -19.5 -81.4 -19.6 -81.6 -19.5ZM-80.3 -19.7L-80.3 -19.5 -80.2 -19.5 -79.8 -19.5 -79.6 -19.6 -79.5 -19.8 -79.6 -19.9 -79.8 -20 -80.2 -19.9 -80.3 -19.8Z"],
+  ["America/Chicago", "M-105 -30.6L-104.5 -29.6 -103.3 -29 -102.9 -29.2 -102.7 -29.7 -102.3 -29.9 -101.4 -29.8 -100.7 -29.1 -100.3 -28.3 -99.5 -27.6 -99.4 -27 -99.1 -26.4 -98.2 -26.1 -97.7 -26 -97.4 -25.8 -96.9 -26 -97.2 -27.1 -96.8 -27.8 -94.5 -29.3 -93.2 -29.6 -91.5 -29.2 -91 -28.8 -90 -29 -89.6 -29 -89.6 -28.8 -89.5 -28.7 -89 -28.8 -88.8 -29.1 -88.9 -29.4 -88.6 -29.7 -88.6 -30 -86.4 -30.2 -85.7 -29.9 -85.4 -29.5 -85.2 -29.6 -85.4 -29.7 -85.4 -30 -85 -29.8 -85.1 -30.2 -84.9 -30.7 -85.1 -31.2 -85.1 -31.8 -84.9 -32.3 -85.2 -32.5 -85.6 -35 -85.4 -35 -85.1 -35.6 -84.7 -35.9 -84.9 -36.2 -84.7 -36.4 -84.8 -36.6 -85 -36.6 -85.1 -36.9 -84.8 -37 -85.1 -37.3 -85.4 -37.2 -85.6 -37.5 -86.1 -37.5 -86.3 -37.6 -86.2 -37.8 -86.5 -38 -86.7 -37.8 -86.8 -38.2 -87.3 -38.2 -87.5 -38.5 -87.8 -38.5 -87.5 -38.7 -87.7 -39.1 -87.5 -39.3 -87.5 -40.7 -87.1 -40.7 -86.9 -40.9 -86.9 -41.2 -86.5 -41.6 -86.5 -41.8 -87.2 -41.8 -87 -42.5 -87.1 -43.4 -86.7 -44.9 -86.2 -45.2 -87.1 -45.4 -87.4 -45.1 -87.7 -45.1 -87.7 -45.4 -87.9 -45.4 -87.8 -45.7 -88.1 -45.8 -88.1 -45.9 -90.1 -46.3 -90.4 -46.5 -89.5 -48 -90.8 -48.1 -90.9 -48.2 -91.6 -48 -92.1 -48.4 -92.4 -48.2 -92.5 -48.4 -92.7 -48.5 -92.6 -48.5 -93 -48.6 -93.8 -48.5 -94.6 -48.7 -94.8 -49.3 -95 -49.4 -95.2 -49.4 -95.2 -49 -104 -49 -104 -48 -103.6 -47.5 -103 -47.7 -102.4 -47.5 -102.3 -47.6 -101.4 -47.6 -101.3 -47.3 -101 -47.3 -100.8 -46.7 -100.5 -46.5 -101.3 -46.1 -101.3 -45.9 -100.4 -45.9 -100.3 -45.7 -100.5 -45.5 -100.3 -45.2 -100.4 -44.9 -100.7 -44.8 -100.4 -44.3 -100.6 -44.2 -101 -44.2 -101.1 -43.8 -101.2 -43.8 -101.2 -43 -100.9 -43 -100.8 -42.1 -100.8 -41.7 -101.4 -41.7 -101.3 -41 -101.3 -40 -102.1 -40 -102 -39.6 -101.4 -39.6 -101.6 -38.7 -101.5 -37.7 -102 -37.7 -102 -37 -103 -37 -103.1 -32 -104.9 -32Z"],
+  ["America/Chihuahua", "M-109.1 -28.3L-108.9 -27.8 -108.7 -27.5 -108.6 -27 -108.2 -27 -107.9 -26.2 -107.3 -26.1 -107 -25.7 -106.7 -25.6 -106 -26.8 -105.5 -26.5 -104.8 -26.5 -104.6 -26.3 -104.3 -26.8 -103.7 -26.7 -103.9 -26.9 -103.7 -27 -104 -27.8 -103.6 -28.6 -104.4 -28.7 -104.7 -28.7 -104.8 -29 -105.1 -29 -105.1 -29.2 -105.9 -29.7 -105.8 -29.9 -105.9 -30 -105.6 -30.3 -105.7 -30.8 -106.1 -30.8 -106.4 -31.2 -106.7 -31.2 -107 -31.1 -107.3 -30.8 -108 -30.8 -107.9 -30.7 -108.1 -30.7 -108.2 -30.4 -108.6 -30.2 -108.5 -29.8 -108.8 -29.3 -108.5 -28.4Z"],
+  ["America/Ciudad_Juarez", "M-108.9 -30.7L-108.6 -30.5 -108.6 -30.2 -108.5 -30.2 -108.4 -30.3 -108.2 -30.4 -108.1 -30.7 -107.9 -30.7 -108 -30.8 -107.3 -30.8 -106.9 -31.2 -106.4 -31.2 -106.1 -30.8 -105.8 -30.8 -105.5 -30.3 -105.3 -30.4 -105.2 -30.4 -105.1 -30.5 -104.9 -30.5 -105.2 -30.8 -106.2 -31.5 -106.5 -31.8 -108.2 -31.8 -108.2 -31.3 -108.9 -31.2 -108.7 -31 -108.9 -30.9Z"],
+  ["America/Costa_Rica", "M-86.2 -10.9L-85.8 -9.8 -83 -7.9 -82.9 -8.1 -83.1 -8.3 -82.8 -8.5 -82.9 -8.8 -82.7 -8.9 -82.9 -9.1 -82.9 -9.5 -82.9 -9.6 -82.6 -9.5 -82.4 -9.7 -83 -10.2 -83.6 -11.1 -83.7 -10.8 -83.9 -10.7 -84.4 -11 -84.7 -11.1 -84.9 -10.9 -85.6 -11.2 -85.7 -11.1 -86 -11.1Z"],
+  ["America/Coyhaique", "M-76 48.8L-75 48.6 -74 48.7 -73.1 49.2 -72.9 48.9 -72.5 48.8 -72.6 48.5 -72.2 48.3 -72.5 47.7 -72 47.2 -71.9 47.2 -72 46.8 -71.6 46.7 -71.7 46.3 -71.9 46.1 -71.6 46 -71.8 45.8 -71.8 45.6 -71.5 45.5 -71.5 45.4 -71.3 45.2 -71.6 45 -72 44.9 -72.1 44.8 -71.3 44.8 -71.1 44.5 -71.8 44.4 -71.8 44 -72.1 43.9 -72.3 43.7 -72.5 43.8 -72.8 43.6 -73.1 43.7 -73.9 43.6 -75.1 43.8 -75.1 44.5 -75.5 44.8 -75.2 45.6 -75.9 46.7 -75.7 47.1 -75.7 47.7 -76 48.1Z"],
+  ["America/Creston", "M-117 -49.1L-116.9 -49.1 -116.9 -49 -115.7 -49 -115.9 -49.2 -116 -49.2 -116 -49.3 -116.2 -49.3 -116.2 -49.4 -116.3 -49.5 -116.4 -49.5 -116.5 -49.5 -116.7 -49.5 -116.6 -49.5 -116.7 -49.6 -116.6 -49.6 -116.7 -49.6 -116.6 -49.7 -116.6 -49.8 -116.9 -49.8 -116.9 -49.6 -116.8 -49.6 -116.8 -49.3 -116.7 -49.3 -116.8 -49.2 -116.9 -49.2 -116.9 -49.1 -117 -49.2Z"],
+  ["America/Cuiaba", "M-61.6 9.3L-61.5 9.6 -61.5 11 -60.5 11 -60 11.1 -59.9 11.3 -60.1 11.8 -59.8 12.3 -60.4 13.5 -60.7 13.7 -60.4 14 -60.5 14.2 -60.2 15.1 -60.6 15.1 -60.2 15.5 -60.2 16.3 -58.3 16.3 -58.5 16.7 -58.4 17.2 -58 17.5 -57.7 17.5 -57.5 17.9 -57 17.7 -56.7 17.3 -56.1 17.2 -55.1 17.7 -54.6 17.5 -54.3 17.7 -54.1 17.6 -53.7 17.2 -53.7 17.7 -54 17.9 -53.5 18 -53.1 18 -53.2 17.7 -53.2 17.3 -53 16.9 -52.6 16.5 -52.7 16.3 -52.3 15.9 -51.9 15.8 -51.5 15.1 -51.1 14.9 -50.8 14.1 -50.9 13.7 -50.5 12.9 -50.7 12.6 -50.7 11.4 -50.6 10.7 -50.2 9.8 -56.8 9.4 -57.2 8.9 -57.6 8.7 -57.6 8.2 -58.1 7.3 -58.4 7.8 -58.3 8.1 -58.4 8.8 -61.6 8.8 -61.5 8.9Z"],
+  ["America/Curacao", "M-69.4 -12.4L-69.3 -12.2 -69.1 -11.9 -68.7 -11.8 -68.5 -11.8 -68.4 -11.9 -68.5 -12.1 -68.7 -12.3 -68.9 -12.4 -69 -12.5 -69.2 -12.6 -69.3 -12.5Z"],
+  ["America/Danmarkshavn", "M-22.9 -76L-19.5 -75.7 -17.5 -75.8 -17.9 -76.5 -17.3 -76.9 -17.3 -77.2 -16.7 -77.6 -16.5 -77.8 -16.9 -78.7 -16.5 -79 -16.6 -79.2 -15.2 -79.2 -14.8 -79.3 -14.9 -79.4 -22.7 -79.7Z"],
+  ["America/Dawson", "M-141 -69.7L-141 -60.3 -140 -60.2 -139.1 -60.4 -139.2 -60.1 -139.1 -60 -138 -60 -138 -69.5 -138.2 -69.6 -139 -69.8 -141 -69.8Z"],
+  ["America/Dawson_Creek", "M-124.9 -57.8L-124.1 -57.4 -124.2 -57.3 -123.6 -56.5 -123.3 -55.7 -123.1 -55.7 -122.9 -55.6 -123 -55.4 -122.6 -55.4 -121.8 -54.9 -121.5 -54.8 -121.4 -54.5 -120.8 -54.5 -120.6 -54.1 -120.2 -54.1 -120.3 -54 -120.1 -54 -120 -53.8 -120 -58 -124.9 -58Z"],
+  ["America/Denver", "M-116 -49L-116 -48 -115.7 -47.7 -115.6 -47.5 -115.8 -47.4 -115.3 -47.3 -114.8 -46.7 -114.3 -46.6 -114.5 -46.1 -114.4 -45.9 -114.6 -45.8 -114.6 -45.6 -114.3 -45.5 -113.9 -45.7 -113.5 -44.9 -113.1 -44.8 -112.9 -44.4 -112.7 -44.5 -111.5 -44.6 -111.4 -44.8 -111.1 -44.5 -111 -42 -114 -42 -114.1 -37 -111.4 -37 -111.2 -36.8 -111.4 -37 -111.6 -36.8 -111.9 -36.4 -111.7 -35.7 -111.3 -35.8 -111.2 -35.2 -109.7 -35.1 -109.3 -35.2 -109.3 -35.1 -109.6 -35.1 -109.5 -34.9 -109 -34.9 -109.1 -31.3 -108.2 -31.3 -108.2 -31.8 -106.5 -31.8 -105 -30.6 -104.9 -32 -103.1 -32 -103 -37 -102 -37 -102 -37.7 -101.5 -37.7 -101.6 -38.7 -101.4 -39.6 -102 -39.6 -102.1 -40 -101.3 -40 -101.3 -41 -101.4 -41.7 -100.8 -41.7 -100.8 -42.1 -100.9 -43 -101.2 -43 -101.2 -43.8 -101.1 -43.8 -101 -44.2 -100.6 -44.2 -100.4 -44.3 -100.7 -44.8 -100.5 -44.8 -100.3 -45 -100.3 -45.4 -100.5 -45.5 -100.3 -45.7 -100.4 -45.9 -101.3 -45.9 -101 -46.4 -101.3 -46.4 -101.3 -46.6 -102.1 -46.7 -102.3 -47.6 -102.4 -47.5 -103 -47.7 -103.5 -47.5 -103.7 -47.6 -103.8 -47.8 -104 -48 -104 -49ZM-111.3 -36.1L-111.2 -36.1 -111.2 -36.2 -111.2 -36.1 -111.1 -36.1 -111.1 -36 -111.2 -36 -111.3 -36 -111.3 -36.1ZM-111 -36.2L-111 -36.3 -110.9 -36.3 -110.8 -36.4 -110.3 -36.4 -110.4 -36.2 -110.6 -36.1 -110.6 -36 -110.5 -36 -110.4 -36.1 -110.4 -36 -110.3 -36 -110.1 -36 -110.1 -35.9 -110 -35.9 -110 -35.6 -110.1 -35.6 -110.3 -35.6 -110.3 -35.5 -110.9 -35.5 -110.8 -35.6 -111 -35.5ZM-110.2 -35.7L-110.1 -35.7 -110.1 -35.8 -110.2 -35.8Z"],
+  ["America/Detroit", "M-90.4 -46.6L-89.9 -46.8 -89.9 -46.6 -89.4 -46.5 -89.4 -46.3 -88.1 -46.4 -88.1 -46.2 -87.6 -46.2 -87.6 -46 -87.4 -46 -87.3 -45.6 -86.2 -45.2 -86.7 -44.9 -87 -44.1 -87.1 -43.4 -87 -42.5 -87.2 -41.8 -86.2 -41.8 -83.4 -41.7 -83.1 -42 -83.1 -42.3 -82.5 -42.6 -82.1 -43.6 -82.5 -45.3 -83.6 -45.8 -83.4 -46 -83.6 -46.1 -84 -46.1 -84.1 -46.5 -84.6 -46.5 -84.9 -46.9 -88.4 -48.3 -89.5 -48Z"],
+  ["America/Dominica", "M-61.7 -15.5L-61.5 -15.1 -61.3 -15 -61.1 -15.1 -61.1 -15.2 -61.1 -15.6 -61.1 -15.7 -61.4 -15.8 -61.7 -15.6Z"],
+  ["America/Edmonton", "M-120 -55L-120 -53.8 -119.7 -53.6 -119.9 -53.5 -119.4 -53.4 -119.3 -53.2 -118.9 -53.2 -118.6 -52.9 -118.4 -52.8 -118.2 -52.5 -118.6 -52.3 -118.4 -52 -118.2 -52 -118.1 -51.7 -117.9 -51.7 -118 -51.5 -117.7 -51.3 -117.5 -51.3 -117.4 -51 -116.6 -50.6 -116.7 -50.5 -116.4 -50 -116.7 -49.9 -116.7 -49.5 -116.3 -49.5 -115.7 -49 -110 -49 -110 -52.7 -109.4 -52.7 -109.3 -52.9 -108.9 -52.8 -108.8 -53 -109.6 -53.6 -110 -53.6 -110 -60 -102 -60 -102 -64.2 -109.3 -64.8 -110.7 -65.5 -112.5 -65.5 -120 -67.8ZM-120 -69.6L-116.6 -69.6 -117.1 -69.9 -117.1 -70 -112.9 -70 -112.9 -69.8 -112.5 -69.9 -112.3 -69.9 -112.5 -70 -110 -70 -110 -79.1 -114.8 -78.5 -116.9 -77.8 -120 -77.4Z"],
+  ["America/Eirunepe", "M-73.8 7.1L-72.6 7.6 -70.1 7.8 -68.6 9 -67.6 9.5 -69.9 4.2 -70.2 4.4 -70.3 4.1 -70.6 4.1 -70.9 4.4 -71.9 4.5 -72.9 5.2 -73 5.8 -73.2 6.1 -73.1 6.5 -73.6 6.8Z"],
+  ["America/El_Salvador", "M-90.2 -13.6L-89.9 -13.3 -89.3 -13.3 -88.8 -13 -87.9 -13 -87.6 -13.2 -87.8 -13.4 -87.7 -13.4 -87.7 -13.8 -87.8 -13.9 -88 -13.9 -88.1 -14 -88.5 -13.8 -88.8 -14.1 -89.1 -14.4 -89.6 -14.4 -89.5 -14.2 -90 -13.9Z"],
+  ["America/Fort_Nelson", "M-127.8 -59.8L-127 -59.1 -126.9 -59 -127.1 -58.9 -126.8 -58.7 -126.3 -58.6 -125.8 -58.3 -124.9 -58.2 -124.9 -58 -120 -58 -120 -60 -127.7 -60Z"],
+  ["America/Fortaleza", "M-48.8 5.3L-48.4 5.2 -47.5 5.5 -47.4 6.3 -47.5 7 -47.7 7.2 -47.5 7.3 -47.6 7.4 -47 8.1 -46.6 7.9 -46.5 8.1 -46.5 8.3 -46.8 8.4 -47.1 9.1 -46.6 9.5 -46.6 9.7 -46.4 10.2 -46 10.2 -45.9 10.4 -45.6 10.1 -45.4 10.7 -44.9 10.9 -44.6 10.6 -44.1 10.6 -43.9 10.4 -43.7 10 -43.9 9.6 -43.5 9.3 -43 9.4 -42.8 9.6 -42.2 9.3 -41.8 9.2 -40.6 8.1 -40.5 7.9 -40.7 7.5 -40.5 7.3 -39.7 7.3 -39.1 7.9 -38.7 7.6 -38.1 7.8 -37.2 7.3 -37 7.5 -37.3 7.9 -37.2 8 -37 8.3 -36.4 7.8 -35.5 7.7 -35.2 7.4 -34.6 7.6 -34.6 6.9 -35 5.5 -35.4 5 -36.2 4.7 -36.4 4.9 -37.1 4.7 -38.3 3.5 -39.9 2.7 -41.5 2.7 -42.8 2.3 -44.8 1.1 -45.9 0.8 -46.2 1.7 -46.3 1.8 -46.2 1.8 -46.4 2.5 -46.7 2.7 -46.6 2.8 -47.1 3.9 -47.6 4.6ZM-34 3.9L-34 4 -33.8 4.1 -33.7 4 -33.6 3.9 -33.7 3.7 -33.8 3.7 -34 3.7Z"],
+  ["America/Glace_Bay", "M-62.7 -45.3L-62 -44.7 -60.8 -45.1 -60.5 -45.4 -59.5 -45.9 -59.4 -46.1 -59.9 -46.4 -60 -47 -59.3 -47.4 -60.4 -47.8 -61.4 -47 -61.8 -46.2 -62.3 -45.9 -62.1 -45.4Z"],
+  ["America/Goose_Bay", "M-67.8 -54L-67.3 -53.6 -66.9 -53.4 -67 -53.3 -67 -53.1 -67.4 -53.1 -67.2 -53 -67.3 -52.9 -66.8 -52.7 -66.6 -53 -66.4 -53 -66.3 -52.6 -66.4 -52.6 -66.3 -52.4 -66.5 -52.3 -66.4 -52.1 -66.3 -52.3 -66 -52.1 -65.7 -52.1 -65.6 -52 -65.5 -52.1 -65.3 -51.8 -64.7 -51.8 -64.5 -51.6 -64.3 -51.7 -64.4 -52 -64.2 -52.1 -64.1 -52.7 -63.6 -52.9 -63.4 -52.7 -64 -52.6 -64.1 -52.5 -63.9 -52.3 -63.6 -52 -63.8 -52 -57.1 -52 -57.1 -53.2 -55.5 -53.7 -56.5 -54.3 -56.7 -54.9 -57.1 -54.9 -59.2 -55.5 -60.9 -57.3 -61 -57.7 -62.3 -58.7 -63 -59.4 -63.1 -59.7 -64 -60.5 -64.9 -60.3 -64.6 -60.1 -64.9 -60.1 -64.6 -59.9 -64.9 -59.6 -64.3 -59.5 -64.5 -59.3 -64.5 -59.1 -64.3 -59 -64.8 -59.1 -64.9 -58.9 -63.5 -58.8 -64 -58.7 -64.1 -58.6 -63.8 -58.5 -64.4 -58.1 -64.1 -57.8 -63.6 -57.7 -63.8 -57.6 -63.7 -57.4 -63.9 -57.3 -63.7 -57.2 -63.9 -57.1 -63.9 -56.9 -64.1 -56.7 -63.9 -56.4 -64.2 -56.4 -63.9 -56.2 -64 -56.1 -63.4 -56 -63.9 -55.9 -63.6 -55.6 -63.8 -55.5 -63.3 -55.4 -63.7 -55.3 -63.4 -55.2 -63.6 -55.1 -63.6 -54.9 -63.8 -54.9 -63.9 -54.8 -63.7 -54.6 -64.8 -54.7 -65.1 -55 -65.7 -54.7 -65.8 -54.9 -66.2 -55 -66.8 -55.4 -66.6 -54.8 -66.8 -54.8 -66.7 -54.7 -67.5 -55.1 -67.1 -54.7 -67.3 -54.5 -67.5 -54.6 -67.8 -54.4 -67.6 -54.2Z"],
+  ["America/Grand_Turk", "M-72.7 -21.6L-71.9 -21 -71.2 -21 -70.9 -21.2 -70.9 -21.4 -71 -21.7 -71.4 -21.9 -71.8 -22.1 -72.1 -22.1 -72.5 -21.9Z"],
+  ["America/Grenada", "M-62 -12L-62 -11.9 -61.8 -11.8 -61.7 -11.8 -61.5 -11.9 -61.2 -12.4 -61.4 -12.5 -61.7 -12.6 -61.9 -12.3Z"],
+  ["America/Guadeloupe", "M-62 -16.3L-61.9 -15.9 -61.7 -15.6 -61.4 -15.8 -61.1 -15.7 -60.8 -16.3 -60.9 -16.5 -61.2 -16.5 -61.5 -16.7 -61.9 -16.5Z"],
+  ["America/Guatemala", "M-92.4 -14.4L-91.4 -13.8 -90.2 -13.6 -90 -13.9 -89.5 -14.2 -89.6 -14.4 -89.2 -14.6 -89.2 -14.9 -88.2 -15.7 -88.2 -15.9 -88.6 -16.1 -89.2 -15.9 -89.2 -17.8 -91 -17.8 -91 -17.3 -91.4 -17.2 -90.4 -16.4 -90.4 -16.1 -91.7 -16.1 -92.2 -15.3 -92.1 -15.1Z"],
+  ["America/Guayaquil", "M-81.3 3.4L-80.2 3.4 -80.1 3.9 -80.5 4.1 -80.3 4.2 -80.4 4.4 -80.1 4.3 -79.8 4.5 -79.6 4.4 -79.3 5 -79 5 -78.9 4.7 -78.7 4.6 -78.3 3.4 -78.2 3.5 -77.8 3 -76.6 2.6 -75.6 1.6 -75.4 0.9 -75.2 1 -75.2 0.5 -75.6 0.2 -75.3 0.1 -75.8 -0.1 -76.3 -0.4 -76.4 -0.2 -76.7 -0.3 -77.5 -0.4 -77.5 -0.7 -77.7 -0.8 -78.2 -0.9 -78.3 -1.2 -78.9 -1.5 -79.6 -1.5 -80.2 -0.9 -81.3 1.2Z"],
+  ["America/Guyana", "M-61.4 -5.9L-60.7 -5.2 -60.2 -5.3 -60 -5.1 -60.2 -4.5 -59.7 -4.4 -59.7 -4.2 -59.5 -3.9 -59.9 -3.6 -60 -2.6 -59.7 -2.3 -59.7 -1.8 -58.8 -1.2 -58.5 -1.3 -58.5 -1.5 -58.3 -1.6 -58 -1.5 -58 -1.7 -57.5 -1.7 -57.3 -2 -56.8 -1.9 -56.5 -1.9 -56.7 -2 -57.2 -2.8 -57.3 -3.4 -57.7 -3.4 -58 -4 -57.9 -4.9 -57.2 -5.2 -57.3 -5.3 -57 -6.2 -58.2 -7 -58.3 -7.5 -59 -8.2 -59.7 -8.6 -60 -8.5 -59.8 -8.3 -60.5 -7.8 -60.7 -7.5 -60.5 -7.1 -60.3 -7.1 -60.4 -6.9 -61.1 -6.7 -61.1 -6.2Z"],
+  ["America/Halifax", "M-66.8 -48.1L-66.8 -48 -66.7 -48 -66.7 -48.1ZM-66.7 -44.3L-66.3 -43.3 -65.6 -43.2 -64 -44.1 -62 -44.7 -62.4 -45.1 -62.7 -45.3 -62.1 -45.4 -62.3 -45.9 -61.8 -46.2 -61.4 -47 -60.4 -47.8 -60.5 -48.5 -63.8 -48.5 -64.3 -48.2 -63.6 -48 -63.3 -47.6 -64.5 -47.1 -64.6 -46.7 -64.4 -46.4 -63.6 -46.1 -64.2 -46 -64.9 -45.4 -65 -45.2 -65.9 -45ZM-60.4 -44L-60.4 -43.9 -60.3 -43.8 -59.9 -43.7 -59.6 -43.8 -59.4 -43.9 -59.4 -44 -59.4 -44.2 -59.6 -44.3 -59.9 -44.1 -60.3 -44.2 -60.4 -44.1Z"],
+  ["America/Havana", "M-85.2 -21.9L-85 -21.6 -84.5 -21.6 -84 -21.7 -82.9 -21.2 -80 -21.4 -79.6 -20.9 -78.5 -20.3 -77.8 -19.6 -76.2 -19.8 -75.1 -19.7 -74.1 -19.9 -73.9 -20.3 -74.6 -20.8 -77 -21.8 -78.2 -22.6 -80.3 -23.4 -82.3 -23.4 -83.7 -23.1 -84.6 -22.6Z"],
+  ["America/Hermosillo", "M-115.1 -32.2L-114.9 -31.9 -114.6 -31.7 -114.6 -31.3 -112.8 -29.3 -112.5 -28.2 -112.2 -28.2 -112.1 -28.6 -111.6 -28.1 -111.5 -27.8 -110.9 -27.6 -110.8 -27.2 -109.5 -26.4 -109.1 -26.3 -108.7 -26.6 -108.4 -27 -108.6 -27 -108.7 -27.5 -109.1 -28.1 -109.1 -28.3 -108.5 -28.4 -108.8 -29.3 -108.5 -29.8 -108.6 -29.8 -108.5 -30.3 -108.9 -30.7 -108.9 -30.9 -108.7 -31 -108.9 -31.2 -108.8 -31.3 -111.1 -31.3 -114.8 -32.5Z"],
+  ["America/Indiana/Indianapolis", "M-87.7 -39.1L-87.5 -38.9 -86.7 -38.9 -86.7 -38.4 -85.4 -38.6 -85.4 -38.7 -85.2 -38.7 -85.1 -39.3 -84.8 -39.3 -84.8 -40.4 -84.8 -41.8 -86.5 -41.8 -86.5 -40.9 -87.5 -40.7 -87.5 -39.3Z"],
+  ["America/Indiana/Knox", "M-86.9 -41.2L-86.5 -41.2 -86.5 -41.4 -86.6 -41.4 -86.7 -41.4 -86.7 -41.3 -86.8 -41.3 -86.9 -41.2Z"],
+  ["America/Indiana/Marengo", "M-86.7 -38.4L-86.7 -38.3 -86.6 -38.3 -86.6 -38.2 -86.5 -38.2 -86.5 -38.1 -86.4 -38.1 -86.3 -38.1 -86.4 -38.2 -86.3 -38.2 -86.3 -38.3 -86.3 -38.4 -86.2 -38.3 -86.3 -38.4Z"],
+  ["America/Indiana/Petersburg", "M-87.5 -38.5L-87.4 -38.4 -87.3 -38.4 -87.3 -38.2 -87.1 -38.2 -87.1 -38.5 -87.2 -38.5 -87.2 -38.6 -87.3 -38.5 -87.4 -38.5 -87.5 -38.5Z"],
+  ["America/Indiana/Tell_City", "M-86.8 -38L-86.7 -37.9 -86.6 -37.9 -86.7 -37.8 -86.6 -37.8 -86.6 -37.9 -86.5 -37.9 -86.5 -38 -86.5 -38.1 -86.4 -38.1 -86.5 -38.1 -86.5 -38.2 -86.6 -38.2 -86.6 -38.3 -86.8 -38.2 -86.8 -38.1 -86.8 -38Z"],
+  ["America/Indiana/Vevay", "M-85.2 -38.8L-85.2 -38.7 -85 -38.8 -84.9 -38.8 -84.8 -38.8 -84.8 -38.9 -85.1 -38.9 -85.2 -38.9Z"],
+  ["America/Indiana/Vincennes", "M-87.8 -38.5L-87.7 -38.4 -87.5 -38.5 -87.1 -38.5 -87.1 -38.2 -86.8 -38.2 -86.7 -38.2 -86.7 -38.8 -86.7 -38.9 -87.5 -38.9 -87.5 -38.7 -87.6 -38.6 -87.6 -38.5Z"],
+  ["America/Indiana/Winamac", "M-86.9 -41.1L-86.9 -40.9 -86.7 -40.9 -86.5 -40.9 -86.5 -41.2 -86.9 -41.2Z"],
+  ["America/Inuvik", "M-136.6 -69.4L-136.4 -67.7 -136.2 -67.6 -136.1 -67.3 -136.2 -67.2 -136.2 -67 -133.8 -67 -134.1 -67 -133.8 -66.8 -134 -66.7 -133.6 -66.6 -133.8 -66.3 -133.6 -66.2 -133.6 -66 -132.3 -66 -132.6 -65.8 -132.2 -65.6 -132.8 -65.2 -132.3 -65.1 -132.6 -64.8 -131.7 -64.5 -131.9 -64.4 -131.2 -64.4 -130.8 -64 -130.1 -63.9 -130.4 -63.7 -129.9 -63.6 -129.8 -63.5 -129.9 -63.4 -130.2 -63.3 -129.6 -63.1 -129.8 -62.9 -129.6 -62.6 -129.2 -62.5 -129.3 -62.4 -129.3 -62.2 -128.2 -62.1 -127.7 -61.7 -127.1 -61.5 -126.9 -61.4 -127.1 -61.1 -126.9 -61.1 -126.8 -60.8 -125.8 -60.9 -125.3 -60.8 -124.6 -61 -124.5 -60.8 -124.6 -60.7 -124.2 -60.5 -124.1 -60.2 -123.8 -60 -120 -60 -120 -67.8 -120.7 -68 -120.7 -69.6 -120 -69.6 -120 -77.4 -123.8 -76.4 -123.9 -76 -123.6 -75.9 -125.4 -74.5 -125.8 -74.3 -125.3 -74 -125.4 -73.7 -125 -73.5 -125.9 -72.9 -125.8 -72.7 -126.4 -72.1 -128.7 -70.8 -133.5 -69.8 -134.4 -70 -135.7 -69.8ZM-125 -61.6L-124.9 -61.7 -124.8 -61.7 -124.7 -61.7 -124.7 -61.6 -124.7 -61.5 -124.8 -61.5 -124.9 -61.5Z"],
+  ["America/Iqaluit", "M-85 -66.1L-84.1 -65.5 -82.5 -65.5 -80 -63.9 -80 -62.9 -85 -60.3 -85 -55.3 -82.3 -55.1 -82.2 -54.8 -82.4 -54.4 -82.1 -53.8 -82.1 -53.3 -82.3 -53 -81.5 -52.5 -81.4 -52.1 -80.7 -51.8 -80.4 -51.4 -79.9 -51.2 -79.4 -51.7 -79 -51.5 -78.9 -51.3 -78.8 -51.5 -79 -51.8 -78.6 -52 -78.7 -52 -78.5 -52.3 -78.9 -52.7 -78.7 -52.8 -78.9 -52.9 -78.8 -53 -79 -53 -78.9 -53.4 -79.1 -53.5 -78.9 -53.6 -79.1 -53.6 -79.1 -53.8 -78.9 -53.8 -79.1 -53.9 -79 -53.9 -79.2 -53.9 -79 -54 -79.2 -54.1 -79.1 -54.2 -79.4 -54.2 -79.3 -54.2 -79.5 -54.3 -79.5 -54.6 -79.8 -54.6 -77.8 -55.3 -77.1 -55.7 -76.5 -56.4 -76.5 -57.1 -76.8 -57.7 -77.5 -58.2 -77.5 -58.3 -78 -58.3 -78.6 -58.7 -78.5 -58.7 -78.6 -58.8 -78.4 -58.7 -78.6 -58.9 -78.3 -58.9 -78.2 -59.1 -78.1 -59.1 -78.1 -59.2 -77.6 -59.4 -78 -59.4 -77.7 -59.5 -77.8 -59.7 -77.3 -59.8 -77.5 -59.9 -77.2 -60 -77.5 -60 -77.6 -60.1 -77.5 -60.2 -77.8 -60.4 -77.4 -60.5 -77.8 -60.6 -77.5 -60.8 -78.2 -60.8 -77.7 -61.2 -77.8 -61.5 -77.6 -61.4 -77.7 -61.5 -77.6 -61.5 -77.7 -61.5 -77.5 -61.5 -78 -61.7 -78.2 -62.3 -78.1 -62.4 -77.4 -62.6 -75.6 -62.3 -75.9 -62.2 -75.3 -62.3 -74.5 -62.1 -74.7 -62.3 -73.7 -62.5 -72.9 -62.1 -72.6 -62.1 -72.6 -62 -72.8 -61.8 -72.6 -61.8 -72.6 -62 -72.2 -61.9 -72.1 -61.8 -72.3 -61.8 -72 -61.7 -72.3 -61.6 -71.9 -61.7 -71.6 -61.6 -71.9 -61.4 -71.6 -61.4 -71.9 -61.4 -71.6 -61.2 -70.7 -61 -70.1 -61.1 -70.1 -60.9 -69.9 -60.8 -69.5 -61.1 -69.4 -60.8 -69.8 -60.5 -69.5 -59.9 -69.6 -59.7 -69.5 -59.6 -69.7 -59.5 -69.6 -59.3 -69.2 -59.3 -69.5 -59.2 -69.2 -59.1 -69.2 -58.9 -68.4 -58.8 -68.3 -58.6 -68 -58.6 -67.9 -58.4 -67.7 -58.5 -67.6 -58.3 -66.7 -58.5 -66.4 -58.8 -66 -58.9 -65.8 -59.3 -65.4 -59.6 -65.6 -59.7 -64.9 -60.4 -64.5 -60.3 -64 -60.5 -64.3 -61.3 -64.1 -61.5 -64.3 -61.8 -63.2 -62.9 -63.5 -63.7 -64 -64.3 -61.7 -65.5 -60.8 -66.6 -61.7 -67.3 -66.1 -68.6 -66.1 -69.3 -66.7 -70 -67.9 -70.7 -70.4 -71.3 -71.2 -71.7 -73.1 -71.9 -75 -72.7 -75.6 -73.2 -76.7 -73.7 -77.9 -73.9 -79.3 -73.9 -79.5 -74.5 -78.6 -74.8 -78.7 -75.3 -78 -75.8 -78 -76 -77.6 -76.4 -76.9 -76.6 -76.9 -76.8 -77.3 -77.3 -75.1 -77.9 -74.1 -78.3 -73.1 -78.8 -73.4 -79.1 -70.2 -79.7 -67.1 -80.7 -59.6 -82.4 -62.6 -83 -69.5 -83.3 -77.4 -83.3 -85 -82.8Z"],
+  ["America/Jamaica", "M-78.6 -18.3L-78.4 -16.8 -78.2 -16.6 -75.9 -17.2 -75.8 -17.4 -75.9 -17.9 -76.2 -18.3 -76.9 -18.6 -78.3 -18.7Z"],
+  ["America/Juneau", "M-138.3 -58.7L-137 -58.1 -136.8 -57.8 -136 -57.8 -135.9 -58 -135.3 -57.8 -134.8 -57.8 -134.6 -56.9 -134 -57.2 -133.1 -57.2 -132.7 -57.4 -132.4 -57.3 -133.4 -58.4 -135 -59.3 -135.1 -59.4 -135 -59.6 -135.5 -59.8 -136.3 -59.6 -136.2 -59.5 -136.5 -59.5 -136.6 -59.2Z"],
+  ["America/Kentucky/Louisville", "M-86.3 -38.2L-86.3 -38.1 -86 -38 -85.7 -38.1 -85.4 -38.1 -85.4 -38.2 -85.4 -38.3 -85.6 -38.4 -85.4 -38.5 -85.4 -38.6 -85.8 -38.6 -85.9 -38.5 -86 -38.5 -86 -38.4 -86.3 -38.4 -86.3 -38.3Z"],
+  ["America/Kentucky/Monticello", "M-85.1 -36.9L-85 -36.8 -85 -36.7 -85 -36.6 -84.8 -36.6 -84.7 -36.8 -84.6 -36.8 -84.6 -36.9 -84.7 -37 -84.8 -37 -84.9 -36.9 -84.9 -37 -85 -36.9Z"],
+  ["America/Kralendijk", "M-68.6 -12.3L-68.4 -11.9 -68.3 -11.8 -68.1 -11.9 -68 -12.1 -68 -12.3 -68.1 -12.4 -68.4 -12.5 -68.6 -12.4ZM-63.5 -17.6L-63.4 -17.5 -63.2 -17.4 -63 -17.3 -62.8 -17.6 -63 -17.7 -63.1 -17.8 -63.3 -17.8 -63.4 -17.8Z"],
+  ["America/La_Paz", "M-69.6 17.3L-69.5 17.4 -69.3 18 -69.1 18.1 -69.1 18.2 -68.9 19 -68.4 19.4 -68.7 19.7 -68.5 19.9 -68.8 20.1 -68.7 20.5 -68.4 20.6 -68.5 20.9 -68.2 21.3 -67.9 22.8 -67.2 22.8 -66.7 22.2 -66.3 22.1 -66.2 21.8 -65.7 22.1 -64.6 22.2 -64.3 22.9 -63.9 22 -62.8 22 -62.7 22.2 -62.3 21.1 -62.3 20.6 -61.7 19.6 -60 19.3 -59.1 19.3 -58.2 19.8 -58.2 20.2 -57.9 20 -58.1 19.8 -57.5 18.2 -57.8 17.6 -58.4 17.2 -58.5 16.7 -58.3 16.3 -60.2 16.3 -60.2 15.5 -60.6 15.1 -60.2 15.1 -60.5 13.8 -61 13.5 -61.9 13.5 -62.2 13.1 -62.8 13 -63.1 12.6 -63.3 12.7 -63.8 12.4 -64.3 12.5 -64.7 12.1 -65 12 -65.4 11.3 -65.3 11 -65.4 10.5 -65.3 10.2 -65.4 9.7 -65.6 9.8 -65.8 9.7 -66.6 9.9 -67.7 10.7 -68 10.7 -68.5 11.1 -69.6 10.9 -68.7 12.5 -69.1 13.7 -68.8 14.2 -69 14.2 -69.4 14.8 -69.1 15.3 -69.4 15.6 -69.2 16.2 -68.8 16.3Z"],
+  ["America/Lima", "M-84.6 4.7L-84.4 6.8 -83.7 8.4 -83 9.4 -82 10.1 -81.2 11.6 -80.8 13.4 -79.8 14.6 -79.1 16.1 -77.3 18 -75.4 19.2 -74.3 19.7 -73.7 20.2 -73.8 20 -71.8 18.4 -70.4 18.4 -69.8 18.1 -69.8 17.6 -69.5 17.5 -69.6 17.3 -68.8 16.3 -69.2 16.2 -69.4 15.6 -69.1 15.3 -69.4 14.8 -69 14.2 -68.8 14.2 -69.1 13.7 -68.7 12.5 -69.6 10.9 -70.6 11 -70.5 9.4 -71.2 10 -72.2 10 -72.4 9.5 -73.2 9.4 -72.9 9 -73.5 8.4 -73.8 7.9 -73.7 7.8 -74 7.5 -74 7.4 -73.7 7.3 -73.7 6.8 -73.2 6.6 -73.1 6.4 -73.2 6 -72.8 5.1 -71.9 4.5 -70.9 4.4 -70.8 4.2 -69.9 4.3 -70.3 3.8 -70.7 3.8 -70.1 2.7 -70.6 2.5 -70.9 2.2 -71.4 2.4 -71.7 2.1 -72.2 2.5 -72.6 2.4 -72.9 2.5 -73.2 2.2 -73.1 1.8 -73.5 1.7 -73.5 1.6 -73.6 1.3 -74.3 1 -74.4 0.5 -75.2 0 -75.6 0.1 -75.2 0.6 -75.2 1 -75.4 0.9 -75.6 1.6 -76.6 2.6 -77.8 3 -78.2 3.5 -78.3 3.4 -78.7 4.6 -78.9 4.7 -79 5 -79.3 5 -79.6 4.4 -79.8 4.5 -80.1 4.3 -80.4 4.4 -80.3 4.2 -80.5 4.1 -80.1 3.9 -80.3 3.4 -84.4 3.4Z"],
+  ["America/Los_Angeles", "M-125.1 -48.2L-124.5 -47.2 -124.2 -46.1 -124.5 -43.8 -124.9 -42.8 -124.7 -42.6 -124.6 -41.8 -124.4 -41.5 -124.4 -41 -124.7 -40.4 -124.1 -39.7 -124 -38.8 -123.2 -38.1 -123.3 -37.7 -123 -37.5 -122.8 -37.6 -122.6 -37.1 -122.2 -36.8 -122.1 -36.2 -120.9 -35 -120.9 -34.5 -120.6 -34.3 -120.8 -34.1 -120.6 -33.9 -120.1 -33.7 -119.2 -33.9 -118.7 -33.8 -118.8 -33.6 -119.2 -33.6 -119.3 -33.4 -119.9 -33.5 -119.9 -33.3 -119.6 -33.1 -119.3 -33 -119.2 -33.3 -118.8 -33.4 -118.7 -33.2 -118.9 -33 -118.7 -32.7 -118.3 -32.6 -118.1 -32.8 -118.3 -33.1 -118.1 -33.2 -118.2 -33.5 -117.7 -33.2 -117.5 -32.6 -117.2 -32.5 -114.6 -32.7 -114.5 -33 -114.7 -33.1 -114.7 -33.4 -114.5 -33.6 -114.4 -34.1 -114.1 -34.3 -114.6 -34.9 -114.8 -36.1 -114.2 -36 -114 -36.2 -114 -42 -117 -42 -117 -42.5 -118.2 -42.4 -118.2 -44.3 -118 -44.4 -117.2 -44.3 -116.9 -45 -116.5 -45.6 -116.8 -45.8 -116.6 -46 -116.3 -45.9 -116.3 -45.4 -116.2 -45.4 -115.5 -45.4 -115.2 -45.6 -114.7 -45.4 -114.8 -45.5 -114.6 -45.5 -114.6 -45.8 -114.4 -45.9 -114.5 -46.1 -114.3 -46.7 -114.8 -46.7 -115.3 -47.3 -115.8 -47.4 -115.6 -47.5 -115.7 -47.7 -116 -48 -116 -49 -123.3 -49 -123 -48.8 -123.3 -48.7 -123.1 -48.4 -123.2 -48.3 -124.9 -48.5ZM-120.3 -34.3L-120.2 -34.3 -120.1 -34.3 -120 -34.2 -120.1 -34.2 -120.2 -34.2Z"],
+  ["America/Lower_Princes", "M-63.3 -17.9L-63.2 -17.8 -63.1 -17.8 -62.9 -18 -63 -18.1 -63.1 -18.1Z"],
+  ["America/Maceio", "M-38.2 10.8L-37.9 11.4 -37.2 11.6 -36.7 10.9 -36.2 10.7 -35 9 -35.5 8.8 -35.9 8.9 -36.6 9.3 -36.9 9.3 -36.9 9.4 -37.8 8.8 -38.2 9.3 -38 9.6 -38 9.9 -37.8 10 -37.7 10.3 -37.8 10.7Z"],
+  ["America/Managua", "M-87.9 -12.9L-86 -11.1 -85.7 -11.1 -85.6 -11.2 -84.9 -10.9 -84.7 -11.1 -84.4 -11 -83.9 -10.7 -83.7 -10.8 -83.7 -11 -83.3 -11.3 -82.8 -12.2 -83.1 -13 -82.6 -14.1 -82.5 -14.9 -82.9 -15.1 -83.5 -15 -84.5 -14.6 -84.9 -14.8 -85.2 -14.6 -85.2 -14.3 -85.8 -13.9 -86 -14.1 -86.3 -13.8 -86.7 -13.8 -86.7 -13.3 -86.9 -13.3 -87 -13 -87.4 -13 -87.5 -13.2Z"],
+  ["America/Manaus", "M-70 0L-69.9 0.3 -69.6 0.5 -69.4 1.1 -69.9 4.2 -67.6 9.5 -66.8 9.8 -66.4 9.4 -66 9.4 -65.8 9.6 -65.2 9.3 -65.1 9.4 -64.8 9 -64.1 9 -63.9 8.3 -63.8 8.3 -63.6 8 -62.8 8 -62 8.9 -61.7 8.7 -61.6 8.8 -58.4 8.8 -58.3 8.1 -58.4 7.8 -58.1 7.4 -58.5 6.7 -56.4 2.3 -56.1 2 -56.7 2.2 -57.2 1.7 -58 1.4 -58 1.1 -58.2 1.2 -58.3 1.1 -58.9 0.3 -58.9 -0.3 -60 -0.3 -60.4 0.5 -60.3 0.7 -60.7 0.9 -60.9 0.5 -61.2 0.5 -61.6 0.9 -61.6 1.4 -61.5 1.6 -61.9 1.4 -62.5 0.8 -62.3 0.6 -62.2 0.3 -62.5 -0.5 -62.5 -1.1 -62.8 -1.6 -62.7 -1.9 -63.4 -2.2 -64 -2 -64.3 -1.4 -64.4 -1.5 -64.7 -1.2 -65.1 -1.2 -65.5 -0.6 -65.6 -1 -66.3 -0.7 -66.9 -1.2 -67.1 -1.2 -67.1 -1.8 -67.4 -2.2 -67.9 -1.8 -68.2 -2 -68.3 -1.8 -68.2 -1.7 -69.8 -1.7 -69.8 -1.1 -69.2 -1.1 -69.1 -0.6 -69.5 -0.7 -70 -0.6Z"],
+  ["America/Marigot", "M-63.4 -18.1L-63.3 -18 -63.3 -17.9 -63.1 -18.1 -63 -18.1 -62.9 -18 -62.8 -18.1 -62.8 -18.2 -62.9 -18.2Z"],
+  ["America/Martinique", "M-61.4 -14.8L-61.2 -14.3 -61.1 -14.2 -60.8 -14.2 -60.6 -14.4 -60.7 -14.8 -60.8 -15 -61.1 -15.1 -61.3 -15Z"],
+  ["America/Matamoros", "M-103.6 -28.6L-103.4 -28.4 -103.6 -27.9 -103.4 -27.8 -103.5 -27.4 -103.4 -27.4 -103.5 -27.2 -103.3 -27 -102.8 -26.9 -102.8 -27.1 -102.6 -27.2 -102.3 -27 -102.4 -27.3 -101.9 -27.3 -102.6 -28.7 -102.4 -29.1 -102 -29 -101.7 -28.5 -101.2 -28.4 -101.3 -28.2 -101 -28.2 -101 -27.9 -100.3 -27.7 -100.4 -27.3 -100 -27 -100 -26.8 -99.6 -26.9 -99.7 -26.7 -99.4 -26.6 -99.4 -26.4 -99.2 -26.3 -99.2 -26.1 -98.6 -26 -98.6 -25.5 -98 -25.4 -97.3 -25 -96.9 -26 -97.4 -25.8 -99.1 -26.5 -99.4 -27 -99.5 -27.6 -100.3 -28.3 -100.7 -29.1 -101.4 -29.8 -102.3 -29.9 -102.7 -29.7 -102.9 -29.2 -103.1 -29 -103.3 -29Z"],
+  ["America/Mazatlan", "M-116 -25L-115.9 -24.8 -115.8 -24.8 -115.6 -24.8 -115.5 -25 -115.6 -25.1 -115.7 -25.2 -115.9 -25.1ZM-115.5 -27.9L-114.6 -27 -112.5 -26 -112.3 -25.6 -112.5 -24.8 -112.2 -24.4 -111.8 -24.1 -111.4 -24.1 -110.5 -23.4 -110.1 -22.7 -109.5 -22.9 -109.2 -23.2 -109.3 -23.6 -109.5 -23.8 -109.8 -24.5 -110.1 -24.5 -110.3 -24.8 -110.6 -25.8 -110.9 -25.9 -110.9 -26.2 -111.2 -26.3 -111.2 -26.7 -111.8 -27.2 -111.7 -27.4 -111.7 -27.6 -112.1 -27.6 -112.5 -28 -114.2 -28 -114.4 -28.1ZM-115 -18.4L-114.9 -18.2 -114.8 -18.1 -114.6 -18.2 -114.5 -18.4 -114.5 -18.5 -114.7 -18.6 -114.9 -18.5 -115 -18.5ZM-112.3 -19L-112.2 -18.9 -112.1 -18.8 -111.9 -18.8 -111.9 -19 -111.9 -19.1 -112 -19.2 -112.1 -19.2 -112.2 -19.2 -112.3 -19.1ZM-111.3 -18.8L-111.2 -18.6 -111 -18.5 -110.8 -18.6 -110.7 -18.8 -110.8 -19 -110.9 -19.1 -111.2 -19ZM-111 -19.3L-111 -19.1 -110.8 -19.1 -110.7 -19.2 -110.6 -19.3 -110.7 -19.5 -110.8 -19.5 -111 -19.5ZM-109.7 -26L-109.6 -25.5 -108.6 -25.1 -108.1 -24.5 -107.2 -23.8 -106.6 -23.1 -106 -22.6 -105.9 -22.1 -106.1 -22 -106.1 -21.8 -105.9 -21.7 -105.7 -21.7 -105.7 -21.5 -105.5 -21.4 -105.5 -21.1 -105.4 -20.9 -104.7 -21 -104.3 -20.6 -104.4 -20.8 -104.2 -20.9 -104.2 -21.2 -103.8 -21.2 -103.7 -21.4 -103.9 -21.8 -104.4 -22 -104.3 -22.2 -104.3 -22.4 -104.5 -22.3 -104.8 -22.6 -105 -22.5 -105.1 -22.7 -104.9 -22.7 -105 -23 -105.3 -22.9 -105.6 -23.1 -106.1 -24.3 -106.5 -24.3 -107.1 -25.1 -107.2 -25.4 -107 -25.7 -107.3 -26.1 -107.9 -26.2 -108.2 -27 -108.5 -27 -108.9 -26.4 -109.5 -26.4ZM-106.9 -23.6L-106.9 -24.3 -106.2 -24.3 -106.2 -23.6ZM-106.9 -21.7L-106.8 -21.5 -106.4 -21.1 -106.1 -21.1 -106 -21.3 -106.1 -21.5 -106.6 -22 -106.8 -21.9ZM-106.9 -24.3L-106.9 -23.6 -106.2 -23.6 -106.2 -24.3Z"],
+  ["America/Menominee", "M-90.4 -46.6L-90.2 -46.5 -90.1 -46.3 -88.7 -46 -88.5 -46 -88.1 -45.9 -88.1 -45.8 -87.8 -45.7 -87.9 -45.4 -87.7 -45.4 -87.7 -45.2 -87.7 -45.1 -87.4 -45.1 -87.4 -45.2 -87.1 -45.4 -87.3 -45.6 -87.4 -46 -87.6 -46 -87.6 -46.2 -88.1 -46.2 -88.1 -46.4 -89 -46.4 -89 -46.3 -89.4 -46.3 -89.4 -46.5 -89.7 -46.5 -89.7 -46.6 -89.9 -46.6 -89.9 -46.8Z"],
+  ["America/Merida", "M-92.5 -21L-92.5 -20.9 -92.4 -20.8 -92.3 -20.7 -92.2 -20.7 -92.1 -20.8 -92 -20.9 -92.1 -21.1 -92.3 -21.2 -92.4 -21.1ZM-92.5 -18.9L-92.4 -18.5 -92.2 -18.5 -92.1 -18.1 -91.6 -17.9 -91.6 -18.2 -91.3 -18 -91 -18 -91 -17.8 -89.2 -17.8 -89.1 -19.4 -89.3 -19.6 -87.7 -20.7 -87.5 -21 -87.5 -21.7 -88.2 -21.8 -90.2 -21.3 -90.6 -21 -90.9 -19.4 -91.8 -18.9ZM-92.2 -20.2L-92.1 -20.1 -92 -20 -91.8 -20.1 -91.8 -20.2 -91.8 -20.4 -92 -20.4 -92.1 -20.4ZM-91.6 -22.1L-91.6 -22 -91.4 -21.9 -91.2 -22 -91.2 -22.1 -91.2 -22.3 -91.4 -22.3 -91.6 -22.3ZM-90 -22.6L-89.9 -22.3 -89.7 -22.2 -89.5 -22.2 -89.4 -22.4 -89.6 -22.7 -89.7 -22.8 -89.9 -22.7 -90 -22.7Z"],
+  ["America/Metlakatla", "M-131.7 -55.1L-131.6 -55.1 -131.7 -55.1 -131.7 -55 -131.6 -55 -131.5 -55 -131.3 -55 -131.2 -55.2 -131.5 -55.2 -131.5 -55.3 -131.6 -55.3Z"],
+  ["America/Mexico_City", "M-105.9 -20.4L-105.1 -19.2 -104 -18.6 -103.6 -18.1 -102 -17.8 -101.2 -17.1 -99.8 -16.5 -98.9 -16.3 -97.9 -15.8 -96.6 -15.4 -96.2 -15.5 -95.1 -16 -94.5 -16 -93.5 -15.5 -92.4 -14.4 -92.1 -15.1 -92.2 -15.3 -91.7 -16.1 -90.4 -16.1 -90.4 -16.4 -91.4 -17.2 -91 -17.3 -91 -18 -91.5 -18.2 -91.6 -17.9 -92.1 -18.1 -92.2 -18.5 -92.4 -18.5 -92.5 -18.9 -94.4 -18.4 -94.7 -18.7 -95.7 -19 -95.9 -19.4 -96.1 -19.4 -96.3 -20 -97 -20.8 -97.2 -21.2 -97 -21.6 -97.4 -21.9 -97.6 -22.3 -97.8 -22.2 -98.2 -22.5 -99.2 -22.4 -99.4 -22.7 -100.1 -22.8 -100.1 -23.2 -100.5 -23.2 -100.5 -24.1 -100.7 -24.5 -101.3 -24.8 -101.6 -24.8 -101.8 -25 -102.7 -25.1 -102.5 -24.4 -103.4 -24.4 -103.9 -24 -103.8 -23.6 -104.1 -23.4 -104.1 -22.8 -104.3 -22.7 -104.4 -22 -103.9 -21.8 -103.7 -21.4 -103.8 -21.2 -104.2 -21.2 -104.2 -20.9 -104.4 -20.8 -104.3 -20.6 -104.8 -21 -105.3 -20.6 -105.9 -20.7Z"],
+  ["America/Miquelon", "M-56.7 -46.8L-56.6 -46.7 -56.3 -46.6 -56.1 -46.6 -55.9 -46.7 -56 -46.8 -56.1 -46.9 -56.1 -47.1 -56.3 -47.3 -56.4 -47.3 -56.6 -47.3 -56.7 -47.2 -56.7 -46.9Z"],
+  ["America/Moncton", "M-69.1 -47.3L-68.9 -47.2 -68.2 -47.4 -67.8 -47.1 -67.8 -45.7 -67.5 -45.6 -67.4 -45.2 -67.2 -45.2 -66.9 -44.8 -67.3 -44.4 -66.7 -44.3 -65.9 -45 -65 -45.2 -64.9 -45.4 -64.2 -46 -63.6 -46.1 -64.4 -46.4 -64.5 -46.9 -64.5 -47.1 -63.3 -47.6 -63.6 -48 -64.3 -48.2 -65.5 -47.8 -66.4 -48.1 -67.4 -47.8 -67.6 -48 -68.1 -48 -68.4 -47.9 -68.4 -47.6Z"],
+  ["America/Monterrey", "M-107.2 -25.4L-107.1 -25.1 -106.5 -24.3 -106.1 -24.3 -105.6 -23.1 -105.3 -22.9 -105 -23 -104.9 -22.7 -105.1 -22.7 -105 -22.5 -104.8 -22.6 -104.5 -22.3 -104.3 -22.5 -104.2 -22.8 -104.1 -22.8 -104.2 -23.1 -104.1 -23.5 -103.8 -23.6 -103.9 -24 -103.4 -24.4 -102.5 -24.4 -102.7 -25 -102.4 -25 -102.5 -25.1 -101.8 -25 -101.6 -24.8 -101.3 -24.8 -100.7 -24.5 -100.5 -24.1 -100.5 -23.2 -100.2 -23.3 -100 -23.1 -100.1 -22.8 -99.5 -22.6 -99.5 -22.7 -99.2 -22.4 -98.2 -22.5 -97.8 -22.2 -97.6 -22.3 -97.5 -24.3 -97.3 -25 -98 -25.4 -98.6 -25.5 -98.6 -26 -99.2 -26.1 -99.2 -26.3 -99.4 -26.4 -99.4 -26.6 -99.7 -26.7 -99.6 -26.9 -100 -26.8 -100 -27 -100.4 -27.3 -100.3 -27.7 -101 -27.9 -101 -28.2 -101.3 -28.2 -101.2 -28.4 -101.7 -28.5 -102 -29 -102.4 -29.1 -102.6 -28.7 -102.5 -28.6 -102.4 -28 -101.9 -27.3 -102.4 -27.3 -102.3 -27 -102.6 -27.2 -102.8 -27.1 -102.8 -26.9 -103.5 -27.1 -103.4 -27.8 -103.6 -27.9 -103.4 -28.4 -103.6 -28.6 -104 -27.8 -103.7 -27 -103.9 -26.9 -103.7 -26.7 -104.3 -26.8 -104.6 -26.3 -104.8 -26.5 -105.5 -26.5 -106 -26.8 -106.5 -26 -106.5 -25.7 -106.7 -25.6 -107 -25.7Z"],
+  ["America/Montevideo", "M-58.5 33.6L-58.3 34.2 -57.9 34.4 -58 34.7 -55.7 35.8 -53.6 34.5 -53.2 33.9 -53.5 33.7 -53.5 33.2 -53.1 32.7 -53.6 32.5 -53.7 32.1 -54.6 31.5 -55.2 31.3 -55.6 30.8 -56 31.1 -56 30.8 -56.8 30.1 -57.1 30.1 -57.2 30.3 -57.7 30.2 -57.9 30.5 -57.8 30.9 -58.1 31.5 -58 31.6 -58.2 31.9 -58.1 33 -58.4 33.1Z"],
+  ["America/Montserrat", "M-62.5 -16.7L-62.4 -16.6 -62.3 -16.5 -62.2 -16.5 -62.1 -16.5 -62 -16.5 -61.9 -16.6 -61.9 -16.8 -62 -16.8 -62.2 -16.9 -62.4 -16.8Z"],
+  ["America/Nassau", "M-80.7 -23.9L-80.5 -23.5 -79.6 -23.3 -77.2 -22 -73.6 -20.7 -73 -20.8 -72.4 -22.3 -73.4 -23.2 -74.4 -24.3 -75.5 -24.8 -76.9 -26.8 -78.5 -27.5 -79.3 -27 -79.3 -26.1 -79.5 -25.6 -79.4 -25 -80 -24.2 -80.5 -24.1Z"],
+  ["America/New_York", "M-86.5 -38L-86.2 -37.8 -86.3 -37.6 -86.1 -37.5 -85.6 -37.5 -85.4 -37.2 -85.1 -37.3 -84.6 -36.8 -84.8 -36.6 -84.7 -36.4 -84.9 -36.2 -84.7 -35.9 -85.1 -35.6 -85.4 -35 -85.6 -35 -85.2 -32.5 -84.9 -32.3 -85.1 -31.8 -85.1 -31.2 -84.9 -30.7 -85.1 -30.2 -85 -29.8 -85.4 -30 -85.5 -29.7 -85 -29.4 -84.1 -29.9 -83.2 -28.9 -83 -28.9 -82.9 -28.6 -83.1 -27.9 -83 -27.5 -82.4 -26.4 -82 -26.2 -81.9 -25.7 -81.6 -25.6 -81.4 -25.4 -81.3 -25.1 -82.4 -24.7 -82.3 -24.4 -81.9 -24.3 -81 -24.4 -80.2 -24.9 -79.9 -25.5 -79.8 -26.9 -80.4 -28.2 -80.3 -28.5 -81 -29.6 -81.2 -30.6 -80.9 -31.6 -80.1 -32.3 -79 -33.1 -78.6 -33.6 -77.8 -33.6 -77.4 -34.3 -76.8 -34.5 -76.4 -34.4 -75.9 -34.9 -75.3 -35.1 -75.2 -35.6 -75.6 -36.6 -75.7 -37 -75 -38 -74.8 -38.7 -73.9 -39.7 -73.7 -40.4 -71.4 -41 -71.1 -41.3 -70.9 -41.1 -69.8 -41.1 -69.7 -41.7 -69.7 -42 -70 -42.2 -70.5 -42.3 -70.2 -43.2 -69.8 -43.5 -68.7 -43.6 -68.4 -43.9 -68 -43.8 -67.8 -44 -68 -44.1 -67 -44.4 -66.9 -44.8 -67.2 -45.2 -67.4 -45.2 -67.5 -45.6 -67.8 -45.7 -67.8 -47.1 -68.2 -47.4 -68.9 -47.2 -69.2 -47.5 -70 -46.7 -70.3 -46.2 -70.3 -45.9 -70.7 -45.6 -70.6 -45.4 -70.8 -45.4 -70.8 -45.2 -71.3 -45.3 -71.5 -45 -75 -45 -76.3 -44.2 -76.8 -43.6 -78.7 -43.6 -79.2 -43.5 -78.9 -42.8 -80.1 -42.4 -81.2 -42.2 -82.4 -41.7 -82.7 -41.7 -83.1 -42 -83.4 -41.7 -84.8 -41.7 -84.8 -39.3 -85.1 -39.3 -85.1 -38.9 -84.8 -38.9 -84.8 -38.8 -85.4 -38.7 -85.4 -38.5 -85.6 -38.4 -85.4 -38.3 -85.4 -38.1 -86 -38 -86.4 -38.2ZM-83.2 -24.6L-83.1 -24.5 -82.9 -24.4 -82.7 -24.5 -82.6 -24.7 -82.7 -24.8 -82.8 -24.9 -83.1 -24.8Z"],
+  ["America/Nome", "M-173.5 -60.6L-173.4 -60.4 -173.2 -60.3 -173.2 -60.1 -173 -60 -172.6 -60 -171.9 -60.2 -171.8 -60.3 -171.9 -60.4 -172.5 -60.6 -172.9 -60.9 -173.3 -60.9ZM-172.3 -63.5L-172 -63.2 -170.8 -63.2 -169.7 -62.7 -168.6 -62.9 -168.3 -63.2 -168.4 -63.4 -169.6 -63.6 -169.8 -63.8 -170.5 -63.9 -171 -63.8 -171.6 -64 -172.1 -63.9ZM-170.8 -57.2L-170.7 -56.9 -170.4 -56.8 -169.7 -57 -169.6 -57.2 -169.7 -57.3 -170.1 -57.4 -170.6 -57.4 -170.8 -57.3ZM-170.1 -56.6L-170 -56.4 -169.6 -56.3 -169.4 -56.4 -169.1 -56.5 -169.1 -56.6 -169.2 -56.7 -169.5 -56.8 -170 -56.8 -170.1 -56.7ZM-169.5 -52.6L-169.1 -52.6 -168.3 -52.8 -168 -53.1 -166.6 -53.3 -165.7 -53.8 -164.8 -53.9 -164 -54.4 -163.3 -54.5 -163.2 -54.2 -162.8 -54.1 -162.1 -54.2 -162 -54.4 -162 -56.1 -162.8 -55.6 -163.4 -55.6 -163.5 -55.5 -163.5 -55.3 -164.7 -55.1 -165.3 -54.7 -165.3 -54.4 -165.7 -54.5 -166.4 -54.2 -167.2 -54.1 -167.5 -53.9 -167.5 -53.7 -167.9 -53.8 -167.7 -53.9 -167.8 -54.1 -168.3 -54.1 -168.4 -53.9 -168.2 -53.8 -169.3 -53.1ZM-169 -65.5L-167.4 -65.2 -166.4 -64.3 -163.7 -64.4 -162.8 -64.1 -162 -64.3 -162 -70.5 -162.8 -70.3 -163.5 -69.9 -163.7 -69.4 -164.1 -69.2 -166.4 -69.1 -166.8 -68.9 -166.8 -68.6 -167.3 -68.4 -167.3 -68.2 -164.5 -67.5 -164.3 -67.3 -164.4 -67.2 -164.3 -67 -163.1 -66.8 -162.4 -66.4 -163.2 -66.4 -163 -66.6 -163.6 -66.8 -165 -66.7 -168.4 -65.8 -169 -66ZM-168.6 -65L-168.5 -64.9 -168.4 -64.8 -168 -64.8 -167.7 -64.8 -167.6 -64.9 -167.6 -65 -167.6 -65.1 -167.7 -65.1 -168.1 -65.2 -168.4 -65.1 -168.5 -65ZM-167.8 -60.2L-167.6 -59.9 -166.2 -59.5 -165.4 -59.7 -165.1 -60 -164.8 -60 -164.1 -59.5 -162.7 -59.6 -162.4 -59.4 -162.4 -59.2 -162.2 -58.9 -162.5 -58.6 -162 -58.4 -162 -63.8 -162.8 -63.8 -163.1 -63.5 -163 -63.4 -163.2 -63.3 -164.2 -63.5 -165.5 -63.1 -165.6 -63 -165.3 -62.8 -166.4 -62.2 -166.6 -61.6 -165.9 -61 -165.5 -60.8 -165.8 -60.6 -166.3 -60.6 -167.6 -60.4Z"],
+  ["America/Noronha", "M-32.7 3.9L-32.7 4 -32.6 4 -32.4 4.1 -32.2 4 -32.2 3.8 -32.2 3.7 -32.4 3.6 -32.6 3.7ZM-29.5 -0.9L-29.5 -0.8 -29.3 -0.7 -29.2 -0.8 -29.1 -0.9 -29.2 -1.1 -29.4 -1.1 -29.5 -1.1Z"],
+  ["America/North_Dakota/Beulah", "M-102.2 -47.3L-102.1 -47.3 -102.1 -47 -101.8 -47 -101.8 -47.2 -101.3 -47.2 -101.3 -47.3 -101.4 -47.5 -101.4 -47.6 -101.5 -47.5 -101.8 -47.5 -102 -47.5 -102 -47.6 -102.2 -47.6Z"],
+  ["America/North_Dakota/Center", "M-101.8 -47.2L-101.8 -47 -100.9 -47 -101 -47.2 -101 -47.3 -101.1 -47.3 -101.2 -47.2 -101.3 -47.3 -101.3 -47.2Z"],
+  ["America/North_Dakota/New_Salem", "M-102.1 -47L-102.1 -46.7 -101.7 -46.7 -101.7 -46.6 -101.3 -46.6 -101.3 -46.4 -101 -46.4 -101 -46.3 -100.9 -46.4 -100.8 -46.4 -100.6 -46.4 -100.5 -46.5 -100.7 -46.6 -100.6 -46.7 -100.8 -46.7 -100.9 -47Z"],
+  ["America/Nuuk", "M-69.1 -79.3L-66.4 -79.2 -63.7 -76.2 -63.5 -76.1 -64.4 -75.7 -60.7 -75.3 -58.7 -74.6 -58.5 -74 -56.7 -72.1 -56.5 -71.6 -56.1 -71.4 -55.6 -70.3 -55.5 -69.7 -54.8 -69.3 -54.3 -68.3 -54.6 -67 -54.4 -66.4 -52.8 -64.4 -52.6 -63.9 -48.7 -60.6 -45.2 -59.7 -44 -59.5 -42.7 -59.9 -41.1 -62.8 -40.1 -63.6 -39.3 -64.8 -36.3 -65.4 -33.4 -66.6 -32.1 -67.5 -25.4 -68.7 -21.9 -69.9 -21.3 -70.2 -23.2 -70.3 -24.5 -70.5 -24.8 -71 -24.5 -71.2 -24.4 -72.4 -22.2 -72 -21.2 -72 -21.3 -72.3 -20.6 -73 -19.8 -73.4 -18.7 -74.2 -16.7 -74.9 -16.5 -75.1 -17.3 -75.5 -17.5 -75.8 -19.5 -75.7 -22.9 -76 -22.7 -79.7 -16.8 -79.5 -16.8 -79.6 -15 -80.2 -12.5 -80.5 -12 -80.9 -10.1 -81.3 -10.2 -81.5 -11.7 -81.8 -16.8 -82.3 -19.5 -82.9 -25.7 -83.7 -30.6 -83.9 -39.2 -83.7 -59.6 -82.3 -62.2 -81.9 -68.3 -80.4 -68.6 -80.2 -68.3 -80Z"],
+  ["America/Ojinaga", "M-105.9 -29.7L-105.4 -29.5 -105.5 -29.4 -105 -29.2 -105.1 -29 -104.8 -29 -104.7 -28.7 -104.5 -28.8 -104.3 -28.6 -104.1 -28.7 -104 -28.6 -103.6 -28.5 -103.3 -29 -104 -29.3 -104.5 -29.7 -104.9 -30.5 -105.1 -30.5 -105.2 -30.4 -105.3 -30.4 -105.4 -30.3 -105.7 -30.3 -105.6 -30.2 -105.9 -30 -105.8 -30 -105.8 -29.9Z"],
+  ["America/Panama", "M-83.1 -8.3L-82.9 -8.1 -83 -7.9 -81.8 -7 -78.1 -7 -77.7 -7.5 -77.7 -7.7 -77.6 -7.5 -77.3 -7.9 -77.2 -8 -77.5 -8.5 -77.3 -8.9 -78.7 -9.8 -79.7 -9.8 -81.3 -9.3 -82.4 -9.7 -82.6 -9.5 -82.9 -9.6 -82.9 -9.1 -82.7 -8.9 -82.9 -8.8 -82.8 -8.5Z"],
+  ["America/Paramaribo", "M-58.1 -4.1L-57.7 -3.4 -57.3 -3.4 -57.2 -2.8 -56.7 -2 -56 -1.8 -55.9 -2 -56.1 -2.3 -56 -2.5 -55.7 -2.4 -55 -2.6 -54.6 -2.3 -54.3 -2.5 -54 -3.6 -54.4 -4 -54.5 -4.9 -53.9 -6 -54.8 -6.2 -56.1 -6 -57 -6.2 -57.3 -5.3 -57.2 -5.2 -57.9 -4.9 -57.8 -4.6Z"],
+  ["America/Phoenix", "M-114.8 -32.5L-111.1 -31.3 -109.1 -31.3 -109 -34.9 -109.5 -34.9 -109.6 -35.1 -109.3 -35.1 -109.4 -35.3 -109.7 -35.1 -111.2 -35.2 -111.3 -35.8 -111.7 -35.7 -111.9 -36.4 -111.6 -36.8 -111.4 -37 -111.2 -36.8 -111.4 -37 -114.1 -37 -114.1 -36 -114.8 -36.1 -114.6 -34.9 -114.1 -34.3 -114.5 -33.9 -114.5 -33.6 -114.7 -33.3 -114.5 -32.8ZM-111.3 -36.1L-111.3 -36 -111.2 -36 -111.1 -36 -111.1 -36.1 -111.2 -36.1 -111.2 -36.2 -111.2 -36.1 -111.3 -36.1ZM-111 -36.2L-111 -35.5 -110.8 -35.6 -110.9 -35.5 -110.3 -35.5 -110.3 -35.6 -110.1 -35.6 -110 -35.6 -110 -35.9 -110.1 -35.9 -110.1 -36 -110.3 -36 -110.4 -36 -110.4 -36.1 -110.5 -36 -110.6 -36 -110.6 -36.1 -110.4 -36.2 -110.3 -36.4 -110.8 -36.4 -110.9 -36.3 -111 -36.3ZM-110.2 -35.7L-110.2 -35.8 -110.1 -35.8 -110.1 -35.7 -110.2 -35.7Z"],
+  ["America/Port_of_Spain", "M-62.1 -10L-61.2 -9.9 -60.8 -10 -60.3 -11.3 -60.4 -11.5 -60.6 -11.6 -61.7 -10.9Z"],
+  ["America/Port-au-Prince", "M-75.2 -18.4L-75.1 -18.2 -75 -18.2 -74.8 -18.3 -74.8 -18.4 -74.9 -18.6 -75 -18.6 -75.2 -18.6ZM-74.7 -18.4L-74.6 -18.2 -73.9 -17.8 -73.3 -18 -72.1 -18 -71.9 -17.9 -71.7 -18.3 -72 -18.6 -71.7 -18.7 -71.9 -19 -71.6 -19.2 -71.8 -19.3 -71.7 -19.4 -71.8 -19.7 -72.6 -20.2 -73 -20.3 -73.5 -20 -73.7 -19.7 -73.5 -19.5 -73 -19.4 -73 -19.1 -73.5 -19.1 -73.4 -18.7 -74.5 -18.8Z"],
+  ["America/Porto_Velho", "M-66.8 9.8L-66.4 9.9 -65.8 9.7 -65.6 9.8 -65.4 9.7 -65.3 10.2 -65.4 10.5 -65.3 11 -65.4 11.1 -65.3 11.7 -65.1 11.7 -65 12 -64.5 12.2 -64.4 12.4 -63.8 12.4 -63.3 12.7 -63.1 12.6 -62.8 13 -62.2 13.1 -61.9 13.5 -61 13.5 -60.7 13.7 -60.3 13.2 -59.8 12.3 -60.1 11.8 -60.1 11.6 -59.9 11.4 -60 11.1 -61.5 11 -61.5 9.6 -61.6 9.3 -61.5 8.9 -61.7 8.7 -61.9 8.9 -62.1 8.8 -62.8 8 -63.6 8 -63.8 8.3 -63.9 8.3 -64.1 9 -64.8 9 -65.1 9.4 -65.2 9.3 -65.8 9.6 -66 9.4 -66.4 9.4Z"],
+  ["America/Puerto_Rico", "M-68.2 -18.2L-68.1 -18 -67.9 -17.9 -67.7 -17.9 -67.6 -18.1 -67.7 -18.2 -67.9 -18.4 -68.1 -18.3ZM-67.7 -18.4L-67.6 -18.2 -67.4 -18.2 -67.4 -17.9 -67.2 -17.7 -66.5 -17.7 -65.3 -17.9 -65.1 -18.1 -65.2 -18.5 -67.1 -18.7 -67.4 -18.6 -67.6 -18.6Z"],
+  ["America/Punta_Arenas", "M-76 49.1L-75.8 50.7 -75.6 51.2 -75.7 51.6 -75.4 52.5 -75 52.7 -75 52.9 -73.3 54.8 -72.2 54.9 -71.1 55.4 -69.9 55.6 -69.6 55.9 -68.2 55.9 -67.3 56.2 -66.5 55.9 -66.1 55.2 -67.3 54.9 -68.6 54.9 -68.6 52.7 -68.4 52.3 -70 52 -72 52 -71.9 51.9 -72.4 51.6 -72.3 51 -72.4 50.6 -73.2 50.8 -73.1 50.7 -73.4 50.5 -73.5 50.2 -73.4 50 -73.6 49.9 -73 49.5 -73.1 49.4 -73 49.3 -74 48.7 -75 48.6 -75.3 48.7 -76 48.8ZM-69.1 56.4L-69 56.6 -68.8 56.7 -68.5 56.7 -68.4 56.6 -68.3 56.5 -68.4 56.3 -68.7 56.3 -69 56.3 -69.1 56.4ZM-64 64L-57.3 63.4 -58.8 62.3 -59 61.8 -63 62.7Z"],
+  ["America/Rankin_Inlet", "M-102 -60L-94.8 -60 -94.8 -59.6 -94.7 -59.4 -94.8 -59.3 -94.9 -59.1 -94.4 -58.7 -93.2 -58.8 -92.4 -57.4 -92.7 -57 -91.8 -57.1 -90.9 -57.3 -88.9 -56.9 -88 -56.5 -87.4 -56 -85.9 -55.7 -85 -55.3 -85 -62.7 -87.3 -63.5 -86.5 -65.1 -86.4 -65.7 -85 -66.1 -85 -79.6 -86.4 -79.8 -86.4 -80 -85.2 -79.9 -86.6 -80.1 -86.4 -80.3 -85 -80.3 -85 -82.8 -88 -82.4 -91.7 -82.1 -95.5 -81.4 -97.5 -80.5 -102 -80.1 -102 -73.4 -92.2 -71.9 -89.6 -70 -89 -69.3 -89 -67 -102 -67ZM-96.7 -75L-96.4 -75.3 -96.1 -75.3 -96.3 -75.4 -95.9 -75.5 -94.9 -75.7 -94.2 -75.6 -93.4 -75.3 -93.3 -74.9 -93.4 -74.7 -94.7 -74.6Z"],
+  ["America/Recife", "M-41.4 8.7L-40.9 8.8 -40.7 9.2 -40.8 9.5 -40.6 9.5 -40.4 9.4 -40.3 9.1 -40 9.1 -39.9 8.8 -39.4 8.5 -38.7 9 -38.5 8.9 -38.2 9.3 -37.8 8.8 -36.9 9.4 -36.4 9.2 -36.1 8.9 -35.5 8.8 -35 9 -34.6 7.6 -35.2 7.4 -35.5 7.7 -36.4 7.8 -37 8.3 -37.2 8 -37.4 8 -37 7.5 -37.2 7.3 -38.1 7.8 -38.7 7.6 -39.1 7.9 -39.7 7.3 -40.5 7.3 -40.7 7.5 -40.5 7.9 -40.6 8.1Z"],
+  ["America/Regina", "M-110 -60L-110 -54.6 -109.2 -54.5 -108.6 -54.5 -108.6 -54.7 -108 -54.6 -108 -54.2 -106.8 -54.1 -106.8 -53.8 -106.5 -53.6 -106.4 -53.1 -106.3 -53.1 -106.4 -52.9 -107 -52.9 -106.9 -52.5 -107.3 -52.3 -107.3 -52.1 -106.9 -52.1 -106.7 -51.8 -106.8 -51.7 -106.7 -51.7 -106.7 -51.4 -107 -51.4 -106.6 -51.1 -107 -50.9 -106.8 -50.3 -107.2 -50.3 -107.2 -49.5 -107.9 -49.5 -107.9 -49 -101.4 -49 -101.8 -54.1 -102.5 -54.5 -102.5 -54.8 -101.9 -55.1 -102 -60Z"],
+  ["America/Resolute", "M-96.7 -75L-94.7 -74.6 -93.4 -74.7 -93.3 -74.9 -93.4 -75.3 -94.2 -75.6 -94.9 -75.7 -95.9 -75.5 -96.3 -75.4 -96.1 -75.3 -96.4 -75.3Z"],
+  ["America/Rio_Branco", "M-74 7.5L-73.7 7.8 -73.8 7.9 -73.5 8.4 -72.9 9 -73.2 9.4 -72.4 9.5 -72.2 10 -71.2 10 -70.6 9.4 -70.5 9.7 -70.6 11 -69.2 10.9 -68.8 11 -68.7 11.1 -68.3 11 -68 10.7 -67.7 10.7 -66.6 9.9 -68.6 9 -70.1 7.8 -72.6 7.6 -73.8 7.1 -73.7 7.3 -74 7.4Z"],
+  ["America/Santarem", "M-58.9 0L-58.7 0.7 -58.3 1.1 -58.2 1.2 -58 1.1 -58 1.4 -57.2 1.7 -56.7 2.2 -56.1 2 -56.4 2.3 -58.5 6.7 -57.6 8.2 -57.6 8.8 -57.2 8.9 -56.8 9.4 -52.3 9.7 -52 9.2 -52.3 8.6 -52.6 8.4 -52.8 7.9 -52.5 7.1 -52 6.9 -52 6.7 -52.5 6.3 -52.5 5.8 -52.9 5.4 -52.9 5.1 -52.6 3.8 -52.2 3.2 -51.8 3.6 -51.7 3.5 -51.8 3.3 -51.6 3.2 -52 2.8 -52.3 1.7 -51.8 1.5 -52 1.4 -51.8 1.1 -52.1 1.2 -52.4 1.1 -52.5 0.6 -53.2 -0.4 -53.1 -0.7 -53.4 -0.9 -53.4 -1.2 -54.1 -1.5 -54.3 -1.7 -54.7 -1.8 -55 -2.6 -55.7 -2.4 -56 -2.5 -56.1 -2.3 -55.9 -2 -56 -1.8 -57.3 -2 -57.6 -1.7 -58 -1.7 -58 -1.5 -58.3 -1.6 -58.5 -1.5 -58.5 -1.3 -58.9 -1.2Z"],
+  ["America/Santiago", "M-81.1 33.8L-81 33.9 -80.8 34 -80.6 34 -80.5 33.8 -80.6 33.6 -80.8 33.5 -81 33.6 -81.1 33.7ZM-80.3 26.3L-80.3 26.4 -80.2 26.5 -79.9 26.5 -79.7 26.5 -79.6 26.3 -79.7 26.3 -79.7 26.2 -80.1 26.1 -80.3 26.1ZM-79.2 33.7L-79.1 33.9 -78.9 33.9 -78.6 33.8 -78.5 33.7 -78.5 33.6 -78.7 33.5 -78.9 33.4 -79.1 33.5ZM-75.1 43.6L-75.1 43.8 -74 43.6 -73.1 43.7 -72.8 43.6 -72.5 43.8 -72.3 43.7 -72.1 44 -71.7 44.1 -71.6 43.9 -71.8 43.8 -71.6 43.7 -71.9 43.4 -71.7 43.2 -72.1 42.9 -72.2 42.7 -72 42.5 -72.2 42.1 -71.7 42.1 -72 40.7 -71.7 40.4 -71.8 40.1 -71.6 39.9 -71.7 39.6 -71.5 39.6 -71.4 38.9 -70.8 38.6 -71.2 37.9 -71.2 37.3 -71.1 37.1 -71.2 37 -71.1 36.9 -71.2 36.8 -71 36.7 -71 36.5 -70.7 36.4 -70.6 36.1 -70.4 36.2 -70.3 35.8 -70.4 35.3 -70.6 35.3 -70.4 35.2 -70.3 34.7 -70 34.4 -70 34.3 -69.8 34.2 -69.9 33.8 -69.8 33.3 -70.1 33.2 -70 32.9 -70.4 32 -70.2 32 -70.6 31.6 -70.5 31.2 -70.3 31 -70.2 30.3 -70 30.4 -69.8 30.2 -70 30.1 -69.9 29.7 -70 29.3 -69.8 29.1 -69.6 28.4 -69.2 27.9 -68.8 27.2 -68.3 27 -68.6 26.5 -68.4 26.2 -68.6 25.4 -68.3 25.1 -68.6 24.8 -68.5 24.6 -67.3 24 -67 23 -67.2 22.8 -67.9 22.8 -68.2 21.3 -68.5 20.9 -68.4 20.6 -68.7 20.5 -68.8 20.1 -68.5 19.9 -68.7 19.7 -68.4 19.4 -69 18.9 -69.1 18.2 -69.1 18.1 -69.3 18 -69.5 17.5 -69.8 17.6 -69.8 18 -70 18.3 -70.6 18.4 -70.3 21.4 -70.5 22.8 -70.8 23.2 -70.7 25.2 -71 25.7 -70.9 26.6 -71.2 27.1 -71.2 27.5 -71.4 28.3 -71.8 29 -71.8 29.6 -71.6 29.8 -71.9 30.2 -71.9 30.6 -71.7 32.4 -72 33.1 -71.9 33.6 -72.2 34.1 -72.4 35 -72.8 35.5 -73.1 36.3 -73.5 36.8 -73.7 36.8 -73.9 37.2 -73.9 37.7 -73.7 38.1 -74.1 38.1 -74.2 38.4 -74.1 38.6 -73.8 38.6 -73.5 39.3 -74 40 -74.2 41 -74.1 41.4 -74.7 43.2Z"],
+  ["America/Santo_Domingo", "M-72.1 -19.9L-71.8 -19.7 -71.8 -19.3 -71.6 -19.1 -71.9 -19 -71.7 -18.7 -72 -18.6 -71.7 -18.3 -71.9 -17.8 -71.7 -17.3 -70.1 -18 -68.5 -17.9 -68.1 -18.6 -68.6 -20.1 -69.4 -20.9 -70.6 -21.3 -71.2 -21Z"],
+  ["America/Sao_Paulo", "M-57.6 30.2L-57.2 30.3 -57.1 30.1 -56.8 30.1 -56 30.8 -56 31.1 -55.6 30.8 -55.2 31.3 -54.6 31.5 -53.7 32.1 -53.6 32.5 -53.1 32.7 -53.5 33.2 -53.5 33.7 -53.2 33.9 -52.5 33.3 -52.1 32.4 -50.6 31.3 -49.5 29.4 -48.4 28.5 -48.1 27.3 -48.4 26.8 -48.3 26.2 -47.9 25.5 -46.6 24.7 -45.1 24.1 -44.1 23.4 -41.9 23.2 -41.5 22.5 -40.8 22.1 -40.8 21.7 -39.5 19.4 -39.5 18.4 -40.2 18 -40.2 17.7 -40.6 17.4 -40.5 16.9 -40.3 16.9 -40.3 16.6 -39.9 16.3 -39.9 16 -40.7 15.7 -41.3 15.7 -41.4 15.5 -41.8 15.1 -42.1 15.2 -43.2 14.7 -43.5 14.8 -43.9 14.7 -43.8 14.3 -44.2 14.2 -46.1 15.3 -45.9 14.4 -46.3 13.9 -46.2 13.4 -46.1 13.3 -46.3 13.3 -46.3 13.1 -46.1 12.9 -46.4 12.9 -47.4 13.3 -47.6 13.1 -47.7 13.5 -47.8 13.3 -48.2 13.3 -48.1 13.2 -48.4 13.3 -48.5 13.1 -48.6 13.3 -48.6 13.1 -48.9 12.8 -49 13 -49.1 12.8 -49.2 12.9 -49.4 13.3 -50.3 12.8 -50.1 12.4 -50.4 12.7 -50.9 13.7 -50.8 14.1 -51.1 14.9 -51.5 15.1 -51.9 15.8 -52.3 15.9 -52.7 16.3 -52.6 16.5 -53 16.9 -53.2 17.3 -53.1 18.3 -52.8 18.4 -52.9 18.6 -52.5 18.7 -51.1 19.3 -50.9 19.6 -51.1 20.2 -51.6 20.6 -52.1 21.7 -52.5 22.2 -53.6 22.9 -53.7 23.3 -54 23.5 -54.1 24 -54.3 24.1 -54.3 24.4 -54.6 25.6 -54.4 25.7 -54.1 25.5 -53.8 25.7 -53.6 26.2 -53.8 26.6 -53.7 26.9 -54.3 27.4 -54.8 27.5 -55 27.9 -55.8 28.2 -55.7 28.4 -55.9 28.4 -56.4 29.1ZM-29.6 20.5L-29.5 20.7 -29.3 20.7 -29.2 20.7 -29.1 20.5 -29.2 20.4 -29.3 20.3 -29.5 20.3ZM-29.1 20.5L-29 20.6 -28.9 20.7 -28.7 20.6 -28.6 20.5 -28.7 20.3 -28.8 20.3 -29 20.3Z"],
+  ["America/Scoresbysund", "M-24.8 -71L-24.5 -70.5 -23.2 -70.3 -21.3 -70.2 -20.8 -70.7 -21.2 -72 -22.2 -72 -24 -72.4 -24.4 -72.3 -24.5 -71.2Z"],
+  ["America/Sitka", "M-136.8 -57.8L-136.3 -57.3 -136.2 -56.9 -134.9 -56 -134.9 -55.7 -134.1 -55.6 -134.2 -55.4 -133.8 -55.1 -133.9 -54.8 -133.7 -54.6 -133.2 -54.6 -132.7 -54.5 -132 -54.5 -131.7 -54.6 -131.5 -54.6 -131.1 -54.8 -130.7 -54.7 -130 -55.3 -130.1 -55.6 -130 -55.9 -130.1 -56.1 -131.8 -56.6 -131.9 -56.8 -132.1 -56.9 -132 -57 -132.4 -57.1 -132.2 -57.2 -132.5 -57.4 -133.1 -57.2 -134 -57.2 -134.6 -56.9 -134.8 -57.8 -135.2 -57.8 -135.9 -58 -136 -57.8ZM-131.7 -55.1L-131.6 -55.3 -131.5 -55.3 -131.5 -55.2 -131.2 -55.2 -131.3 -55 -131.5 -55 -131.6 -55 -131.7 -55 -131.7 -55.1 -131.6 -55.1Z"],
+  ["America/St_Barthelemy", "M-63.1 -17.8L-63 -17.7 -62.8 -17.7 -62.7 -17.7 -62.6 -17.8 -62.6 -17.9 -62.6 -18 -62.8 -18.1 -62.9 -18Z"],
+  ["America/St_Johns", "M-60.5 -48.8L-60.4 -47.8 -59.3 -47.4 -58.2 -47.4 -57 -47.2 -56.5 -47.4 -56.3 -47.3 -55.9 -46.6 -54.3 -46.6 -53.6 -46.4 -53 -46.5 -52.7 -46.7 -52.3 -47.5 -52.5 -48.2 -53.1 -49.3 -53.8 -49.9 -55.3 -50.3 -55.1 -50.8 -55.3 -51.1 -55 -51.5 -55 -52 -55.4 -52.7 -55.3 -53.4 -55.5 -53.7 -57.1 -53.2 -57.1 -51.4ZM-53.5 -49.8L-53.4 -49.6 -53.2 -49.6 -53 -49.6 -52.9 -49.8 -53 -49.9 -53.2 -50 -53.4 -49.9Z"],
+  ["America/St_Kitts", "M-63 -17.3L-62.8 -17.1 -62.8 -17 -62.6 -16.9 -62.4 -17.1 -62.4 -17.3 -62.6 -17.5 -62.8 -17.6Z"],
+  ["America/St_Lucia", "M-61.3 -13.9L-61.2 -13.7 -61 -13.5 -60.8 -13.6 -60.7 -13.8 -60.7 -14.1 -60.8 -14.2 -61 -14.3 -61.1 -14.2Z"],
+  ["America/St_Thomas", "M-65.2 -18.5L-65.2 -18.4 -65.2 -18.2 -65.1 -18.1 -65 -18.1 -64.8 -18 -64.7 -18.1 -64.6 -18.1 -64.6 -18.4 -64.9 -18.4 -65 -18.6 -65.1 -18.6ZM-65.1 -17.7L-65 -17.5 -64.8 -17.5 -64.4 -17.6 -64.4 -17.8 -64.4 -17.9 -64.5 -18 -64.8 -18 -65 -17.9Z"],
+  ["America/St_Vincent", "M-61.7 -12.6L-61.4 -12.5 -61.2 -12.4 -61.1 -12.5 -61 -12.8 -60.9 -13 -60.9 -13.4 -61.1 -13.6 -61.2 -13.6 -61.4 -13.4Z"],
+  ["America/Swift_Current", "M-110 -54.4L-110 -53.6 -109.6 -53.6 -109.5 -53.4 -109.1 -53.3 -108.8 -53 -108.9 -52.8 -109.2 -52.9 -109.4 -52.7 -110 -52.7 -110 -49 -107.9 -49 -107.9 -49.5 -107.2 -49.5 -107.2 -50.3 -106.8 -50.3 -107 -50.9 -106.6 -51.1 -107 -51.4 -106.7 -51.4 -106.7 -51.7 -106.8 -51.7 -106.7 -51.9 -106.9 -52.1 -107.3 -52.1 -107.3 -52.3 -106.9 -52.6 -107 -52.6 -107 -52.9 -106.4 -52.9 -106.3 -53.1 -106.4 -53.1 -106.4 -53.6 -106.8 -53.8 -106.8 -54.1 -108 -54.2 -108 -54.6 -108.4 -54.7 -108.8 -54.5 -110 -54.6Z"],
+  ["America/Tegucigalpa", "M-89.4 -14.5L-88.5 -13.8 -88.2 -14 -87.8 -13.9 -87.7 -13.5 -87.8 -13.4 -87.4 -13 -87 -13 -86.9 -13.3 -86.7 -13.3 -86.8 -13.7 -86.7 -13.8 -86.3 -13.8 -86 -14.1 -85.8 -13.8 -85.8 -14 -85.2 -14.3 -85.2 -14.6 -84.9 -14.8 -84.5 -14.6 -83.4 -15 -82.9 -15.1 -82.8 -15 -82.3 -14.9 -82.3 -15.2 -82.9 -15.5 -82.7 -15.8 -83 -15.9 -83.3 -16.2 -83.5 -16 -83.2 -15.3 -84.2 -16 -84.9 -16.2 -85.7 -16.7 -86.3 -16.6 -88.2 -15.9 -88.2 -15.7 -89.2 -15.1 -89.2 -14.6ZM-84.2 -17.4L-84.1 -17.3 -83.9 -17.2 -83.8 -17.3 -83.7 -17.4 -83.8 -17.6 -83.9 -17.6 -84.1 -17.6ZM-82.6 -15.9L-82.5 -15.7 -82.4 -15.7 -82.2 -15.7 -82.2 -15.9 -82.2 -16 -82.4 -16.1 -82.5 -16Z"],
+  ["America/Thule", "M-74.1 -76.7L-73.1 -76.5 -71.6 -76.7 -70.8 -76.3 -69.2 -75.9 -66.7 -75.7 -64.4 -75.7 -63.5 -76.1 -63.7 -76.2 -66.4 -79.2 -69.1 -79.3 -69.8 -79.1 -73.1 -78.7 -73.9 -78.4 -74 -78.2 -73.6 -77.4 -72.1 -76.9 -73.5 -76.9Z"],
+  ["America/Tijuana", "M-118.6 -29.2L-118.5 -28.8 -118.4 -28.7 -118.2 -28.7 -118 -28.9 -118 -29.1 -118.1 -29.3 -118.1 -29.4 -118.3 -29.4 -118.5 -29.3 -118.6 -29.3ZM-117.5 -32.4L-117.1 -32.1 -116.9 -31.5 -116.3 -30.7 -116.4 -30.4 -116 -30.2 -116 -29.6 -115 -29.1 -114.3 -28.4 -114.4 -28.1 -114.2 -28 -112.5 -28 -112.8 -29.3 -114.6 -31.3 -114.6 -31.7 -115 -31.9 -115.1 -32.2 -114.7 -32.7 -117.5 -32.6ZM-115.8 -28.3L-115.8 -28.2 -115.6 -28.1 -115.6 -28 -115.5 -27.9 -114.9 -28 -114.9 -28.2 -115 -28.4 -115.2 -28.6 -115.4 -28.5 -115.6 -28.5 -115.8 -28.4Z"],
+  ["America/Toronto", "M-91 -49L-91 -48.2 -89.3 -48 -88.4 -48.3 -84.9 -46.9 -84.6 -46.5 -84.1 -46.5 -84 -46.1 -83.6 -46.1 -83.4 -46 -83.6 -45.8 -82.5 -45.3 -82.1 -43.6 -82.5 -42.6 -83.1 -42.3 -83.1 -42 -83.1 -41.9 -82.4 -41.7 -81.2 -42.2 -80.1 -42.4 -78.9 -42.8 -79.2 -43.5 -78.7 -43.6 -76.8 -43.6 -76.3 -44.2 -75 -45 -71.5 -45 -71.3 -45.3 -70.8 -45.2 -70.8 -45.4 -70.6 -45.4 -70.7 -45.6 -70.3 -45.9 -70.3 -46.2 -70 -46.7 -69.2 -47.5 -69.1 -47.3 -68.4 -47.6 -68.4 -47.9 -67.6 -48 -67.4 -47.8 -66.4 -48.1 -65.5 -47.8 -63.8 -48.5 -62.9 -48.5 -62.9 -49.2 -61.7 -49.1 -61.9 -49.4 -63 -49.8 -63 -52 -63.8 -52 -63.6 -52 -63.7 -52.3 -64.1 -52.5 -63.9 -52.6 -63.4 -52.7 -63.6 -52.9 -64.1 -52.7 -64.2 -52.1 -64.4 -52 -64.3 -51.7 -64.6 -51.6 -64.7 -51.8 -65.3 -51.8 -65.5 -52.1 -65.6 -52 -65.7 -52.1 -66 -52.1 -66.3 -52.3 -66.4 -52.1 -66.5 -52.3 -66.3 -52.4 -66.4 -52.6 -66.3 -52.6 -66.4 -53 -66.6 -53 -66.8 -52.7 -67.3 -52.9 -67.2 -53 -67.4 -53.1 -67 -53.1 -67 -53.3 -66.9 -53.4 -67.3 -53.6 -67.8 -54 -67.6 -54.2 -67.8 -54.4 -67.5 -54.6 -67.3 -54.5 -67.1 -54.7 -67.5 -55.1 -66.7 -54.7 -66.8 -54.8 -66.6 -54.8 -66.8 -55.4 -66.2 -55 -65.8 -54.9 -65.7 -54.7 -65.1 -55 -64.8 -54.7 -63.7 -54.6 -63.9 -54.8 -63.8 -54.9 -63.6 -54.9 -63.6 -55.1 -63.4 -55.2 -63.7 -55.3 -63.3 -55.4 -63.8 -55.5 -63.6 -55.6 -63.9 -55.9 -63.4 -56 -64 -56.1 -63.9 -56.2 -64.2 -56.4 -63.9 -56.4 -64.1 -56.7 -63.9 -56.9 -63.9 -57.1 -63.7 -57.2 -63.9 -57.3 -63.7 -57.4 -63.8 -57.6 -63.6 -57.7 -64.1 -57.8 -64.4 -58.1 -63.8 -58.5 -64.1 -58.6 -64 -58.7 -63.5 -58.8 -64.9 -58.9 -64.8 -59.1 -64.3 -59 -64.5 -59.1 -64.5 -59.3 -64.3 -59.5 -64.9 -59.6 -64.6 -59.9 -64.9 -60.1 -64.6 -60.1 -64.9 -60.3 -64.5 -60.3 -64.9 -60.4 -65.6 -59.7 -65.4 -59.6 -65.8 -59.3 -66 -58.9 -66.4 -58.8 -66.7 -58.5 -67.6 -58.3 -67.7 -58.5 -67.9 -58.4 -68 -58.6 -68.3 -58.6 -68.3 -58.8 -69.2 -58.9 -69.2 -59.1 -69.5 -59.2 -69.2 -59.3 -69.6 -59.3 -69.7 -59.5 -69.5 -59.6 -69.6 -59.7 -69.5 -59.9 -69.8 -60.5 -69.4 -60.8 -69.5 -61.1 -69.9 -60.8 -70.1 -60.9 -70.1 -61.1 -70.7 -61 -71.6 -61.2 -71.9 -61.4 -71.6 -61.4 -71.9 -61.4 -71.6 -61.6 -71.9 -61.7 -72.3 -61.6 -72 -61.7 -72.3 -61.8 -72.1 -61.8 -72.2 -61.9 -72.6 -62 -72.6 -61.8 -72.8 -61.8 -72.6 -62 -72.6 -62.1 -72.9 -62.1 -73.7 -62.5 -74.7 -62.3 -74.5 -62.1 -75.3 -62.3 -75.9 -62.2 -75.6 -62.3 -77.5 -62.6 -78.2 -62.3 -78 -61.7 -77.5 -61.5 -77.7 -61.5 -77.6 -61.5 -77.7 -61.5 -77.6 -61.4 -77.8 -61.5 -77.7 -61.2 -78.2 -60.8 -77.5 -60.8 -77.8 -60.6 -77.4 -60.5 -77.7 -60.5 -77.8 -60.4 -77.4 -60.1 -77.6 -60.1 -77.2 -60 -77.5 -59.9 -77.3 -59.8 -77.8 -59.7 -77.7 -59.5 -78 -59.4 -77.6 -59.4 -78.1 -59.2 -78.1 -59.1 -78.2 -59.1 -78.3 -58.9 -78.6 -58.9 -78.4 -58.7 -78.6 -58.8 -78.5 -58.7 -78.6 -58.7 -78 -58.3 -77.5 -58.3 -77.5 -58.2 -76.8 -57.7 -76.5 -57.1 -76.5 -56.4 -77.1 -55.7 -77.8 -55.3 -79.8 -54.6 -79.5 -54.6 -79.5 -54.3 -79.3 -54.2 -79.4 -54.2 -79.1 -54.2 -79.2 -54.1 -79 -54 -79.2 -53.9 -78.9 -53.8 -79.1 -53.8 -79.1 -53.6 -78.9 -53.6 -79.1 -53.5 -78.9 -53.4 -79 -53 -78.8 -53 -78.9 -52.9 -78.7 -52.8 -78.9 -52.7 -78.5 -52.5 -78.6 -52 -79 -51.8 -78.8 -51.5 -78.9 -51.3 -79.3 -51.7 -79.7 -51.4 -79.8 -51.2 -80.4 -51.3 -80.7 -51.8 -81.4 -52.1 -81.5 -52.5 -82.2 -52.9 -82.1 -53.8 -82.4 -54.4 -82.2 -54.8 -82.3 -55.1 -85.1 -55.3 -85.9 -55.7 -87.4 -56 -88 -56.5 -89 -56.8 -90 -56.2 -90 -54 -89 -54 -88.5 -53.6 -88.5 -53.4 -89 -53 -89 -52.7 -90 -52.7 -90 -51.5 -89.9 -51.5 -90 -51.4 -90 -49.2 -91 -49.3ZM-66.8 -48.1L-66.7 -48.1 -66.7 -48 -66.8 -48Z"],
+  ["America/Tortola", "M-65 -18.6L-64.9 -18.4 -64.6 -18.4 -64.6 -18.1 -64.5 -18.2 -64.2 -18.3 -64.1 -18.4 -64.1 -18.7 -64.1 -18.8 -64.2 -18.9 -64.5 -18.9 -64.6 -18.8 -64.6 -18.7Z"],
+  ["America/Vancouver", "M-139.1 -60L-137.6 -59.2 -137.5 -58.9 -136.6 -59.2 -136.5 -59.5 -136.2 -59.5 -136.3 -59.6 -135.5 -59.8 -135.2 -59.7 -135 -59.3 -133.4 -58.4 -132.2 -57.2 -132.4 -57.1 -132 -57 -132.1 -56.9 -131.9 -56.8 -131.8 -56.6 -130.1 -56.1 -130 -55.9 -130.1 -55.6 -130 -55.3 -130.3 -55 -130.6 -54.7 -132.7 -54.7 -133.2 -54.5 -133.5 -54 -133.3 -53.5 -131.2 -51.8 -129.3 -50.7 -128.6 -50.5 -128.1 -50 -127.5 -49.8 -126.7 -49.2 -125.1 -48.5 -123.5 -48.2 -123.2 -48.3 -123.1 -48.4 -123.3 -48.7 -123 -48.8 -123.3 -49 -116.9 -49 -117 -49.2 -116.7 -49.3 -116.9 -49.6 -116.9 -49.8 -116.4 -50 -116.7 -50.5 -116.6 -50.6 -117.4 -51 -117.5 -51.3 -117.7 -51.3 -118 -51.5 -117.9 -51.7 -118.1 -51.7 -118.2 -52 -118.4 -52 -118.6 -52.3 -118.2 -52.5 -118.4 -52.8 -118.6 -52.9 -118.9 -53.2 -119 -53.1 -119.7 -53.4 -119.9 -53.6 -119.7 -53.7 -120.3 -54 -120.2 -54.1 -120.5 -54.1 -120.8 -54.4 -121.4 -54.5 -121.5 -54.8 -121.9 -54.9 -122.6 -55.4 -123 -55.4 -122.9 -55.6 -123.5 -55.9 -123.6 -56.5 -124.2 -57.3 -124.1 -57.4 -124.9 -57.8 -124.9 -58.2 -126.9 -58.7 -126.8 -58.7 -127.1 -58.8 -126.9 -59 -127 -59.1 -127.7 -59.6 -127.7 -60ZM-125 -61.6L-124.9 -61.5 -124.8 -61.5 -124.7 -61.5 -124.7 -61.6 -124.7 -61.7 -124.8 -61.7 -124.9 -61.7Z"],
+  ["America/Whitehorse", "M-138 -60L-123.8 -60 -124.1 -60.2 -124.2 -60.5 -124.6 -60.7 -124.5 -60.8 -124.6 -61 -125.3 -60.8 -125.8 -60.9 -126.8 -60.8 -126.9 -61.1 -127.1 -61.1 -126.9 -61.4 -127.1 -61.5 -127.7 -61.7 -128.2 -62.1 -129.3 -62.2 -129.3 -62.4 -129.2 -62.5 -129.6 -62.6 -129.8 -62.9 -129.6 -63.1 -130.2 -63.3 -129.8 -63.5 -130.3 -63.7 -130.1 -63.9 -130.8 -64 -131.2 -64.4 -131.9 -64.4 -131.7 -64.5 -132.6 -64.8 -132.3 -65.1 -132.8 -65.2 -132.2 -65.6 -132.6 -65.8 -132.3 -66 -133.6 -66 -133.6 -66.2 -133.8 -66.3 -133.6 -66.6 -134 -66.7 -133.8 -66.8 -134.1 -67 -133.8 -67 -136.2 -67 -136.2 -67.2 -136.1 -67.3 -136.2 -67.6 -136.4 -67.7 -136.6 -69.4 -138 -69.5Z"],
+  ["America/Winnipeg", "M-102.5 -54.5L-101.8 -54.1 -101.4 -49 -95.2 -49 -95.2 -49.4 -95 -49.4 -94.8 -49.3 -94.6 -48.7 -93.8 -48.5 -93 -48.6 -92.6 -48.5 -92.7 -48.5 -92.5 -48.4 -92.4 -48.2 -92 -48.4 -92.3 -48.5 -91.8 -48.7 -91.8 -49 -91 -49 -91 -49.3 -90 -49.2 -90 -50.7 -90.6 -51.1 -90.7 -51.5 -90 -52 -90 -52.7 -89 -52.7 -89 -53 -88.5 -53.4 -88.5 -53.6 -89 -54 -90 -54 -90 -56.2 -89 -56.8 -90.9 -57.3 -92.7 -57 -92.4 -57.4 -93.2 -58.7 -93.8 -58.8 -94.4 -58.7 -94.9 -59.1 -94.8 -59.3 -94.7 -59.4 -94.8 -59.6 -94.8 -60 -102 -60 -101.9 -55.1 -102.5 -54.8Z"],
+  ["America/Yakutat", "M-141.6 -59.7L-139.6 -59.2 -138.5 -58.9 -138.3 -58.7 -137.5 -58.9 -137.6 -59.2 -139.2 -60.1 -139.1 -60.4 -139.7 -60.3 -140 -60.2 -141 -60.3Z"],
+  ["Antarctica/Casey", "M97 70L120 70 120 65 109 64.5 97 64Z"],
+  ["Antarctica/Davis", "M77.5 86L86 86 86 65 82.3 66.3 77.5 68Z"],
+  ["Antarctica/DumontDUrville", "M120 70L160 70 160 65 120 65Z"],
+  ["Antarctica/Macquarie", "M158.3 55.1L158.4 55.2 158.6 55.3 159 55.2 159 55.1 158.9 55 159.2 54.9 159.3 54.4 159.3 54.2 159.1 54.2 158.7 54.2 158.5 54.5 158.4 54.7 158.5 54.9Z"],
+  ["Antarctica/Mawson", "M55 86L77.5 86 77.5 68 66.8 66.1 55 64Z"],
+  ["Antarctica/McMurdo", "M-180 90L180 90 180 70 168 67 160 65 160 86 -150 86 -150 75 -180 75 -180 75.2 -150.5 75.2 -150.5 86.1 -150.5 75.2 -180 75.2Z"],
+  ["Antarctica/Palmer", "M-65.5 65.3L-63.8 64.8 -64 64.1 -64 64 -65 64.5Z"],
+  ["Antarctica/Rothera", "M-80 86L-67.5 86 -67.5 66 -80 66ZM-35 86L-17 86 -17 71 -25.3 72.8 -35 75Z"],
+  ["Antarctica/Syowa", "M25 86L55 86 55 64 40.1 66 25 68Z"],
+  ["Antarctica/Troll", "M0 86L25 86 25 68 0 68Z"],
+  ["Antarctica/Vostok", "M86 86L115 86 115 70 97 70 97 64 92.8 64.4 86 65Z"],
+  ["Arctic/Longyearbyen", "M9.4 -78.9L10.2 -78.3 11.4 -78 12.6 -78 13 -77.4 13.5 -77.1 16.5 -76.2 17.8 -76.5 18.4 -77.3 18.7 -77.3 20.2 -77.3 20.9 -76.8 22 -76.7 23.3 -76.9 24.6 -77.4 26 -77.7 26.1 -77.8 25.9 -77.9 24 -78.3 22.9 -78.7 22.6 -78.8 26.2 -79.2 29.4 -80.1 27.5 -80.4 27.2 -80.6 25.7 -80.8 23 -80.7 20.5 -81 19.4 -81 16.8 -80.3 11.3 -80.1 9.7 -79.9 9.4 -79.8 10 -79.1ZM18 -74.5L18.5 -74.2 19.1 -74.1 19.8 -74.2 20 -74.5 19.7 -74.7 19.1 -74.7 18.3 -74.6ZM24 -76.4L24.5 -76.3 25.3 -76.3 25.7 -76.4 26.4 -76.7 25.9 -76.9 25.1 -76.9 24.3 -76.6ZM25.3 -78.8L25.9 -78.5 26.8 -78.4 29.1 -78.5 31.2 -78.9 31.5 -79 31.3 -79.1 30.3 -79.2 26.1 -79ZM30.3 -80.1L30.9 -79.9 31.9 -79.8 34.2 -80 34.6 -80.1 34.7 -80.3 33.8 -80.5 32.6 -80.5 30.8 -80.3Z"],
+  ["Asia/Aden", "M41.6 -15.5L41.7 -15.4 41.8 -15.3 42 -15.4 42.1 -15.5 42 -15.7 41.8 -15.8 41.7 -15.7ZM41.8 -16.3L42.1 -16.1 42.1 -15.6 42.4 -15.2 42.2 -15.4 42 -15.3 42 -14.9 42.2 -14.8 42.4 -15.1 42.7 -15 42.8 -14.3 42.5 -14.1 42.6 -13.6 42.8 -13.4 43 -13.8 43 -13.3 43.3 -12.6 43.9 -12.4 45.1 -12.6 45.7 -13.2 46.8 -13.2 48 -13.8 48.5 -13.7 49.4 -14.5 50.9 -14.9 52.3 -15.5 52.4 -16.1 53.2 -16.5 52 -19 49.1 -18.6 48.2 -18.2 47.5 -17.1 47.2 -16.9 47 -16.9 46.8 -17.3 45.2 -17.4 43.8 -17.3 43.4 -17.6 43.2 -17.4 43.3 -17.3 43.2 -17.2 43.3 -16.8 43.1 -16.5ZM51.9 -12.2L52 -12.1 52.3 -11.9 52.5 -12 52.6 -12.1 52.6 -12.2 52.6 -12.3 52.5 -12.4 52.3 -12.4 52.3 -12.6 52.1 -12.6 52 -12.5ZM52.8 -12.2L52.9 -12 53.3 -11.9 53.5 -12 53.5 -12.1 54.2 -12.2 54.7 -12.4 54.7 -12.7 54.5 -12.8 54.1 -12.9 53.1 -12.8 53 -12.6 53.3 -12.3 52.9 -12.4Z"],
+  ["Asia/Almaty", "M63 -47.2L65.6 -46.2 67.2 -46.1 67.4 -45.8 67.2 -45.3 67.5 -45.1 67.5 -44.4 68.1 -44 67.6 -43.4 67.9 -43.2 66 -42.4 66 -41.9 66.5 -41.9 66.7 -41.1 68 -41.1 68.1 -41 68 -40.8 68.5 -40.6 68.7 -40.6 68.5 -41 68.7 -41 69 -41.4 69.5 -41.5 70.4 -42.1 70.6 -42 71.3 -42.8 71.8 -42.8 73.5 -42.4 73.5 -43 74.2 -43.3 74.7 -43 75.7 -42.8 75.8 -42.9 76.3 -42.9 77 -43 79.2 -42.8 79.5 -42.5 80 -42.4 80.3 -42.2 80.2 -42.7 80.3 -42.8 80.6 -42.9 80.4 -43 80.8 -43.2 80.4 -44.1 80.4 -44.6 80.2 -44.8 79.9 -44.9 80.1 -45 81.8 -45.4 81.9 -45.2 82.6 -45.2 82.3 -45.6 83 -47.2 83.9 -47 84.8 -47 84.9 -46.9 85.5 -47 85.7 -47.4 85.5 -48 85.7 -48.4 86.6 -48.5 86.8 -48.8 86.7 -49 87.3 -49.2 87 -49.3 86.8 -49.5 86.6 -49.6 86.8 -49.7 86.7 -49.8 86.2 -49.5 85.3 -49.6 85 -49.9 85 -50.1 84.4 -50.2 84 -50.8 83.4 -51 82.7 -50.9 82.6 -50.7 81.4 -50.8 81.4 -51 81.1 -50.9 81.1 -51.2 80.7 -51.3 80.4 -51.2 80.5 -51 80.1 -50.9 80.1 -50.7 77.9 -53.3 76.5 -54 76.4 -54.2 76.8 -54.2 76.9 -54.5 75.4 -54.1 75.4 -54 75.1 -53.8 74.5 -53.7 74.4 -53.5 73.9 -53.7 73.4 -53.4 73.3 -53.7 73.5 -53.9 73.7 -53.9 73.8 -54.1 73.3 -53.9 72.6 -54.1 72.5 -54 72.7 -54 72.5 -53.9 72.4 -54.1 72.5 -54.1 72 -54.4 72.2 -54.1 71.8 -54.3 71.7 -54.1 71.1 -54.1 71 -54.3 71.2 -54.3 71.3 -54.7 71 -54.8 71 -55.1 70.8 -55.3 70.2 -55.1 68.9 -55.4 69 -55.3 68.7 -55.4 68.6 -55.2 68.2 -55.2 68.3 -55.1 68.2 -55 66.1 -54.6 66.2 -54.3 66 -54.3 66.3 -54.1 66 -54 66.2 -53.8 66.1 -53.5 66.2 -53.5 66.4 -53.1 66.1 -53.1 66.3 -52.9 66 -52.8 66 -52.2 65.8 -51.9 65.4 -51.8 65.6 -51.6 65.4 -51.2 65.6 -51.1 65.6 -50.8 65.9 -51 66.3 -50.7 67 -50.7 67.1 -50.4 67.9 -50.6 68.1 -50.4 67.6 -50.2 67.4 -49.9 66.1 -49 65.5 -48.8 64.7 -48.9 64.7 -48.7 64.5 -48.7 64.6 -48.5 64.2 -48.5 64.3 -48.3 64 -48.2 64.3 -47.9Z"],
+  ["Asia/Amman", "M34.9 -29.4L36.1 -29.2 36.8 -29.9 37.5 -30 37.7 -30.3 38 -30.5 37 -31.5 39 -32 39.3 -32.2 39.3 -32.4 39 -32.3 38.8 -33.4 36.8 -32.3 36.1 -32.5 36 -32.7 35.8 -32.8 35.6 -32.6 35.5 -31.1Z"],
+  ["Asia/Anadyr", "M-180 -62.6L-179.9 -62.7 -179.9 -62.8 -180 -62.9ZM-180 -64.7L-179.1 -65.2 -176.8 -65.4 -176.4 -65.3 -176.3 -65.1 -176.3 -64.9 -175.7 -64.6 -175 -64.6 -174.1 -64.2 -173 -64 -171.8 -64.3 -171.6 -64.7 -171.7 -65.2 -170.3 -65.4 -169.9 -65.8 -169 -65.5 -169 -66 -169.2 -66 -169.3 -66.3 -170.8 -66.7 -171.4 -67.1 -173.4 -67.3 -180 -69.3 -180 -65 -179.3 -65 -179.3 -65.4 -175.8 -65.4 -179.3 -65.4 -179.3 -65 -180 -65ZM-180 -70.7L-177.7 -70.8 -176.9 -71.1 -176.9 -71.3 -177.9 -71.7 -179.9 -71.8 -180 -71 -177.2 -71 -180 -71ZM-176.4 -71.4L-176.2 -71.3 -175.8 -71.2 -175.5 -71.2 -175.1 -71.2 -174.9 -71.3 -175 -71.5 -175.6 -71.6 -176 -71.6 -176.2 -71.6ZM157.7 -67.5L157.9 -67.4 157.8 -67.3 158.7 -67 159 -66.8 158.4 -66.4 159.2 -66.2 158.9 -65.7 160.1 -65.5 160.6 -65.2 161.3 -65.1 161.8 -64.8 162.8 -64.7 163.3 -64.7 163.1 -64.8 163.5 -64.9 164.2 -64.9 164.9 -64.7 165.1 -64.9 165.7 -64.8 165.8 -64.5 167.2 -64.6 167.7 -64.3 168.5 -64.3 168.9 -64 169.4 -63.9 169.6 -63.7 168.5 -63.1 169.8 -62.7 170.1 -62.6 170 -62.5 170.3 -62.3 171.3 -62.4 171.5 -62.3 172.1 -62.5 172.9 -62.3 173.7 -62.5 174.1 -62.5 174.2 -62.3 174 -62.3 174.5 -62 174.5 -61.6 177.2 -62.3 179 -62.1 179.5 -62.2 180 -62.6 180 -62.9 179.8 -63.2 179.3 -63.5 178.9 -64.3 179.2 -64.5 180 -64.7 180 -65 179.3 -65 180 -65 180 -69.3 178.6 -69.3 178.6 -69.6 176.5 -69.6 176.5 -70 168 -70 176.5 -70 176.5 -69.6 178.6 -69.6 178.6 -69.3 180 -69.3 179.8 -69.4 176.3 -70.1 170.6 -70.3 169.5 -70.1 167.9 -70.2 166.8 -69.7 164.8 -69.8 164.1 -70 162.5 -69.9 162.3 -69.4 162.8 -69.2 162.5 -69.1 162.9 -68.8 162.6 -68.8 162.8 -68.6 162.5 -68.3 161.4 -68.4 158.6 -68.1 158.1 -67.9 158.4 -67.7 157.9 -67.7ZM178 -71.1L178.2 -70.7 178.7 -70.6 180 -70.7 180 -71 179.3 -71 180 -71 180 -71.7 178.5 -71.4Z"],
+  ["Asia/Aqtau", "M49.8 -45L50.1 -44.3 50.5 -44.1 51.1 -43.5 51.1 -43.1 52.4 -42.6 52.2 -42.1 52.3 -41.6 53 -42.1 54.2 -42.4 54.8 -42.1 55.6 -41.3 56 -41.3 56 -45 56.7 -45.2 56.5 -46.1 55.8 -46.3 55.8 -46.4 55.5 -46.5 55.3 -46.4 54 -46.2 53.7 -45.9 53.2 -45.7 52.7 -45.8 52.3 -45.6 51.3 -45.5 50.9 -45.1 50 -45.2Z"],
+  ["Asia/Aqtobe", "M53.6 -49.5L53.7 -49.2 54 -49.2 54 -48.8 54.9 -48.7 54.9 -48.1 55.1 -47.8 55 -47.2 55.5 -46.7 56.3 -46.5 56.6 -45.9 56.7 -45.2 58.6 -45.6 59.1 -45.3 59 -46 60.1 -46.9 60.5 -46.9 60.5 -47.1 60.9 -47.1 61.4 -47.8 61.9 -47.8 62.6 -47.2 62.9 -47.2 64.3 -47.9 63.8 -48.5 63.1 -48.7 63.1 -48.9 62.8 -48.8 62.4 -49.2 62.5 -49.3 62.3 -49.5 62.4 -49.7 63 -50 62.4 -50.7 62.2 -50.7 62.2 -50.8 62.4 -50.9 62.2 -51 62.3 -51.1 62 -51.1 61.9 -51.3 61.6 -51.2 61.4 -50.8 60.8 -50.7 60 -50.8 59.8 -50.5 59.5 -50.5 59.5 -50.6 58.7 -50.8 58.6 -51 58.3 -51.2 57.8 -51.1 57.8 -50.9 57.3 -51 57.2 -51.1 56.7 -51.1 56.7 -51 56.5 -51.1 55.7 -50.5 54.6 -51 54.7 -50.6 54.4 -50.3 54.6 -50 54.5 -49.7Z"],
+  ["Asia/Ashgabat", "M52.3 -41.6L52.7 -41 52.4 -40.3 52.5 -39.9 52.9 -39.6 52.8 -38.7 53.2 -38.6 53.4 -39.1 53.7 -38.8 53.6 -37.9 53.7 -37.4 54.7 -37.4 54.8 -37.7 55.4 -38.1 56.3 -38.1 56.5 -38.3 57.2 -38.3 57.5 -37.9 58.4 -37.6 58.8 -37.7 59.4 -37.5 59.6 -37.1 60 -37 60.3 -36.6 61.1 -36.6 61.2 -36.1 61.3 -35.6 62.1 -35.4 62.3 -35.1 62.5 -35.3 62.6 -35.2 63.1 -35.4 63.1 -35.6 63.3 -35.7 63.1 -35.9 64.1 -36 64.6 -36.4 64.8 -37.1 65.6 -37.2 65.7 -37.5 66.6 -37.4 66.5 -37.8 66.7 -37.9 65.9 -38.3 65.5 -38.3 62.5 -40 62.3 -40.4 62.1 -40.6 61.9 -41.1 61.5 -41.3 61.2 -41.1 60.2 -41.3 60.1 -41.4 60.2 -41.6 60 -41.8 60.3 -41.8 59.9 -42 60 -42.2 59.4 -42.3 58.6 -42.8 58.6 -42.6 58.2 -42.6 58.5 -42.3 58.1 -42.5 57.9 -42.2 57.3 -42.1 57 -41.9 57 -41.4 57.2 -41.3 57 -41.2 55.5 -41.3 54.9 -41.9 54.2 -42.4 53 -42.1Z"],
+  ["Asia/Atyrau", "M47 -48L47.4 -47.7 47.4 -47.8 48.2 -47.7 49 -46.7 48.5 -46.7 48.5 -46.6 49.9 -46 50.1 -46.5 51.4 -46.8 51.7 -46.6 52.7 -46.7 52.8 -46.6 52.7 -45.8 53.2 -45.7 53.7 -45.9 54 -46.2 55.3 -46.4 55.5 -46.5 55.8 -46.4 55.8 -46.3 56.5 -46.1 56.3 -46.5 55.2 -46.9 55 -47.2 55.1 -47.8 54.9 -48.1 54.9 -48.7 54 -48.8 54 -49.2 53.6 -49.2 53.4 -49.1 52.7 -49 52.7 -48.8 52.4 -48.5 51.8 -48.6 51.6 -48.7 51 -48.7 50 -48.1 49.4 -48 49.5 -47.9 47.1 -48.3 47.2 -48.1Z"],
+  ["Asia/Baghdad", "M38.8 -33.4L39 -32.3 39.3 -32.4 39.2 -32.2 40.4 -31.9 42.1 -31.1 44.7 -29.2 46.5 -29.1 47.4 -30.1 48.2 -30 48.5 -29.8 48.7 -29.4 48.8 -29.4 49.1 -29.5 49.1 -29.8 48.5 -30 48.4 -30.2 48 -30.5 48 -31 47.7 -31 47.9 -31.8 47.5 -32.4 46.1 -33 46.2 -33.3 45.4 -34 45.6 -34.1 45.4 -34.5 45.5 -34.6 45.7 -34.5 45.7 -34.8 45.9 -35.1 46.2 -35.1 46.1 -35.2 46 -35.6 46.3 -35.8 45.8 -35.8 45.6 -36 45.3 -36 45.3 -36.4 45 -36.5 45.1 -36.7 44.8 -36.8 44.9 -37 44.8 -37.2 44.3 -37 44.1 -37.3 43.8 -37.2 42.8 -37.4 41.8 -36.6 41.4 -36.5 41.3 -36.4 41.4 -35.6 41.2 -34.8 41 -34.4Z"],
+  ["Asia/Bahrain", "M50.3 -26.1L50.3 -25.9 50.4 -25.7 50.6 -25.6 50.8 -25.5 50.8 -25.6 50.9 -25.7 50.8 -25.9 50.9 -26.1 50.9 -26.3 50.8 -26.6 50.6 -26.7 50.4 -26.5Z"],
+  ["Asia/Baku", "M44.8 -39.7L44.8 -39.6 44.9 -39.6 44.9 -39.5 45.1 -39.3 45.2 -39.2 45.3 -39.2 45.5 -39.1 45.4 -39 46 -38.9 46.1 -38.8 46.1 -38.9 46 -39.1 46 -39.3 45.8 -39.4 45.8 -39.5 45.8 -39.6 45.7 -39.6 45.5 -39.5 45.3 -39.6 45.2 -39.6 45.2 -39.7 45.1 -39.8ZM45 -41.3L45.2 -41.2 45.1 -41.1 45.6 -40.9 45.4 -40.7 45.5 -40.5 46 -40.3 45.9 -40 45.6 -40 46.2 -39.6 46.6 -39.6 46.4 -39.4 46.6 -39.2 46.4 -39.2 46.5 -38.9 48 -39.7 48.4 -39.4 48.1 -39.3 48.3 -39 48 -38.8 48.6 -38.4 48.9 -38.5 49.1 -38.5 49.1 -38.7 49.6 -38.9 49.7 -39.4 50 -39.6 49.9 -40.1 51 -40 51.2 -40.2 51.1 -40.4 50.4 -40.7 49.8 -40.8 48.8 -42 47.8 -41.2 47.3 -41.3 46.8 -41.9 46.4 -41.9 46.2 -41.6 46.7 -41.3 46.6 -41.1 45.8 -41.2 45.5 -41.5Z"],
+  ["Asia/Bangkok", "M97.3 -18.6L97.5 -18.3 97.6 -18.3 97.8 -17.7 98.5 -16.9 98.7 -16.3 98.9 -16.4 98.8 -16.1 98.6 -16 98.6 -15.3 98.3 -15.3 98.2 -15.1 98.6 -14.3 99.1 -13.9 99.2 -13.3 99.1 -13.1 99.4 -12.6 99.7 -11.8 98.8 -10.7 98.6 -9.9 98.4 -10 98.1 -9.6 97.7 -9.6 97.5 -8.4 97.8 -8.3 98.1 -9 98.1 -7.4 98.4 -7.3 98.6 -7.5 98.9 -7.1 99.2 -7 99.3 -6.8 99 -6.7 99.1 -6.3 99.5 -6.3 99.6 -6.5 100.1 -6.4 100.3 -6.7 100.4 -6.5 100.7 -6.5 100.9 -6.2 101.1 -6.3 101 -5.8 101.1 -5.6 101.6 -5.9 101.7 -5.8 101.9 -5.9 102.3 -6.7 102.2 -7.4 100.9 -8.5 100.2 -10 99.6 -10.6 99.8 -11.4 100.2 -12.1 100.2 -12.4 101 -12.3 101.2 -12.5 101.6 -12.2 101.8 -12.3 102.4 -11.4 102.8 -11.4 102.9 -11.7 102.7 -12.2 102.8 -12.4 102.5 -12.7 102.3 -13.6 102.6 -13.6 102.9 -14.2 103.2 -14.3 104.8 -14.4 105.1 -14.2 105.4 -14.4 105.6 -15 105.5 -15.4 105.6 -15.7 104.7 -16.5 104.8 -17.4 104 -18.3 103.3 -18.4 103 -18 102.7 -17.8 102.1 -18.2 101.2 -17.5 101 -17.6 101.2 -18.1 101.1 -18.4 101.4 -19 101.2 -19.4 101.3 -19.6 100.5 -19.5 100.4 -19.8 100.6 -20.2 100.3 -20.4 100.2 -20.2 100 -20.5 99.7 -20.3 99.5 -20.4 99.5 -20.1 99.1 -20.1 99 -19.8 98.2 -19.7 98 -19.8 97.7 -18.9 97.8 -18.6ZM102.1 -22.4L102.6 -21.9 102.7 -21.7 102.8 -21.8 103 -21.7 102.8 -21.3 103.1 -20.9 103.7 -20.7 104.1 -21 104.6 -20.7 104.4 -20.4 104.7 -20.5 104.6 -20.2 105 -20.1 104.8 -19.8 104.6 -19.6 104.1 -19.7 104.1 -19.5 103.9 -19.3 105.1 -18.7 105.1 -18.4 105.4 -18.2 105.5 -18.2 105.8 -17.7 106.3 -17.3 106.5 -17 106.8 -16.9 107.3 -17.5 106.2 -18.9 106.2 -19.3 108.2 -21.1 108.1 -21.5 107.9 -21.7 107.4 -21.6 107 -21.9 106.7 -22 106.6 -22.5 106.8 -22.8 106.1 -23 105.9 -22.9 105.3 -23.4 104.8 -23.1 104.7 -22.8 104.4 -22.7 104.1 -22.8 104 -22.5 103.7 -22.8 103.5 -22.6 103.3 -22.8 103 -22.4 102.5 -22.8ZM106.2 -17.6L106.2 -17.9 106.9 -17.9 106.9 -17.6ZM106.2 -17.6L106.9 -17.6 106.9 -17.9 106.2 -17.9ZM107.5 -20.1L107.6 -20 107.7 -19.9 107.9 -20 108 -20.1 107.9 -20.3 107.7 -20.3 107.6 -20.3Z"],
+  ["Asia/Barnaul", "M77.9 -53.4L80.1 -50.7 80.1 -50.9 80.5 -51 80.4 -51.2 80.7 -51.3 81.1 -51.2 81.1 -50.9 81.4 -51 81.4 -50.8 82.6 -50.7 82.7 -50.9 83.4 -51 84 -50.8 84.4 -50.2 85 -50.1 85 -49.9 85.3 -49.6 86.2 -49.5 86.6 -49.8 86.8 -49.8 86.6 -49.6 87.4 -49.1 88 -49.2 88.2 -49.5 89 -49.5 89.7 -49.7 89.5 -50.2 89.3 -50.2 89.5 -50.5 89.9 -50.5 89.1 -51 89 -51.4 88.8 -51.6 88.4 -51.3 87.9 -51.6 88.1 -51.7 87.9 -51.8 88 -52 88.4 -52.1 88.4 -52.4 87.9 -52.5 87.7 -52.4 87.1 -52.6 87.2 -52.7 86.9 -52.8 87.1 -53 86.8 -53.1 86.6 -53.2 86.9 -53.5 86.4 -53.6 86.1 -54 85.4 -54.2 85.2 -54.5 84.4 -54.1 83.6 -54.1 83.4 -53.9 83.2 -54.1 82.7 -53.8 82.6 -53.5 81.8 -53.7 81.7 -53.8 81.8 -54 81.5 -53.9 81.6 -54 81.1 -54.1 81 -54.4 79.6 -53.7 78.6 -53.6 78.6 -53.5 78.4 -53.5 78.2 -53.6 77.9 -53.6 78.1 -53.4Z"],
+  ["Asia/Beirut", "M34.9 -33.2L35.5 -33.1 35.6 -33.3 35.6 -33.2 36.1 -33.6 35.9 -33.7 36.1 -33.8 36.4 -33.8 36.3 -33.9 36.6 -34.2 36.6 -34.4 36.3 -34.5 36.4 -34.6 36.5 -34.6 36.3 -34.7 36.3 -34.6 35.6 -34.6 35.4 -34.1 35.2 -34Z"],
+  ["Asia/Bishkek", "M69.3 -39.8L69.4 -39.5 70.5 -39.6 70.8 -39.4 71.5 -39.6 71.6 -39.5 71.8 -39.5 71.8 -39.3 72 -39.4 72.2 -39.2 72.5 -39.4 73.9 -39.5 73.9 -40 74.9 -40.3 74.8 -40.5 75.2 -40.4 75.6 -40.7 75.7 -40.3 76.3 -40.4 76.3 -40.3 76.9 -41 77.8 -41 78.2 -41.4 80.2 -42 80 -42.4 79.5 -42.5 79.2 -42.8 78.3 -42.9 76.8 -43 76.3 -42.9 75.8 -42.9 75.7 -42.8 74.7 -43 74.2 -43.3 73.5 -43 73.5 -42.4 71.8 -42.8 71.3 -42.8 70.9 -42.3 71.3 -42.2 70.9 -42.1 70.2 -41.5 70.7 -41.5 70.8 -41.2 71.3 -41.1 71.7 -41.5 71.9 -41.2 72.2 -41.2 72.2 -41 72.4 -41.1 73.2 -40.8 72.9 -40.7 72.7 -40.5 72.3 -40.6 72.4 -40.4 72.2 -40.5 71.7 -40.1 71.1 -40.3 70.5 -39.9 70.6 -40 70 -40.2 69.5 -40.1 69.5 -39.9 69.4 -40ZM70.5 -39.9L70.7 -39.9 70.7 -39.8 70.6 -39.8ZM71 -40.2L71.1 -40.2 71.1 -40 71.2 -40 71.1 -40 71.2 -40 71.2 -39.9 71.1 -39.9 71.1 -40 71 -40 71 -40.1Z"],
+  ["Asia/Brunei", "M114 -4.8L114.1 -4.6 114.3 -4.5 114.3 -4.3 114.5 -4.3 114.6 -4 114.8 -4.1 114.9 -4.4 114.8 -4.7 115 -4.8 115 -4.9 115.1 -4.9 115 -4.7 115.1 -4.4 115.3 -4.3 115.4 -4.3 115.3 -4.4 115.2 -4.8 115.1 -4.9 115.2 -5.1 114.9 -5.2 114.7 -5.1 114.4 -4.9Z"],
+  ["Asia/Chita", "M107.7 -50.1L107.8 -49.9 108 -49.9 107.9 -49.7 108.5 -49.3 110.2 -49.2 112.8 -49.5 113.5 -50 114.3 -50.3 115.5 -49.9 116.2 -50 117.9 -49.5 118.6 -49.9 119.3 -50.1 119.4 -50.3 119.1 -50.4 120.1 -51.7 120.7 -51.9 120.8 -52.2 120.6 -52.4 120.7 -52.5 120.1 -52.6 120 -52.8 120.9 -53.3 122.1 -53.4 121.9 -53.8 121.6 -54.1 121.8 -54.2 121.7 -54.4 122.1 -54.4 121.9 -54.6 121.9 -54.8 121.6 -54.8 122 -55 122 -55.5 121.8 -55.6 121.3 -55.5 121.2 -56 120.1 -55.9 120 -56.2 120.5 -56.3 119.7 -56.8 119.9 -56.9 119.6 -57 119.7 -57.2 119.4 -57.4 119.5 -57.6 119.1 -57.6 119.1 -58.2 118.7 -58.2 117.8 -58.4 117.5 -58.3 117.4 -57.9 117.1 -57.8 117.1 -57.6 117.3 -57.6 117.3 -57.5 117.4 -57.3 117.8 -57.3 117.6 -57.2 117.7 -57 117.6 -56.9 117.3 -57 116.7 -56.7 115.7 -57 115.4 -56.6 115.8 -56.4 115.7 -56.3 115.9 -55.9 115.9 -55.4 116.4 -55.4 116.8 -55 116.9 -54.8 116.7 -54.5 115.6 -54.4 115 -54 113.8 -53.6 113.9 -53.2 114.4 -53.1 114.1 -52.7 113.6 -52.4 112.5 -52.3 112.4 -52.2 112.1 -52.3 110.7 -51.5 110 -51.6 109.4 -51.4 109.1 -51.5 108.6 -51.5 108.4 -51.3 108.6 -51.1 108.1 -50.8 108.7 -50.5 108 -50.3Z"],
+  ["Asia/Colombo", "M79.4 -9.6L79.5 -8.9 79.7 -8.9 79.7 -8.7 79.5 -8.2 79.6 -6.9 79.9 -6 80.6 -5.7 81.8 -6.3 82 -6.7 82.1 -7.4 81.5 -8.6 81 -9.4 80.2 -10 79.8 -9.9Z"],
+  ["Asia/Damascus", "M35.5 -35.6L35.7 -35.3 35.7 -34.7 36.3 -34.7 36.5 -34.6 36.3 -34.5 36.6 -34.3 36.3 -33.9 36.4 -33.8 36.1 -33.8 35.9 -33.7 36.1 -33.6 35.8 -33.3 35.9 -32.9 35.8 -32.7 36.4 -32.4 36.8 -32.3 41 -34.4 41.2 -34.8 41.4 -35.6 41.3 -36.4 42.4 -37.1 42.3 -37.3 41.5 -37.1 40.8 -37.1 39.5 -36.7 38.7 -36.7 38.2 -36.9 37.5 -36.6 37.2 -36.7 36.7 -36.8 36.5 -36.5 36.7 -36.2 36.4 -36.2 36.2 -35.8 35.7 -36Z"],
+  ["Asia/Dhaka", "M88 -24.7L88.7 -24.3 88.6 -23.6 88.8 -23.5 88.7 -23.2 89 -23.2 88.8 -23 89.2 -21.4 90.8 -21.4 91.8 -21.2 92.3 -20.4 92.4 -20.6 92.2 -21.3 92.4 -21.5 92.7 -21.3 92.3 -23.7 92 -23.7 92 -23.5 91.8 -23.3 91.8 -23.1 91.6 -22.9 91.5 -23.3 91.3 -23.1 91.2 -23.6 91.4 -24.1 91.8 -24.2 91.9 -24.1 91.9 -24.3 92.2 -24.4 92.2 -24.9 92.5 -24.9 92.4 -25 92.1 -25.2 90.4 -25.1 89.8 -25.3 89.9 -25.9 89.7 -26.2 89.6 -26 89.3 -26 89.1 -26.4 88.9 -26.4 89.1 -26.2 88.7 -26.3 88.4 -26.6 88.3 -26.5 88.5 -26.4 88.2 -26.1 88.1 -25.8 88.5 -25.5 88.8 -25.5 89 -25.3 88.4 -25.2 88.3 -24.9 88.1 -24.9Z"],
+  ["Asia/Dili", "M124.1 9.3L124.1 9.4 124.2 9.4 124.3 9.4 124.3 9.5 124.4 9.5 124.3 9.4 124.4 9.4 124.5 9.3 124.5 9 124.4 9 124.1 9.1 124.1 9.2ZM124.9 9L125.2 9 125.2 9.2 125 9.2 125.2 9.6 126.6 9.1 126.7 9 127.5 8.6 127.5 8.4 127 8.2 125.8 8.3 125.6 8.1 125 8.5Z"],
+  ["Asia/Dubai", "M51.4 -24.4L52.6 -22.9 55.1 -22.6 55.2 -23.1 55.6 -23.6 55.5 -23.9 56 -24.1 55.8 -24.2 55.8 -24.9 56 -25 56.1 -24.7 56.2 -24.8 56.3 -25 56.6 -25 56.6 -25.6 56.2 -25.6 56.2 -26.1 55.9 -26.2 54 -24.6 53.6 -24.6 53.1 -25.3 52.8 -25.4 52.6 -25 52.3 -25 52.3 -24.7 52.1 -24.6 51.8 -24.8ZM54 -25.2L54 -25.1 54.1 -25.1 54.3 -25 54.4 -25.1 54.4 -25.3 54.4 -25.4 54.2 -25.5 54 -25.4ZM54.5 -25.3L54.5 -25.2 54.7 -25.1 54.8 -25.2 54.8 -25.3 54.8 -25.5 54.6 -25.5 54.5 -25.4Z"],
+  ["Asia/Dushanbe", "M67.3 -39.3L67.7 -39 68.2 -38.9 68.1 -38.8 68.1 -38.4 68.4 -38.2 67.8 -37.4 67.8 -37.1 68 -36.9 68.8 -37.3 69.3 -37.1 69.5 -37.6 70.2 -37.5 70.3 -37.7 70.2 -37.9 70.7 -38.4 71 -38.5 71.4 -38.3 71.3 -37.9 71.6 -37.9 71.4 -37.1 71.7 -36.7 72.7 -37 73.3 -37.5 73.8 -37.4 73.7 -37.2 74.5 -37.4 74.9 -37.2 75.1 -37.3 75.1 -37.5 74.9 -37.6 75 -37.8 74.7 -38.4 73.8 -38.6 73.7 -38.9 73.8 -39 73.5 -39.3 73.6 -39.5 72.5 -39.4 72.2 -39.2 72 -39.4 71.8 -39.3 71.8 -39.5 71.6 -39.5 71.5 -39.6 70.9 -39.4 70.5 -39.6 69.4 -39.5 69.4 -40 69.5 -39.9 69.5 -40.1 70 -40.2 70.5 -39.9 71 -40.2 70.6 -40.2 70.3 -40.4 70.8 -40.7 70.5 -41 69.7 -40.6 69.3 -40.8 69.2 -40.5 69.3 -40.2 68.5 -40.1 69 -40.1 68.9 -40.1 68.9 -39.9 68.8 -40 68.6 -39.9 68.5 -39.5 67.7 -39.7 67.4 -39.5 67.5 -39.3ZM70.5 -39.9L70.6 -39.8 70.7 -39.8 70.7 -39.9 70.5 -39.9Z"],
+  ["Asia/Famagusta", "M32.7 -35.4L32.7 -35.2 32.8 -35.1 33.4 -35.2 33.5 -35 33.5 -35.1 33.7 -35 33.9 -35.1 34 -35.1 34.7 -35.5 34.9 -35.7 34.7 -35.9 34.5 -35.9 33.6 -35.6 32.9 -35.6Z"],
+  ["Asia/Gaza", "M34.2 -31.3L34.3 -31.2 34.4 -31.3 34.4 -31.4 34.6 -31.5 34.5 -31.6 34.3 -31.4Z"],
+  ["Asia/Hebron", "M34.9 -31.4L34.9 -31.3 35.1 -31.4 35.5 -31.5 35.6 -31.8 35.5 -32 35.6 -32.4 35.4 -32.4 35.4 -32.5 35.2 -32.6 35.2 -32.5 35.1 -32.4 35 -32.2 35 -31.9 35 -31.8 35.2 -31.8 35.2 -31.9 35.3 -31.7 35 -31.6Z"],
+  ["Asia/Ho_Chi_Minh", "M103.1 -9.4L103.3 -9.1 104.9 -8.2 106.7 -8.4 109.3 -9.9 109.7 -12.7 109.3 -15.4 107.3 -17.5 106.8 -16.9 106.5 -16.9 106.7 -16.4 106.9 -16.5 107 -16.3 107.5 -16.1 107.2 -15.7 107.6 -15.3 107.3 -14.1 107.6 -13.5 107.5 -12.9 107.6 -12.5 107.4 -12.2 107.3 -12.3 106.9 -12.1 106.4 -12 106.5 -11.7 106.1 -11.8 105.8 -11.6 105.9 -11.3 106.2 -11.1 106.2 -10.8 105.8 -10.9 105.8 -11 105.3 -10.9 105.1 -11 105.1 -10.7 104.9 -10.5 104.6 -10.5 104.1 -10.2 104 -10.5 103.8 -10.4 104 -10.1ZM111.5 -8.7L111.6 -8.5 111.8 -8.5 111.9 -8.4 112.1 -8.5 112.1 -8.7 112.4 -8.7 112.5 -8.6 112.8 -8.7 112.7 -9 112.5 -9 112.4 -9.1 112.1 -9 112 -8.8 111.6 -8.8ZM112.7 -7.9L112.8 -7.7 113 -7.7 113.1 -7.8 113.1 -7.9 113.3 -7.9 113.4 -7.9 113.6 -8.3 113.5 -8.4 113.3 -8.5 113.1 -8.2 113 -8.1 112.8 -8.1ZM113.5 -9L113.5 -8.8 113.7 -8.8 113.8 -8.7 114.1 -8.5 114.3 -8.6 114.4 -8.7 114.3 -8.9 114.1 -9 113.9 -9 113.8 -9.2 113.5 -9.1ZM113.6 -10L113.7 -9.9 113.8 -9.8 114 -9.8 114 -9.9 114.1 -10.1 114 -10.2 113.9 -10.3 113.8 -10.3 113.7 -10.2ZM114.1 -9.8L114.1 -9.7 114.3 -9.8 114.5 -9.6 114.6 -9.7 114.7 -9.8 114.8 -10 114.7 -10.1 114.6 -10.1 114.7 -10.6 114.4 -10.5 114.4 -10.3 114.3 -10.4 114.3 -10.1 114.2 -10ZM114.6 -10.1L114.5 -9.7 114.4 -9.7 114.4 -10ZM114.1 -11.4L114.1 -11.3 114.2 -11.2 114.4 -11.2 114.5 -11.3 114.4 -11.3 114.2 -11.6 114.1 -11.5ZM114.5 -8.9L114.5 -8.7 114.7 -8.7 114.8 -8.7 114.9 -8.9 114.8 -9 114.7 -9.1 114.5 -9Z"],
+  ["Asia/Hong_Kong", "M113.8 -22.2L113.9 -22.1 114.5 -22.1 114.5 -22.4 114.5 -22.5 114.2 -22.6 114 -22.5 113.9 -22.4Z"],
+  ["Asia/Hovd", "M87.7 -48.9L88.1 -48.7 88 -48.6 88.6 -48.4 88.6 -48.2 89.1 -48 89.6 -48 89.8 -47.8 90.1 -47.9 90.4 -47.7 90.6 -47.2 91 -46.7 90.9 -46.3 91 -46 90.7 -45.5 90.9 -45.2 93.2 -45 93.1 -45.7 93.4 -45.8 93.6 -46.4 93.5 -46.6 94.3 -46.8 94.1 -47.2 93.5 -47.6 93.6 -47.7 93.2 -48 93.4 -48.2 93.4 -48.4 94.1 -48.8 94.8 -48.7 95.4 -48.8 95.7 -49.4 95.5 -49.5 95.5 -49.9 94.5 -50.2 94.3 -50.6 93.1 -50.6 93 -50.8 92.6 -50.7 92.3 -50.9 92.3 -50.7 91.7 -50.7 91.4 -50.5 90.9 -50.4 90.7 -50.2 89.6 -49.9 89.7 -49.7 89.2 -49.6 89.1 -49.5 88.2 -49.5 88.2 -49.3 87.8 -49.2 87.9 -49Z"],
+  ["Asia/Irkutsk", "M95.6 -54.3L96.5 -53.7 97.3 -53.6 97.6 -53.4 98.3 -53.2 98.3 -53.1 99.1 -53.1 99.3 -52.9 98.9 -52.9 99 -52.7 98.6 -52.4 98.7 -52.3 99.4 -51.9 99.8 -51.9 99.9 -51.7 100.6 -51.7 102.1 -51.4 102.2 -50.8 102.6 -50.4 103.7 -50.1 105.4 -50.5 106.8 -50.3 107.2 -50 107.8 -50 107.7 -50.2 108 -50.3 108.7 -50.5 108.1 -50.8 108.6 -51.1 108.4 -51.3 108.6 -51.5 109.4 -51.4 110 -51.6 110.7 -51.5 112.1 -52.3 112.4 -52.2 114.1 -52.7 114.4 -53.1 113.9 -53.2 113.8 -53.6 115 -54 115.6 -54.4 116.7 -54.5 116.9 -54.8 116.8 -55 116.4 -55.4 115.9 -55.4 115.9 -55.9 115.7 -56.3 115.8 -56.4 115.4 -56.7 115.7 -57 116.7 -56.7 117.3 -57 117.6 -56.9 117.7 -57 117.6 -57.2 117.8 -57.3 117.4 -57.3 117.3 -57.5 117.3 -57.6 117.1 -57.6 117.1 -57.8 117.4 -57.9 117.4 -58.1 117.6 -58.2 117.5 -58.3 117.7 -58.4 118.3 -58.4 118.7 -58.2 119.1 -58.2 119.1 -58.5 118.8 -58.6 118.9 -58.8 118.7 -58.9 118.9 -59 118.7 -59.2 118.8 -59.3 118.2 -59.7 117.9 -59.5 117.8 -59.6 117.2 -59.5 117.1 -59.6 117.2 -59.9 117 -59.9 117.3 -60 117 -60 116.6 -60.4 115.7 -60.5 115.2 -60.5 114.2 -59.7 113.6 -59.6 113.5 -59.3 112.6 -59.1 112.5 -58.9 112.4 -59.2 112.7 -59.3 112.3 -59.3 112.3 -59.5 111.9 -59.3 110.7 -59.3 110.5 -59 109.8 -59 109.5 -59.3 109.2 -59.3 109.4 -59.4 109.3 -59.5 109.5 -59.7 109.7 -60.2 110.1 -60.6 110.1 -60.7 110.3 -60.7 110.3 -60.9 110.5 -61.1 109.8 -61.3 109.9 -61.5 109.6 -61.9 110 -62.2 110 -62.3 109.3 -62.6 109.7 -62.8 109.6 -62.9 109.4 -63.3 109.1 -63.6 108.1 -63.6 108.3 -63.8 108.8 -63.9 108.5 -64.3 108.1 -64.3 108.3 -64.2 108.3 -64 107.6 -63.9 106.7 -64 106.8 -63.9 106.5 -63.5 106.7 -63.4 106.4 -63.4 106.4 -63.1 106.1 -63.1 106.5 -62.7 106.8 -62.6 106.7 -62.6 106.8 -62.5 106.4 -62.4 106.4 -62 105.9 -61.8 106 -61.7 104.8 -61.3 105 -61.2 104.6 -61.1 104.6 -60.9 104.5 -60.8 104.7 -60.4 105.5 -60.2 105.4 -59.9 105.5 -59.8 105.1 -59.9 104.8 -59.7 105.2 -59.4 105.2 -59.3 105.4 -59.1 104.8 -58.9 104.8 -58.7 104.5 -58.6 104.2 -58.8 103.9 -58.7 104 -58.9 103.4 -59 103.2 -59.2 103.3 -59.3 102.5 -59.2 102.4 -59.1 102.6 -58.7 101.1 -58.1 101.1 -58 100.8 -57.9 101 -57.5 100.8 -57.4 100.4 -57.6 100.1 -58.1 99.7 -58.1 99.4 -57.8 99 -57.7 98 -57.8 97.3 -57 97.7 -57 97.5 -56.8 97.8 -56.8 97.9 -56.4 97.6 -56.4 97.6 -56.2 97.4 -56 97.1 -56.1 96.8 -55.8 96.9 -55.3 96.7 -55.2 96.6 -55 96.7 -54.9 96.5 -54.5 96.1 -54.6Z"],
+  ["Asia/Jakarta", "M94.8 -5.8L95.2 -4.8 95.2 -2.8 96.9 -1.3 98.7 1.8 102.1 5.7 103.8 5.5 105.1 7 106.4 7.6 108.3 8 109.4 8 111.7 8.6 113.3 8.7 114.9 9 114.4 8.3 114.4 8.1 114.9 7.5 116.3 7.6 116.5 5.4 114.6 5 114 5.2 110.2 4.6 109.1 4 109.4 2.1 108.5 2 108.3 1 108.1 -0.5 108.3 -1 109 -2.1 109.7 -2.3 109.1 -3.1 108.2 -4.9 107.9 -5 107.3 -4.2 105.4 -3.2 105.2 -2.8 105.4 -2.3 104.8 -1.3 104.5 -1.4 103.7 -1.1 103 -1.3 99.6 -3.9 98.4 -4.6 97.6 -5.4 96 -5.7 95.1 -6.3Z"],
+  ["Asia/Jayapura", "M123.9 1.5L124.4 2.6 125 2.8 125 3.8 125.6 4.7 125.5 8.2 127 8.2 128.5 8.6 129.8 8.4 130.8 8.5 131.9 7.8 132.9 6.3 134.4 7.3 134.8 7.2 135.1 6.4 135 5.7 136.1 4.9 137.6 5.5 138.2 6.4 137.5 8.2 137.5 8.6 138.9 8.6 139.4 8.5 140.9 9.4 141 9.1 141 6.9 140.8 6.6 141 6.3 141 2.4 138.8 1.4 136.5 0.9 135.4 0.2 134.4 -1.1 132.7 0.2 132.3 0.1 131.3 -1.3 130.7 -0.7 129.3 -0.9 128.9 -1.6 128.7 -2.7 127.8 -3.4 125.9 -1.7 125.5 -0.9 125.5 -0.3Z"],
+  ["Asia/Jerusalem", "M34.3 -31.2L34.9 -29.5 35.5 -31.1 35.6 -32.3 35.6 -32.6 35.9 -32.9 35.8 -33.3 35.6 -33.3 35.4 -33.1 34.9 -33.2 34.3 -31.7 34.6 -31.5ZM35 -31.4L35.1 -31.4 35 -31.4 35.1 -31.5 35.2 -31.4 35.1 -31.4 35 -31.4 35.1 -31.4ZM35.2 -32.3L35.3 -32.3 35.2 -32.4 35.3 -32.4 35.4 -32.4 35.4 -32.3 35.3 -32.3 35.3 -32.2 35.3 -32.3 35.2 -32.3ZM35.2 -32.4L35.2 -32.5 35.3 -32.5 35.3 -32.4 35.2 -32.4Z"],
+  ["Asia/Kabul", "M60.5 -34.1L60.6 -33.6 60.9 -33.5 60.6 -33.1 60.9 -32.2 60.9 -31.5 61.7 -31.4 61.8 -31 60.9 -29.9 62.5 -29.4 63.6 -29.5 64.1 -29.4 64.5 -29.6 65.1 -29.5 66.3 -29.9 66.4 -30.9 66.8 -31.3 67.8 -31.3 67.6 -31.5 68.2 -31.8 69 -31.6 69.3 -31.9 69.2 -32.5 69.5 -32.7 69.5 -33 70.3 -33.3 69.9 -34 70.9 -34 71.1 -34.1 71.1 -34.4 71 -34.5 71.1 -34.7 71.7 -35.2 71.5 -35.3 71.7 -35.4 71.6 -35.7 71.2 -36 71.6 -36.5 71.8 -36.4 72.2 -36.8 72.7 -36.9 74.1 -36.8 74.5 -37 74.5 -37.2 74.9 -37.3 74.4 -37.4 73.8 -37.2 73.6 -37.3 73.8 -37.4 73.3 -37.5 72.7 -37 71.7 -36.7 71.4 -37.1 71.6 -37.9 71.3 -37.9 71.4 -38.3 71 -38.5 70.7 -38.4 70.2 -37.9 70.3 -37.7 70.2 -37.5 69.5 -37.6 69.4 -37.4 69.5 -37.3 69.3 -37.1 68.8 -37.3 68 -36.9 67.7 -37.2 67.3 -37.2 66.9 -37.4 66.3 -37.3 65.7 -37.5 65.6 -37.2 64.8 -37.1 64.5 -36.3 64.1 -36 63.1 -35.9 63.3 -35.7 63.1 -35.6 63.1 -35.4 62.7 -35.3 62.3 -35.1 62.1 -35.4 61.6 -35.4 61.3 -35.6 61 -34.6 60.7 -34.5 60.9 -34.3 60.7 -34.3Z"],
+  ["Asia/Kamchatka", "M155.2 -55.2L155.8 -52.8 156.1 -52.2 156.2 -51.3 156.8 -50.7 156.9 -50.7 158.2 -51.5 158.8 -52.2 160.3 -53 162.5 -54.7 163.4 -55.9 163.7 -56.1 163.7 -57.7 163.8 -58.3 164.9 -58.7 167.2 -60.1 168.3 -60.4 169.1 -60.4 169.9 -59.8 170.5 -59.7 171.4 -60.4 174.5 -61.6 174.5 -62 174 -62.3 174.2 -62.3 174.1 -62.5 173.7 -62.5 172.9 -62.3 172.1 -62.5 171.5 -62.3 171.3 -62.4 170.2 -62.3 170 -62.5 170.1 -62.7 168.5 -63.1 168.9 -63.4 169.6 -63.7 169.4 -63.9 168.9 -64 168.5 -64.3 167.7 -64.3 167.2 -64.6 165.8 -64.5 165.7 -64.8 165.1 -64.9 164.9 -64.7 164.2 -64.9 163.1 -64.8 163.3 -64.7 163.2 -64.5 163.5 -64.4 162.8 -64.1 162.9 -63.9 162.7 -63.8 163 -63.6 163 -63.5 162.7 -63.4 162.8 -63.2 162.3 -63.1 162.3 -62.9 162.8 -62.7 162.7 -62.6 162.8 -62.3 162.2 -62.2 162.5 -62 162.3 -61.9 162.5 -61.7 162 -60.9 161.1 -60.4 161.4 -60.3 160.2 -59.7 158.8 -58.6 158 -58.2 156.5 -57.9 156.4 -57.7 156.6 -57.4 156.2 -57.4 156.2 -57.1 155.6 -56.7 155.3 -56ZM165.4 -55.3L165.5 -55.1 166.5 -54.5 166.9 -54.5 167 -54.7 167 -54.8 166.9 -55 166.7 -55.2 166.6 -55.4 166.4 -55.5 165.8 -55.5 165.5 -55.4ZM167.1 -54.9L167.2 -54.7 167.9 -54.3 168.1 -54.3 168.4 -54.4 168.4 -54.5 168.4 -54.6 168.2 -54.8 167.7 -55 167.3 -55.1 167.1 -55Z"],
+  ["Asia/Karachi", "M60.9 -29.9L61.9 -28.6 62.8 -28.3 62.8 -27.3 63.2 -27.3 63.3 -27.1 63.2 -26.6 62.4 -26.6 62.2 -26.3 61.9 -26.3 61.6 -24.8 64.6 -24.9 65.2 -25.1 66.5 -24.7 67.3 -23.7 67.9 -23.4 68.4 -24 68.8 -24 68.8 -24.3 70 -24.2 70.6 -24.4 70.6 -24.3 70.8 -24.2 71.1 -24.4 71 -24.5 71.1 -24.7 70.7 -25.4 70.7 -25.7 70.3 -25.7 70.1 -25.9 70.2 -26.6 69.5 -26.7 69.6 -27.2 70.4 -28 70.6 -28 70.9 -27.7 71.9 -28 72.4 -28.7 72.9 -29 73.4 -29.9 74 -30.2 73.9 -30.5 74.7 -31.1 74.5 -31.1 74.7 -31.4 74.5 -31.7 74.6 -31.9 75.4 -32.2 75.1 -32.5 74.7 -32.5 74.7 -32.8 74.5 -32.7 74 -33.2 74.2 -33.5 74 -33.7 74.3 -33.9 73.9 -34 74 -34.3 73.8 -34.3 74 -34.7 74.4 -34.8 75.8 -34.5 76.5 -34.8 77.1 -35.1 77 -35.3 76.6 -35.9 76.1 -35.8 75.9 -36.1 76.1 -36.2 75.9 -36.6 75.5 -36.7 75.4 -37 74.9 -36.9 74.7 -37.1 74 -36.8 73.8 -36.9 72.2 -36.8 71.8 -36.4 71.6 -36.5 71.2 -36.1 71.6 -35.7 71.7 -35.4 71.5 -35.3 71.7 -35.2 71 -34.5 71.2 -34.4 71.1 -34.1 69.9 -34 70.3 -33.3 69.5 -33 69.5 -32.7 69.2 -32.5 69.3 -31.9 68.9 -31.6 68.6 -31.8 68.4 -31.8 68.5 -31.7 68.2 -31.8 67.6 -31.5 67.8 -31.3 66.7 -31.2 66.4 -30.9 66.3 -29.9 65.1 -29.5 64.5 -29.6 64.1 -29.4 63.6 -29.5 62.5 -29.4Z"],
+  ["Asia/Kathmandu", "M80.1 -28.9L80.5 -28.6 80.6 -28.7 81.2 -28.4 81.3 -28.1 81.9 -27.9 82.7 -27.7 82.7 -27.5 83.3 -27.3 83.4 -27.5 83.9 -27.4 84.1 -27.5 84.6 -27.3 84.6 -27 85.2 -26.8 85.6 -26.9 85.8 -26.6 86.3 -26.6 86.7 -26.4 87 -26.6 87.3 -26.3 88.1 -26.4 88.2 -26.8 88 -27.1 88.2 -27.8 88.1 -27.9 87.2 -27.8 86.6 -28.1 86.4 -27.9 86.2 -28.2 86 -27.9 85.7 -28.4 85.6 -28.3 85.1 -28.3 85.2 -28.6 84.9 -28.6 84.2 -28.9 84.2 -29.2 83.9 -29.3 83.6 -29.2 83.3 -29.6 82.2 -30.1 82.1 -30.3 81.6 -30.4 81.4 -30.4 81.2 -30 80.5 -30.4 80.9 -30.1 80.4 -29.7 80.3 -29.2Z"],
+  ["Asia/Khandyga", "M131.6 -59.5L131.8 -59.2 132.2 -59.1 132.3 -58.8 132.8 -58.9 132.8 -59.1 133.5 -59.3 135.2 -59.1 135.7 -59.5 136.8 -59.3 137.5 -59.6 137.6 -59.7 138 -59.8 138 -59.7 138.2 -59.6 138.2 -60.2 138.4 -60.7 138.2 -60.9 138.3 -61.1 138.7 -61.3 139.6 -61.5 140 -62 140.3 -62 140.3 -62.3 140.6 -62.4 140.5 -62.5 139.6 -62.8 139.8 -62.9 139.6 -62.9 139.6 -63.2 140.2 -63.5 140.6 -63.5 140.6 -63.8 140.8 -64.1 140.1 -64.4 140.4 -64.6 139.4 -65 139.9 -65.5 140.3 -65.5 140.2 -65.6 140.4 -65.8 139.3 -66 138.6 -66 136.4 -66.2 135.7 -65.9 134.9 -65.8 134.5 -65.4 133 -65.2 132.9 -65 133 -64.7 132.7 -64.6 133 -64.4 132.4 -64.1 132.6 -64 132.2 -63.6 132.6 -63.6 132.8 -63.4 134 -63.4 134 -62.7 135 -62.5 135.6 -62 135.5 -61.8 135.2 -61.7 135.5 -61.6 135.1 -61.4 133.1 -61.3 133.1 -60.7 132.5 -60.6 132.3 -60.3 132.1 -60.2 131.9 -59.9 131.7 -59.9Z"],
+  ["Asia/Kolkata", "M68 -23.5L68.4 -23.1 68.8 -22.1 70 -20.9 72.5 -19.7 73.3 -15.8 74.2 -14.3 74.1 -13.9 75.8 -10.5 76.4 -8.8 76.9 -8.2 77.6 -7.9 78.2 -8.2 78.7 -8.9 79.5 -8.9 79.5 -9.5 79.1 -9.5 79.5 -10.1 79.9 -10.1 80.1 -10.2 80 -11.7 80.4 -12.5 80.6 -13.3 80.4 -15.3 81.1 -15.6 81.3 -15.8 82.5 -16.4 84.7 -18.6 86.5 -19.8 87.2 -20.6 89.2 -21.4 88.8 -23 89 -23.2 88.7 -23.2 88.8 -23.5 88.6 -23.6 88.7 -24.3 88 -24.7 88.1 -24.9 88.3 -24.9 88.4 -25.2 89 -25.3 88.8 -25.5 88.5 -25.5 88.1 -25.8 88.2 -26.1 88.5 -26.4 88.3 -26.5 88.4 -26.6 88.7 -26.3 89.1 -26.2 88.9 -26.4 89.1 -26.4 89.3 -26 89.6 -26 89.7 -26.2 89.9 -25.9 89.8 -25.3 90.4 -25.1 92.1 -25.2 92.4 -25 92.5 -24.9 92.2 -24.9 92.2 -24.5 91.9 -24.3 91.9 -24.1 91.7 -24.2 91.6 -24.1 91.4 -24.1 91.2 -23.7 91.3 -23.1 91.5 -23.3 91.6 -22.9 91.8 -23.1 91.8 -23.3 92 -23.5 92 -23.7 92.3 -23.7 92.6 -22 92.7 -22.2 92.9 -21.9 93.2 -22.3 93.1 -23 93.4 -23.1 93.3 -24 93.5 -24 94.2 -23.8 94.7 -25 94.6 -25.2 94.6 -25.4 95.2 -26.1 95.1 -26.4 95.2 -26.6 96.2 -27.3 96.7 -27.4 97.2 -27.1 96.9 -27.6 97.4 -27.9 97.4 -28.2 96.9 -28.4 96.1 -29.3 95.3 -29.1 94.7 -29.3 94.3 -29.2 94.4 -29 94 -28.8 93.3 -28.5 92.9 -28.2 92.7 -28.2 92.7 -28 92.5 -27.8 92.2 -27.9 91.9 -27.7 91.6 -27.8 91.7 -27.5 92 -27.5 92.1 -27.3 92.1 -26.8 90.7 -26.8 90.4 -26.9 89.9 -26.7 89.1 -26.8 88.7 -27.1 88.9 -27.3 88.8 -27.6 88.9 -27.9 88.6 -28.1 88.1 -27.9 88 -27.1 88.2 -26.7 88 -26.4 87.9 -26.5 87.3 -26.3 87.1 -26.6 86.7 -26.4 86.3 -26.6 85.9 -26.6 85.6 -26.9 85.2 -26.8 84.6 -27 84.6 -27.3 84.1 -27.5 83.9 -27.4 83.4 -27.5 83.3 -27.3 82.7 -27.5 82.7 -27.7 81.9 -27.9 81.3 -28.1 81.2 -28.4 80.1 -28.8 80.3 -29.2 80.4 -29.7 81 -30.2 80.2 -30.6 80.2 -30.8 79.9 -31 79.4 -31 79.1 -31.5 78.8 -31.3 78.8 -32 78.4 -32.5 78.7 -32.7 79 -32.3 79.4 -32.5 79.5 -32.7 78.7 -33.6 78.7 -34.1 79 -34.3 78.3 -34.6 78 -35.2 78.1 -35.5 77.4 -35.5 76.8 -35.7 76.7 -35.5 77.1 -35.1 76.8 -35 76.7 -34.7 76 -34.7 75.8 -34.5 74.4 -34.8 74 -34.7 73.8 -34.3 74 -34.3 73.9 -34 74.3 -33.9 74 -33.7 74.2 -33.5 74 -33.2 74.5 -32.7 74.7 -32.8 74.7 -32.5 75.1 -32.5 75.4 -32.2 74.6 -31.9 74.5 -31.7 74.7 -31.4 74.5 -31.1 74.7 -31.1 73.9 -30.5 74 -30.2 73.4 -29.9 72.9 -29 72.4 -28.7 71.9 -28 70.9 -27.7 70.6 -28 70.4 -28 69.6 -27.2 69.5 -26.7 70.2 -26.6 70.1 -25.9 70.3 -25.7 70.7 -25.7 70.7 -25.4 71.1 -24.7 71 -24.4 71.1 -24.4 70.7 -24.2 70.6 -24.4 70 -24.2 68.8 -24.3 68.8 -24 68.4 -24ZM71.5 -12L72 -9.9 72.8 -8.2 73.2 -8.2 73.5 -9 73.9 -10.1 73.9 -10.9 72 -12.6 71.7 -12.5ZM92 -11.6L92 -10.9 92.5 -9.1 93.6 -6.7 93.9 -6.6 94.1 -6.9 93.9 -7.5 93.6 -7.7 93.8 -7.9 93.8 -8.6 93.5 -8.8 93.4 -8.4 93 -9 92.6 -10.3 93 -11.6 93.3 -11.7 93.2 -12.8 93.3 -13.7 93 -13.9 92.7 -13.7 92.5 -12.6ZM93.6 -12.3L93.7 -12.1 93.9 -12.1 94 -12.1 94.1 -12.2 94.1 -12.3 94 -12.4 93.9 -12.5 93.7 -12.4ZM94 -13.4L94.1 -13.3 94.2 -13.2 94.4 -13.3 94.5 -13.3 94.5 -13.4 94.4 -13.6 94.3 -13.7 94.2 -13.6 94.1 -13.6Z"],
+  ["Asia/Krasnoyarsk", "M75 -79.7L75.5 -79.4 76.6 -79.3 78.2 -79.3 78.7 -79.5 78.2 -79.7 76.3 -79.9 75.4 -79.8ZM77.6 -80.8L78.2 -80.6 79.6 -80.5 80.9 -80.6 81.4 -80.9 80.8 -81 79.3 -81.1 78.1 -81ZM77.7 -73.6L77.8 -73 78.1 -72.7 78.6 -72.5 78.4 -72.3 78.7 -72.2 78.6 -72.2 80.4 -71.9 80 -71.8 80.2 -71.7 80 -71.6 79.3 -71.6 79.1 -71.4 80.6 -71 80.6 -70.7 80.8 -70.6 80.6 -70.5 80.9 -70.4 80.2 -70.4 79.3 -70.1 79.4 -70 78.9 -69.9 79.2 -69.7 79 -69.7 79.5 -69.7 79.8 -69.3 81 -69.2 81.6 -69.3 81.7 -69.5 82 -69.4 81.8 -69.2 82.5 -69.2 82.3 -69 82.9 -68.7 82.6 -68.6 82.7 -68.3 82.3 -68.1 82.4 -67.9 81.7 -67.9 82.4 -67.5 82.2 -67.4 82.4 -67.3 82.1 -67.2 83.3 -66.7 83.1 -66.5 83.5 -66.2 83.3 -66 83.6 -65.9 83.5 -65.8 84 -65.8 84.5 -65.5 84.6 -65.3 84.3 -64.9 85.8 -64.8 86 -64 85 -63.6 85.7 -63.4 85.5 -63.2 85.6 -63 84.4 -62.2 84.7 -61.8 86 -61.5 84.3 -60.9 84.8 -60.4 84.6 -60 87.1 -59.9 87.9 -59.3 88.6 -59.3 88.8 -59 88.4 -58.9 87.9 -58.5 88 -58.2 89.4 -57.9 89.4 -57.6 88.9 -57.5 88.5 -57.1 88.7 -57.1 88.6 -56.8 88.7 -56.7 88.5 -56.6 88.6 -56.4 89 -56.3 89.4 -55.9 88.4 -55.3 88.8 -54.8 88.5 -54.4 88.4 -54.4 88.6 -54.3 88.9 -54.4 89.2 -54.3 89 -54 89.2 -53.8 89 -53.8 88.8 -53.4 89 -53.3 88.9 -53 89.2 -52.8 88.7 -52.3 88.1 -52 87.9 -51.8 88.1 -51.7 87.9 -51.5 88.4 -51.3 88.8 -51.6 89 -51.4 89.1 -51 89.9 -50.5 89.7 -50.4 89.5 -50.5 89.3 -50.2 89.5 -50.2 89.6 -49.9 90.7 -50.2 90.9 -50.4 91.4 -50.5 91.7 -50.7 92.3 -50.7 92.4 -50.9 92.6 -50.7 93 -50.8 93.1 -50.6 94.3 -50.6 94.6 -50 95.5 -49.9 95.9 -50 97.3 -49.8 97.8 -50 97.9 -49.9 98.3 -50.3 98.3 -50.5 98 -50.7 98 -50.9 97.8 -51 98.1 -51.5 99 -52.2 98.7 -52.3 98.6 -52.4 98.9 -52.7 98.9 -52.9 99.3 -52.9 98.9 -53.2 98.4 -53.1 98.3 -53.2 96.9 -53.7 96.5 -53.7 95.6 -54.3 96.1 -54.6 96.5 -54.5 96.7 -54.9 96.6 -55 96.7 -55.2 96.9 -55.3 96.8 -55.8 97.1 -56.1 97.4 -56 97.6 -56.2 97.6 -56.4 97.9 -56.4 97.8 -56.8 97.5 -56.8 97.7 -57 97.3 -57 98 -57.8 99 -57.7 99.4 -57.8 99.7 -58.1 100.1 -58.1 100.4 -57.6 100.9 -57.4 100.8 -57.9 102.6 -58.7 102.4 -59.1 102.6 -59.2 103.3 -59.3 103.2 -59.2 103.4 -59 104 -58.9 103.9 -58.7 104.2 -58.8 104.5 -58.6 104.8 -58.7 104.8 -58.9 105.4 -59.1 105.2 -59.3 105.2 -59.4 104.8 -59.7 105.1 -59.9 105.5 -59.8 105.4 -59.9 105.5 -60.2 104.7 -60.4 104.5 -60.8 104.6 -60.9 104.6 -61.1 105 -61.2 104.8 -61.3 106 -61.7 105.9 -61.8 106.4 -62 106.4 -62.4 106.8 -62.5 106.7 -62.6 106.8 -62.6 106.5 -62.7 106.1 -63.1 106.4 -63.1 106.4 -63.4 106.7 -63.4 106.5 -63.5 106.8 -63.9 106.7 -64 107.4 -63.9 108.4 -64 108.2 -64.3 107.4 -64.3 106.6 -64.5 106.1 -64.4 105.7 -64.6 106 -64.8 105.9 -64.9 106.2 -64.9 106 -65 107 -65.5 106.4 -65.7 106.5 -66 106.1 -66.2 106.1 -66.4 106.3 -66.5 106.2 -66.8 105.5 -67 106.8 -67.3 106.9 -68.9 106.1 -69.4 106.5 -69.6 108 -69.7 108.2 -69.9 109.3 -69.8 109.5 -70 109.3 -70.2 110.3 -70.4 110.1 -70.5 110.1 -70.6 112.6 -71.1 112.5 -71.2 112.7 -71.3 112 -71.4 112 -72.1 111 -72.4 111.3 -72.5 110.7 -72.8 110.6 -72.9 110.9 -72.9 110.7 -73 110.9 -73.2 110.4 -73.2 110.6 -73.3 110.1 -73.4 111.3 -73.6 110.8 -73.7 111.9 -74 110.5 -74.3 113.6 -74.9 114.4 -75.2 114.7 -75.9 114.4 -76.1 114.3 -76.4 112.9 -76.8 109 -77.1 108.5 -77.4 108.4 -77.9 108.7 -78.1 108.6 -78.3 106.4 -78.6 106.1 -78.9 103.7 -79.5 101.3 -79.8 100.1 -80.2 98.7 -80.3 99.4 -80.6 99.3 -80.8 97.1 -81.4 95.6 -81.5 92.6 -81.3 89.9 -81.4 89 -81.2 88.9 -81.1 89.1 -81 91.5 -80.8 90.3 -80.5 89.8 -80.1 90 -79.8 89.5 -79.6 89.6 -79.5 92.2 -78.9 96.6 -78.7 96.9 -78.6 97.1 -78.2 98.4 -77.9 94.6 -77.1 91.7 -76.3 89 -75.9 87.7 -75.9 85.6 -75.4 83.6 -74.8 83.5 -74.6 80.2 -73.8ZM78.5 -74.6L78.5 -74.5 78.8 -74.4 79.6 -74.3 80.2 -74.4 80.4 -74.5 80.4 -74.6 79.8 -74.8 79.3 -74.8 78.7 -74.8ZM80.8 -75.3L81 -75.1 81.7 -74.9 82.6 -74.9 82.9 -75 83.1 -75.3 83 -75.6 82.7 -75.7 84.1 -75.9 84 -76 83.5 -76.1 81.3 -76.1 80.9 -76 80.9 -75.9 81.7 -75.7 81.1 -75.5ZM81.3 -77.5L81.6 -77.4 82.2 -77.3 83.1 -77.3 83.6 -77.4 83.6 -77.5 83.5 -77.6 82.6 -77.7 81.7 -77.7ZM87.8 -77.1L88.5 -76.8 90.1 -76.8 91.6 -77.2 91.7 -77.3 91.5 -77.4 93 -77.6 93 -77.7 92.5 -77.8 91.4 -77.8 90.9 -77.7 91.1 -77.5 89 -77.5ZM92.7 -78.2L93 -78 93.7 -77.9 94.5 -78 94.8 -78.2 94.8 -78.3 94.6 -78.3 93.9 -78.4 93.1 -78.4 92.8 -78.3Z"],
+  ["Asia/Kuala_Lumpur", "M98.7 -5.7L99.9 -3.9 100.7 -3.2 103 -1.3 103.6 -1.2 103.8 -1.5 104.1 -1.4 104.1 -1.3 104.4 -1.3 104.6 -1.6 104.8 -2.4 104.3 -3 103.9 -3.4 103.9 -4.9 103.2 -5.9 102.3 -6.4 102.2 -6.4 101.8 -5.7 101.6 -5.9 101.1 -5.6 101 -5.8 101.1 -6 101.1 -6.3 100.9 -6.2 100.7 -6.5 100.4 -6.5 100.2 -6.7 100.1 -6.4 99.6 -6.5 99.5 -6.3 99.2 -6.3Z"],
+  ["Asia/Kuching", "M109.5 -1.9L109.8 -1.4 110.6 -0.9 111.2 -1.1 111.8 -1 112.5 -1.6 113 -1.6 113 -1.4 113.6 -1.2 114 -1.4 114.6 -1.4 114.9 -1.9 114.8 -2.2 115.2 -2.5 115.1 -2.6 115.2 -2.9 115.5 -3.1 115.7 -3.4 115.6 -3.9 115.9 -4.4 116.1 -4.3 116.2 -4.4 117.2 -4.4 117.5 -4.2 118.1 -4.2 118.3 -3.9 119.1 -4.1 119.1 -4.4 119 -4.4 119 -4.7 119.5 -5.1 119.5 -5.4 118.7 -6 118.3 -6 118 -6.3 117.9 -6.9 117.1 -7.6 115.4 -6.3 114.9 -5.2 115.2 -5.1 115.1 -4.9 115.3 -4.3 115.1 -4.4 115 -4.9 114.8 -4.7 114.9 -4.4 114.6 -4 113.9 -4.8 113 -3.5 111.2 -3 110.4 -2 109.8 -2.2ZM113.6 -7.6L113.7 -7.3 113.9 -7.2 114 -7.3 114.1 -7.5 114.3 -7.6 114.3 -7.8 114.2 -7.9 114.3 -8.1 114.4 -7.9 114.7 -7.9 115 -8 115 -8.2 114.9 -8.3 114.7 -8.4 114.4 -8.3 114.3 -8.2 114.2 -8.3 114.1 -8.3 113.8 -8.1 113.7 -7.9 113.8 -7.8 113.6 -7.8Z"],
+  ["Asia/Kuwait", "M46.6 -29.1L47.5 -29 47.7 -28.5 48.4 -28.5 49 -28.8 48.9 -29 48.7 -29 48.6 -29.6 48.2 -30 47.7 -30.1 47.2 -30Z"],
+  ["Asia/Macau", "M113.5 -22.2L113.5 -22.1 113.6 -22.1 113.6 -22.2 113.5 -22.2Z"],
+  ["Asia/Magadan", "M144.7 -62.1L146 -62 146.7 -61.5 146.8 -61 146.5 -60.9 146.4 -60.7 146.1 -60.7 145.5 -60.5 145.9 -60.2 146.4 -60.2 146.8 -59.9 147.1 -59.9 147.2 -59.7 147.1 -59.4 146.9 -59.4 147 -59.1 151.3 -58.6 153 -58.7 153.6 -59 154.1 -58.8 155.7 -59 155.9 -59.1 156 -59.4 155 -59.7 154.9 -60 156.2 -60.6 156.4 -60.9 157 -61.1 157.2 -61.4 159.1 -61.6 159.4 -60.9 160.1 -60.4 161.1 -60.4 162 -60.9 162.5 -61.7 162.3 -61.9 162.5 -62 162.2 -62.2 162.8 -62.3 162.7 -62.6 162.8 -62.7 162.3 -62.9 162.3 -63.1 162.8 -63.2 162.7 -63.4 163 -63.5 163 -63.6 162.7 -63.8 162.9 -63.9 162.8 -64.1 163.5 -64.4 163.2 -64.5 163.3 -64.7 161.8 -64.8 161.3 -65.1 160.6 -65.2 160.1 -65.5 158.9 -65.7 159.2 -66.2 158.6 -66.3 158.4 -66.2 158.5 -66.1 157.7 -66.1 157.3 -65.9 156.7 -66.2 156.4 -66 154.5 -66.2 154.2 -66 154.4 -66 154.3 -65.8 153.5 -65.8 153.5 -65.3 152.7 -65.2 152.5 -64.9 152.8 -64.7 152.4 -64.5 152.4 -64.4 152 -64.5 150.7 -64.3 150.6 -64.2 150.1 -64.3 150.1 -64.5 149.9 -64.6 149.3 -64.4 148.3 -64.5 148 -64.4 148.3 -64.2 148 -63.9 147.7 -64 147.6 -64.2 147.2 -64 146.4 -64.2 146.2 -63.9 145.6 -63.8 145.7 -63.7 145.2 -63.2 145.5 -62.5 145.1 -62.5 145.2 -62.3ZM145.2 -43.8L145.8 -43.4 145.9 -43.2 146.1 -43.2 147.2 -43.8 146.8 -44.1 145.8 -43.7 146.2 -44 147.1 -44.3 147.8 -44.7 149 -45.2 149.2 -45.5 149.8 -45.5 150.9 -46.2 151.2 -46.6 150.9 -46.9 150.6 -46.9 150.4 -46.7 150.5 -46.4 149.8 -46.2 149.1 -45.6 148.7 -45.7 148.2 -45.5 147.8 -45.6 146.7 -44.7 146 -44.7ZM151.4 -46.8L151.5 -46.7 151.8 -46.6 152 -46.6 152.3 -46.8 152.6 -47.1 152.1 -47.4 151.8 -47.1 151.5 -47Z"],
+  ["Asia/Makassar", "M113.8 -0.7L114.4 -0.5 115 -0.8 115.1 -0.4 114.7 -0.1 115 0.3 115.3 0.1 115.3 0.8 115.8 1.2 115.4 1.5 115.3 1.8 115.4 1.9 115.3 2.2 114.5 2.9 114 5.2 114.6 5 116.5 5.4 116.3 7.6 114.9 7.5 114.4 8.1 114.4 8.3 114.9 9 117 9.3 118.4 9.1 118.9 9.8 120 10.5 120.4 10.5 121.2 11 121.8 10.8 122.9 11.2 124.6 10.3 125.2 9.8 125.2 9.6 125 9.2 125.2 9.2 125.2 9 124.9 9 125 8.5 125.5 8.2 125.6 4.7 125 3.8 125 2.8 124.4 2.6 123.9 1.5 125.5 -0.3 125.5 -0.9 125.9 -1.7 127.8 -3.4 127.1 -3.8 127.4 -4.6 127.3 -4.9 126.6 -5.8 125.3 -4.9 125.1 -4.3 125 -2.8 124.6 -1.9 124.2 -1.3 123.1 -1.2 120.9 -1.6 120.2 -1.2 119.2 -1.9 118.8 -2.4 118.3 -4.1 117.5 -4.2 117.2 -4.4 116.7 -4.3 116.2 -4.4 116.1 -4.3 115.9 -4.4 115.7 -4.2 115.6 -3.9 115.6 -3.2 115.1 -2.8 115.2 -2.5 114.8 -2.3 114.9 -1.9 114.7 -1.9 114.6 -1.4 114.4 -1.5 114.2 -1.4 114.1 -1.2 113.9 -1ZM124.1 9.3L124.1 9.2 124.1 9.1 124.4 9 124.5 9 124.5 9.3 124.4 9.4 124.3 9.4 124.4 9.5 124.3 9.5 124.3 9.4 124.2 9.4 124.1 9.4Z"],
+  ["Asia/Manila", "M114.1 -11.1L114.1 -11 114.3 -10.9 114.1 -10.7 114.2 -10.6 114.3 -10.5 114.7 -10.6 114.7 -10.7 114.6 -10.9 114.4 -10.9 114.5 -11.1 114.4 -11.2 114.2 -11.2ZM114.2 -11.6L114.5 -11.3 114.6 -11.4 114.6 -11.5 114.5 -11.6 114.4 -11.7 114.3 -11.6ZM114.8 -11.1L114.9 -10.9 115 -10.9 115.2 -11 115.2 -11.1 115.2 -11.2 115 -11.3 114.9 -11.2ZM115.6 -10.7L115.7 -10.6 115.8 -10.5 116 -10.6 116 -10.8 116 -11 115.8 -11 115.7 -10.9ZM116.7 -7.9L116.8 -7.7 117.4 -7.4 118.1 -6.8 118 -6.3 118.3 -6 118.8 -6 119.5 -5.6 119.6 -5.3 119 -4.7 119 -4.4 119.6 -4.4 120.8 -5 122.1 -5.9 122.3 -6.2 124.2 -6 125.3 -5.2 125.6 -5.2 126.4 -6.2 126.8 -7.2 126.8 -7.7 125.8 -12.2 124.4 -14.3 123.1 -14.7 122.5 -16.3 122.7 -17.1 122.4 -20 122.2 -21.2 121.8 -21.3 121 -19.3 120.4 -18.6 120.1 -17.6 119.6 -16.4 119.8 -13.9 119.6 -12.4 118.4 -10.1 117.2 -8.9Z"],
+  ["Asia/Muscat", "M52 -19L53.2 -16.5 54.2 -16.8 54.8 -16.7 55.2 -16.9 55.5 -17.2 56.5 -17.4 56.6 -17.9 56.9 -18.6 58 -18.9 57.9 -19.6 58 -20.1 58.7 -20 59.2 -20.4 59 -21 59.5 -21.3 60 -22.1 60 -22.6 59.6 -22.8 58.6 -23.9 58.2 -24.1 57.7 -24 57.3 -24.1 56.6 -25 56.3 -25 56.2 -24.8 56.1 -24.7 56 -25 55.8 -24.9 55.8 -24.2 56 -24.1 55.5 -23.9 55.6 -23.6 55.2 -23.1 55.2 -22.7 55.7 -22 55 -20ZM55.9 -26.2L56.2 -26.1 56.2 -25.9 56.2 -25.7 56.3 -25.6 56.5 -25.7 56.7 -25.8 56.8 -26.2 56.8 -26.5 56.7 -26.6 56.5 -26.7 56.3 -26.6 56 -26.4Z"],
+  ["Asia/Nicosia", "M32 -35.1L32.2 -34.6 32.7 -34.4 32.8 -34.6 33 -34.5 33.1 -34.6 33.2 -34.6 33.3 -34.5 33.7 -34.6 33.8 -34.7 33.7 -34.9 33.9 -34.9 34 -34.8 34.3 -34.8 34.3 -35 34.2 -35.2 33.7 -35 33.5 -35.1 33.4 -35 33.4 -35.2 32.8 -35.1 32.7 -35.2 32.6 -35.4 32.6 -35.2 32.5 -35.4 32.1 -35.3Z"],
+  ["Asia/Novokuznetsk", "M84.4 -56L84.6 -56 84.5 -55.9 84.5 -55.7 84.8 -55.5 84.6 -55.4 84.9 -55.3 84.8 -55 85.1 -54.9 84.9 -54.6 85.4 -54.2 86.1 -54 86.4 -53.6 86.9 -53.5 86.6 -53.2 87.1 -53 86.9 -52.8 87.2 -52.7 87.1 -52.6 87.7 -52.4 87.9 -52.5 88.4 -52.4 88.4 -52.2 88.7 -52.2 89.2 -52.8 88.9 -53 89 -53.3 88.8 -53.4 89 -53.8 89.2 -53.8 89 -54 89.2 -54.3 88.9 -54.4 88.6 -54.3 88.4 -54.4 88.8 -54.8 88.4 -55.3 89.4 -55.9 89 -56.3 88.6 -56.4 88.5 -56.6 88.7 -56.7 88.6 -56.8 87.7 -56.5 87.6 -56.7 87.1 -56.7 87.2 -56.6 87.1 -56.5 86.2 -56.6 85.6 -56.3 85.7 -56.2Z"],
+  ["Asia/Novosibirsk", "M75.1 -55.7L75.3 -55.5 75.1 -55.4 75.4 -55.1 75.3 -54.9 75.9 -54.6 75.7 -54.5 75.7 -54.1 76.9 -54.5 76.8 -54.2 76.4 -54.2 76.5 -54 77.9 -53.3 77.9 -53.4 78.1 -53.4 77.9 -53.6 78.2 -53.6 78.4 -53.5 78.6 -53.5 78.7 -53.7 79.4 -53.7 81 -54.4 81.1 -54.1 81.6 -54 81.5 -53.9 81.8 -54 81.7 -53.8 81.8 -53.7 82.6 -53.5 82.7 -53.8 83.2 -54.1 83.5 -53.9 83.6 -54.1 84.6 -54.2 85.1 -54.4 84.9 -54.7 85.1 -54.9 84.8 -55 84.9 -55.3 84.6 -55.4 84.8 -55.5 84.5 -55.7 84.5 -56 84 -56 83.6 -55.6 83.2 -55.7 83.4 -55.9 83.1 -56.2 83.3 -56.4 83.1 -56.6 81.6 -56.2 81.2 -56.5 80.3 -56.4 79.6 -56.9 78.4 -57.2 76.1 -57.2 76.3 -56.7 75.8 -56.4 76.1 -56.5 76.1 -56.3 76.3 -56.2 75.7 -56.1 75.3 -55.8 75.4 -55.7Z"],
+  ["Asia/Omsk", "M70.4 -57.9L70.7 -57.6 70.4 -57.3 70.7 -57.2 71 -57.4 71.7 -56.8 71 -56.7 71.1 -56.5 70.7 -56.4 70.9 -56.4 70.7 -56.3 70.9 -56 70.5 -55.9 70.8 -55.8 70.6 -55.8 70.8 -55.6 70.4 -55.4 70.5 -55.3 70.8 -55.3 71 -55.1 71 -54.8 71.3 -54.7 71.2 -54.3 71 -54.3 71.1 -54.2 71.7 -54.1 71.9 -54.2 72.2 -54.1 72 -54.4 72.2 -54.4 72.5 -54.1 72.4 -54.1 72.5 -53.9 72.7 -54 72.5 -54 72.6 -54.1 73.3 -53.9 73.8 -54.1 73.2 -53.6 73.4 -53.4 73.9 -53.7 74.4 -53.5 74.5 -53.7 75.7 -54.1 75.7 -54.5 75.9 -54.6 75.3 -54.9 75.4 -55.1 75.1 -55.4 75.3 -55.5 75.1 -55.7 75.4 -55.7 75.3 -55.8 75.7 -56.1 76.3 -56.2 76.1 -56.3 76.1 -56.5 75.8 -56.4 76.3 -56.7 76.3 -56.9 76 -57.4 75.6 -57.6 75.6 -57.9 75.1 -58.1 75.2 -58.2 75.1 -58.3 75.4 -58.5 75.1 -58.6 74.2 -58.1 72.9 -58 71.2 -58.1 71.3 -58.4 70.9 -58.5Z"],
+  ["Asia/Oral", "M46.5 -48.4L49.5 -47.9 49.4 -48 50 -48.1 51 -48.7 52.6 -48.5 52.7 -49 53.4 -49.1 53.6 -49.2 53.6 -49.5 54.5 -49.7 54.6 -50 54.4 -50.3 54.6 -50.5 54.4 -50.6 54.5 -50.9 53.7 -51.2 53.6 -51.4 52.6 -51.5 52.3 -51.7 51.9 -51.7 51.7 -51.4 50.8 -51.8 50.8 -51.6 50.6 -51.6 50.4 -51.3 49.5 -51.1 49.4 -50.8 48.6 -50.6 48.9 -50 48.4 -49.8 47.5 -50.5 47.3 -50.3 47.3 -50.1 46.9 -49.9 46.8 -49.3 47.1 -49.2Z"],
+  ["Asia/Phnom_Penh", "M102.3 -13.5L102.9 -11.7 102.6 -11.1 102.7 -9.9 103.1 -9.4 104 -10.1 103.8 -10.4 104 -10.5 104.1 -10.2 104.6 -10.5 104.9 -10.5 105.1 -10.7 105.1 -11 105.3 -10.9 105.8 -11 105.8 -10.9 106.2 -10.8 106.2 -11.1 105.9 -11.3 105.8 -11.6 106.1 -11.8 106.5 -11.7 106.4 -12 106.8 -12.1 107.6 -12.4 107.5 -12.9 107.6 -13.5 107.3 -14.1 107.6 -14.7 107 -14.3 106.5 -14.6 106 -14.4 106.2 -14.1 106.1 -13.9 105.6 -14.2 105.4 -14.1 105.2 -14.3 105.1 -14.2 104.8 -14.4 103.9 -14.3 103.6 -14.4 103.1 -14.3 102.6 -13.6Z"],
+  ["Asia/Pontianak", "M108.1 -0.5L108.3 1 108.5 2 109.4 2.1 109.1 4 110.2 4.6 114 5.2 114.5 2.9 115.3 2.2 115.4 1.9 115.3 1.8 115.4 1.5 115.8 1.2 115.3 0.8 115.3 0.1 115 0.3 114.7 -0.1 115.1 -0.4 115 -0.8 114.4 -0.5 114.1 -0.7 113.8 -0.7 113.9 -1 114.1 -1.2 114.2 -1.4 114 -1.4 113.7 -1.2 113.4 -1.3 113 -1.4 113 -1.6 112.5 -1.6 111.8 -1 111.2 -1.1 110.5 -0.9 109.7 -1.6 109.5 -1.9 109.8 -2.2 109.7 -2.3 109 -2.1 108.3 -1Z"],
+  ["Asia/Pyongyang", "M124.1 -39.6L124.6 -39.1 125 -39.2 124.5 -38.6 124.6 -38.3 124.4 -38.1 124.8 -38 125 -37.6 126.6 -37.8 127.1 -38.3 128.2 -38.4 128.3 -38.6 128.7 -38.6 128.3 -39.1 127.9 -39.3 127.8 -39.6 128.8 -40 129.4 -40.5 129.7 -40.5 129.9 -40.7 130.1 -41.4 129.9 -41.6 130.2 -41.9 130.9 -42.1 130.2 -42.8 130.3 -42.9 129.9 -43 129.7 -42.4 129.3 -42.5 128.9 -42 128 -42 128.3 -41.6 128.1 -41.4 127.3 -41.5 126.9 -41.8 126.7 -41.7 126.5 -41.4 126 -40.9 125.7 -40.9 124.4 -40.1Z"],
+  ["Asia/Qatar", "M50.6 -25.6L50.7 -24.9 51 -24.5 51.3 -24.5 51.8 -24.8 51.9 -25.4 51.8 -25.6 51.8 -26 51.4 -26.4 51.2 -26.4 50.9 -26.3 50.8 -25.5ZM52 -25L52.1 -24.9 52.2 -24.8 52.3 -24.8 52.4 -24.9 52.3 -25 52.4 -25 52.5 -25 52.4 -25.1 52.4 -25.2 52.3 -25.2 52.2 -25.2 52.1 -25.2 52 -25.1ZM52.2 -25.7L52.2 -25.5 52.4 -25.5 52.6 -25.5 52.6 -25.6 52.6 -25.7 52.6 -25.8 52.4 -25.9 52.3 -25.8Z"],
+  ["Asia/Qostanay", "M60 -52L60.5 -51.8 60.4 -51.6 60.9 -51.6 61 -51.5 61.9 -51.3 62 -51.1 62.3 -51.1 62.2 -51 62.4 -50.9 62.2 -50.8 62.2 -50.7 62.4 -50.7 63 -50 62.4 -49.7 62.3 -49.5 62.5 -49.3 62.4 -49.2 62.8 -48.8 63.1 -48.9 63.1 -48.7 63.8 -48.5 64 -48.2 64.3 -48.3 64.2 -48.5 64.6 -48.5 64.5 -48.7 64.7 -48.7 64.7 -48.9 65.5 -48.8 66.5 -49.3 67.6 -50.1 67.6 -50.2 68.1 -50.5 67.9 -50.6 67.1 -50.4 67 -50.7 66.3 -50.7 65.9 -51 65.6 -50.8 65.6 -51.1 65.4 -51.3 65.6 -51.6 65.4 -51.8 65.8 -51.9 66 -52.2 66 -52.8 66.3 -52.9 66.1 -53.1 66.4 -53.1 66.2 -53.5 66.1 -53.5 66.2 -53.8 66 -54 66.3 -54.1 66 -54.3 66.2 -54.3 66.1 -54.6 65.5 -54.7 65.2 -54.5 65.2 -54.3 64.6 -54.4 63.5 -54.2 62.6 -54.1 62.5 -53.9 62.4 -54 61.9 -53.9 61.4 -54.1 61.3 -53.9 61 -53.9 61.2 -53.8 60.9 -53.6 61.6 -53.5 61.3 -53.5 61.2 -53.3 61.7 -53.3 62.1 -53 61 -53 60.7 -52.7 61.1 -52.3Z"],
+  ["Asia/Qyzylorda", "M59 -46L59.1 -45.3 61.1 -44.4 62 -43.5 63.3 -43.7 64.5 -43.6 64.9 -43.7 65.6 -43.3 65.8 -42.9 66.1 -42.9 66.1 -42.3 67.9 -43.2 67.7 -43.4 68.1 -44 67.5 -44.4 67.5 -45.1 67.2 -45.3 67.4 -45.8 67.2 -46.1 65.6 -46.2 65.1 -46.5 63.3 -47 63.2 -47 63.4 -47.1 62.6 -47.2 61.9 -47.8 61.4 -47.8 60.9 -47.1 60.5 -47.1 60.5 -46.9 60.1 -46.9Z"],
+  ["Asia/Riyadh", "M34.5 -27.9L34.5 -27.7 35 -27.6 35.3 -27.3 36.3 -26 36.3 -25.6 36.7 -25.1 37 -24.3 37.5 -24 38.4 -23 38.6 -22.4 38.5 -21.8 38.8 -21 39.7 -19.6 40 -18.9 40.5 -18.4 41.2 -16.8 41.7 -16.3 43 -16.4 43.2 -16.6 43.2 -17.2 43.4 -17.6 43.8 -17.3 45.2 -17.4 46.8 -17.3 47 -16.9 47.2 -16.9 47.5 -17.1 48.2 -18.2 49.1 -18.6 52 -19 55 -20 55.7 -22 55.2 -22.7 52.6 -22.9 51.4 -24.4 51.6 -24.7 51.2 -24.5 50.9 -24.5 50.6 -25.5 50.3 -25.9 50.5 -26.6 50.4 -27 50 -27.5 50.4 -27.8 50.4 -27.9 49.8 -27.9 49.6 -27.8 48.7 -28.7 48.4 -28.5 47.7 -28.5 47.5 -29 44.7 -29.2 42.1 -31.1 40.4 -31.9 39.2 -32.2 37 -31.5 38 -30.5 37.7 -30.3 37.5 -30 36.8 -29.9 36.1 -29.2 34.9 -29.4Z"],
+  ["Asia/Sakhalin", "M140.9 -46.3L141 -46.1 141.2 -46 141.5 -46.1 141.6 -46.3 141.5 -46.4 141.2 -46.5 141 -46.4 140.9 -46.3ZM141.4 -51.6L141.9 -51.1 141.7 -50.8 141.8 -49.6 141.5 -48.8 141.9 -48.1 141.7 -47.6 141.8 -47.1 141.5 -46.6 141.7 -45.9 142.4 -45.6 142.6 -46.4 142.9 -46.4 143 -46.4 143.2 -45.9 143.6 -45.9 143.9 -46.4 143.8 -46.9 143.4 -47 143.3 -47.3 142.9 -47.7 142.9 -48.1 143.3 -49 143.4 -49.1 143.9 -49.1 144.3 -48.8 144.4 -48.4 144.8 -48.3 145 -48.7 144.6 -49.3 143.5 -52.1 143.7 -52.9 143.2 -53.9 143.3 -54.2 143 -54.5 142.6 -54.6 141.9 -54.4 142.3 -53.9 141.5 -53.6 141.7 -53.2Z"],
+  ["Asia/Samarkand", "M56 -41.3L57 -41.2 57.2 -41.3 57 -41.4 57 -41.9 57.3 -42.1 57.9 -42.2 58.1 -42.5 58.5 -42.3 58.2 -42.6 58.6 -42.6 58.6 -42.8 59.4 -42.3 60 -42.2 59.9 -42 60.3 -41.8 60 -41.8 60.2 -41.6 60.1 -41.4 60.2 -41.3 61.2 -41.1 61.5 -41.3 61.9 -41.1 62.1 -40.6 62.3 -40.4 62.5 -40 65.5 -38.3 66.2 -38.2 66.7 -37.9 66.5 -37.8 66.5 -37.4 67.8 -37.2 67.9 -37.6 68.3 -37.9 68.4 -38.2 68.1 -38.4 68.2 -38.9 67.7 -39 67.7 -39.1 67.3 -39.2 67.5 -39.6 67.4 -39.7 67.5 -39.8 67.1 -40 66.9 -40.5 66.7 -40.5 66.8 -40.8 66.6 -41.1 66.8 -41.1 66.5 -41.9 66 -41.9 66.1 -42.9 65.8 -42.9 65 -43.7 64.5 -43.6 63.3 -43.7 62 -43.5 61.1 -44.4 58.6 -45.6 56 -45Z"],
+  ["Asia/Seoul", "M124.4 -37.9L124.4 -37.7 124.6 -37.6 124.8 -37.6 124.9 -37.6 125 -37.7 124.9 -37.8 124.8 -38 124.6 -38 124.4 -38ZM124.8 -34.1L125 -33.9 126.1 -33.7 125.9 -33.3 126.1 -33 126.4 -32.9 127.2 -33.3 127.2 -33.6 126.9 -33.8 127.7 -33.9 128 -34.1 128.8 -34.3 129.2 -35 129.6 -35.2 129.8 -36 129.6 -36.3 129.7 -36.8 129.6 -37.3 128.7 -38.6 128.3 -38.6 128.2 -38.4 127.1 -38.3 126.7 -38 126.7 -37.8 125.4 -37.6 125.6 -37.4 125.9 -37.4 125.3 -36.6 125.8 -35.7 125.8 -35.4 125 -34.8ZM130.5 -37.5L130.6 -37.4 130.6 -37.3 130.9 -37.3 131.2 -37.4 131.2 -37.5 131.2 -37.6 131.1 -37.7 130.9 -37.8 130.6 -37.7ZM131.6 -37.2L131.7 -37.1 131.9 -37 132.1 -37.1 132.1 -37.2 132.1 -37.3 132 -37.4 131.9 -37.4 131.7 -37.4Z"],
+  ["Asia/Shanghai", "M73.5 -39.4L73.8 -39 73.7 -38.9 73.8 -38.6 74.7 -38.4 74.9 -38 75 -37.8 74.9 -37.7 75.1 -37.3 74.5 -37.2 74.5 -37.1 75.4 -37 75.5 -36.7 75.9 -36.7 76.1 -36.2 75.9 -36.1 76.2 -35.8 76.6 -35.9 76.6 -35.8 77.2 -35.5 78.1 -35.5 78 -35.2 78.3 -34.6 79 -34.3 78.7 -34.1 78.7 -33.6 79.5 -32.7 79.4 -32.5 79 -32.3 78.7 -32.7 78.4 -32.5 78.8 -32 78.8 -31.3 79.1 -31.4 79.4 -31 80.2 -30.8 80.2 -30.6 81 -30.3 81.1 -30 81.4 -30.2 81.4 -30.4 82.1 -30.3 82.2 -30.1 83.3 -29.6 83.6 -29.2 84.1 -29.3 84.2 -28.9 84.5 -28.7 84.9 -28.6 85.2 -28.6 85.1 -28.3 85.6 -28.3 85.7 -28.4 86 -27.9 86.2 -28.2 86.4 -27.9 86.7 -28.1 87.2 -27.8 88.1 -27.9 88.8 -28.1 88.9 -27.9 88.8 -27.5 89 -27.2 89.2 -27.4 89.2 -27.8 89.8 -28.2 90.8 -28 90.9 -27.9 91.1 -27.8 91.3 -28.1 91.9 -27.7 92.2 -27.9 92.5 -27.8 92.7 -28 92.7 -28.2 92.9 -28.2 93.3 -28.5 94 -28.8 94.4 -29 94.3 -29.2 94.6 -29.3 95.3 -29.1 96.1 -29.4 96.9 -28.4 97.3 -28.2 97.7 -28.5 98.1 -28.1 98.3 -27.5 98.4 -27.7 98.7 -27.6 98.8 -26.6 98.7 -26.1 98.6 -26.1 98.7 -25.9 98.3 -25.5 98.2 -25.6 98.1 -25.4 97.7 -25.1 97.8 -24.8 97.5 -24.7 97.5 -24.4 97.8 -24.3 97.5 -23.9 97.6 -23.8 98.1 -24.1 98.9 -24.2 98.7 -23.8 98.9 -23.6 98.9 -23.2 99.5 -23.1 99.6 -22.9 99.3 -22.7 99.4 -22.5 99.2 -22.2 100 -22.1 100 -21.7 100.2 -21.5 100.7 -21.5 101.1 -21.8 101.2 -21.2 101.8 -21.1 101.8 -21.6 101.5 -22.2 101.8 -22.5 102.3 -22.4 102.5 -22.8 103 -22.4 103.3 -22.8 103.5 -22.6 103.7 -22.8 104 -22.5 104.1 -22.8 104.4 -22.7 104.7 -22.8 104.8 -23.1 105.3 -23.4 105.9 -22.9 106.7 -22.9 106.8 -22.8 106.6 -22.5 106.7 -22 107 -21.9 107.4 -21.6 107.9 -21.7 108.3 -21.1 109 -20.8 109 -20 108.4 -19.2 108.5 -18.5 108.9 -18.1 109.6 -18 110.7 -18.5 112.5 -21.3 114.1 -21.6 117.3 -23 118.4 -24 119.6 -24.8 120.1 -25.3 121.3 -27.4 122.5 -28.8 123.4 -30.8 122.4 -31.5 121.9 -33.1 120.2 -35 121.1 -35.7 122.8 -36.9 123 -37.4 122.8 -37.6 122.1 -37.8 121.8 -37.7 121.2 -37.9 121.1 -38.5 121.4 -38.6 121.7 -38.4 121.9 -38.7 122.1 -38.5 122.4 -38.6 122.4 -38.8 122.1 -38.9 122.3 -38.9 122.7 -38.7 123.4 -38.9 123.4 -39.5 124.1 -39.6 124.5 -40.2 126 -40.9 126.5 -41.4 126.7 -41.7 126.9 -41.8 127.3 -41.5 128.1 -41.4 128.3 -41.6 128 -42 128.9 -42 129.3 -42.5 129.7 -42.4 129.9 -43 130.3 -42.9 130.2 -42.7 130.6 -42.4 130.6 -42.7 130.4 -42.7 131.1 -42.9 131.3 -43.4 131.2 -43.6 131.3 -44 131 -44.9 131.5 -45 131.9 -45.3 133 -45 133.1 -45.1 133.1 -45.4 133.5 -45.6 133.5 -45.8 133.9 -46.3 133.8 -46.5 134.2 -47.1 134.2 -47.3 134.8 -47.7 134.5 -48 134.8 -48.4 134.5 -48.4 133.1 -48.1 132.7 -47.9 132.5 -47.7 131 -47.7 130.7 -48.1 130.8 -48.3 130.8 -48.5 130.5 -48.6 130.7 -48.9 130.2 -48.9 129.5 -49.4 129.1 -49.4 128.8 -49.6 127.8 -49.6 127.5 -49.8 127.6 -50.2 127.3 -50.3 127.3 -50.7 126.9 -51.1 127 -51.3 126.8 -51.3 126.9 -51.4 126.5 -51.9 126.6 -52.1 126.3 -52.2 126.4 -52.3 126 -52.6 126.1 -52.8 125.7 -52.9 125.7 -53 125.6 -53.1 125.2 -53.2 124.9 -53.1 123.5 -53.6 120.9 -53.3 120 -52.8 120.1 -52.6 120.7 -52.5 120.6 -52.4 120.8 -52.2 120.7 -51.9 120.1 -51.7 119.1 -50.4 119.4 -50.3 119.3 -50.1 118.6 -49.9 117.9 -49.5 116.7 -49.8 115.8 -48.5 115.8 -48.3 115.5 -48.2 115.6 -47.9 115.9 -47.7 116.3 -47.9 116.8 -47.9 117.4 -47.6 117.8 -48 118.6 -48 119.7 -47.2 119.9 -46.9 119.9 -46.7 119.3 -46.6 118.9 -46.8 117.7 -46.5 117.4 -46.6 117.4 -46.4 116.6 -46.3 116.2 -45.7 115.4 -45.4 114.5 -45.4 114.1 -45 113.6 -44.7 112 -45.1 111.7 -44.9 111.4 -44.3 111.9 -43.7 111 -43.3 110.4 -42.8 109.5 -42.5 107.5 -42.5 105 -41.6 104.5 -41.7 104.5 -41.9 103.4 -41.9 102 -42.2 101.8 -42.5 100.8 -42.7 99.5 -42.6 97.2 -42.8 96.4 -42.7 96.4 -42.9 95.9 -43.3 95.5 -44 95.3 -44 95.4 -44.3 94.7 -44.3 93.5 -45 90.9 -45.2 90.7 -45.5 91 -46 90.9 -46.3 91 -46.7 90.6 -47.2 90.4 -47.7 90.1 -47.9 89.8 -47.8 89.6 -48 89.1 -48 88.6 -48.2 88.5 -48.4 88 -48.6 88.1 -48.7 87.7 -48.9 87.9 -49 87.8 -49.2 86.9 -49.1 86.6 -48.5 85.8 -48.4 85.6 -48.2 85.7 -47.4 85.5 -47 84.9 -46.9 84.8 -47 83.9 -47 83 -47.2 82.3 -45.6 82.5 -45.4 82.6 -45.2 81.9 -45.2 81.8 -45.4 79.9 -44.9 80.4 -44.6 80.4 -44.1 80.8 -43.2 80.4 -43 80.6 -42.9 80.3 -42.8 80.2 -42 78.2 -41.4 77.8 -41 76.9 -41 76.3 -40.3 76.3 -40.4 75.7 -40.3 75.6 -40.7 75.2 -40.4 74.8 -40.5 74.9 -40.3 73.9 -40 73.9 -39.5ZM113.5 -22.2L113.6 -22.2 113.6 -22.1 113.5 -22.1ZM113.8 -22.2L113.9 -22.4 114 -22.5 114.2 -22.6 114.5 -22.5 114.5 -22.4 114.5 -22.1 113.9 -22.1ZM118.1 -24.4L118.3 -24.5 118.4 -24.5 118.5 -24.5 118.5 -24.4 118.5 -24.3 118.4 -24.3 118.3 -24.3 118.2 -24.3ZM119.8 -26.1L119.9 -26.2 119.9 -26.3 120 -26.3 120.1 -26.3 120.1 -26.2 120 -26.1 119.9 -26.1ZM119.9 -26L120 -26 120.1 -26 120 -25.9 119.9 -25.9ZM120.2 -26.3L120.2 -26.4 120.3 -26.4 120.3 -26.3 120.2 -26.3ZM120.4 -26.4L120.5 -26.4 120.6 -26.4 120.6 -26.3 120.5 -26.3 120.4 -26.4ZM111 -15.8L111.2 -15.6 112.6 -15.9 112.8 -16 112.9 -16.7 112.3 -17.2 111.4 -17.3 111.2 -17.1ZM112.7 -9.5L112.7 -9.4 112.9 -9.3 113.2 -9.5 113.2 -9.7 113.1 -9.8 113 -9.9 112.9 -9.8 112.7 -9.7ZM112.7 -9L112.8 -8.7 112.9 -8.7 113 -8.7 113 -8.8 113 -8.9 113 -9 112.9 -9.1 112.8 -9.1ZM113.5 -15.6L113.9 -15.4 114.1 -15.4 114.3 -15.4 114.4 -15.5 114.6 -15.5 114.7 -15.7 115 -16.1 114.8 -16.3 114 -16 113.8 -15.7ZM113.9 -10.9L113.9 -10.8 114 -10.7 114.1 -10.7 114.3 -10.9 114.2 -11 114.1 -11.1 114 -11.1 113.9 -11.1ZM114 -10.2L114.1 -10.1 114.2 -10 114.3 -10.1 114.3 -10.4 114.2 -10.4 114.1 -10.4 114.1 -10.3ZM114.1 -9.7L114.2 -9.6 114.3 -9.5 114.4 -9.5 114.5 -9.6 114.3 -9.8ZM114.4 -10L114.4 -9.7 114.5 -9.7 114.6 -10.1ZM114.6 -10.2L114.7 -10.2 114.7 -10.3 114.8 -10.3 114.8 -10.4 114.8 -10.5 114.7 -10.5 114.7 -10.6ZM115.3 -9.9L115.4 -9.8 115.5 -9.7 115.7 -9.8 115.8 -9.9 115.7 -10.1 115.5 -10.1 115.4 -10.1ZM117.5 -15.2L117.5 -15 117.7 -14.9 117.9 -14.9 118 -15 118.1 -15.1 118 -15.3 117.8 -15.4 117.6 -15.4Z"],
+  ["Asia/Singapore", "M103.6 -1.2L103.7 -1.2 103.7 -1.1 104 -1.3 104.1 -1.3 104.1 -1.4 103.9 -1.4 103.9 -1.5 103.8 -1.5 103.7 -1.4 103.6 -1.3ZM104.3 -1.3L104.4 -1.3 104.5 -1.4 104.6 -1.4 104.5 -1.5 104.4 -1.4Z"],
+  ["Asia/Srednekolymsk", "M138.7 -67.3L139.5 -67.1 139.6 -66.9 140.6 -66.5 140.5 -66.3 140.1 -66.4 139.7 -66.3 140.4 -65.8 140.2 -65.6 144.2 -65 144.7 -64.8 144.5 -64.7 144.8 -64.6 147.2 -64 147.6 -64.2 147.7 -64 148 -63.9 148.3 -64.2 148 -64.4 148.3 -64.5 149.3 -64.4 149.9 -64.6 150.1 -64.5 150.1 -64.3 150.6 -64.2 150.7 -64.3 152 -64.5 152.4 -64.4 152.4 -64.5 152.8 -64.7 152.5 -64.9 152.7 -65.2 153.5 -65.3 153.5 -65.8 154.3 -65.8 154.4 -66 154.2 -66 154.5 -66.2 156.4 -66 156.7 -66.2 157.2 -65.9 157.7 -66.1 158.5 -66.1 158.4 -66.2 158.6 -66.3 158.4 -66.4 159 -66.8 158.7 -67 157.8 -67.3 157.9 -67.4 157.8 -67.6 158.4 -67.7 158.1 -67.9 158.4 -68.1 159.7 -68.2 162.5 -68.3 162.8 -68.6 162.6 -68.8 162.9 -68.8 162.5 -69.1 162.8 -69.2 162.3 -69.4 162.5 -69.9 160.7 -69.9 160.5 -70.1 160.7 -70.3 160.4 -70.6 162.5 -70.4 163.1 -70.6 162.9 -70.8 162.3 -70.9 161.6 -71.1 160.2 -71.1 159.8 -70.9 157.1 -71.3 152.8 -71 151.7 -71.7 150.8 -71.8 150.5 -72.1 149.9 -72.3 145.2 -72.8 144.5 -72.2 143.4 -72.1 143.2 -71.7 142.7 -71.6 142.5 -71.3 142.6 -71.1 141.6 -70.7 141.7 -70.7 140.8 -70.1 141.6 -69.9 142.2 -69.9 142.3 -69.8 142.1 -69.6 142.7 -69.3 141.5 -69.2 141.9 -68.8 140.9 -68.4 141.2 -68.2 141 -68.1 141.1 -67.9 141.3 -67.8 140 -67.9 139.2 -67.5 138.7 -67.6 139 -67.4ZM152.1 -47.4L152.6 -47.1 153.1 -47.4 153.3 -47.7 153.3 -47.8 153.5 -47.9 153.6 -48.1 153.5 -48.4 153.3 -48.5 153 -48.4 152.9 -48.1 152.9 -48 152.5 -47.6 152.2 -47.5ZM153.2 -49L153.3 -48.8 153.7 -48.8 153.5 -48.6 153.6 -48.4 154 -48.4 154.5 -48.9 154.8 -49 155.1 -49.2 155.2 -49.6 155.1 -49.8 154.8 -49.8 154.6 -50 154.3 -50 154.1 -49.7 154.4 -49.5 154.1 -49.1 153.4 -49.2ZM154.6 -50.2L154.7 -50 155.3 -49.8 156 -50 156.5 -50.4 156.8 -50.7 156.4 -51.1 156.1 -51 155.6 -51.1 155.3 -51.1 155.2 -50.8 155.5 -50.6 154.8 -50.4Z"],
+  ["Asia/Taipei", "M116.5 -20.7L116.6 -20.5 116.8 -20.4 117 -20.5 117.1 -20.6 117.1 -20.7 117.1 -20.9 116.9 -21 116.7 -21 116.6 -20.9ZM118.1 -24.4L118.2 -24.3 118.3 -24.3 118.4 -24.3 118.5 -24.3 118.5 -24.4 118.5 -24.5 118.4 -24.5 118.3 -24.5ZM119.1 -23.4L120.7 -21.6 121.7 -21.7 121.8 -22 121.7 -23.5 122.2 -24.8 122.3 -25.7 122 -25.8 120.9 -25.2 119.4 -23.9ZM119.8 -26.1L119.9 -26.1 120 -26.1 120.1 -26.2 120.1 -26.3 120 -26.3 119.9 -26.3 119.9 -26.2ZM119.9 -26L119.9 -25.9 120 -25.9 120.1 -26 120 -26 119.9 -26ZM120.2 -26.3L120.3 -26.3 120.3 -26.4 120.2 -26.4ZM120.4 -26.4L120.5 -26.3 120.6 -26.3 120.6 -26.4 120.5 -26.4 120.4 -26.4Z"],
+  ["Asia/Tashkent", "M66.6 -41.1L66.8 -40.8 66.7 -40.5 66.9 -40.5 67.1 -40 67.5 -39.8 67.4 -39.7 68.5 -39.5 68.6 -39.9 68.8 -40 68.9 -39.9 68.9 -40.1 69 -40.1 68.5 -40.1 69.3 -40.2 69.2 -40.5 69.4 -40.8 69.7 -40.6 70.5 -41 70.8 -40.7 70.3 -40.5 70.6 -40.2 71.3 -40.3 71.7 -40.1 72.2 -40.5 72.4 -40.4 72.3 -40.6 72.7 -40.5 72.9 -40.7 73.1 -40.7 73.2 -40.8 72.6 -40.9 72.4 -41.1 72.2 -41 72.2 -41.2 71.9 -41.2 71.7 -41.5 71.3 -41.1 70.8 -41.2 70.7 -41.5 70.2 -41.5 70.9 -42.1 71.3 -42.2 71.1 -42.3 70.6 -42 70.4 -42.1 69.5 -41.5 69.2 -41.5 68.7 -41 68.5 -41 68.6 -40.6 68 -40.8 68.1 -41 68 -41.1ZM71 -40.2L71 -40.1 71 -40 71.1 -40 71.1 -39.9 71.2 -39.9 71.2 -40 71.1 -40 71.2 -40 71.1 -40 71.1 -40.2 71 -40.2Z"],
+  ["Asia/Tbilisi", "M39.9 -43.2L41.2 -42.6 41.5 -41.9 41.3 -41.6 41.8 -41.4 42.5 -41.4 42.8 -41.6 43.2 -41.2 43.5 -41.1 44.9 -41.2 44.8 -41.3 45.3 -41.5 45.9 -41.2 46.6 -41.1 46.7 -41.3 46.2 -41.6 46.4 -41.9 45.6 -42.2 45.8 -42.3 45.7 -42.5 44.6 -42.8 43.9 -42.6 42.9 -43.2 41.6 -43.2 40.7 -43.6 40.1 -43.6Z"],
+  ["Asia/Tehran", "M44 -39.4L44.3 -38.8 44.3 -38.4 44.5 -38.3 44.2 -37.9 44.6 -37.7 44.6 -37.4 44.9 -37 44.8 -36.8 45.1 -36.7 45.1 -36.4 45.3 -36.4 45.3 -36 45.6 -36 45.8 -35.8 46.3 -35.8 46 -35.7 46.2 -35.1 45.9 -35.1 45.7 -34.8 45.7 -34.5 45.5 -34.6 45.4 -34.5 45.6 -34.1 45.4 -34 46.2 -33.3 46.1 -33 47.5 -32.4 47.9 -31.8 47.7 -31 48 -31 48 -30.5 48.4 -30.2 48.5 -30 49.5 -29.8 51.3 -27.7 53.1 -26.6 54 -26.3 54.5 -25.7 54.8 -25.9 54.9 -25.7 55.2 -25.7 55.3 -25.9 55.2 -26.1 56.6 -26.7 56.7 -26.9 57.2 -25.6 61.6 -24.8 61.7 -25.6 61.9 -25.9 61.9 -26.3 62.1 -26.3 62.2 -26.3 62.4 -26.6 63.2 -26.6 63.3 -27.1 63.2 -27.3 62.8 -27.3 62.8 -28.3 61.9 -28.6 60.9 -29.9 61.8 -31 61.7 -31.4 60.9 -31.5 60.9 -32.2 60.6 -33.1 60.9 -33.5 60.6 -33.6 60.5 -34.1 60.7 -34.3 60.9 -34.3 60.7 -34.5 61 -34.6 61.3 -35.5 61.1 -36 61.2 -36.1 61.1 -36.6 60.3 -36.6 60 -37 59.6 -37.1 59.4 -37.5 58.8 -37.7 58.4 -37.6 57.4 -38 57.2 -38.3 56.8 -38.3 56.4 -38.3 56.3 -38.1 55.4 -38.1 54.8 -37.7 54.7 -37.4 53.7 -37.4 53.7 -37.1 51.7 -36.8 50.6 -37.2 50.3 -37.6 49.3 -37.8 49.1 -38.5 48.6 -38.4 48 -38.8 48.3 -39 48.1 -39.3 48.4 -39.4 48 -39.7 46.5 -38.9 45.5 -39 44.6 -39.8 44.4 -39.4ZM49.9 -28L50 -27.9 50.4 -27.9 50.4 -28 50.3 -28.2 50.2 -28.2 50.1 -28.2 50 -28.1Z"],
+  ["Asia/Thimphu", "M88.7 -27.1L89.1 -26.8 89.4 -26.9 89.8 -26.7 90.4 -26.9 90.7 -26.8 92.1 -26.8 92.1 -27.3 92 -27.5 91.6 -27.5 91.6 -27.9 91.5 -28 90.6 -28 89.8 -28.2 89.5 -28.1Z"],
+  ["Asia/Tokyo", "M122.7 -24.4L122.8 -24.3 123 -24.2 123.2 -24.3 123.3 -24.5 123.2 -24.6 123 -24.7 122.8 -24.6ZM123.3 -24.2L123.6 -23.9 123.8 -23.9 124.4 -24.2 124.5 -24.5 124.9 -24.5 124.9 -24.8 125.2 -24.5 125.6 -24.5 125.7 -24.7 125.5 -25.1 125.3 -25.2 125.1 -25.1 124.9 -24.8 124.7 -25 124.5 -24.8 124.3 -24.8 124 -24.6 123.7 -24.7ZM126.5 -26.4L126.7 -26.1 127 -26.2 127.2 -25.9 127.7 -25.9 128.1 -26 128.5 -26.7 128.7 -27.1 129.2 -27.5 129.3 -27.8 129.7 -28.2 130 -28.1 130.2 -28.2 130.2 -28.5 130 -28.7 129.9 -28.9 129.6 -28.9 129.6 -28.7 128.9 -28.4 128.9 -28.1 128.7 -27.9 128.7 -27.6 128.3 -27.5 128.3 -27.3 127.9 -27.2 127.5 -26.6 127.3 -26.8 126.7 -26.8ZM127.9 -32.2L127.9 -32.1 128.1 -32 128.1 -31.9 128.2 -31.8 128.4 -31.8 128.6 -31.9 128.7 -32 128.6 -32.2 128.5 -32.2 128.3 -32.3 128.3 -32.4 128.2 -32.4 128 -32.4ZM128 -27.9L128.1 -27.7 128.2 -27.7 128.4 -27.7 128.5 -27.8 128.4 -28 128.2 -28.1 128.1 -28ZM128.4 -32.7L128.4 -32.5 128.8 -32.4 129.5 -31.9 129.2 -31.2 129.2 -30.8 129.9 -30.6 130.3 -30.7 131.7 -31.5 131.9 -32.3 133.1 -32.5 133.3 -32.9 134.3 -33.1 134.6 -33.4 135.2 -33.5 135.9 -33.3 137.7 -34.5 139 -34.4 138.6 -33.9 138.9 -33.7 139.1 -34 139.3 -33.9 139.1 -33.8 139.1 -33.6 139.4 -33.5 139.9 -33.8 139.5 -34.5 140.5 -35 140.7 -35.5 141.1 -35.6 140.8 -36.2 141.3 -37.2 141.3 -37.8 141.8 -38.2 142.3 -39.6 142.2 -40.1 141.7 -40.8 141.7 -41.5 140.9 -41.6 139.3 -40.6 139.4 -40 139 -38.7 138.4 -38.5 138 -38.2 136.7 -38 136.4 -37.2 136.5 -36.9 136.2 -36.5 134.9 -35.9 133.8 -35.7 133.1 -35.8 133.6 -36.3 133.4 -36.5 133.1 -36.5 132.7 -36.1 133 -35.8 132.5 -35.6 132.1 -35.2 131 -35 129.9 -34.4 129.6 -33.9 128.6 -33.3ZM128.7 -28.8L128.9 -28.6 129.1 -28.6 129.2 -28.9 129.8 -29.3 130.3 -30.1 130.6 -30 131.1 -30.2 131.3 -30.8 131.3 -30.9 130.8 -30.8 130.8 -30.7 130.3 -30.5 130.1 -30.5 129.9 -30.4 130.1 -30.3 129.7 -30.1 129.4 -30.1 129.3 -29.9 129.4 -29.4 129 -29.3 129 -29 128.8 -29ZM129 -33.9L129.1 -33.9 129.7 -34.4 129.7 -34.7 129.6 -34.9 129.3 -34.7ZM131 -24.5L131 -24.3 131.2 -24.3 131.4 -24.3 131.4 -24.5 131.3 -24.6 131.2 -24.7 131 -24.6ZM131 -25.8L131 -25.7 131.1 -25.7 131.3 -25.6 131.4 -25.7 131.6 -26 131.5 -26.1 131.2 -26.2 131.1 -26.1 131 -25.9ZM135.9 -20.4L135.9 -20.3 136.1 -20.2 136.3 -20.3 136.3 -20.4 136.3 -20.5 136.3 -20.6 136.1 -20.6 135.9 -20.6ZM139.1 -41.5L139.2 -41.3 139.8 -41.2 140.9 -41.7 141.4 -41.7 141.3 -42.3 141.6 -42.4 143.4 -41.7 143.6 -42.3 144 -42.7 144.9 -42.8 145.7 -43 145.9 -43.2 145.8 -43.5 145.2 -43.8 145.6 -44.3 145.5 -44.5 145.2 -44.5 144.5 -44.1 143.3 -44.6 142.4 -45.4 140.9 -45.7 140.7 -45.4 141 -43.8 140.1 -43.4 139.2 -42.3ZM139.4 -33.1L139.5 -33 139.8 -32.8 140 -32.9 140.1 -33.1 140 -33.3 139.9 -33.4 139.5 -33.3 139.5 -33.2ZM139.5 -32.5L139.6 -32.3 139.8 -32.2 139.9 -32.3 140 -32.4 140 -32.5 139.9 -32.6 139.8 -32.7 139.6 -32.6ZM139.7 -31.9L139.7 -31.7 139.9 -31.7 140.1 -31.8 140.2 -31.9 140.1 -32 139.9 -32.1 139.7 -32ZM139.8 -31.4L139.9 -31.3 140.1 -31.2 140.2 -31.3 140.3 -31.4 140.2 -31.6 140.1 -31.6 139.9 -31.6ZM140.1 -30.5L140.1 -30.4 140.1 -30.3 140.3 -30.3 140.5 -30.3 140.5 -30.5 140.5 -30.6 140.3 -30.7 140.1 -30.6ZM140.1 -29.8L140.2 -29.6 140.3 -29.6 140.5 -29.7 140.6 -29.8 140.5 -29.9 140.3 -30 140.2 -29.9ZM140.6 -27.2L140.7 -27.1 140.9 -27 141 -27.1 141.1 -27.3 141 -27.4 140.9 -27.5 140.7 -27.4ZM141.1 -25.4L141.1 -25.3 141.3 -25.2 141.4 -25.3 141.5 -25.4 141.5 -25.5 141.4 -25.6 141.3 -25.6 141.1 -25.6ZM141.1 -24.8L141.1 -24.7 141.2 -24.6 141.4 -24.6 141.5 -24.6 141.6 -24.8 141.5 -24.9 141.4 -25 141.2 -25 141.1 -24.9ZM141.2 -24.2L141.3 -24.1 141.5 -24 141.6 -24.1 141.7 -24.2 141.7 -24.3 141.6 -24.4 141.5 -24.4 141.3 -24.4ZM141.9 -27.7L142 -27.3 141.9 -27.1 142 -26.9 141.9 -26.7 141.9 -26.5 142 -26.4 142.2 -26.3 142.4 -26.4 142.5 -26.5 142.3 -26.9 142.4 -26.9 142.5 -27.1 142.4 -27.3 142.4 -27.5 142.4 -27.8 142.2 -27.9 142.1 -27.9 141.9 -27.9ZM153.8 -24.3L153.8 -24.2 153.8 -24.1 154 -24.1 154.1 -24.1 154.2 -24.2 154.2 -24.3 154.2 -24.4 154.1 -24.5 154 -24.5 153.8 -24.4Z"],
+  ["Asia/Tomsk", "M75.1 -58.3L75.2 -58.2 75.1 -58.1 75.6 -57.9 75.6 -57.6 76.1 -57.2 78.4 -57.2 79.6 -56.9 80.3 -56.4 81.2 -56.5 81.6 -56.2 83.1 -56.6 83.3 -56.4 83.1 -56.2 83.4 -55.9 83.2 -55.7 83.6 -55.6 84 -56 85.7 -56.2 85.6 -56.3 86.2 -56.6 87.1 -56.5 87.2 -56.6 87.1 -56.7 87.6 -56.7 87.7 -56.5 88.6 -56.8 88.7 -57.1 88.5 -57.1 88.9 -57.5 89.4 -57.7 89.3 -57.9 88 -58.2 87.9 -58.5 88.4 -58.9 88.8 -59 88.6 -59.3 87.9 -59.3 87.5 -59.7 86.6 -59.9 84.7 -59.9 84.6 -60.2 84.8 -60.4 84.4 -60.8 83.5 -61 83.1 -61 82.2 -60.5 80.7 -60.8 79.5 -60.7 79.2 -60.8 77.1 -60.8 77 -60.6 77.1 -60.5 76.8 -60.4 76.9 -60.3 76.7 -60.1 76.7 -59.6 76.2 -59.5 75.6 -59.2 75.7 -59 75.1 -58.7 75.4 -58.5Z"],
+  ["Asia/Ulaanbaatar", "M93.1 -45.6L93.2 -45 93.7 -44.9 94.7 -44.3 95.4 -44.3 95.3 -44 95.5 -44 95.9 -43.3 96.4 -42.9 96.4 -42.7 97.2 -42.8 99.5 -42.6 100.8 -42.7 101.8 -42.5 102 -42.2 103.4 -41.9 104.5 -41.9 104.5 -41.7 105 -41.6 107.5 -42.5 109.5 -42.5 110.4 -42.8 111 -43.3 111.9 -43.7 111.4 -44.3 111.7 -44.9 112 -45.1 113.6 -44.7 114.1 -45 114.5 -45.4 115.4 -45.4 116.2 -45.7 116.6 -46.3 117.4 -46.4 117.4 -46.6 117.7 -46.5 118.9 -46.8 119.3 -46.6 119.9 -46.7 119.9 -46.9 119.7 -47.2 118.6 -48 117.8 -48 117.4 -47.6 116.8 -47.9 116.3 -47.9 115.9 -47.7 115.6 -47.9 115.5 -48.2 115.8 -48.3 115.8 -48.5 116.7 -49.8 116.2 -50 115.5 -49.9 114.3 -50.3 113.5 -50 112.8 -49.5 110.8 -49.2 108.5 -49.3 107.9 -49.7 108 -49.9 107.2 -50 106.7 -50.3 105.4 -50.5 104.1 -50.1 103.3 -50.2 103.2 -50.3 102.6 -50.4 102.3 -50.7 102.1 -51.4 100.7 -51.7 99.9 -51.7 99.8 -51.9 98.9 -52.1 98.8 -51.9 98.1 -51.5 97.8 -51 98 -50.9 98 -50.7 98.3 -50.5 98.1 -50 97.2 -49.7 97 -49.9 95.8 -50 95.4 -49.7 95.7 -49.4 95.5 -48.8 94.8 -48.7 94.1 -48.8 93.5 -48.5 93.4 -48.2 93.2 -48 93.6 -47.7 93.5 -47.6 94.1 -47.2 94.3 -46.8 93.5 -46.6 93.6 -46.4Z"],
+  ["Asia/Urumqi", "M73.5 -39.4L73.8 -39 73.7 -38.9 73.8 -38.6 74.7 -38.4 74.9 -38 75 -37.8 74.9 -37.7 75.1 -37.3 74.5 -37.2 74.5 -37.1 75.4 -37 75.5 -36.7 75.9 -36.7 76.1 -36.2 75.9 -36.1 76.2 -35.8 76.6 -35.9 76.6 -35.8 77.2 -35.5 78.1 -35.5 78 -35.2 78.2 -34.7 78.9 -34.4 79.8 -34.5 80 -35 80.4 -35.2 80.3 -35.3 80.4 -35.5 81.7 -35.2 82.5 -35.7 83 -35.7 83.1 -35.4 84.2 -35.4 85 -35.7 85.6 -35.6 85.9 -35.8 86.4 -36.2 88.4 -36.5 89.8 -36.1 89.9 -36.1 90 -36.3 90.8 -36 91.1 -36.1 91 -36.5 90.7 -36.6 90.7 -36.8 91.3 -37 91.3 -37.2 91.1 -37.5 90.5 -37.7 90.5 -38.3 90.3 -38.2 90.1 -38.5 92.4 -39 92.3 -39.2 92.6 -39.5 92.9 -40.6 93.8 -40.7 94 -41.1 94.5 -41.5 95.1 -41.8 95.3 -41.6 96.1 -42 96.2 -42.2 96 -42.4 96.4 -42.7 96.4 -42.9 95.9 -43.2 95.5 -44 95.3 -44 95.4 -44.3 94.7 -44.3 93.5 -45 90.9 -45.2 90.7 -45.5 91 -46 90.9 -46.3 91 -46.7 90.6 -47.2 90.4 -47.7 90.1 -47.9 89.8 -47.8 89.6 -48 89.1 -48 88.6 -48.2 88.5 -48.4 88 -48.6 88.1 -48.7 87.7 -48.9 87.9 -49 87.8 -49.2 86.9 -49.1 86.6 -48.5 85.7 -48.4 85.5 -48 85.7 -47.4 85.5 -47 84.9 -46.9 84.8 -47 83.9 -47 83 -47.2 82.3 -45.6 82.5 -45.4 82.6 -45.2 81.9 -45.2 81.8 -45.4 79.9 -44.9 80.4 -44.6 80.4 -44.1 80.8 -43.2 80.4 -43 80.6 -42.9 80.3 -42.8 80.2 -42 78.2 -41.4 77.8 -41 76.9 -41 76.3 -40.3 76.3 -40.4 75.7 -40.3 75.6 -40.7 75.2 -40.4 74.8 -40.5 74.9 -40.3 73.9 -40 73.9 -39.5Z"],
+  ["Asia/Ust-Nera", "M139.4 -65L140.4 -64.6 140.1 -64.4 140.8 -64.1 140.6 -63.8 140.6 -63.5 139.7 -63.3 139.6 -62.9 139.8 -62.9 139.6 -62.8 139.8 -62.6 140.2 -62.7 140.6 -62.4 140.8 -62.5 141.3 -62.4 141.8 -62 143 -61.9 143.2 -62.1 143.6 -62 143.6 -61.9 143.9 -62 143.9 -61.8 144.2 -61.7 145.2 -62.3 145.1 -62.5 145.5 -62.5 145.2 -63.2 145.7 -63.7 145.6 -63.8 146.2 -63.9 146.4 -64.2 144.5 -64.7 144.7 -64.8 144.2 -65 141.1 -65.6 139.9 -65.5Z"],
+  ["Asia/Vientiane", "M100.1 -20.4L100.2 -20.2 100.3 -20.4 100.6 -20.2 100.4 -19.8 100.5 -19.5 101.3 -19.6 101.2 -19.4 101.4 -19 101.1 -18.4 101.2 -18.1 101 -17.8 101.1 -17.5 102.1 -18.2 102.7 -17.8 103 -18 103.4 -18.4 104 -18.3 104.7 -17.5 104.7 -16.5 105 -16.1 105.4 -16 105.4 -15.8 105.6 -15.7 105.5 -15.4 105.6 -15 105.5 -14.6 105.2 -14.3 105.4 -14.1 105.6 -14.2 106.1 -13.9 106.2 -14.1 106 -14.4 106.5 -14.6 107 -14.3 107.6 -14.7 107.5 -15 107.6 -15.1 107.6 -15.4 107.2 -15.7 107.5 -16.1 106.7 -16.6 106.6 -17 105.8 -17.7 105.5 -18.2 105.2 -18.3 105.1 -18.7 103.9 -19.3 104.1 -19.5 104.1 -19.7 104.6 -19.6 104.8 -19.8 105 -20.1 104.6 -20.2 104.7 -20.5 104.4 -20.4 104.6 -20.7 104.1 -21 103.7 -20.7 103.1 -20.9 102.8 -21.3 103 -21.7 102.8 -21.8 102.7 -21.7 102.6 -21.9 102.1 -22.4 101.7 -22.5 101.5 -22.2 101.8 -21.8 101.8 -21.2 101.3 -21.2 101.1 -21.6 100.7 -21.3 100.5 -20.9 100.6 -20.9 100.3 -20.8Z"],
+  ["Asia/Vladivostok", "M129.9 -66.6L130.1 -66.5 130.1 -66.2 131.7 -65.7 131.5 -65.5 132 -65.2 132.4 -64.6 132.9 -64.6 133 -64.7 133 -65.1 133.2 -65.3 133.9 -65.2 134.5 -65.4 134.9 -65.8 135.7 -65.9 136.4 -66.2 137.7 -66 139.3 -66 140.2 -65.9 140 -65.9 140.1 -66 139.7 -66.3 140.1 -66.4 140.5 -66.3 140.6 -66.5 139.6 -66.9 139.5 -67.1 138.8 -67.2 138.7 -67.3 139 -67.4 138.7 -67.6 139.2 -67.5 140 -67.9 141.3 -67.8 141.1 -67.9 141 -68.1 141.2 -68.2 140.9 -68.4 141.9 -68.8 141.5 -69.2 142.7 -69.3 142.1 -69.6 142.3 -69.8 142.2 -69.9 141.6 -69.9 140.8 -70.1 141.7 -70.7 141.6 -70.7 142.6 -71.1 142.5 -71.3 142.5 -71.6 143.1 -71.7 143.5 -72 143.8 -72.2 144.5 -72.2 145.2 -72.8 140.8 -73.1 139.7 -73 139.9 -72.9 138.7 -72.5 138.3 -72.1 137.3 -71.8 135.5 -71.8 134.2 -71.6 133.7 -71.7 134 -71.9 133.5 -72.1 132.2 -72 131.2 -71.3 132.2 -70.9 132 -70.8 132.1 -70.6 132 -70.4 133.2 -70.3 133.2 -70.1 133.1 -70 133.3 -70 133 -70 133.5 -69.7 132.8 -69.5 132.6 -69.1 132.3 -69 133.5 -68.5 133.3 -68.4 133.4 -68.3 132.3 -67.7 132 -67.7 131.8 -67.5 131.5 -67.6 131.1 -67.1 130.4 -67.1 130.3 -66.9 130 -66.9ZM130.4 -53.9L131.4 -53.8 131.4 -53.2 131.8 -53.3 131.9 -53.1 132.9 -53.2 133.6 -53.6 133.9 -53.4 134.6 -53.6 134.9 -53.4 134.8 -53.4 134.9 -53.3 134.9 -53.1 134.6 -52.9 134.8 -52.7 134.6 -52.4 133.3 -52.7 133.2 -52.4 133.4 -52.2 132.8 -52.2 132.3 -51.8 131.4 -51.7 131.5 -51.3 131 -51.2 130.6 -50.7 131 -50.6 130.9 -50.4 131.3 -50.4 131.5 -49.9 131.4 -49.7 131.5 -49.6 131.4 -49.3 131.1 -49.2 131 -49 130.7 -48.9 130.5 -48.6 130.8 -48.5 130.8 -48.3 130.7 -48.1 131 -47.7 132.5 -47.7 132.7 -47.9 133.1 -48.1 134.5 -48.4 134.8 -48.4 134.5 -48 134.8 -47.7 134.2 -47.3 134.2 -47.1 133.8 -46.5 133.9 -46.3 133.5 -45.8 133.5 -45.6 133.1 -45.4 133.1 -45.1 133 -45 131.9 -45.3 131.5 -45 131 -44.9 131.3 -44 131.2 -43.6 131.3 -43.4 131.1 -42.9 130.4 -42.7 130.6 -42.7 130.7 -42.3 130.9 -42.1 134 -42.7 135.4 -43.4 136.1 -44.2 137.9 -45.7 139.6 -47.7 140.4 -48.4 140.7 -48.9 140.8 -49.9 141 -50.1 140.8 -50.7 141.4 -51.6 141.7 -53.2 141.5 -53.6 140.8 -53.8 140.1 -54.5 138.6 -55.3 137.8 -55.9 138.5 -56.3 138.9 -56.8 140.1 -57.3 140.2 -57.5 140.8 -57.7 141.1 -58.2 142.6 -59 143.9 -59.2 145.4 -59.2 146.1 -58.9 146.9 -59.2 146.9 -59.4 147.1 -59.5 147.2 -59.7 147 -59.9 146.8 -59.9 146.4 -60.2 145.9 -60.2 145.6 -60.3 145.7 -60.4 145.5 -60.5 146.1 -60.7 146.4 -60.7 146.5 -60.9 146.8 -61 146.7 -61.5 146.2 -61.9 144.9 -62.1 144.1 -61.7 143.9 -61.8 143.9 -62 143.6 -61.9 143.6 -62 143.2 -62.1 143 -61.9 142.5 -61.9 142.2 -62.1 141.8 -62 141.1 -62.5 140.4 -62.4 140.3 -62 140 -62 139.6 -61.5 138.7 -61.3 138.3 -61.1 138.2 -60.9 138.4 -60.7 138.2 -60.2 138.2 -59.6 138 -59.7 138 -59.8 137.6 -59.7 137.5 -59.6 136.8 -59.3 135.7 -59.5 135.2 -59.1 133.5 -59.3 132.8 -59.1 132.8 -58.9 132.5 -58.8 132.4 -58.5 132.1 -58.5 132.2 -58.3 132 -58.2 132.1 -58.1 131.5 -58.2 132.1 -57.7 131.7 -57.6 131.6 -57.3 131.1 -57.3 131.8 -56.8 131.7 -56.7 131.7 -56.5 131.5 -56.6 131.1 -56.4 130.9 -55.9 131 -55.7 132.4 -55.7 133 -55.4 131.2 -54.6 131.1 -54.3 130.7 -54.3ZM143 -56.4L143.1 -56.3 143.4 -56.2 143.7 -56.3 143.8 -56.4 143.6 -56.6 143.3 -56.6 143.1 -56.5Z"],
+  ["Asia/Yakutsk", "M105.5 -67L106.2 -66.8 106.3 -66.5 106.1 -66.4 106.1 -66.2 106.5 -66 106.4 -65.7 107 -65.5 106 -65 106.2 -64.9 105.9 -64.9 105.9 -64.7 105.7 -64.7 105.8 -64.5 106.2 -64.4 106.6 -64.5 108 -64.2 108.5 -64.3 108.8 -63.9 108.3 -63.8 108.1 -63.6 109.2 -63.5 109.7 -62.8 109.3 -62.6 110 -62.3 110 -62.2 109.6 -61.9 109.9 -61.5 109.8 -61.3 110.5 -61.1 109.7 -60.2 109.8 -60 109.2 -59.3 109.5 -59.3 109.8 -59 110.2 -59 110.7 -59.3 111.9 -59.3 112.3 -59.5 112.3 -59.3 112.7 -59.3 112.4 -59.2 112.5 -58.9 112.6 -59.1 113.5 -59.3 113.6 -59.6 114.2 -59.7 115.2 -60.5 115.7 -60.5 116.6 -60.4 117 -60 117.3 -60 117 -59.9 117.2 -59.9 117.1 -59.6 117.2 -59.5 117.8 -59.6 117.9 -59.5 118.2 -59.7 118.8 -59.4 118.8 -59.3 118.7 -59.2 118.9 -58.8 118.8 -58.6 119.1 -58.5 119.2 -58 119 -57.8 119.1 -57.6 119.5 -57.6 119.4 -57.4 119.7 -57.2 119.6 -57 119.9 -56.9 119.7 -56.8 120.5 -56.3 120 -56.2 120.1 -55.9 121.2 -56 121.3 -55.5 121.8 -55.6 122 -55.5 122 -55 121.6 -54.8 121.9 -54.8 121.9 -54.6 122.1 -54.4 121.7 -54.4 121.8 -54.2 121.6 -54.1 121.9 -53.8 122.1 -53.4 123.6 -53.6 124.9 -53.1 125.2 -53.2 125.6 -53.1 125.7 -53 125.7 -52.9 126.1 -52.8 126 -52.6 126.4 -52.3 126.3 -52.2 126.6 -52.1 126.5 -51.9 126.9 -51.4 126.8 -51.3 127 -51.3 126.9 -51.1 127.3 -50.7 127.3 -50.3 127.6 -50.2 127.5 -50 127.7 -49.7 128.8 -49.6 129.1 -49.4 129.5 -49.4 130.2 -48.9 131 -49 131.1 -49.2 131.4 -49.3 131.5 -49.4 131.4 -49.7 131.5 -49.8 131.4 -50.3 131.1 -50.4 130.9 -50.4 131 -50.6 130.6 -50.7 131 -51.2 131.5 -51.3 131.4 -51.7 132.3 -51.8 132.8 -52.2 133.4 -52.2 133.2 -52.4 133.3 -52.7 134.5 -52.4 134.8 -52.6 134.6 -52.9 134.9 -53.1 134.9 -53.3 134.8 -53.4 134.9 -53.4 134.6 -53.6 133.9 -53.4 133.6 -53.5 132.9 -53.2 131.9 -53.1 131.8 -53.3 131.4 -53.2 131.4 -53.8 130.4 -53.9 130.7 -54.3 131.1 -54.3 131.2 -54.6 133 -55.4 132.4 -55.7 131.1 -55.7 130.9 -55.9 131.2 -56.5 131.7 -56.5 131.7 -56.7 131.8 -56.7 131.5 -57.1 131.1 -57.3 131.6 -57.3 131.7 -57.6 132.1 -57.7 131.4 -58.2 132.1 -58 132 -58.2 132.2 -58.3 132.1 -58.5 132.4 -58.5 132.5 -58.7 132.5 -58.9 132.2 -58.8 132.2 -59.1 131.8 -59.2 131.6 -59.5 131.7 -59.9 131.9 -59.9 132.1 -60.2 132.3 -60.3 132.5 -60.6 133.1 -60.7 133.1 -61.3 134 -61.3 135.2 -61.5 135.5 -61.6 135.2 -61.7 135.5 -61.8 135.6 -62 135 -62.5 134 -62.7 134 -63.4 132.8 -63.4 132.6 -63.6 132.2 -63.6 132.6 -64 132.4 -64.1 133 -64.4 132.6 -64.6 132.3 -64.7 132.4 -64.8 132.1 -65.1 131.5 -65.5 131.7 -65.7 130.1 -66.2 130.1 -66.5 129.9 -66.6 130 -66.9 130.3 -66.9 130.4 -67.1 131.1 -67.1 131.5 -67.6 131.8 -67.5 132 -67.7 132.3 -67.7 133.4 -68.3 133.3 -68.4 133.5 -68.5 132.3 -69 132.6 -69.1 132.8 -69.5 133.5 -69.7 133 -69.9 133.3 -70 133.1 -70 133.2 -70.2 133.1 -70.3 132 -70.4 132.1 -70.6 132 -70.8 132.2 -70.9 132.1 -71 131.2 -71.3 130.7 -71.2 130.6 -71.6 130.2 -71.8 130.3 -72.4 130.2 -73.1 128.4 -73.7 125 -74.1 123 -74.2 122.4 -74 122.6 -73.3 121.1 -73.1 118.9 -73.7 115.6 -73.9 114 -73.8 113.6 -74 114.2 -74.4 113.6 -74.9 110.5 -74.3 111.9 -74.1 111.9 -74 110.8 -73.7 111.3 -73.6 110.1 -73.4 110.6 -73.3 110.4 -73.2 110.9 -73.2 110.7 -73 110.9 -72.9 110.6 -72.9 110.7 -72.8 111.3 -72.5 111 -72.4 112 -72.1 112 -71.4 112.7 -71.2 112.2 -71 110.1 -70.6 110.1 -70.5 110.3 -70.4 109.3 -70.2 109.5 -70 109.3 -69.8 108.2 -69.9 108 -69.7 106.2 -69.4 106.9 -68.9 106.8 -67.3ZM115.2 -74.3L115.3 -74.2 115.5 -74.1 116.1 -74.1 116.8 -74.2 116.9 -74.3 116.9 -74.4 116.6 -74.5 116 -74.6 115.5 -74.5ZM134.7 -75.4L135.1 -75.2 136.2 -75.2 137.6 -74.6 138.7 -74.5 139.4 -74.1 139.5 -74 139.1 -73.4 139.7 -73 140.8 -73.1 144.4 -72.9 144.3 -73.4 144 -73.6 141.8 -74.3 143 -74.6 144.4 -74.7 145.5 -75.1 148.4 -74.6 151.1 -74.7 151.7 -75.1 151.5 -75.3 146.7 -75.8 145.8 -75.7 140.6 -76.5 138.1 -76.3 137 -76.1 136.6 -75.9 136.1 -76.1 135.2 -76 134.9 -75.9ZM134.7 -74.2L134.8 -74.1 135.8 -73.7 136.5 -73.7 137 -73.8 137 -73.9 136.9 -74.1 136 -74.4 135.2 -74.4 134.8 -74.4ZM147.6 -76.6L147.7 -76.5 148.1 -76.5 149.3 -76.4 149.8 -76.5 150.4 -76.7 150.3 -76.8 150.1 -76.9 149.4 -77 148.3 -76.9 147.8 -76.8ZM151.6 -75.7L151.8 -75.6 152.3 -75.5 153.1 -75.6 153.3 -75.7 152.9 -75.9 153.6 -76 153.7 -76.2 153.6 -76.3 152.8 -76.4 152 -76.3 151.7 -76.2 151.7 -76.1 152.3 -75.9 151.8 -75.8ZM155.6 -77.1L155.8 -77 156.3 -76.9 157.1 -76.9 157.5 -77 157.5 -77.2 157.4 -77.2 156.6 -77.3 155.9 -77.2 155.7 -77.2ZM157.2 -76.8L157.5 -76.6 158.1 -76.6 158.7 -76.6 159 -76.8 158.8 -76.9 158.1 -77 157.4 -76.9 157.2 -76.9Z"],
+  ["Asia/Yangon", "M92.2 -21.2L92.4 -20.6 92.3 -20.1 92.9 -19.7 93.3 -18.8 93.8 -18.2 94.1 -17.4 94 -15.6 97.6 -14.3 97.6 -12.5 97.2 -11.8 97.7 -9.6 98 -9.5 98.6 -9.9 98.8 -10.7 99.7 -11.8 99.4 -12.6 99.1 -13.1 99.2 -13.3 99.1 -13.9 98.6 -14.3 98.2 -15.1 98.3 -15.3 98.6 -15.3 98.6 -16 98.8 -16.1 98.9 -16.4 98.7 -16.3 98.5 -16.9 97.8 -17.7 97.6 -18.3 97.5 -18.3 97.3 -18.6 97.8 -18.6 97.7 -18.9 98 -19.8 98.2 -19.7 99 -19.8 99.1 -20.1 99.5 -20.1 99.5 -20.4 99.7 -20.3 100 -20.5 100.1 -20.4 100.3 -20.8 100.6 -20.9 100.5 -20.9 100.7 -21.3 101 -21.4 101.2 -21.6 101.1 -21.8 100.6 -21.5 100.2 -21.5 100.2 -21.7 99.9 -21.8 100 -22.1 99.2 -22.2 99.4 -22.5 99.3 -22.7 99.6 -22.9 99.5 -23.1 98.9 -23.2 98.9 -23.6 98.7 -23.8 98.9 -24.2 98.1 -24.1 97.6 -23.8 97.5 -23.9 97.8 -24.3 97.5 -24.4 97.5 -24.7 97.8 -24.8 97.7 -25.1 98.1 -25.4 98.2 -25.6 98.3 -25.5 98.5 -25.8 98.7 -25.9 98.6 -26.1 98.7 -26.1 98.8 -26.6 98.7 -27.6 98.4 -27.7 98.3 -27.5 98.1 -28.1 97.6 -28.5 97.3 -28.2 97.4 -27.9 96.9 -27.6 97.1 -27.1 96.7 -27.4 96.2 -27.3 95.1 -26.6 95.2 -26.1 94.6 -25.4 94.6 -25.2 94.7 -25 94.2 -23.8 93.3 -24.1 93.4 -23.1 93.1 -23.1 93.1 -22.8 93.2 -22.3 92.9 -21.9 92.7 -22.2 92.7 -21.3 92.4 -21.5ZM93 -14L93 -13.9 93.1 -13.8 93.2 -13.8 93.3 -13.8 93.5 -14 93.6 -14.1 93.6 -14.2 93.5 -14.4 93.3 -14.4 93 -14.1ZM93.3 -14.8L93.4 -14.6 93.6 -14.6 93.8 -14.7 93.9 -14.9 93.8 -15 93.8 -15.1 93.6 -15.1 93.4 -15Z"],
+  ["Asia/Yekaterinburg", "M50.8 -51.8L51.4 -51.6 51.2 -51.6 51.4 -51.5 51.7 -51.5 51.9 -51.7 52.4 -51.8 52.6 -51.5 53.4 -51.5 53.7 -51.2 54.5 -50.9 54.4 -50.6 54.5 -50.5 54.7 -50.6 54.7 -50.9 54.5 -50.9 54.7 -51 55.7 -50.5 56.5 -51.1 56.7 -51 56.7 -51.1 57.2 -51.1 57.5 -50.9 57.8 -50.9 57.8 -51.1 58.3 -51.2 58.6 -51 58.7 -50.8 59.5 -50.6 59.5 -50.5 59.8 -50.5 60 -50.8 60.8 -50.7 61.4 -50.8 61.7 -51.3 61.5 -51.4 60.4 -51.6 60.5 -51.8 60 -52 61.1 -52.3 60.7 -52.7 61 -53 62.1 -53 61.7 -53.3 61.2 -53.3 61.3 -53.5 61.6 -53.5 60.9 -53.6 61.2 -53.8 61 -54 61.3 -53.9 61.4 -54.1 61.9 -53.9 62.4 -54 62.5 -53.9 62.6 -54.1 63.2 -54.2 65 -54.4 65.2 -54.3 65.2 -54.5 65.5 -54.7 68.2 -55 68.3 -55.1 68.2 -55.2 68.6 -55.2 68.7 -55.4 69 -55.3 68.9 -55.4 70.2 -55.1 70.8 -55.6 70.6 -55.8 70.8 -55.8 70.5 -55.9 70.9 -56 70.7 -56.3 70.9 -56.4 70.7 -56.4 71.1 -56.5 71 -56.7 71.7 -56.8 71 -57.4 70.7 -57.2 70.4 -57.3 70.7 -57.6 70.4 -57.9 70.9 -58.5 71.3 -58.4 71.2 -58.1 72.8 -58 73.1 -58.2 74.2 -58.1 74.6 -58.3 75.7 -59 75.6 -59.2 75.9 -59.4 76.7 -59.6 76.7 -60.1 76.9 -60.3 76.8 -60.4 77.1 -60.5 77 -60.6 77.1 -60.9 78 -60.7 79.2 -60.8 79.4 -60.6 80.7 -60.8 82.2 -60.5 83.2 -61 84.3 -60.9 85.7 -61.3 86 -61.5 84.7 -61.8 84.4 -62.2 85.5 -63 85.5 -63.2 85.7 -63.4 85 -63.6 86 -64 85.8 -64.8 84.3 -64.9 84.6 -65.3 84.5 -65.5 84 -65.8 83.5 -65.8 83.6 -65.9 83.3 -66 83.5 -66.2 83.1 -66.5 83.3 -66.7 82.1 -67.2 82.4 -67.3 82.2 -67.4 82.4 -67.5 81.7 -67.9 82.4 -67.9 82.3 -68.1 82.7 -68.3 82.6 -68.6 82.9 -68.7 82.3 -69 82.5 -69.2 81.8 -69.2 82 -69.4 81.7 -69.5 81.6 -69.3 81 -69.2 79.8 -69.3 79.5 -69.7 79 -69.7 79.2 -69.7 78.9 -69.9 79.4 -70 79.3 -70.1 80.2 -70.4 80.9 -70.4 80.6 -70.5 80.8 -70.6 80.6 -70.7 80.6 -71 79.1 -71.4 79.3 -71.6 80 -71.6 80.2 -71.7 80 -71.8 80.4 -71.9 78.6 -72.2 78.7 -72.2 78.4 -72.3 78.6 -72.5 78.1 -72.7 77.8 -73 77.7 -73.6 75.5 -73.7 73.9 -73.3 72.2 -73.3 71 -73.7 69.5 -73.5 68.4 -72.7 67.8 -71.8 66.5 -71.4 66 -71 65.8 -70.6 66.4 -70.1 65 -69.6 65.1 -69.2 64.5 -69 64.6 -68.9 65.3 -68.8 65.7 -68.6 65.3 -68.2 65.3 -68 66.1 -67.9 66 -67.8 66.2 -67.7 65.8 -67.6 66.1 -67.6 66 -67.4 65.2 -67.2 65.1 -66.9 63.4 -66.5 63.3 -66.2 62.8 -66 62.8 -65.9 61.9 -65.7 60.9 -65 60.6 -64.9 60.2 -65.1 59.6 -64.8 59.8 -64.7 59.5 -64.5 59.6 -64.4 59.6 -64.2 59.8 -64.1 59.6 -63.9 59.2 -63 59.5 -62.9 59.4 -62.6 59.6 -62.5 59.4 -62.2 59.5 -61.9 59.3 -61.7 58.8 -61.5 56.7 -61.5 56.4 -61.4 56.3 -61.2 55.3 -61.1 55 -60.9 53.9 -61 53.7 -60.8 53.4 -60.9 53.4 -61 52.9 -61.1 52.8 -60.9 52.4 -61 52.4 -60.8 51.9 -60.9 51.8 -60.6 52.4 -60.4 52.3 -60.2 53.4 -60.2 53.6 -60.1 53.6 -59.7 53.5 -59.7 53.2 -59.3 53.4 -59.2 53.9 -59.1 53.8 -59 53.9 -58.8 53.7 -58.6 53.9 -58.3 53.8 -58.2 54.1 -58 54.1 -57.6 54 -57.6 54.3 -57.5 54.1 -57.3 54.3 -57.3 54.4 -57 54.2 -57 54 -56.8 53.8 -56.8 53.8 -56.6 54.1 -56.6 54.4 -56.3 53.7 -56 54.3 -55.7 53.9 -55.4 53.2 -55.2 53.6 -54.9 53.4 -54.4 53.5 -54.1 53.1 -54.1 52.9 -54.2 53.1 -54.2 53.1 -54.4 52.3 -54.3 52.3 -54.1 52.5 -54.1 52.1 -53.6 52.2 -53.1 51.7 -52.9 51.7 -52.7 51.5 -52.6 51.5 -52.4 51.4 -52.4 51.4 -52.1ZM52.2 -53.3L52.2 -53.4 52.3 -53.4 52.3 -53.3 52.2 -53.3ZM53.8 -56.6L53.9 -56.6 54 -56.6 54 -56.7 54.1 -56.7 54.1 -56.6 54 -56.6 53.9 -56.6Z"],
+  ["Asia/Yerevan", "M43.4 -41.1L43.7 -40.7 43.5 -40.5 43.7 -40.1 44.5 -39.9 44.8 -39.7 45.1 -39.8 45.2 -39.6 45.5 -39.5 45.8 -39.6 46.1 -38.8 46.5 -38.9 46.4 -39.2 46.6 -39.2 46.4 -39.4 46.6 -39.6 46.2 -39.6 45.6 -40 45.8 -40 46 -40.2 45.4 -40.5 45.4 -40.7 45.6 -40.9 45.1 -41.1 45.2 -41.2 45 -41.3Z"],
+  ["Atlantic/Azores", "M-31.6 -39.4L-31.5 -39.2 -31.3 -39.1 -31 -39.2 -30.9 -39.4 -30.9 -39.8 -31 -39.9 -31.1 -39.9 -31.3 -39.9ZM-29.1 -38.6L-28.9 -38.4 -28.5 -38.2 -27.9 -38.2 -27.5 -38.5 -27 -38.4 -26.8 -38.6 -26.8 -38.8 -27 -38.9 -27.2 -39 -27.5 -38.9 -27.6 -38.7 -27.9 -38.8 -27.7 -38.9 -27.7 -39.2 -28.1 -39.3 -28.3 -39.2 -28.3 -39 -29 -38.8ZM-26.1 -37.8L-25.4 -36.8 -25.2 -36.7 -24.9 -36.8 -24.5 -37.2 -24.5 -37.3 -25.1 -38 -25.9 -38.1Z"],
+  ["Atlantic/Bermuda", "M-65.1 -32.3L-65 -32.1 -64.9 -32 -64.7 -32.1 -64.5 -32.2 -64.4 -32.3 -64.4 -32.4 -64.5 -32.5 -64.6 -32.6 -64.8 -32.6 -65 -32.5 -65.1 -32.4Z"],
+  ["Atlantic/Canary", "M-18.4 -27.7L-18.3 -27.5 -17.9 -27.4 -17.8 -27.6 -17.7 -27.8 -17.7 -27.9 -17.8 -28 -18 -28 -18.3 -27.9ZM-18.2 -28.8L-18.1 -28.4 -18 -28.3 -17.8 -28.3 -17.6 -28.4 -17.5 -28.7 -17.7 -29 -18 -29 -18.2 -28.9ZM-17.6 -28.1L-17.3 -27.8 -17.1 -27.8 -16.9 -27.9 -16.7 -27.8 -16.4 -27.8 -16.2 -28.1 -15.9 -28.5 -15.9 -28.7 -16.1 -28.8 -16.4 -28.8 -17 -28.5 -17.1 -28.4 -17.4 -28.4ZM-16.1 -27.9L-16 -27.7 -15.7 -27.5 -15.5 -27.5 -15.2 -27.7 -15.1 -27.9 -15.2 -28.2 -15.4 -28.4 -15.9 -28.3 -16 -28.1ZM-14.7 -28.1L-14.6 -27.9 -14.3 -27.8 -13.8 -28.1 -13.3 -28.8 -13.1 -29.3 -13.3 -29.5 -13.3 -29.8 -13.7 -29.9 -14.4 -28.5 -14.7 -28.2Z"],
+  ["Atlantic/Cape_Verde", "M-25.6 -17L-25.4 -16.7 -24.6 -16.4 -25 -14.9 -24.9 -14.7 -23.5 -14.7 -22.9 -15.1 -22.5 -16.2 -22.8 -17 -24.3 -16.9 -25.1 -17.4 -25.5 -17.3Z"],
+  ["Atlantic/Faroe", "M-8.1 -62.1L-7 -61.2 -6.6 -61.1 -6.3 -61.3 -5.8 -62.4 -6.1 -62.5 -6.9 -62.6 -7.5 -62.5Z"],
+  ["Atlantic/Madeira", "M-17.5 -32.8L-17.4 -32.6 -17.2 -32.5 -16.4 -32.2 -16.3 -32.3 -16.2 -32.4 -16.4 -32.8 -16.1 -32.9 -16 -33 -16.1 -33.3 -16.3 -33.3 -16.6 -33.2 -16.6 -32.9 -17.2 -33.1 -17.4 -33ZM-16.3 -30L-16.2 -29.9 -16 -29.8 -15.7 -30 -15.6 -30.2 -15.7 -30.3 -15.9 -30.4 -16.2 -30.2Z"],
+  ["Atlantic/Reykjavik", "M-25 -65.5L-23.7 -63.6 -20.7 -63.1 -18.6 -63.2 -17.3 -63.5 -16.4 -63.6 -13.6 -64.5 -13 -64.4 -12.8 -64.6 -13.2 -64.8 -13 -65.1 -13.1 -65.6 -14.1 -66.5 -15.9 -66.7 -16.7 -66.7 -17.5 -66.4 -17.5 -66.6 -17.6 -66.7 -18.2 -66.8 -18.5 -66.6 -18.3 -66.4 -20.1 -66.3 -23.1 -66.7 -24.2 -66.2ZM-19.2 -67.2L-19 -67 -18.7 -66.9 -18.3 -67 -18.2 -67.1 -18.2 -67.2 -18.3 -67.3 -18.7 -67.4 -19 -67.3 -19.2 -67.2Z"],
+  ["Atlantic/South_Georgia", "M-42.4 53.5L-42.2 53.7 -41.8 53.8 -41.6 53.8 -41.4 53.6 -41.5 53.5 -42 53.4 -42.2 53.4ZM-38.6 54L-38.5 54.2 -38 54.3 -36.2 55.1 -35.5 55 -35.4 54.6 -36 54.2 -36.5 53.9 -37.5 53.8 -38.4 53.8ZM-35.1 55L-35 55.2 -34.7 55.2 -34.4 55.2 -34.3 55.1 -34.3 55 -34.4 54.9 -34.6 54.8 -35 54.9 -35.1 55ZM-28.5 56.7L-28.4 56.8 -28.1 56.9 -27.8 56.8 -27.7 56.7 -27.8 56.5 -28.1 56.5 -28.4 56.5ZM-28 56.3L-27.9 56.4 -27.9 56.5 -27.6 56.5 -27.3 56.5 -27.2 56.4 -27.2 56.3 -27.2 56.2 -27.3 56.1 -27.6 56.1 -27.8 56.1ZM-27.8 59.4L-27.8 59.5 -27.6 59.6 -27.1 59.7 -26.8 59.6 -26.7 59.5 -26.7 59.4 -26.8 59.3 -27.1 59.2 -27.6 59.3 -27.7 59.3ZM-27.6 56.7L-27.6 56.8 -27.5 56.9 -27.2 56.9 -26.9 56.9 -26.8 56.8 -26.8 56.7 -26.9 56.5 -27.2 56.5 -27.5 56.6ZM-27.2 57.1L-27.2 57.2 -27.1 57.3 -26.8 57.3 -26.4 57.2 -26.3 57.2 -26.3 57.1 -26.5 56.9 -26.8 56.9 -27.1 57ZM-27.1 59L-27.1 59.1 -26.9 59.2 -26.5 59.3 -26.2 59.2 -26.1 59.1 -26.1 59 -26.3 58.8 -26.6 58.8 -27 58.9ZM-26.9 57.8L-26.8 58 -26.5 58 -26.1 57.9 -26 57.9 -26 57.8 -26.1 57.7 -26.2 57.6 -26.5 57.6 -26.8 57.6 -26.9 57.7ZM-26.9 58.4L-26.8 58.5 -26.7 58.6 -26.3 58.7 -26 58.6 -25.9 58.6 -25.9 58.5 -25.9 58.4 -26 58.3 -26.3 58.2 -26.7 58.3 -26.8 58.3Z"],
+  ["Atlantic/St_Helena", "M-14.6 7.9L-14.6 8.1 -14.4 8.2 -14.2 8.1 -14.1 7.9 -14.2 7.8 -14.4 7.7 -14.5 7.8ZM-13 37.3L-12.9 37.5 -12.6 37.6 -12.4 37.6 -12.3 37.6 -12.2 37.4 -12 37.2 -12 37.1 -12 37 -12.3 36.9 -12.5 36.9 -12.6 37.1 -12.9 37.1ZM-10.3 40.3L-10.2 40.5 -9.9 40.6 -9.7 40.5 -9.6 40.4 -9.6 40.3 -9.7 40.1 -10 40.1 -10.2 40.1ZM-6 16L-6 16.1 -5.9 16.2 -5.7 16.2 -5.5 16.1 -5.4 16 -5.5 15.8 -5.7 15.7 -5.9 15.8Z"],
+  ["Atlantic/Stanley", "M-61.8 51L-61.6 51.2 -61.7 51.9 -61.2 52.3 -59.8 52.6 -58.7 52.6 -57.5 51.8 -57.4 51.5 -57.8 51.2 -58.9 51 -61.4 50.8ZM-59.5 52.9L-59.5 53 -59.2 53.1 -59 53.1 -58.9 52.9 -58.9 52.8 -59.2 52.7 -59.4 52.8Z"],
+  ["Australia/Adelaide", "M129 31.7L129 31.9 131.2 31.7 131.7 31.9 132 32.3 132.9 32.3 133 32.8 133.8 32.9 134.3 33.5 134.1 33.7 134.1 34.2 134.3 34.2 134.5 34 134.9 33.9 135 34.4 134.6 34.5 134.5 34.9 135.3 34.9 136.5 36.2 137 36.3 137.1 36.6 137.4 36.5 137.8 36.1 138.1 36.1 138.7 35.8 139.1 36 139.6 36.6 139.3 37 139.7 37.5 140.3 38.1 141 38.3 141 26 129 26Z"],
+  ["Australia/Brisbane", "M138 16.5L138 26 141 26 141 29 149 29 149.5 28.6 150.3 28.5 151.1 28.8 151.4 29.2 151.7 28.9 152 28.9 152 28.5 152.5 28.3 153.1 28.4 153.8 28.1 153.7 26.9 153.4 26.7 153.3 26.3 153.4 25.9 153.3 25.7 153.6 25 153.5 24.6 153.3 24.5 152.4 24.5 151.9 23.8 151.6 23.8 151.9 23.7 152.7 24.3 152.9 24.2 152.9 24 152.6 23.9 152 23 151.6 23.1 151.5 23.4 150.9 22.3 150.9 21.9 150.4 21.3 150.4 20.9 149.4 20.5 149 20.6 148.5 19.6 148 19.7 147.5 19.1 147 19 147 18.8 147.3 18.7 147.4 18.5 146.7 17.5 146.3 17.5 146.5 17.3 146.6 16.8 145.8 15.8 145.9 14.6 145.6 14.3 144.7 13.7 144.5 13.7 144.2 13.3 144 12.6 144.3 11.8 144.3 11.1 144 11 143.5 11.4 143.5 11.3 143.5 11.1 143.9 10.8 143.7 10.3 144.1 10.3 144.4 9.9 144.3 9.5 143.5 9.4 143 9.7 141.9 9.9 141.7 10.6 141.9 11.3 141.4 12.5 141.4 13.2 141.3 13.9 141.4 15 141.2 16.1 140.7 17.2 140.5 17.1 140.6 17.3 140.3 17.5 139.8 17.3 140.1 16.6 139.9 16.3 139.3 16 139.1 16.1 138.9 16.6 138.1 16.4ZM141.4 9.8L141.4 9.9 141.5 9.9 141.5 9.8 141.4 9.8ZM141.5 9.5L141.5 9.6 141.5 9.7 141.6 9.7 141.6 9.6 141.7 9.5 141.6 9.5 141.6 9.4 141.5 9.5ZM142.1 9.3L142.2 9.3 142.3 9.3 142.3 9.2 142.2 9.2 142.1 9.2ZM142.1 9.5L142.1 9.6 142.2 9.6 142.3 9.6 142.4 9.6 142.3 9.5 142.2 9.5 142.1 9.5ZM142.5 9.4L142.5 9.5 142.6 9.5 142.7 9.5 142.8 9.5 142.8 9.4 142.8 9.3 142.6 9.4 142.5 9.4ZM144.1 9.4L144.2 9.4 144.2 9.5 144.3 9.5 144.3 9.4 144.3 9.3 144.2 9.3 144.1 9.3ZM147.6 16.5L147.6 16.6 147.7 16.7 148 16.7 148.2 16.6 148.3 16.4 148.2 16.2 147.8 16.2 147.7 16.3ZM148.1 17.6L148.1 17.8 148.2 17.9 148.4 18.1 148.6 18.1 148.7 18 148.8 17.8 148.8 17.5 148.6 17.3 148.2 17.4 148.2 17.5ZM148.9 17L149 17.2 149.2 17.2 149.3 17.2 149.4 17 149.4 16.8 149.2 16.7 149.1 16.7 149 16.8ZM149.1 19.7L149.2 19.9 149.6 20.1 149.9 19.9 150 19.6 149.9 19.4 149.6 19.3 149.3 19.4ZM149.4 15.7L149.5 15.9 149.6 15.9 149.8 15.9 149.8 15.7 149.8 15.6 149.6 15.5 149.5 15.6ZM149.7 17L149.8 17.1 149.9 17.2 150.2 17.1 150.2 17 150.2 16.9 150.1 16.8 150 16.7 149.8 16.8ZM149.8 16.3L149.8 16.5 149.9 16.5 150.1 16.5 150.1 16.7 150.2 16.8 150.3 16.8 150.5 16.8 150.6 16.6 150.5 16.4 150.3 16.3 150.2 16.3 150.2 16.2 150.2 16.1 150.1 16 150 15.9 149.8 16ZM150.6 17.4L150.6 17.7 150.7 17.8 150.9 17.8 151 17.7 151.1 17.6 151.2 17.8 151.4 17.9 152.1 17.5 152.3 17.3 152.4 17.1 152.3 17 151.9 16.9 151.4 17.2 151.3 17.4 151.1 17.2 150.8 17.2 150.6 17.3ZM151 21.8L151.1 22 151.3 22 151.4 21.9 151.5 21.9 151.5 21.8 151.4 21.7 151.2 21.6 151.1 21.7ZM151.4 21.3L151.6 21.6 152 21.6 152.1 22.1 152.5 22.6 152.9 22.4 152.9 21.9 152.8 21.6 152.8 21 152.7 20.8 152.2 20.7 151.9 20.8 151.8 20.9 151.6 20.9 151.5 21ZM151.9 19.2L152.1 19.4 152.3 19.5 152.5 19.4 152.6 19.3 152.6 19 152.6 18.9 152.4 18.8 152.2 18.7 152 18.9ZM153.3 21.9L153.3 22 153.4 22.1 153.6 22.1 153.8 22 154 21.8 153.9 21.5 153.7 21.5 153.6 21.5 153.5 21.6 153.4 21.7ZM154.1 21L154.2 21.2 154.4 21.2 154.5 21.2 154.6 21 154.6 20.8 154.5 20.7 154.4 20.7 154.2 20.8ZM154.9 22.2L155 22.3 155.3 22.4 155.6 22.3 155.7 22.3 155.7 22.2 155.6 22 155.4 22 155.1 22 155 22.1ZM155.3 23.3L155.4 23.4 155.6 23.5 155.7 23.4 155.8 23.2 155.7 23.1 155.6 23 155.4 23.1ZM155.5 21.3L155.5 21.4 155.6 21.5 155.8 21.5 156 21.3 156 21.1 155.9 20.9 155.7 20.9 155.5 21ZM155.6 17.4L155.7 17.5 155.8 17.6 156 17.6 156.1 17.4 156.1 17.3 156 17.2 155.9 17.1 155.7 17.2Z"],
+  ["Australia/Broken_Hill", "M141 31.6L141 32.2 141.1 32.2 141.2 32.2 141.3 32.3 141.9 32.3 141.9 32.2 141.9 32.1 141.9 32 142 32 142 31.6 141.7 31.6 141.5 31.6Z"],
+  ["Australia/Darwin", "M129 14.9L129 26 138 26 138 16.5 138.1 16.4 137.9 16.1 137.3 15.8 137.1 15.3 136.3 15.2 135.9 14.8 136.1 14.4 137 14.7 137.2 14.3 137.2 13.6 136.9 13 137.2 12.4 136.9 10.8 136.6 10.8 136.3 11.3 135.8 11.5 135.6 11.7 135.2 11.4 134.9 11.7 134.5 11.8 134 11.6 133.7 11.5 133.5 11.3 133.2 11.4 133.2 10.9 133.1 10.7 130.8 11.1 130.2 10.9 129.8 11.8 130.1 12.7 129.5 13.7 129.2 13.8 129.2 14.1Z"],
+  ["Australia/Eucla", "M125.5 32.8L126 32.5 127.4 32.5 129 31.9 129 31.3 125.5 31.3Z"],
+  ["Australia/Hobart", "M143.6 39.7L143.7 40.2 144.4 40.7 144.3 41 144.5 41.5 145 42.1 145 42.6 145.3 43.1 145.9 43.7 146.3 43.9 146.7 43.8 146.9 44.1 148.3 43.3 148.6 42.4 148.6 41 148.5 40.7 148.8 40.4 148.6 39.9 148.3 39.7 148.2 39.5 147.3 39.2 146 39.2 146.5 39.7 146.9 39.6 147.1 40 147.4 40 147.8 40.6 146.3 41 145.5 40.6 145.1 40.2 144.4 40.3 144.4 39.8 144.1 39.4 143.7 39.4Z"],
+  ["Australia/Lindeman", "M148.7 19.8L149 20.6 149.2 20.6 149.4 20.5 149.4 20.2 149.3 20.1 149.1 19.9Z"],
+  ["Australia/Lord_Howe", "M158.8 31.5L158.9 31.7 159.2 32 159.4 31.9 159.5 31.9 159.5 31.8 159.4 31.6 159.3 31.4 159.2 31.3 158.9 31.3 158.8 31.4Z"],
+  ["Australia/Melbourne", "M141 35.8L141 38.3 141.2 38.5 142.3 38.6 143.5 39.1 144.5 38.5 144.8 38.7 145.6 38.9 146 39.2 147.3 39.2 146.9 38.9 147.9 38.2 149.6 38 150.2 37.6 148.1 36.8 148.2 36.6 147.9 36 147.4 35.9 146.9 36.1 145.1 35.8 145 35.9 145 36.1 144.6 36.1 143.4 35.2 143.3 34.8 142.8 34.5 142.6 34.8 142.2 34.2 141.7 34.1 141.5 34.2 141 34Z"],
+  ["Australia/Perth", "M112.7 25.6L113.1 26.5 113.9 27.5 114 28.2 114.7 29.2 114.8 30.6 115.5 31.8 115.2 32 115.4 32.2 115.4 33.2 115.3 33.4 115 33.3 114.8 33.5 114.8 34.3 114.9 34.5 115.5 34.6 116.1 35.2 117.9 35.4 118.6 35.1 119 34.7 119.8 34.5 119.8 34.3 120.1 34.2 120.9 34.3 121.3 34.1 122 34.7 122.9 34.3 123.6 34.6 124.4 33.9 124.2 33.5 124.4 33.2 125.5 32.8 125.5 31.3 129 31.3 129 20 129.1 14.4 128.8 14.4 128.6 14.5 128 14.3 127.4 13.6 126.9 13.5 126.3 13.5 125.9 13.2 125.6 13.5 125.6 13.7 124.7 14.3 124.6 14.7 124.1 15 123.8 15.4 123.8 15.2 123.6 15.1 122.9 15.3 122.9 15.6 123.3 15.8 122.4 16.7 121.9 16.7 122 17.1 121.9 18.2 121.5 18.4 121.3 19 120.9 19.4 119.6 19.8 119.3 19.7 119.3 19.5 119 19.4 118.6 20.1 117.4 20.5 116.9 20.2 116.5 20.3 115.2 20.1 115.1 20.9 114.6 21.3 113.7 21.8 113.4 22.6 113.6 23.4 113.3 23.8 113.2 24.4 112.9 24.7ZM113.3 28.3L113.5 28.8 113.7 29.1 114 29.2 114.2 29.1 114.3 28.8 114 28.3 113.6 28.1 113.4 28.1ZM115 86L160 86 160 70 115 70ZM118.7 17.6L118.8 17.8 119 17.9 119.1 17.7 119.2 17.5 119.3 17.6 119.4 17.6 119.5 17.5 119.6 17.4 119.5 17.1 119.3 17.1 119.1 17.2 119.1 17.4 119 17.3 118.8 17.3ZM121.5 14.1L121.6 14.3 121.7 14.4 121.8 14.4 122 14.4 122.2 14.2 122.1 13.9 122.2 13.8 122.3 13.6 122.2 13.5 122 13.4 121.9 13.4 121.6 14ZM123.3 14.1L123.4 14.3 123.5 14.3 123.7 14.3 123.8 14.1 123.7 14 123.6 13.9 123.4 14Z"],
+  ["Australia/Sydney", "M141 29L141 31.6 142 31.6 142 31.8 141.9 32 141.9 32.3 141 32.2 141 34 141.5 34.2 142 34.1 142.4 34.3 142.5 34.8 142.8 34.5 143.3 34.8 143.4 35.2 144.6 36.1 145 36.1 145 35.8 145.5 35.8 146.2 36 147.9 36 148.2 36.6 148.1 36.8 150.2 37.6 150.3 37.3 150.2 36.9 150.5 36.3 150.4 36 151.1 35.1 151.2 34.4 151.5 34.1 152 33.1 152.8 32.6 152.8 32.1 153.2 31.5 153.3 31 153.3 30.6 153.6 30 153.6 29.3 153.8 28.9 153.8 28.1 153.1 28.4 152.5 28.3 152 28.5 152 28.9 151.7 28.9 151.4 29.2 151 28.7 150.3 28.5 149.5 28.6 149 29Z"],
+  ["Etc/UTC", "M-17 86L-5.5 86 -5.5 69 -11 70 -17 71Z"],
+  ["Europe/Amsterdam", "M3.1 -51.6L3.4 -51.2 3.9 -51.2 4.5 -51.5 5 -51.5 5.2 -51.3 5.9 -51.1 5.7 -50.8 6 -50.8 6.1 -50.9 5.9 -51.1 6.2 -51.2 6.1 -51.2 6.2 -51.5 5.9 -51.8 6.8 -52 6.7 -52.1 7.1 -52.2 7.1 -52.4 6.7 -52.6 7.1 -52.6 7.2 -53 7.2 -53.3 6.4 -53.7 5.4 -53.7 4.6 -53.4 4.2 -52.4Z"],
+  ["Europe/Andorra", "M1.4 -42.5L1.4 -42.4 1.5 -42.4 1.6 -42.4 1.6 -42.5 1.7 -42.5 1.7 -42.6 1.8 -42.6 1.7 -42.6 1.6 -42.6 1.5 -42.7 1.5 -42.6 1.4 -42.6 1.4 -42.5 1.5 -42.5Z"],
+  ["Europe/Astrakhan", "M45 -48.3L45.8 -48 45.7 -47.8 46.3 -47.4 46.9 -47.5 46.5 -47.4 47 -47 47 -46.4 46.4 -46.3 46.5 -46 46.3 -45.9 46.8 -45.6 47.5 -45.7 47.6 -45.4 48.3 -45 48.1 -45.3 48.2 -45.5 48.8 -45.4 49.1 -45.7 49.9 -46 48.5 -46.6 48.5 -46.7 49 -46.7 48.5 -47.4 48.1 -47.7 47.2 -47.8 47 -48 47.2 -48.1 47.1 -48.3 46.5 -48.4 46.6 -48.7 46 -48.9 45.5 -48.6 45.2 -48.6 45.4 -48.5 45.1 -48.5ZM46.4 -45.5L46.6 -45.4 46.6 -45.5 46.8 -45.5 46.9 -45.5 46.8 -45.5 46.7 -45.5 46.6 -45.5 46.5 -45.5Z"],
+  ["Europe/Athens", "M19.1 -39.9L20.1 -39 20.4 -39 20.1 -38.1 20.7 -37.5 21.4 -37.4 21.3 -37 21.5 -36.6 21.9 -36.5 22.1 -36.6 22.2 -36.4 22.5 -36.2 22.7 -36.3 22.8 -36.6 22.8 -36.2 23 -36 23.2 -36.1 23.1 -36.3 23.3 -36.5 22.9 -37.4 23.1 -37.1 23.5 -37.2 23.7 -37.3 23.7 -37.7 23.9 -37.6 23.8 -37.5 23.9 -37.4 24 -37.4 23.9 -37.6 24.2 -37.6 24.3 -37.1 24.6 -36.9 24.1 -36.9 24.1 -36.5 24.7 -36.7 24.9 -36.9 25.3 -36.9 24.8 -36.7 24.9 -36.5 25.4 -36.6 25.6 -36.8 25.7 -36.5 25.8 -36.7 26.6 -37 26.4 -37.1 25.8 -36.9 26 -37.2 25.9 -37.3 25.7 -37.2 25 -37.3 24.9 -37 24.7 -37.1 24.5 -37.7 24.3 -37.7 24.1 -38 24.8 -37.7 24.6 -37.6 24.8 -37.5 24.8 -37.3 25.6 -37.3 25.7 -37.5 25.1 -37.7 24.7 -38.2 24.4 -38.3 24.3 -38.7 23.5 -38.9 23.5 -39 24.2 -39 24.1 -39.2 24.4 -39.4 24.2 -39.6 23.8 -39.2 23.4 -39.3 22.7 -40.1 22.8 -40.4 23.2 -40.2 23.3 -39.9 23.7 -39.8 24.1 -39.9 24 -40.2 24.3 -40 24.5 -40.1 23.8 -40.7 24.1 -40.7 24.5 -40.9 24.4 -40.6 24.6 -40.5 25.1 -40.9 26.1 -40.7 26.4 -40.9 26.3 -41.3 26.6 -41.3 26.5 -41.7 26.2 -41.7 26.1 -41.4 25.3 -41.2 24.5 -41.6 24.1 -41.6 22.8 -41.3 22.7 -41.1 22.1 -41.2 21.6 -40.9 21 -40.9 21 -40.6 20.8 -40.4 20.7 -40.1 20.3 -40 20.4 -39.8 20.2 -39.6 20 -39.6 20 -39.8 19.5 -40 19.3 -40ZM20.7 -37.3L20.8 -37.1 21 -37 21.2 -37.1 21.3 -37.2 21.3 -37.3 21.2 -37.4 21 -37.5 20.8 -37.4ZM23.1 -36L23.1 -35.9 23.3 -35.8 23.3 -35.7 23.4 -35.8 23.4 -35.9 23.3 -36 23.3 -36.1 23.2 -36.1 23.1 -36ZM23.4 -36.9L23.5 -36.8 23.6 -36.9 23.5 -37 23.4 -37ZM23.4 -35.6L23.5 -35.5 23.5 -35.2 24.5 -35.1 24.5 -35 24.7 -34.8 25.6 -34.9 25.7 -34.8 25.9 -34.9 26.1 -34.8 26.4 -35.1 26.4 -35.3 26.2 -35.5 25.9 -35.3 25.8 -35.4 25.5 -35.4 25.2 -35.5 24.4 -35.4 24.2 -35.7 23.9 -35.6 23.7 -35.8ZM23.5 -36.8L23.5 -36.7 23.6 -36.7 23.7 -36.7 23.7 -36.8 23.6 -36.9 23.5 -36.8ZM23.8 -36.8L23.9 -36.8 24 -36.8 24 -36.9 23.9 -36.9 23.8 -36.9ZM23.9 -34.9L24 -34.8 24.1 -34.7 24.2 -34.7 24.2 -34.8 24.2 -34.9 24.1 -35 24 -35 23.9 -35ZM24.2 -38.8L24.3 -38.8 24.6 -38.7 24.8 -38.7 24.8 -38.8 24.7 -38.9 24.7 -39 24.5 -39.1 24.4 -39.1 24.4 -38.9 24.3 -38.9ZM24.9 -39.5L24.9 -39.4 25 -39.4 25.1 -39.4 25.1 -39.5 25.2 -39.5 25.2 -39.6 25.1 -39.6 25 -39.6 24.9 -39.6ZM24.9 -40L25 -39.8 25.1 -39.7 25.4 -39.7 25.5 -39.8 25.5 -40 25.5 -40.1 25.3 -40.1 25.1 -40.1 25 -40ZM25.1 -36.2L25.2 -36.2 25.3 -36.1 25.3 -36.2 25.3 -36.3 25.4 -36.3 25.5 -36.3 25.6 -36.3 25.6 -36.4 25.5 -36.5 25.3 -36.6 25.3 -36.5 25.2 -36.5 25.3 -36.3 25.2 -36.3ZM25.2 -38.2L25.2 -38.1 25.3 -38.1 25.4 -38.1 25.4 -38.2 25.3 -38.2 25.2 -38.2ZM25.3 -40.5L25.4 -40.4 25.5 -40.3 25.6 -40.3 25.8 -40.4 25.8 -40.5 25.7 -40.6 25.6 -40.6 25.4 -40.5ZM25.4 -38.5L25.5 -38.4 25.6 -38.5 25.7 -38.5 25.7 -38.6 25.6 -38.7 25.5 -38.7 25.4 -38.6ZM25.5 -35.6L25.5 -35.5 25.6 -35.5 25.7 -35.6 25.6 -35.7 25.5 -35.7ZM25.6 -36.4L25.7 -36.3 25.8 -36.2 26 -36.2 26 -36.3 25.9 -36.4 25.8 -36.5 25.7 -36.5ZM25.7 -39.2L25.8 -39.1 26.1 -38.9 26.6 -38.9 26.7 -39 26.7 -39.1 26.6 -39.2 26.5 -39.3 26.4 -39.4 25.9 -39.4ZM25.7 -38.5L25.9 -38.4 25.8 -38.3 25.8 -38.2 26 -38 26.1 -38.1 26.2 -38.2 26.2 -38.3 26.2 -38.4 26.3 -38.5 26.3 -38.6 26 -38.7 25.8 -38.6ZM25.9 -37.5L26 -37.4 26.3 -37.5 26.4 -37.2 26.8 -37 26.8 -36.7 26.9 -36.6 26.9 -36.5 27.2 -36.5 27.2 -36.4 27.4 -36.3 27.4 -36.2 27.6 -36.1 27.7 -35.8 27.9 -35.8 28 -36 28.2 -36 28.3 -36.3 28.3 -36.5 28.2 -36.5 27.5 -36.3 27.5 -36.5 27.3 -36.6 27.2 -36.7 27.5 -36.9 27.1 -37 27.1 -37.1 27 -37.1 26.8 -37.5 26.6 -37.5 26.7 -37.6 26.9 -37.6 27.2 -37.8 27.1 -37.8 26.6 -37.9 26.5 -37.7 26 -37.7ZM26 -36.6L26.1 -36.5 26.1 -36.4 26.3 -36.4 26.5 -36.5 26.5 -36.4 26.7 -36.2 26.8 -36.2 26.8 -36.3 26.7 -36.5 26.6 -36.5 26.6 -36.6 26.4 -36.7 26.1 -36.6ZM26.1 -35.9L26.1 -35.8 26.2 -35.8 26.3 -35.8 26.3 -35.9 26.2 -35.9 26.1 -35.9ZM26.3 -36.1L26.3 -36 26.4 -35.9 26.4 -35.8 26.4 -35.7 26.5 -35.7 26.6 -35.8 26.6 -35.9 26.5 -36 26.5 -36.1 26.4 -36.2 26.3 -36.1ZM26.7 -35.9L26.8 -35.8 26.9 -35.8 26.9 -35.9 26.9 -36 26.8 -36 26.7 -35.9ZM26.7 -35.4L26.7 -35.3 26.8 -35.3 27.1 -35.3 27.2 -35.3 27.3 -35.5 27.3 -35.6 27.3 -35.8 27.3 -35.9 27.2 -36 27 -35.6 27 -35.5 26.8 -35.5ZM26.8 -37.5L26.9 -37.4 27 -37.3 27 -37.2 27.1 -37.2 27.2 -37.3 27.1 -37.4 27.1 -37.5 27 -37.6 26.9 -37.6 26.8 -37.5ZM27.6 -36.6L27.7 -36.5 27.8 -36.5 27.8 -36.4 27.9 -36.4 28 -36.5 27.9 -36.5 27.9 -36.6 27.9 -36.7 27.8 -36.7ZM29.4 -36.2L29.4 -36.1 29.5 -36.1 29.7 -36 29.6 -36.1 29.7 -36.1 29.6 -36.1 29.6 -36.2 29.5 -36.2 29.4 -36.2Z"],
+  ["Europe/Belgrade", "M18.8 -45.9L18.9 -45.6 19.1 -45.5 19 -45.4 19.4 -45.2 19.2 -45.2 19.1 -45 19.2 -45 19 -44.9 19.4 -44.9 19.1 -44.4 19.6 -44.1 19.2 -44 19.5 -43.7 19.2 -43.5 20.3 -42.9 20 -42.7 20.2 -42.3 20.5 -42.2 20.7 -41.9 20.8 -42.1 21.1 -42.2 21.3 -42.1 21.4 -42.3 22.5 -42.4 22.4 -42.8 22.7 -42.9 23 -43.2 22.5 -43.5 22.4 -43.8 22.7 -44.3 22.5 -44.5 22.8 -44.6 22.5 -44.7 22.1 -44.5 21.4 -44.8 21.6 -44.9 21.4 -45 21.5 -45.2 20.8 -45.5 20.8 -45.8 20.2 -46.2 19.6 -46.2Z"],
+  ["Europe/Berlin", "M5.9 -51.1L6.4 -50.5 6.1 -50.1 6.5 -49.8 6.4 -49.5 6.7 -49.2 7.4 -49.2 8.2 -49 7.8 -48.6 7.6 -48.1 7.5 -47.7 7.7 -47.5 8.6 -47.6 8.4 -47.7 8.6 -47.8 10 -47.5 10.2 -47.4 10.2 -47.3 10.4 -47.4 10.5 -47.6 11.3 -47.4 11.6 -47.6 12.2 -47.6 12.3 -47.7 12.8 -47.7 13 -47.5 13.1 -47.7 12.9 -47.7 13 -47.9 12.8 -48.1 13.3 -48.3 13.5 -48.6 13.7 -48.5 13.8 -48.7 13.2 -49.2 12.7 -49.4 12.4 -49.8 12.5 -49.9 12.1 -50.3 12.3 -50.2 12.5 -50.4 12.9 -50.4 14.4 -50.9 14.3 -51.1 14.8 -50.8 15 -51.3 14.6 -51.8 14.8 -52.1 14.5 -52.4 14.6 -52.6 14.1 -52.8 14.5 -53.3 14 -54.6 13.5 -54.9 11.6 -54.3 11.1 -54.6 10.7 -54.5 9.9 -54.8 9.3 -54.8 8 -55.1 7.9 -54.7 8.2 -54.3 7.6 -54.3 7.5 -54.1 7.7 -54 6.3 -53.7 7.2 -53.3 7.2 -53 7.1 -52.6 6.7 -52.6 7.1 -52.4 7.1 -52.2 6.7 -52.1 6.8 -52 5.9 -51.8 6.2 -51.4 6.1 -51.2 6.2 -51.2Z"],
+  ["Europe/Bratislava", "M16.8 -48.4L17.1 -48 17.7 -47.8 18.3 -47.7 18.8 -47.8 18.8 -48 19.5 -48.1 19.6 -48.3 20.1 -48.2 20.5 -48.5 21.4 -48.6 21.7 -48.3 22.1 -48.4 22.6 -49.1 21.3 -49.5 20.9 -49.3 20.3 -49.4 20.1 -49.2 19.8 -49.2 19.8 -49.4 19.5 -49.6 19.2 -49.4 18.6 -49.5 17.9 -48.9 17.1 -48.8Z"],
+  ["Europe/Brussels", "M2.4 -51.3L2.8 -50.7 3.2 -50.8 3.3 -50.5 3.6 -50.5 3.7 -50.3 4.2 -50.3 4.1 -50 4.7 -50 4.8 -50.2 4.9 -49.8 5.5 -49.5 5.8 -49.6 5.9 -49.7 5.7 -49.9 5.9 -50.1 6.4 -50.3 6.2 -50.5 6.3 -50.6 5.7 -50.8 5.8 -51.2 4.8 -51.5 3.9 -51.2 3.4 -51.2 3.1 -51.6Z"],
+  ["Europe/Bucharest", "M20.3 -46.1L20.8 -45.8 20.8 -45.5 21.5 -45.2 21.4 -45 21.6 -44.9 21.4 -44.8 22.1 -44.5 22.5 -44.7 22.8 -44.6 22.5 -44.5 23 -44.1 22.9 -43.8 25.4 -43.6 26.1 -44 27 -44.1 27.9 -44 28.2 -43.8 28.9 -43.7 29.1 -44.4 29.8 -44.7 30 -45.1 29.4 -45.4 28.7 -45.2 28.2 -45.5 28.1 -46 28.3 -46.6 28.1 -47 27.6 -47.3 27.2 -48 26.8 -48.3 26.3 -48.2 26.2 -48 25.2 -47.9 25 -47.7 24.6 -48 23.5 -48 23.2 -48.1 22 -47.5 21.2 -46.3Z"],
+  ["Europe/Budapest", "M16.1 -46.9L16.3 -46.8 16.5 -46.5 17.3 -45.9 17.9 -45.8 18.4 -45.7 19.6 -46.2 21.1 -46.2 22 -47.5 22.3 -47.8 22.8 -47.8 22.9 -48.1 22.2 -48.4 21.7 -48.3 21.4 -48.6 20.5 -48.5 20.3 -48.3 19.9 -48.1 19.6 -48.3 19.5 -48.1 18.8 -48 18.9 -47.8 18.7 -47.8 17.8 -47.7 17.2 -48 17 -47.9 17.1 -47.7 16.4 -47.7 16.7 -47.5 16.4 -47.4 16.5 -47Z"],
+  ["Europe/Chisinau", "M26.6 -48.3L27 -48.1 27.6 -47.3 28.1 -47 28.3 -46.6 28.1 -46.1 28.2 -45.5 28.5 -45.5 28.5 -45.7 29 -46 29 -46.5 30.2 -46.4 29.9 -46.5 30 -46.8 29.6 -47 29.6 -47.4 29.4 -47.3 29.2 -47.5 29.3 -47.9 29.2 -48 28.9 -48 28.6 -48.2 28.5 -48.1 28.4 -48.2 27.6 -48.5 26.7 -48.4 26.8 -48.3Z"],
+  ["Europe/Copenhagen", "M7.7 -55.6L8.1 -55.3 8 -55.1 8.6 -54.9 10.2 -54.7 10.2 -54.9 10.7 -54.6 10.9 -54.8 11.8 -54.5 12.1 -54.5 12.9 -54.9 12.6 -55.4 12.9 -55.6 12.7 -56 12 -56.4 11.5 -56.4 10.7 -55.7 11.3 -56.3 11.3 -56.6 11.9 -56.6 11.7 -56.9 11.2 -56.8 11.2 -56.6 10.7 -56.7 10.8 -57 11.2 -57 11.5 -57.2 11 -57.6 11 -57.8 10.6 -58 9.7 -57.8 9.2 -57.4 8.4 -57.3 8.1 -57.1 7.8 -56.6ZM14.3 -55.1L14.5 -54.9 15 -54.8 15.3 -54.8 15.5 -55 15.5 -55.4 15.4 -55.5 15.2 -55.5 14.9 -55.5Z"],
+  ["Europe/Dublin", "M-11 -52L-10.5 -51.4 -9.5 -51.2 -8.4 -51.4 -7.3 -51.9 -6 -52.1 -5.9 -52.2 -6 -52.4 -5.7 -53 -5.7 -53.6 -5.8 -53.9 -6.3 -54.1 -6.6 -54 -7 -54.4 -7.3 -54.1 -7.6 -54.2 -8.2 -54.5 -7.7 -54.6 -7.9 -54.7 -7.5 -54.7 -7.4 -55 -6.7 -55.3 -7.2 -55.6 -8.5 -55.4 -9.2 -54.7 -9 -54.5 -9.8 -54.6 -10.3 -54.4 -10.7 -54.1 -10.5 -53.8 -10.6 -53.6 -10.6 -53.4 -9.8 -52.9Z"],
+  ["Europe/Guernsey", "M-3 -49.4L-2.9 -49.3 -2.6 -49.2 -2.1 -49.4 -2.1 -49.9 -2.2 -49.9 -2.6 -49.9 -2.7 -49.7 -2.9 -49.6Z"],
+  ["Europe/Helsinki", "M20.2 -63.2L20.7 -62.4 20.9 -61.6 20.8 -61.1 20.4 -60.9 21.1 -60.6 21 -60.1 21.3 -59.9 21.2 -59.6 20.8 -59.5 22.4 -59.5 27.5 -60.2 27.9 -60.6 29.2 -61.3 31.4 -62.6 31.6 -62.9 31.2 -63.2 30 -63.8 30.6 -64.1 30.5 -64.3 30 -64.4 30.1 -64.8 29.6 -64.9 29.6 -65.1 29.9 -65.1 29.6 -65.3 29.9 -65.6 29.7 -65.6 30.1 -65.8 29.9 -66.1 29 -66.9 30 -67.7 29.3 -68.1 28.6 -68.2 28.4 -68.5 28.8 -68.9 28.4 -68.9 28.9 -69.1 28.8 -69.2 29.3 -69.5 29.1 -69.7 28.4 -69.8 28 -70.1 26.5 -69.9 25.9 -69.7 25.7 -68.9 25 -68.6 23.9 -68.8 23.2 -68.6 22.4 -68.7 21.6 -69.3 21.3 -69.3 21 -69.2 21.1 -69 20.5 -69.1 22 -68.5 22.8 -68.4 23.7 -68 23.4 -67.5 23.8 -67.4 23.6 -67.2 24 -66.8 23.6 -66.3 24.2 -65.9 24.2 -65.3 23.8 -64.7 23.1 -64.5 23 -64.2 22.4 -64.1 21.9 -63.7 20.7 -63.5Z"],
+  ["Europe/Isle_of_Man", "M-5.2 -54.1L-5.1 -53.9 -5 -53.9 -4.6 -53.9 -4.2 -54 -4 -54.2 -4 -54.3 -4 -54.5 -4.2 -54.6 -4.4 -54.5 -4.9 -54.4 -5 -54.3Z"],
+  ["Europe/Istanbul", "M25.6 -40.1L26.1 -40.1 25.9 -39.8 26.1 -39.7 26 -39.4 26.5 -39.4 26.5 -39.3 26.7 -39.1 26.8 -38.8 26.3 -38.7 26.3 -38.5 26.2 -38.3 27.2 -37.9 26.9 -37.6 27.3 -37.2 27.1 -37 27.6 -36.9 27.3 -36.6 27.9 -36.7 28 -36.5 28.5 -36.7 29.3 -36.1 29.6 -36.2 29.7 -35.9 30.6 -36 30.8 -36.6 31.8 -36.4 32.2 -36 32.8 -35.8 34.1 -36.1 34.7 -36.6 36.2 -35.8 36.4 -36.2 36.7 -36.2 36.5 -36.5 36.7 -36.8 37.5 -36.6 38.2 -36.9 39.2 -36.7 40.8 -37.1 42 -37.2 42.2 -37.3 42.4 -37.1 42.6 -37.1 42.8 -37.4 43.8 -37.2 44.1 -37.3 44.3 -37 44.8 -37.3 44.6 -37.4 44.6 -37.8 44.2 -37.9 44.5 -38.3 44.3 -38.4 44.3 -38.8 44 -39.4 44.4 -39.4 44.6 -39.8 44.8 -39.7 44.4 -40 43.7 -40.1 43.5 -40.5 43.7 -40.7 43.7 -40.9 42.8 -41.6 42.5 -41.4 41.8 -41.4 41.3 -41.6 40.2 -41.1 39.4 -41.3 38.4 -41.1 36.7 -41.6 36.4 -41.5 36.1 -41.9 35.5 -41.9 35.4 -42.2 34.9 -42.3 34.7 -42.1 33.3 -42.2 32.5 -42 30.9 -41.3 29 -41.5 28.4 -41.7 28.3 -42 27.6 -41.9 27.1 -42.1 26.3 -41.8 26.6 -41.6 26.6 -41.3 26.3 -41.3 26.4 -40.9 25.9 -40.7 26.1 -40.5 26.5 -40.5 26.1 -40.4 26.1 -40.1 25.9 -40.3Z"],
+  ["Europe/Jersey", "M-2.6 -49.2L-2.5 -48.9 -2.1 -48.9 -2 -48.9 -1.9 -49.1 -1.8 -49.2 -2.1 -49.5 -2.2 -49.4Z"],
+  ["Europe/Kaliningrad", "M19.4 -54.6L19.6 -54.5 22.3 -54.3 22.8 -54.4 22.7 -54.5 22.7 -54.7 22.9 -54.9 22.6 -55.1 22.1 -55 21.4 -55.3 20.7 -55.4 20.4 -55.2 19.7 -55.1Z"],
+  ["Europe/Kirov", "M46.3 -60.2L46.6 -60.1 47 -60.1 46.9 -59.8 47.2 -59.8 47 -59.4 47.2 -59.4 47.2 -59.2 47.5 -59.2 47.6 -58.9 47.3 -58.9 47.3 -58.8 46.4 -58.4 46.3 -58.1 46.4 -58 47.8 -57.9 47.6 -57.8 47.5 -57.5 46.8 -57.5 46.7 -57.3 46.9 -57.2 46.7 -56.9 47.3 -56.8 47.8 -57 48.2 -57 48.3 -57.2 48.9 -57.1 49.2 -57.3 49.2 -57.1 49.4 -57 49.7 -57.1 49.7 -56.9 50.1 -56.8 50.1 -56.6 50.5 -56.6 50.6 -56.3 50.9 -56.4 50.8 -56.2 51.1 -56.1 51.4 -56.1 51.1 -56.5 51.5 -56.9 51.1 -57.2 51.2 -57.4 51.6 -57.5 52 -57.8 51.8 -57.8 51.9 -58 51.7 -58.2 51.8 -58.4 52.2 -58.5 52.8 -58.4 53.1 -58.5 53.2 -58.4 53.8 -58.5 53.7 -58.7 53.9 -58.8 53.8 -59 53.9 -59.1 53.4 -59.2 53.2 -59.3 53.6 -59.7 53.6 -60.1 52.1 -60.3 51.5 -59.9 51.2 -60 50.8 -59.9 50 -59.8 50.1 -59.7 49.9 -59.7 49.7 -59.2 49.5 -59.2 49.6 -59.4 49 -59.5 49.1 -59.7 48.5 -59.7 48.5 -60.2 48.8 -60.4 48.5 -60.4 48.6 -60.4 48.4 -60.8 48 -60.9 47.9 -61 47.2 -61.1 47 -60.7 47 -60.5 46.9 -60.5 46.8 -60.2Z"],
+  ["Europe/Kyiv", "M22.1 -48.4L22.6 -48.1 22.8 -48.1 22.9 -48 23.2 -48.1 23.5 -48 24.6 -48 24.9 -47.7 26.2 -48 26.7 -48.4 26.8 -48.3 26.7 -48.4 27.6 -48.5 28.4 -48.2 28.5 -48.1 28.6 -48.2 28.9 -48 29.2 -48 29.3 -47.9 29.2 -47.5 29.4 -47.3 29.6 -47.4 29.6 -47 30 -46.8 29.9 -46.5 30.2 -46.4 29 -46.5 29 -46 28.5 -45.7 28.5 -45.5 28.2 -45.5 28.7 -45.2 29.4 -45.4 29.7 -45.2 30.2 -45.1 30.5 -45.3 30.1 -45.5 31.2 -46.4 31.4 -46.1 32.4 -45.9 33.5 -46 33.6 -46.2 34.6 -46 35 -45.8 35.2 -45.8 35.2 -45.9 35.8 -46.4 36.2 -46.3 36.5 -46.5 36.8 -46.5 37.1 -46.7 38.1 -46.9 38.3 -47 38.2 -47.1 38.3 -47.3 38.2 -47.3 38.4 -47.6 38.8 -47.7 38.9 -47.9 39.8 -47.9 39.8 -48 40 -48.3 39.8 -48.3 39.9 -48.4 39.8 -48.6 39.7 -48.6 39.8 -48.8 40.1 -48.9 39.7 -49 40.2 -49.3 40 -49.5 40.1 -49.6 39.8 -49.6 38.7 -50 38.2 -50.1 38 -49.9 37.5 -50.5 36.6 -50.2 36.1 -50.5 35.6 -50.4 35.4 -50.6 35.5 -50.7 35.3 -50.9 35.4 -51 35.1 -51.1 35.2 -51.2 34.2 -51.3 34.3 -51.5 34.1 -51.7 34.4 -51.8 33.8 -52.4 32.9 -52.2 32.4 -52.3 32.4 -52.1 32.1 -52 30.9 -52.1 30.5 -51.7 30.7 -51.4 30.5 -51.3 30.2 -51.5 29.3 -51.4 29.1 -51.7 28.8 -51.4 28.3 -51.7 27.9 -51.6 27.8 -51.5 27.7 -51.6 27.2 -51.6 27.2 -51.8 25.2 -52 24.4 -51.9 24 -51.6 23.6 -51.6 23.6 -51.3 24.1 -50.9 24 -50.8 24.1 -50.5 23.3 -50.1 22.6 -49.5 22.9 -49 22.6 -49.1Z"],
+  ["Europe/Lisbon", "M-9.8 -39.5L-9.7 -38.6 -9.2 -37.9 -9.2 -36.8 -7.8 -36.8 -7.4 -37 -7.5 -37.6 -6.9 -38.2 -7.1 -38.2 -7.3 -38.4 -7 -39.1 -7.5 -39.7 -7 -39.7 -6.9 -40.1 -7 -40.2 -6.8 -40.4 -6.9 -41 -6.2 -41.6 -6.5 -41.7 -6.6 -42 -8.2 -41.8 -8.1 -42 -8.2 -42.2 -9.2 -41.9 -9 -40.7 -9.2 -40.3Z"],
+  ["Europe/Ljubljana", "M13.4 -46.3L13.7 -46.2 13.5 -46 13.6 -46 13.6 -45.8 13.9 -45.6 13.4 -45.6 13.9 -45.4 14 -45.5 14.4 -45.5 14.6 -45.7 14.8 -45.5 14.9 -45.5 15.2 -45.4 15.4 -45.5 15.3 -45.6 15.4 -45.6 15.3 -45.7 15.7 -45.8 15.6 -46.2 16 -46.3 16.3 -46.4 16.2 -46.5 16.4 -46.6 16.6 -46.5 16.2 -46.9 16 -46.8 16 -46.7 15 -46.7 14.6 -46.4 13.7 -46.5Z"],
+  ["Europe/London", "M-14 -57.6L-14 -57.5 -13.9 -57.5 -13.7 -57.4 -13.5 -57.5 -13.4 -57.5 -13.4 -57.6 -13.5 -57.7 -13.7 -57.8 -13.9 -57.7ZM-9 -57.8L-9 -57.7 -8.9 -57.7 -8.5 -57.6 -8.2 -57.7 -8.1 -57.8 -8.1 -57.9 -8.2 -58 -8.5 -58.1 -8.9 -58ZM-8.2 -54.5L-7.5 -54.1 -7.3 -54.1 -7 -54.4 -6.6 -54 -6.3 -54.1 -5.8 -53.9 -5.3 -54.2 -5.1 -54.5 -4.2 -54.6 -3.4 -53.9 -3.4 -53.5 -4.4 -53.6 -4.9 -53.5 -5 -53.3 -4.8 -53.1 -5.1 -52.7 -4.5 -52.6 -4.4 -52.4 -5.3 -52.2 -5.8 -51.8 -5.7 -51.6 -5.4 -51.5 -5.4 -50.5 -6 -50.1 -6.6 -50.1 -6.7 -49.9 -6.6 -49.7 -6.2 -49.7 -5.9 -49.9 -5.1 -49.8 -4.4 -50.1 -3.6 -50 -3.2 -50.5 -2.9 -50.5 -2.5 -50.3 -1.5 -50.4 -0.2 -50.6 0.3 -50.5 1.2 -50.8 1.9 -51.2 1.7 -51.5 1.3 -51.6 1.9 -52 2.1 -52.5 2 -52.8 1.7 -53 0.7 -53.2 0.2 -54 0.2 -54.2 -1 -54.9 -1.3 -55.7 -2.2 -56.3 -2 -56.4 -2.1 -56.6 -1.4 -57.4 -1.5 -57.7 -1.9 -57.9 -3.1 -57.9 -3.3 -58 -2.8 -58.3 -2 -59.4 -1.3 -59.4 -1.3 -59.7 -0.9 -59.7 -0.4 -60.3 -0.4 -60.9 -1 -61 -1.9 -60.7 -2.5 -60.1 -2.2 -59.9 -1.8 -60 -1.7 -59.8 -2.1 -59.5 -3.3 -59.5 -3.7 -59.2 -3.8 -58.8 -6.3 -58.7 -7.2 -58.4 -8 -58.4 -8 -58.2 -7.6 -58.1 -8.1 -57.7 -7.8 -57.2 -8 -56.7 -7.5 -56.2 -7 -56 -6.9 -55.6 -6.6 -55.4 -7.4 -55 -7.5 -54.7 -7.9 -54.7 -7.7 -54.6ZM-6.6 -59.1L-6.4 -58.9 -6.2 -58.9 -5.6 -58.9 -5.5 -59 -5.4 -59.1 -5.5 -59.3 -5.8 -59.3 -6.4 -59.3 -6.5 -59.2ZM-4.9 -59L-4.9 -58.9 -4.8 -58.9 -4.5 -58.8 -4.2 -58.9 -4.1 -59 -4 -59.1 -4 -59.2 -4.1 -59.2 -4.5 -59.3 -4.7 -59.2 -4.9 -59.1Z"],
+  ["Europe/Luxembourg", "M5.7 -49.9L5.8 -49.9 5.8 -49.8 5.9 -49.7 5.8 -49.5 6 -49.5 6.2 -49.5 6.4 -49.5 6.4 -49.6 6.5 -49.7 6.5 -49.8 6.3 -49.8 6.1 -50 6.1 -50.2 6 -50.2Z"],
+  ["Europe/Madrid", "M-9.6 -43L-9.2 -41.9 -8.2 -42.2 -8.1 -42 -8.2 -41.8 -6.6 -42 -6.5 -41.7 -6.2 -41.6 -6.9 -41 -6.8 -40.4 -7 -40.2 -6.9 -40 -7 -39.7 -7.5 -39.7 -7 -39.1 -7.3 -38.4 -7.1 -38.2 -6.9 -38.2 -7 -38 -7.3 -38 -7.5 -37.6 -7.4 -37 -6.9 -36.9 -6.1 -36 -5.3 -36 -5.4 -36.2 -5.1 -36.1 -4 -36.5 -2 -36.6 -1.4 -37.2 -0.5 -37.5 -0.2 -38.2 0.5 -38.6 0.5 -38.8 0 -39.3 0.1 -39.6 0.6 -40.2 1.4 -40.9 2.2 -41.1 3.4 -41.7 3.6 -42.4 1.5 -42.4 1.4 -42.7 0.7 -42.9 0.7 -42.7 -0.6 -42.8 -0.8 -43 -1.4 -43 -1.4 -43.3 -1.7 -43.3 -1.8 -43.6 -3.6 -43.7 -4.4 -43.6 -5.8 -43.9 -6.9 -43.8 -7.7 -44 -9 -43.5ZM-3.3 -35.9L-3.2 -35.8 -3 -35.7 -2.8 -35.8 -2.8 -36 -2.9 -36.1 -3 -36.1 -3.2 -36.1ZM0.4 -39.9L0.5 -39.7 0.7 -39.7 0.9 -39.7 0.9 -39.9 0.9 -40 0.7 -40.1 0.5 -40ZM0.9 -39L1 -38.8 1.2 -38.5 1.6 -38.4 1.8 -38.6 1.9 -39 1.9 -39.1 1.7 -39.3 1.5 -39.3 1 -39.1ZM2 -39.6L2.8 -39 3.1 -38.9 3.5 -39.3 3.7 -39.7 4.3 -39.6 4.5 -39.7 4.6 -39.9 4.5 -40.1 4 -40.3 3.7 -40.2 3.5 -40 3.3 -40.2 2.8 -40.1 2.2 -39.7Z"],
+  ["Europe/Malta", "M13.9 -36.1L14 -35.9 14.2 -35.7 14.3 -35.6 14.7 -35.7 14.8 -35.9 14.7 -36 14.3 -36.3 14.1 -36.2Z"],
+  ["Europe/Mariehamn", "M19.1 -60.2L19.9 -59.6 20.3 -59.5 20.8 -59.5 21.2 -59.6 21.3 -59.9 21 -60.1 21.1 -60.5 21 -60.7 20.4 -60.9 19.2 -60.6Z"],
+  ["Europe/Minsk", "M23.2 -52.3L23.7 -52.1 23.5 -51.7 23.6 -51.5 23.6 -51.6 24 -51.6 24.4 -51.9 25.3 -52 27.2 -51.8 27.2 -51.6 27.7 -51.6 27.8 -51.5 27.9 -51.6 28.3 -51.7 28.8 -51.4 29.1 -51.7 29.3 -51.4 30.2 -51.5 30.5 -51.3 30.7 -51.4 30.5 -51.7 30.9 -52.1 31.8 -52.1 31.6 -52.3 31.6 -52.8 31.2 -53 31.6 -53.2 32.2 -53.1 32.8 -53.5 32.5 -53.5 32.5 -53.7 31.8 -53.8 31.9 -54.1 31.3 -54.2 31.1 -54.5 31.2 -54.7 30.8 -54.8 31 -55.1 30.8 -55.3 30.9 -55.6 30.2 -55.9 29.5 -55.7 29.4 -55.8 29.4 -56 28.7 -56 28.7 -56.1 28.1 -56.2 27.6 -55.8 27.1 -55.9 26.6 -55.7 26.4 -55.3 26.8 -55.3 26.7 -55.2 26.3 -55.1 25.7 -54.8 25.8 -54.6 25.5 -54.3 25.8 -54.2 25.5 -54.2 25.5 -54.3 24.4 -53.9 23.5 -54 23.9 -53.2 23.9 -52.7Z"],
+  ["Europe/Monaco", "M7.4 -43.7L7.5 -43.5 7.5 -43.7 7.4 -43.8Z"],
+  ["Europe/Moscow", "M26.4 -59.9L26.8 -59.7 27.4 -59.7 28.2 -59.4 27.4 -58.8 27.5 -58.2 27.8 -57.9 27.3 -57.6 27.9 -57.3 27.7 -56.8 28 -56.8 28.2 -56.3 28.2 -56.1 29.4 -56 29.4 -55.8 29.5 -55.7 30.2 -55.9 30.9 -55.6 30.8 -55.3 31 -55.1 30.8 -54.8 31.2 -54.7 31.1 -54.5 31.3 -54.2 31.9 -54.1 31.8 -53.8 32.5 -53.7 32.5 -53.5 32.8 -53.5 32.2 -53.1 31.6 -53.2 31.2 -53 31.6 -52.8 31.5 -52.7 31.7 -52.6 31.6 -52.5 31.7 -52.2 32.1 -52 32.4 -52.1 32.4 -52.3 32.9 -52.2 33.8 -52.4 34.4 -51.8 34.1 -51.7 34.3 -51.5 34.2 -51.3 35.2 -51.2 35.1 -51.1 35.4 -51 35.3 -50.9 35.5 -50.7 35.4 -50.6 35.6 -50.4 36.1 -50.5 36.6 -50.2 37.5 -50.5 38 -49.9 38.3 -50.1 38.9 -49.8 39.2 -49.9 39.8 -49.6 40.1 -49.6 40 -49.5 40.2 -49.3 39.7 -49 40.1 -48.9 39.8 -48.8 39.7 -48.6 39.9 -48.6 39.9 -48.4 39.8 -48.3 40 -48.2 39.7 -47.8 39.2 -47.9 38.9 -47.9 38.8 -47.7 38.4 -47.6 38.2 -47.3 38.3 -47.3 38.2 -47.1 38.3 -47 37.4 -46.7 37.9 -46.2 37.3 -45.5 36.7 -45.6 36.5 -45.2 36.6 -44.9 38.6 -44.1 40.1 -43 41.2 -42.6 41.3 -42.4 41.9 -42.6 41.9 -43 42.4 -43.3 43.6 -42.9 43.8 -42.7 43.8 -42.6 44.6 -42.8 44.8 -42.6 44.9 -42.8 45.8 -42.5 45.6 -42.2 46.6 -41.8 46.8 -41.9 47.6 -41.2 47.9 -41.2 48.1 -41.5 48.8 -42 47.8 -43.1 47.8 -43.6 48.1 -44.1 47.7 -44.2 47.8 -44.4 47.7 -44.6 47.2 -44.6 47.6 -45.2 47.7 -45.1 47.8 -45.3 47.6 -45.4 47.5 -45.7 46.8 -45.6 46.3 -45.9 46.5 -46 46.4 -46.3 47 -46.4 47 -47 46.5 -47.4 46.9 -47.5 46.3 -47.4 45.7 -47.8 45.8 -48 45 -48.3 44.8 -48.1 44.3 -48.2 44.4 -47.9 43.7 -47.7 43.7 -47.5 42.9 -47.5 42.5 -48 42 -48 42.2 -48.3 42.1 -48.4 42.7 -48.6 42.7 -48.8 42.3 -49.1 42 -49.1 42.2 -49.7 41.5 -50.1 41.4 -50.2 41.5 -50.6 41.2 -50.8 41.9 -51.2 42.9 -51.3 42.5 -51.7 42.9 -52.4 43.2 -52.5 44.3 -52.3 44.5 -52.5 45.1 -52.3 45.6 -52.5 46 -52.4 46.3 -52.7 46.9 -52.7 46.9 -53.4 46.4 -53.5 46.1 -54 45.8 -54 46.7 -54.3 46.5 -54.5 46.4 -54.8 47.3 -54.7 47.4 -54.5 47.7 -54.7 48.9 -54.6 48.9 -54.8 49.3 -54.9 49.6 -54.6 50.4 -54.5 50.5 -54.3 51 -54.3 51 -54.5 51.4 -54.7 51.9 -54.5 52.1 -54.3 52.4 -54.5 52.9 -54.3 53.1 -54.4 53.1 -54.2 52.9 -54.2 53.1 -54.1 53.4 -54 53.5 -54.1 53.4 -54.6 53.6 -54.9 53.2 -55.2 53.6 -55.2 54.3 -55.7 53.7 -55.9 53.2 -55.9 53.6 -56.2 53.2 -56.2 53.3 -56.1 53.1 -56.1 52.9 -56.3 53.1 -56.5 53 -56.5 52.6 -56.2 52.9 -56.2 52.7 -56.1 52.8 -56 52.2 -56.1 52.2 -55.9 51.5 -55.9 51.3 -56 51.6 -56.1 50.9 -56.2 50.9 -56.4 50.6 -56.3 50.3 -56.7 50.1 -56.6 50.1 -56.8 49.7 -56.9 49.7 -57.1 49.2 -57 49.2 -57.3 48.9 -57.1 48.3 -57.2 48.2 -57 47.8 -57 47.3 -56.8 46.7 -56.9 46.9 -57.2 46.7 -57.3 46.8 -57.5 47.5 -57.5 47.6 -57.8 47.8 -57.9 46.4 -58 46.3 -58.1 46.4 -58.4 47.3 -58.8 47.3 -58.9 47.6 -58.9 47.5 -59.2 47.2 -59.2 47.2 -59.4 47 -59.4 47.2 -59.8 46.9 -59.8 47 -60.1 46.6 -60.1 46.3 -60.2 46.8 -60.2 46.9 -60.5 47 -60.5 47 -60.7 47.2 -61.1 47.9 -61 48 -60.9 48.4 -60.8 48.6 -60.4 48.5 -60.4 48.8 -60.4 48.5 -60.2 48.5 -59.7 49.1 -59.7 49 -59.5 49.6 -59.4 49.5 -59.2 49.7 -59.2 49.9 -59.7 50.1 -59.7 50 -59.8 50.8 -59.9 51.2 -60 51.5 -59.9 52 -60.3 52.3 -60.2 52.4 -60.4 51.8 -60.6 51.9 -60.9 52.4 -60.8 52.4 -61 52.8 -60.9 52.9 -61.1 53.4 -61 53.4 -60.9 53.7 -60.8 53.9 -61 55 -60.9 55.3 -61.1 56.3 -61.2 56.4 -61.4 56.7 -61.5 58.8 -61.5 59.3 -61.7 59.5 -61.9 59.4 -62.2 59.6 -62.5 59.4 -62.6 59.5 -62.9 59.2 -63 59.6 -63.9 59.8 -64.1 59.6 -64.2 59.6 -64.4 59.5 -64.5 59.8 -64.7 59.6 -64.8 60.2 -65.1 60.6 -64.9 60.9 -65 61.9 -65.7 62.8 -65.9 62.8 -66 63.3 -66.2 63.4 -66.5 65.1 -66.9 65.2 -67.2 66.1 -67.5 65.8 -67.6 66.3 -67.7 66 -67.8 66.1 -67.9 65.4 -68 65.3 -68.2 65.7 -68.6 65.4 -68.8 64.6 -68.9 64.5 -69 65.1 -69.2 65 -69.6 60.7 -70.1 59.5 -70.6 57.5 -71 56.3 -71.6 56.1 -72 56.3 -72.4 57.3 -73.1 59.3 -74.1 62.1 -75.1 68.9 -76.1 69.8 -76.5 70 -76.7 69.9 -76.8 69.2 -77.1 67.5 -77.2 63.3 -76.5 60.8 -76.5 58.6 -76.2 55.2 -75.2 55 -75.1 55 -74.8 54.7 -74.5 53 -73.9 53 -73.6 53.3 -73.6 52 -73 51 -72.2 50.8 -71.9 50.8 -71.6 51.7 -71.1 53.3 -70.5 57.9 -70.1 59.7 -69.5 60.1 -69.2 60.2 -68.9 59.7 -69.4 58.4 -69.7 57.9 -69.4 58.5 -69.1 57.6 -69 53.8 -69.2 50.8 -68.6 49 -68.1 47.1 -68 46.9 -68.4 46.4 -68.6 43.5 -68.9 39.8 -68.4 36.6 -69.3 34.3 -69.6 32.2 -70.1 31.1 -70 30.8 -69.8 30.9 -69.7 30.9 -69.5 30.1 -69.7 30.2 -69.6 30 -69.4 29.3 -69.3 29.1 -69 28.4 -68.9 28.8 -68.9 28.4 -68.5 28.6 -68.2 29.3 -68.1 30 -67.7 29 -66.9 29.9 -66.1 30.1 -65.8 29.7 -65.6 29.9 -65.6 29.6 -65.3 29.9 -65.1 29.6 -65.1 29.6 -64.9 30.1 -64.8 30 -64.4 30.5 -64.3 30.6 -64.1 30 -63.8 31.2 -63.2 31.6 -62.9 31.2 -62.4 27.9 -60.6 27.5 -60.2ZM46.4 -45.5L46.5 -45.5 46.6 -45.5 46.7 -45.5 46.8 -45.5 46.9 -45.5 46.8 -45.5 46.6 -45.5 46.6 -45.4ZM35.4 -80.2L35.8 -80 36.7 -79.9 37.6 -80 38 -80.1 37.9 -80.2 37.6 -80.3 36.7 -80.4 35.8 -80.3ZM43.7 -80.6L47.4 -79.9 51.4 -79.7 53.9 -79.8 54.7 -80 56 -79.8 57.2 -79.9 57.8 -79.6 58.9 -79.6 60.9 -79.8 61.1 -79.9 61 -80 61.4 -80.1 62.7 -80.4 65.1 -80.5 66.5 -80.8 66.6 -81 66.5 -81.2 65.8 -81.3 63.1 -81.3 62.8 -81.2 61.9 -81.3 64.7 -81.5 65.1 -81.6 64.7 -81.8 62.6 -81.9 60.6 -81.7 60.7 -81.9 60.4 -82 58.4 -82 56.8 -81.9 56.5 -81.9 56.5 -81.7 55.4 -81.6 53 -81.5 52.8 -81.3 53.1 -81.2 52.9 -81.1 53.1 -81 52.8 -80.8 52.1 -81 52.3 -81.1 52.1 -81.3 50.4 -81.4 49.4 -81.3 48.7 -81 46.6 -81ZM47.7 -68.9L47.7 -68.7 48.1 -68.6 49.6 -68.5 50.6 -68.9 50.9 -69.2 50.6 -69.4 49.7 -69.6 48.8 -69.7 47.9 -69.4Z"],
+  ["Europe/Oslo", "M-9.7 -70.9L-9.6 -70.7 -9.4 -70.7 -8.7 -70.6 -7.5 -70.9 -7.4 -71 -7.3 -71.2 -7.7 -71.3 -8.3 -71.3 -9.5 -71ZM4.1 -61.1L4.6 -59.8 4.5 -59.2 5 -58.9 5.4 -58.4 6.5 -57.9 7.8 -57.8 8.5 -58 9.8 -58.7 10.6 -58.8 11.2 -59.1 11.7 -58.9 11.8 -59.2 11.7 -59.6 11.9 -59.7 11.8 -59.8 12.4 -60 12.6 -60.4 12.2 -61 12.7 -61.1 12.9 -61.4 12.1 -61.7 12.3 -62.3 12.1 -62.6 12.2 -63 12 -63.3 12.2 -63.5 12.1 -63.6 12.7 -64 13.2 -64.1 14 -64 14.2 -64.2 14.1 -64.5 13.7 -64.6 14.5 -65.3 14.6 -65.8 14.5 -66.1 15.5 -66.3 15.4 -66.5 16.4 -67 16.2 -67.5 16.4 -67.5 16.7 -67.9 17.3 -68.1 17.9 -68 18.2 -68.2 18.1 -68.5 19.9 -68.4 20.2 -68.5 19.9 -68.6 20.3 -68.8 20.1 -69 21.1 -69 21 -69.2 21.3 -69.3 21.6 -69.3 22.4 -68.7 23.2 -68.6 23.9 -68.8 24.9 -68.6 25.8 -69 25.7 -69.3 25.9 -69.6 25.9 -69.7 26.5 -69.9 28 -70.1 28.4 -69.8 29.1 -69.7 29.3 -69.5 28.8 -69.1 29 -69 29.3 -69.3 30.1 -69.5 30.1 -69.7 30.9 -69.6 30.8 -69.8 31.6 -70.1 31.8 -70.4 30.6 -70.8 28.5 -71.3 25.6 -71.4 23.7 -71.3 18.3 -70.4 17.1 -69.7 14.8 -69.2 12.6 -68.3 12.1 -67.8 11.4 -67.6 11.3 -67.4 11.9 -66.8 11.1 -66.2 10 -64.9 4.9 -62.5 4.2 -61.7Z"],
+  ["Europe/Paris", "M-5.5 -48.4L-5.2 -47.9 -4.1 -47.5 -3.7 -47.4 -3.4 -47.1 -2.7 -47 -2.7 -46.6 -1.7 -46 -1.4 -45.4 -1.8 -43.4 -1.4 -43.3 -1.4 -43 -1.3 -43.1 0 -42.7 0.7 -42.7 0.7 -42.9 1.1 -42.8 1.7 -42.6 2 -42.3 3.4 -42.4 3.3 -43 4 -43.3 6.5 -42.8 7.5 -43.5 7.4 -43.7 7.6 -43.6 7.5 -43.9 7.7 -44.2 7 -44.2 6.9 -44.5 7.1 -44.7 7 -44.8 6.6 -45.1 7.1 -45.2 7.2 -45.4 6.8 -45.7 7 -45.9 6.8 -46.1 6.8 -46.4 6.3 -46.4 6.3 -46.2 6 -46.1 6.4 -46.9 7.1 -47.3 6.9 -47.4 7 -47.5 7.3 -47.4 7.6 -47.6 7.6 -48.1 7.8 -48.6 8.2 -49 7.4 -49.2 6.7 -49.2 6.5 -49.4 6.2 -49.5 5.5 -49.5 4.9 -49.8 4.8 -50.2 4.7 -50 4.2 -50 4.2 -50.3 3.7 -50.3 3.6 -50.5 3.3 -50.5 3.2 -50.8 2.8 -50.7 2.4 -51.3 1.4 -50.9 1.2 -50.2 0 -49.9 -0.2 -49.5 -0.9 -49.6 -1.2 -49.9 -2.1 -49.9 -2.1 -49.5 -1.8 -49.2 -2 -48.9 -2.5 -48.9 -2.6 -49.2 -2.9 -49.3 -3.2 -49.1 -5.3 -48.7ZM7.5 -43.5L7.7 -42.9 7.8 -43 7.5 -43.5ZM8.3 -42.4L8.3 -41.8 8.8 -41.3 9.3 -41.3 9.6 -41.4 9.7 -41.7 9.8 -42.4 9.8 -42.8 9.5 -43.2 9.2 -43.2 9 -42.9 8.5 -42.7Z"],
+  ["Europe/Podgorica", "M18.4 -42.2L19.2 -41.7 19.4 -41.9 19.4 -42.1 19.3 -42.2 19.6 -42.6 19.7 -42.7 19.8 -42.5 20 -42.5 20.1 -42.7 20 -42.8 20.4 -42.8 19.4 -43.4 19 -43.6 18.9 -43.5 19.1 -43.3 19 -43.3 18.9 -43.4 18.7 -43.3 18.7 -43 18.5 -43 18.5 -42.8 18.6 -42.6 18.4 -42.6 18.5 -42.4Z"],
+  ["Europe/Prague", "M12.1 -50.3L12.5 -49.9 12.4 -49.8 12.7 -49.4 14.3 -48.6 14.7 -48.6 14.8 -48.8 15 -48.8 15 -49 16.1 -48.7 16.5 -48.8 16.9 -48.6 17.2 -48.9 17.9 -48.9 18.2 -49.3 18.9 -49.6 18.6 -49.9 17.8 -50 17.6 -50.2 17.8 -50.2 17.7 -50.3 17.4 -50.3 16.9 -50.4 17 -50.2 16.6 -50.1 16.2 -50.4 16.4 -50.6 16.3 -50.7 16 -50.6 15.4 -50.8 15.2 -51 14.7 -50.8 14.3 -51.1 14.4 -50.9 12.9 -50.4 12.5 -50.4 12.3 -50.2Z"],
+  ["Europe/Riga", "M20.6 -56.5L20.7 -56 21.2 -56.1 22 -56.4 24.1 -56.2 24.9 -56.5 25.1 -56.2 25.7 -56.1 26.4 -55.7 27.4 -55.8 27.6 -55.8 28.2 -56.3 28 -56.8 27.7 -56.8 27.9 -57.3 27.5 -57.4 27.6 -57.5 26.9 -57.6 26.5 -57.5 26.1 -57.8 25.3 -58.1 24 -57.9 24 -57.3 23.6 -57.3 22.7 -57.9 21.5 -57.7 20.7 -56.9Z"],
+  ["Europe/Rome", "M6.6 -45.1L7 -44.8 7.1 -44.7 6.9 -44.5 7 -44.2 7.7 -44.2 7.5 -43.9 7.6 -43.6 8.2 -43.7 8.8 -44.2 9.9 -43.8 9.9 -43.7 9.7 -43.5 9.6 -43.2 9.9 -42.2 11.6 -41.9 12.4 -41.4 12.7 -40.8 13.8 -40.5 15.5 -39.7 15.8 -39 15.5 -38.5 15.3 -38.5 15.5 -38.8 15.2 -39 14.9 -38.8 14.1 -38.7 14.2 -38.4 14.7 -38.4 14 -38.2 13.3 -38.4 12.7 -38.4 11.8 -38 12.6 -37.4 14.4 -36.6 15.2 -36.5 15.6 -37 15.4 -37.6 15.5 -37.8 16.2 -37.8 17.4 -38.8 17.4 -39.3 18.5 -39.6 18.8 -40.2 18.2 -40.8 16.5 -41.5 16.4 -42 16 -42.2 15.9 -42.4 15.1 -42.2 14.7 -42.4 14.3 -42.8 13.8 -43.7 12.6 -44.3 12.6 -44.6 12.8 -44.9 12.9 -45.4 13.9 -45.6 13.5 -46 13.7 -46.2 13.4 -46.3 13.7 -46.5 12.4 -46.7 12.1 -46.9 12.2 -47.1 11.3 -47 11 -46.8 10.5 -46.9 10.5 -46.5 10 -46.5 10.1 -46.2 10 -46.4 9.5 -46.3 9.5 -46.5 9.3 -46.5 9 -45.8 8.8 -46 8.9 -46.1 8.4 -46.2 8.4 -46.5 8.1 -46.3 8.2 -46.1 7.9 -45.9 6.8 -45.8 7.2 -45.4 7.1 -45.2ZM7.9 -40.7L8.1 -40.3 8 -39.8 8.2 -39.7 8 -39.1 8.2 -38.7 8.9 -38.7 9.7 -38.9 9.9 -39.1 10.1 -40.5 9.9 -41.2 9.6 -41.4 9.4 -41.4 8.8 -41.2 8.1 -41.3ZM8.4 -39L8.4 -41.1 9.8 -41.1 9.8 -39.4 9.1 -39.4 9.1 -39ZM8.4 -39L9.1 -39 9.1 -39.4 9.8 -39.4 9.8 -41.1 8.4 -41.1ZM11.7 -36.8L11.8 -36.6 12 -36.5 12.2 -36.6 12.3 -36.7 12.3 -36.8 12.2 -36.9 12 -37 11.8 -37 11.7 -36.9ZM12.1 -35.6L12.2 -35.4 12.7 -35.3 12.9 -35.4 12.8 -35.7 13 -35.7 13.1 -35.8 13 -36 12.8 -36.1 12.6 -35.9 12.7 -35.7 12.3 -35.7 12.1 -35.7ZM12.9 -38.7L13 -38.6 13.1 -38.5 13.3 -38.5 13.4 -38.6 13.5 -38.7 13.4 -38.8 13.2 -38.9 13.1 -38.9 13 -38.9 12.9 -38.8Z"],
+  ["Europe/Samara", "M47.9 -53.4L48.2 -53.2 48.1 -53.1 48.6 -52.9 48.3 -52.7 48.7 -52.6 48.9 -52.4 49.6 -52.4 49.8 -52.2 50.2 -52.1 50.2 -52 50.7 -51.9 50.8 -51.8 51.4 -52.1 51.4 -52.4 51.5 -52.4 51.5 -52.6 51.7 -52.7 51.7 -52.9 52.2 -53.1 52.1 -53.6 52.5 -54.1 52.3 -54.1 52.3 -54.3 52.6 -54.3 52.4 -54.5 52.1 -54.3 51.9 -54.5 51.4 -54.6 51.2 -54.7 51 -54.3 50.1 -54.5 50.2 -54.2 50.2 -54 49.9 -53.9 50 -53.8 48.5 -53.8 48.4 -53.5ZM51.1 -57.2L51.5 -56.9 51.1 -56.5 51.4 -56.1 51.6 -56.1 51.3 -56 51.5 -55.9 52.2 -55.9 52.2 -56.1 52.8 -56 52.7 -56.1 52.9 -56.2 52.6 -56.2 53 -56.5 53.1 -56.5 53 -56.3 53.3 -56.1 53.2 -56.2 53.6 -56.2 53.2 -55.9 53.4 -55.9 54 -56 54.4 -56.3 54.1 -56.6 53.8 -56.6 53.8 -56.8 54 -56.8 54.2 -57 54.4 -57 54.3 -57.3 54.1 -57.3 54.3 -57.5 54 -57.6 54.1 -57.6 54.1 -58 53.8 -58.2 53.8 -58.5 52 -58.5 51.7 -58.2 51.9 -58 51.8 -57.6 51.2 -57.4ZM52.2 -53.3L52.3 -53.3 52.3 -53.4 52.2 -53.4ZM53.8 -56.6L53.9 -56.6 54 -56.6 54.1 -56.6 54.1 -56.7 54 -56.7 54 -56.6 53.9 -56.6Z"],
+  ["Europe/Sarajevo", "M15.7 -44.8L16.1 -44.6 16.2 -44.2 17.3 -43.5 17.7 -43 17.5 -42.9 17.8 -42.9 18.2 -42.6 18.6 -42.6 18.5 -43 18.8 -43.3 19.1 -43.3 18.9 -43.5 19.5 -43.6 19.3 -43.9 19.2 -44 19.6 -44 19.1 -44.4 19.4 -44.9 18.8 -44.9 18.7 -45.1 17.8 -45 16.9 -45.3 16.5 -45.2 16.3 -45 15.8 -45.2Z"],
+  ["Europe/Saratov", "M42.5 -51.7L42.9 -51.2 43.4 -51 44.2 -51.2 44.9 -51.2 45.3 -50.9 45.2 -50.6 45.7 -50.6 45.8 -50.8 46.1 -50.7 46.1 -50.5 46.7 -50.7 47.2 -50.4 47.6 -50.5 48.4 -49.8 48.9 -50 48.6 -50.7 48.8 -50.6 49.4 -50.8 49.4 -51.1 49.8 -51.1 50.5 -51.5 50.6 -51.6 50.8 -51.6 50.7 -51.9 50.2 -52 50.2 -52.1 49.8 -52.2 49.3 -52.5 48.9 -52.4 48.7 -52.6 48.3 -52.7 48.4 -52.8 47.9 -52.6 47.8 -52.7 47.7 -52.6 47.1 -52.5 46.6 -52.7 46 -52.4 45.6 -52.5 45.1 -52.3 44.5 -52.5 44.3 -52.3 43.2 -52.5 42.9 -52.4Z"],
+  ["Europe/Simferopol", "M32.2 -45.4L32.4 -45.2 33.3 -44.9 33.1 -44.6 33.3 -44.3 34 -44.2 35.6 -44.8 36.6 -44.9 36.5 -45.2 36.7 -45.6 35.8 -45.6 35.6 -45.5 35.2 -45.8 34.9 -45.8 34.6 -46 33.6 -46.2 33.5 -46 32.8 -45.8Z"],
+  ["Europe/Skopje", "M20.5 -41.5L20.7 -40.9 21.6 -40.9 22.1 -41.2 22.7 -41.1 22.8 -41.3 23 -41.4 23 -41.8 22.9 -42 22.3 -42.4 21.9 -42.3 21.4 -42.3 21.3 -42.1 21.1 -42.2 20.8 -42.1 20.7 -41.9 20.6 -41.9Z"],
+  ["Europe/Sofia", "M22.4 -43.8L22.5 -43.5 23 -43.2 22.7 -42.9 22.4 -42.8 22.6 -42.5 22.4 -42.3 22.9 -42 23 -41.7 22.9 -41.3 24.5 -41.5 25.3 -41.2 25.9 -41.3 26.2 -41.4 26.1 -41.7 26.4 -41.7 26.6 -42 27.2 -42.1 27.6 -41.9 28.3 -42 28.1 -42.3 28.2 -43 28.3 -43.2 28.8 -43.3 28.9 -43.7 28.2 -43.8 27.9 -44 27 -44.1 26.1 -44 25.6 -43.6 24.2 -43.7 22.9 -43.8 23 -44.1 22.7 -44.2Z"],
+  ["Europe/Stockholm", "M10.6 -58.8L11.2 -57.7 12.3 -56.6 12.1 -56.4 12.7 -56 12.9 -55.6 12.6 -55.4 12.9 -55.1 14.2 -55.2 14.7 -55.6 14.6 -55.8 15.2 -55.9 15.8 -55.8 16.8 -56.1 17.5 -57.3 17.2 -57.8 17.6 -58.4 18.8 -58.8 19.8 -59.3 20 -59.5 19.1 -60.2 19.2 -60.6 17.9 -60.9 17.8 -61.2 18.3 -62.4 19.4 -63.1 20.2 -63.2 20.7 -63.5 21.4 -63.6 21.4 -64 22.1 -64.4 21.8 -64.8 21.9 -64.9 24.1 -65.5 24.1 -65.9 23.6 -66.3 24 -66.8 23.6 -67.2 23.8 -67.4 23.4 -67.5 23.6 -67.6 23.5 -67.8 23.7 -67.9 23.1 -68.3 22 -68.5 20.8 -69 20.1 -69 20.3 -68.8 19.9 -68.6 20.2 -68.5 19.9 -68.4 18.1 -68.5 18.2 -68.2 17.9 -68 17.3 -68.1 16.7 -67.9 16.4 -67.5 16.2 -67.5 16.4 -67 15.4 -66.5 15.5 -66.3 14.5 -66.1 14.6 -65.8 14.5 -65.3 13.7 -64.6 14.1 -64.5 14.2 -64.2 14 -64.1 12.9 -64.1 12.1 -63.6 12.2 -63.5 12 -63.3 12.2 -63 12.1 -62.6 12.3 -62.3 12.1 -61.7 12.9 -61.4 12.7 -61.1 12.2 -61 12.6 -60.5 12.5 -60.2 12.3 -60 11.8 -59.8 11.9 -59.7 11.7 -59.6 11.8 -59.2 11.7 -58.9 11.5 -58.9 11.3 -59.1ZM17.6 -57.3L17.9 -56.8 18.6 -56.8 19.3 -57.3 19.3 -57.6 19.7 -57.9 19.7 -58.1 19.5 -58.2 19.7 -58.3 19.6 -58.5 19.2 -58.6 18.9 -58.5 18.8 -58.4 19 -58.2 18.2 -58 17.8 -57.6Z"],
+  ["Europe/Tallinn", "M21.4 -58.3L21.7 -57.8 22.7 -57.9 23.2 -57.6 23.6 -57.7 23.6 -57.9 24.4 -57.9 25.2 -58.1 26.1 -57.8 26.5 -57.5 26.9 -57.6 27.3 -57.5 27.5 -57.8 27.8 -57.9 27.5 -58.2 27.4 -58.8 28.2 -59.4 27.4 -59.7 26.8 -59.7 26.4 -59.9 22.3 -59.2 21.7 -58.9Z"],
+  ["Europe/Tirane", "M19 -40.5L19.3 -40.1 20 -39.8 20 -39.6 20.3 -39.7 20.4 -39.8 20.3 -40 20.7 -40.1 20.8 -40.4 21.1 -40.6 21 -40.9 20.7 -40.9 20.6 -41.1 20.5 -41.5 20.6 -42 20.5 -42.2 20.1 -42.6 19.8 -42.5 19.7 -42.6 19.3 -42.2 19.4 -41.9 19.1 -41.5Z"],
+  ["Europe/Ulyanovsk", "M45.8 -54L46.1 -54 46.4 -53.5 46.9 -53.4 47 -52.8 46.8 -52.6 47.7 -52.6 47.8 -52.7 47.9 -52.6 48.6 -52.9 48.1 -53.1 48.2 -53.2 47.9 -53.4 48.4 -53.5 48.5 -53.8 50 -53.8 49.9 -53.9 50.2 -54 50.2 -54.3 50.1 -54.5 49.6 -54.6 49.5 -54.7 49.3 -54.9 48.9 -54.8 48.9 -54.6 47.7 -54.7 47.4 -54.5 47.3 -54.7 46.4 -54.8 46.5 -54.5 46.7 -54.3Z"],
+  ["Europe/Vaduz", "M9.5 -47.1L9.5 -47 9.5 -47.1 9.6 -47 9.6 -47.1 9.6 -47.2 9.5 -47.3 9.5 -47.2 9.5 -47.1Z"],
+  ["Europe/Vienna", "M9.5 -47.3L9.6 -47.1 10.1 -46.8 10.4 -47 10.5 -46.9 11 -46.8 11.2 -47 12.2 -47.1 12.1 -46.9 12.6 -46.7 14.6 -46.4 15 -46.7 16 -46.7 16 -46.8 16.5 -47 16.4 -47.4 16.7 -47.5 16.4 -47.7 17.1 -47.7 17 -47.9 17.2 -48 16.8 -48.4 16.9 -48.7 16.2 -48.7 15 -49 15 -48.8 14.8 -48.8 14.7 -48.6 14.1 -48.6 13.8 -48.8 13.7 -48.5 13.5 -48.6 13.3 -48.3 12.8 -48.1 13 -47.9 12.9 -47.7 13.1 -47.7 13 -47.5 12.8 -47.7 12.3 -47.7 12.2 -47.6 11.6 -47.6 11.3 -47.4 10.5 -47.6 10.2 -47.3 9.8 -47.6 9.6 -47.5 9.7 -47.4Z"],
+  ["Europe/Vilnius", "M20.7 -55.4L22.1 -55 22.6 -55.1 22.9 -54.8 22.7 -54.6 22.8 -54.4 23.3 -54.3 23.5 -54 23.8 -53.9 24.7 -54 24.8 -54.1 25.5 -54.3 25.5 -54.2 25.8 -54.2 25.5 -54.3 25.8 -54.9 26.8 -55.3 26.4 -55.3 26.6 -55.7 25.7 -56.1 25.1 -56.2 24.9 -56.5 24.5 -56.3 22.1 -56.4 21.6 -56.3 21.2 -56.1 20.7 -56Z"],
+  ["Europe/Volgograd", "M41.2 -50.8L41.5 -50.6 41.4 -50.2 41.5 -50.1 42.2 -49.7 42 -49.1 42.3 -49.1 42.7 -48.8 42.7 -48.6 42.1 -48.4 42.2 -48.3 42 -48 42.5 -48 42.9 -47.5 43.7 -47.5 43.7 -47.7 44.4 -47.9 44.3 -48.2 44.8 -48.1 45.1 -48.5 45.3 -48.4 45.2 -48.6 46 -48.9 46.6 -48.7 47.1 -49.2 46.8 -49.3 46.9 -49.9 47.4 -50.1 47.3 -50.2 47.4 -50.4 46.9 -50.5 46.7 -50.7 46.3 -50.5 46.1 -50.5 46.1 -50.7 45.8 -50.8 45.7 -50.6 45.2 -50.6 45.3 -50.9 45.2 -51 44.5 -51.2 43.4 -51 42.9 -51.2 41.9 -51.2Z"],
+  ["Europe/Warsaw", "M14.1 -54.3L14.5 -53.3 14.1 -52.8 14.6 -52.6 14.5 -52.4 14.8 -52.1 14.6 -51.8 15 -51.3 14.8 -50.9 15.2 -51 15.4 -50.8 16 -50.6 16.3 -50.7 16.4 -50.6 16.2 -50.4 16.7 -50.1 17 -50.2 16.9 -50.4 17.4 -50.3 17.7 -50.3 17.8 -50.2 17.6 -50.2 17.8 -50 18.6 -49.9 18.7 -49.7 19 -49.4 19.5 -49.6 19.8 -49.4 19.8 -49.2 20.1 -49.2 20.4 -49.4 20.9 -49.3 21.6 -49.4 22.9 -49 22.6 -49.5 23.3 -50.1 24 -50.4 24.1 -50.6 24 -50.8 24.1 -50.9 23.6 -51.3 23.5 -51.7 23.7 -52.1 23.2 -52.3 23.9 -52.7 23.9 -53.2 23.5 -54.2 22.9 -54.4 21.4 -54.3 19.6 -54.5 18.3 -55 17.1 -54.9 15.9 -54.5 14.3 -54.1 14.1 -54.4Z"],
+  ["Europe/Zagreb", "M13.2 -45.5L13.4 -45 13.7 -44.6 15.9 -43.2 15.4 -43.3 15.2 -43.1 15.6 -42.8 16.2 -42.8 16.3 -42.6 16 -42.5 16.1 -42.2 16.5 -42.3 16.5 -42.5 17.3 -42.6 18.4 -42.2 18.5 -42.4 18.4 -42.6 17.5 -42.9 17.7 -43 17.3 -43.5 16.2 -44.2 16.1 -44.6 15.7 -44.8 15.8 -45.2 16 -45.2 16.3 -45 16.5 -45.2 16.9 -45.3 17.8 -45 18.7 -45.1 19 -44.8 19.2 -45 19.1 -45.1 19.4 -45.2 19 -45.4 19.1 -45.5 18.9 -45.6 18.9 -45.9 18.4 -45.7 17.9 -45.8 17.3 -45.9 16.7 -46.5 16.4 -46.6 16.3 -46.4 15.6 -46.2 15.7 -45.8 15.3 -45.7 15.4 -45.6 15.3 -45.6 15.3 -45.5 14.8 -45.5 14.6 -45.7 14.3 -45.5 13.7 -45.4 13.5 -45.6ZM16.2 -42.9L16.2 -43.6 16.9 -43.6 16.9 -42.9ZM16.2 -43.6L16.2 -42.9 16.9 -42.9 16.9 -43.6Z"],
+  ["Europe/Zurich", "M6 -46.1L6.7 -46.5 7.1 -45.9 7.9 -45.9 8.2 -46.1 8.1 -46.3 8.4 -46.5 8.4 -46.2 8.9 -46.1 8.8 -46 9 -45.8 9.3 -46.5 9.5 -46.5 9.5 -46.3 10 -46.3 10.2 -46.3 10.1 -46.6 10.5 -46.5 10.5 -46.9 10.1 -46.8 9.5 -47.1 9.7 -47.4 9.6 -47.5 8.6 -47.8 8.4 -47.7 8.6 -47.6 8.5 -47.6 7 -47.5 6.9 -47.4 7.1 -47.3 6.4 -46.9Z"],
+  ["Indian/Antananarivo", "M43 22.1L43.4 23.4 43.5 24.4 43.8 25.1 44.1 25.4 45.1 25.8 45.6 25.8 47.3 25.1 48.7 20.7 49.7 17.8 50.2 16.8 50.1 16.3 50.4 16.1 50.7 15.3 50 12.7 49.4 11.8 49.2 11.7 48.5 12.1 48.5 12.7 47.7 13.5 47.4 14.4 46.4 15.3 43.8 16.2 43.5 18.3 43.6 18.6 44 19 44.1 19.8Z"],
+  ["Indian/Chagos", "M71.2 6.2L71.3 6.3 71.4 6.2 71.4 6.1 71.3 6.1 71.3 6.2ZM71.3 6.7L71.4 6.7 71.4 6.6 71.3 6.6ZM71.7 5.3L71.7 5.5 71.8 5.5 72 5.4 72 5.2 71.9 5.2 71.8 5.2 71.7 5.2ZM72.1 5.4L72.2 5.4 72.3 5.4 72.3 5.3 72.2 5.2 72.2 5.3ZM72.3 7.3L72.4 7.4 72.4 7.5 72.5 7.5 72.5 7.4 72.5 7.3 72.5 7.2 72.4 7.2 72.3 7.2Z"],
+  ["Indian/Christmas", "M105.3 10.5L105.4 10.7 105.7 10.8 105.8 10.7 105.9 10.4 105.8 10.3 105.6 10.2 105.4 10.3Z"],
+  ["Indian/Cocos", "M96.6 11.8L96.7 12 96.6 12.2 96.7 12.4 96.8 12.4 97 12.4 97.1 12.3 97.1 12.2 97.1 12.1 97 11.9 97 11.8 96.9 11.7 96.8 11.6 96.7 11.6 96.6 11.7Z"],
+  ["Indian/Comoro", "M42.8 11.8L43.5 12.6 44.4 13 45 12.2 44.8 12.1 43.4 11.2 43.1 11.2Z"],
+  ["Indian/Kerguelen", "M49.9 46.1L49.9 46.2 50.1 46.3 50.1 46.5 50.3 46.6 50.5 46.6 50.7 46.5 50.7 46.4 50.6 46.2 50.7 45.9 50.7 45.8 50.5 45.7 50.3 45.8 50 45.9ZM51.4 46.4L51.5 46.6 51.8 46.7 52 46.6 52.4 46.7 52.5 46.6 52.6 46.4 52.6 46.3 52.4 46.2 52 46.2 51.8 46.1 51.5 46.2ZM67.8 50L67.9 50.1 68.1 50.2 68.4 50.1 68.4 49.9 68.3 49.8 68.1 49.8 67.9 49.8ZM68.1 49.5L68.4 49.7 68.6 50.1 68.9 50.2 69.1 50.1 69.1 49.9 69.5 50.1 69.8 49.9 70.4 49.9 70.8 49.6 70.8 49.4 70.7 48.9 68.8 48.3 68.3 48.6 68.5 49.2ZM77.2 38.7L77.3 38.9 77.5 38.9 77.7 38.9 77.8 38.8 77.8 38.7 77.7 38.6 77.5 38.5 77.3 38.6ZM77.3 37.8L77.4 38 77.6 38.1 77.8 38 77.8 37.8 77.8 37.7 77.6 37.6 77.3 37.7Z"],
+  ["Indian/Mahe", "M46 9.4L46.1 9.6 46.4 9.9 46.6 9.9 46.7 9.7 46.7 9.3 46.6 9.2 46.2 9.2 46 9.3ZM47.3 9.7L47.6 10.2 47.7 10.3 47.9 10.3 48 10.2 48 10 47.8 9.6 47.7 9.5 47.6 9.5 47.5 9.5 47.3 9.6ZM50.5 9.3L50.9 10.4 51.2 10.4 51.4 10.2 51.3 9.3 51.2 9.1 51 9 50.6 9.2ZM52.5 7L52.6 7.3 52.7 7.4 52.8 7.4 52.9 7.3 53 7.1 52.9 6.9 52.8 6.8 52.6 6.8ZM52.6 6.1L52.7 6.2 53 6.4 53.3 6.3 53.3 6.2 53.2 6 53.4 6 53.5 5.8 53.7 5.9 53.9 5.7 53.8 5.5 53.6 5.5 53.6 5.4 53.5 5.3 53.6 4.8 53.4 4.7 53.3 4.7 53.1 5.1 53.2 5.3 53 5.7 52.9 5.7ZM55 3.7L55.1 3.9 55.2 3.9 55.4 3.9 55.4 3.7 55.3 3.6 55.2 3.5 55.1 3.6ZM55 4.5L55.2 4.8 55.5 5 55.6 5 55.8 4.8 56.1 4.8 56.2 4.6 56.1 4.3 56 4.1 55.7 4 55.8 4 55.9 3.8 55.8 3.7 55.7 3.6 55.6 3.6 55.5 3.8 55.6 4 55.1 4.2ZM55.1 5.9L55.2 6 55.4 6.1 55.6 6 55.6 5.8 55.5 5.7 55.4 5.6 55.2 5.7ZM56 7.2L56.1 7.4 56.3 7.4 56.4 7.3 56.5 7.2 56.5 7.1 56.5 7 56.4 6.9 56.2 6.9 56.1 7Z"],
+  ["Indian/Maldives", "M72.4 -6.2L72.9 0.6 73.1 0.9 73.3 0.9 73.7 0 74 -3.5 73.9 -5.4 73.3 -7.2 72.9 -7.3 72.7 -7.2Z"],
+  ["Indian/Mauritius", "M56.4 10.4L56.5 10.6 56.6 10.7 56.7 10.7 56.8 10.6 56.9 10.5 56.9 10.3 56.7 10.2 56.6 10.1 56.5 10.2ZM57.1 20.5L57.2 20.7 57.6 20.7 57.9 20.6 58 20.3 58 19.7 57.9 19.6 57.8 19.6 57.5 19.7 57.4 19.9 57.2 20.1ZM59.3 16.8L59.3 16.9 59.4 17 59.7 17 59.9 16.8 59.9 16.5 59.7 16.1 59.6 16 59.5 16.1 59.4 16.2ZM63.1 19.7L63.2 20 63.4 20 63.6 20 63.7 19.7 63.6 19.5 63.4 19.5 63.2 19.5Z"],
+  ["Indian/Mayotte", "M44.7 12.7L44.8 13.1 45 13.3 45.2 13.3 45.4 13.2 45.5 12.9 45.5 12.6 45.2 12.4 45 12.4 44.8 12.5Z"],
+  ["Indian/Reunion", "M55 21L55.2 21.4 55.6 21.6 55.9 21.5 56 21.2 56 21.1 55.9 20.8 55.6 20.7 55.4 20.7 55.2 20.8Z"],
+  ["Pacific/Apia", "M-173 13.5L-172.7 14 -172.3 14 -172 14.2 -171.4 14.3 -171.2 14.1 -171.3 13.8 -171.8 13.6 -172 13.6 -172.3 13.2 -172.9 13.3Z"],
+  ["Pacific/Auckland", "M-179.1 31.4L-179 31.5 -178.8 31.6 -178.7 31.5 -178.6 31.4 -178.7 31.2 -178.8 31.2 -179 31.2ZM-178.8 30.5L-178.8 30.6 -178.7 30.7 -178.6 30.7 -178.4 30.7 -178.3 30.6 -178.4 30.4 -178.2 30.4 -178.2 30.2 -178.2 30.1 -178.3 30.1 -178.5 30.1 -178.7 30.2 -178.6 30.3 -178.8 30.4ZM-178.2 29.2L-178.1 29.4 -177.9 29.5 -177.7 29.4 -177.6 29.3 -177.7 29.1 -177.9 29 -178.1 29.1 -178.2 29.2ZM165.6 50.8L165.7 51.1 166.2 51.1 166.5 51 166.5 50.7 166.7 50.6 166.6 50.4 166.5 50.3 166 50.3 165.7 50.5ZM166.1 45.9L166.3 46.2 166.7 46.4 166.6 46.6 166.7 46.7 167.1 46.7 167.2 46.5 167.5 46.5 167 47.3 167.7 47.7 168 47.7 168.5 47 169.7 46.7 170.5 46.1 171 46 171 45.7 171.4 45 171.6 44.4 172.4 44.1 173 44.1 173.3 44 173.4 43.6 173 43.3 173.5 43.1 174.5 41.8 174.4 41.5 175.3 41.8 176.3 41.3 177.3 39.9 177.3 39.3 177.6 39.3 177.8 39.5 178.2 39.4 178.2 38.9 178.5 38.6 178.8 37.7 178.4 37.4 178 37.3 177.2 37.8 177.4 37.6 177.4 37.4 177 37.3 176.9 37.4 177 37.6 176.8 37.6 176.3 37.1 176.2 36.8 175.6 35.9 174.9 35.7 175 35.4 174.6 35.3 174.5 35 173.2 34.6 173.3 34.4 173.1 34.2 172.5 34.3 172.4 34.5 172.9 35 172.8 35.3 174.1 36.8 174.6 37.7 174.3 37.9 174.5 38.2 174.3 38.7 173.6 39.1 173.5 39.4 173.8 39.7 174.9 40.1 174.9 40.6 174.6 40.9 173.9 40.5 173.5 40.9 173.2 40.4 172.5 40.4 171.9 40.7 171.8 41.3 171.6 41.5 171.2 41.6 171 42.2 170.6 42.7 169.5 43.4 168.2 43.9 166.7 45.1 166.2 45.6ZM166.2 48.1L166.3 48.2 166.5 48.3 166.8 48.2 166.9 48.1 166.9 48 166.8 47.9 166.6 47.8 166.3 47.9ZM168.7 52.6L168.8 52.7 169.1 52.8 169.5 52.7 169.6 52.6 169.6 52.5 169.4 52.3 169.1 52.3 168.8 52.4ZM171.8 34.2L171.9 34.3 172.1 34.4 172.3 34.3 172.4 34.2 172.4 34.1 172.3 34 172.1 33.9 171.9 34ZM178.4 49.7L178.5 49.8 178.8 49.9 179 49.8 179.1 49.7 179.1 49.6 179.1 49.5 178.8 49.4 178.5 49.5ZM178.7 47.8L178.8 47.9 179.1 48 179.3 47.9 179.4 47.8 179.3 47.6 179 47.5 178.8 47.6Z"],
+  ["Pacific/Bougainville", "M154 5.3L154.3 5.3 154.4 5.8 155.3 7.1 155.9 6.8 156.2 6.4 156 6.2 155.7 5.9 155.4 5.1 155.7 4.9 155.7 4.7 155.2 4.5 154.9 3.2 154.5 2.9 154 3ZM154.7 6L154.7 4.6 155.4 4.6 155.4 6ZM154.7 6L155.4 6 155.4 4.6 154.7 4.6ZM156.7 4.7L156.8 4.9 156.9 5 157.1 5 157.2 4.9 157.2 4.8 157.2 4.6 157 4.5 156.8 4.6ZM159.1 4.6L159.1 4.7 159.2 4.7 159.5 4.8 159.7 4.7 159.7 4.5 159.5 4.3 159.3 4.2 159.2 4.3Z"],
+  ["Pacific/Chatham", "M-177.2 43.9L-177.2 44 -176.9 44.1 -176.5 44.5 -176.3 44.6 -175.6 44.5 -175.6 44.3 -175.7 44.2 -175.6 44 -175.6 43.8 -175.9 43.8 -176 43.6 -176.5 43.5 -176.9 43.3 -177.2 43.4 -177.1 43.7Z"],
+  ["Pacific/Chuuk", "M137.1 -8.4L137.2 -8.3 137.4 -8.1 137.5 -8.1 137.7 -8.2 137.7 -8.4 137.8 -8.5 137.8 -8.6 137.7 -8.7 137.5 -8.8 137.2 -8.6ZM137.8 -9.4L137.9 -9.2 138.1 -9.2 138.4 -9.4 138.4 -9.5 138.4 -9.7 138.3 -9.8 138.1 -9.8 137.9 -9.7ZM139.4 -10L139.4 -9.8 139.5 -9.6 139.6 -9.6 139.8 -9.6 139.9 -9.7 140 -9.8 140.1 -9.9 140.1 -10.1 139.8 -10.3 139.5 -10.2ZM140.1 -8.2L140.2 -8 140.4 -7.9 140.6 -8 140.6 -8.1 140.5 -8.3 140.4 -8.4 140.2 -8.3ZM140.3 -9.8L140.4 -9.6 140.5 -9.6 140.7 -9.6 140.7 -9.8 140.7 -9.9 140.5 -10 140.4 -9.9ZM142.8 -6.7L142.8 -6.6 142.9 -6.5 143.1 -6.5 143.2 -6.6 143.3 -6.7 143.2 -6.9 143 -6.9 142.8 -6.8ZM143.6 -7.4L143.7 -7.2 143.8 -7.1 144 -7.2 144.1 -7.3 144.1 -7.4 144.1 -7.5 143.9 -7.6 143.7 -7.5 143.6 -7.5ZM144.2 -7.3L144.3 -7.1 144.5 -7 144.6 -7.1 144.7 -7.3 144.6 -7.4 144.4 -7.5 144.3 -7.4ZM144.3 -8.6L144.4 -8.4 144.5 -8.4 144.7 -8.5 144.7 -8.6 144.6 -8.8 144.5 -8.8 144.3 -8.7ZM145.2 -9.2L145.2 -9.1 145.4 -9 145.5 -9.1 145.6 -9.2 145.5 -9.4 145.4 -9.4 145.2 -9.4ZM145.6 -7.7L145.7 -7.5 145.9 -7.5 146 -7.3 146.1 -7.2 146.5 -7.3 146.6 -7.5 146.4 -7.7 146.3 -7.7 146.1 -7.7 146 -7.8 145.9 -7.9 145.7 -7.9ZM146.5 -8.1L146.6 -7.9 146.7 -7.9 146.8 -7.9 146.9 -8 147 -8.1 146.9 -8.2 146.7 -8.3 146.6 -8.2ZM146.8 -7.4L146.9 -7.2 147 -7.2 147.2 -7.2 147.2 -7.4 147.2 -7.5 147 -7.6 146.9 -7.5ZM147.4 -8.1L147.5 -8 147.7 -7.9 147.8 -8 147.9 -8.1 147.8 -8.2 147.7 -8.3 147.5 -8.2ZM149 -7.4L149.1 -7.2 149.3 -7.2 149.4 -7.2 149.4 -7.3 149.6 -7.4 149.6 -7.6 149.6 -7.8 149.4 -7.8 149.2 -7.7 149.2 -7.6 149 -7.5ZM149.1 -6.7L149.2 -6.5 149.3 -6.5 149.4 -6.5 149.5 -6.7 149.5 -6.8 149.3 -6.9 149.1 -6.8ZM149.5 -8.6L149.5 -8.4 149.7 -8.4 149.8 -8.4 149.9 -8.6 149.9 -8.7 149.7 -8.8 149.5 -8.7ZM149.9 -8.9L149.9 -8.8 150.1 -8.7 150.2 -8.6 150.2 -8.5 150.3 -8.4 150.4 -8.4 150.5 -8.4 150.6 -8.5 150.6 -8.6 150.5 -8.9 150.3 -9 150.3 -9.1 150.2 -9.2 150.1 -9.2 150 -9.1ZM151.1 -8.5L151.2 -8.4 151.4 -8.3 151.5 -8.4 151.6 -8.3 151.8 -8.2 152 -8.4 152.4 -8.4 152.5 -8.6 152.5 -8.8 152.4 -8.9 152.2 -9 152.1 -8.9 151.9 -8.8 151.7 -8.8 151.5 -8.7 151.4 -8.8 151.3 -8.7ZM151.2 -7.3L151.3 -7.1 151.7 -7 151.8 -6.8 152 -6.8 152.2 -7 152.2 -7.4 152.1 -7.7 151.8 -7.9 151.5 -7.8 151.4 -7.6 151.3 -7.5ZM152.4 -7L152.4 -6.9 152.5 -6.7 152.6 -6.6 152.8 -6.7 152.9 -6.8 152.9 -6.9 152.9 -7 152.6 -7.2 152.5 -7.2ZM152.9 -5.9L153 -5.8 153.1 -5.7 153.3 -5.8 153.4 -5.9 153.3 -6.1 153.2 -6.1 153 -6.1ZM153.3 -5.5L153.4 -5.2 153.7 -5.1 153.9 -5.2 154 -5.5 154 -5.6 153.9 -5.7 153.6 -5.8 153.4 -5.7Z"],
+  ["Pacific/Easter", "M-113.2 27.3L-112.9 28.6 -112 29.6 -110.8 30.3 -109.3 30.5 -108 30.3 -106.7 29.6 -105.1 29.8 -103.5 29.4 -102.8 28.9 -102.2 28.3 -101.8 27.5 -101.7 26.7 -101.9 25.3 -102.7 24.1 -104 23.4 -105.5 23.1 -106.8 23.4 -107.8 24 -109.6 23.7 -111.3 24.2 -112 24.7 -112.6 25.5 -113.1 26.3Z"],
+  ["Pacific/Efate", "M166.3 14.9L166.6 15.7 168.8 19 169.6 20.4 170 20.4 170.4 19.6 170.4 19.4 170.2 19.2 169.5 18.6 168.8 17.6 168.9 17 168.5 15.9 168.3 14.4 167.8 13.1 166.4 12.9Z"],
+  ["Pacific/Fakaofo", "M-172.7 8.5L-172.7 8.7 -172.5 8.8 -172.3 8.7 -172.3 8.6 -172.3 8.4 -172.5 8.3 -172.6 8.4ZM-172.1 9.2L-172 9.3 -172 9.4 -171.8 9.4 -171.7 9.4 -171.6 9.3 -171.6 9.1 -171.6 9 -171.8 8.9 -172 9ZM-171.5 9.4L-171.4 9.5 -171.3 9.6 -171.2 9.6 -171.1 9.6 -171 9.4 -171 9.2 -171.1 9.2 -171.2 9.1 -171.3 9.1 -171.4 9.2Z"],
+  ["Pacific/Fiji", "M-180 19.8L-179.1 20.8 -179 21.2 -178.7 21.2 -178 19.9 -178.1 19.2 -178 17.9 -179 16 -180 15.5ZM174.4 21.7L174.5 21.9 174.6 21.9 174.8 21.9 174.9 21.8 174.8 21.6 174.7 21.5 174.5 21.6ZM176.7 17.2L176.8 17.7 177.8 19.3 179.6 19.4 179.8 19.6 180 19.8 180 16.2 178.6 16.2 180 16.2 180 15.5 177.2 16.6ZM176.7 12.5L176.8 12.6 176.9 12.7 177.1 12.7 177.3 12.7 177.3 12.6 177.3 12.5 177.2 12.3 177 12.3 176.8 12.4Z"],
+  ["Pacific/Funafuti", "M-180 9.6L-180 9.5 -179.9 9.4 -179.9 9.3 -180 9.2ZM175.9 5.6L175.9 5.8 176.1 5.9 176.3 5.9 176.3 5.7 176.3 5.5 176.1 5.4 175.9 5.5ZM176.1 6.3L176.2 6.4 176.3 6.5 176.5 6.4 176.5 6.3 176.5 6.1 176.3 6.1 176.2 6.1ZM176.9 7.2L177 7.4 177.1 7.5 177.3 7.4 177.4 7.3 177.3 7.1 177.2 7 177 7ZM177.1 6.1L177.2 6.3 177.3 6.3 177.5 6.3 177.6 6.1 177.5 6 177.3 5.9 177.2 6ZM178.1 8L178.2 8.2 178.9 8.8 179.7 9.6 180 9.6 180 9.2 179.3 8.3 178.4 7.7 178.2 7.8ZM178.5 7.5L178.5 7.6 178.7 7.7 178.8 7.6 178.9 7.5 178.8 7.3 178.7 7.3 178.5 7.3ZM179.3 10.8L179.3 10.9 179.5 11 179.6 10.9 179.7 10.8 179.6 10.6 179.5 10.6 179.3 10.6Z"],
+  ["Pacific/Galapagos", "M-92.2 -1.7L-91.6 1.1 -90.5 1.6 -89.6 1.6 -89 0.7 -89.8 -0.5 -90.7 -0.8 -91.9 -1.9Z"],
+  ["Pacific/Gambier", "M-137.4 23.2L-137.3 23.3 -137.1 23.4 -137 23.3 -136.9 23.2 -137 23 -137.1 22.9 -137.2 22.9 -137.3 23ZM-137 21.3L-136.9 21.5 -136.6 21.6 -136.4 21.7 -136.2 21.7 -136.2 21.5 -136.2 21.3 -136.5 21.1 -136.8 21.1 -136.9 21.2ZM-136.4 22L-136.3 22.2 -136.2 22.2 -136 22.2 -136 22 -136 21.9 -136.2 21.8 -136.3 21.9ZM-135.9 21.5L-135.8 21.7 -135.6 21.8 -135.5 21.8 -135.4 21.7 -135.3 21.6 -135.3 21.4 -135.5 21.3 -135.7 21.3 -135.8 21.4ZM-135.3 23.2L-135.2 23.4 -135 23.4 -134.7 23.4 -134.6 23.5 -134.5 23.6 -134.3 23.5 -134.3 23.2 -134.4 23.1 -134.6 23.2 -134.6 23 -134.8 22.9 -134.9 22.8 -135.1 22.9 -135.3 23.1Z"],
+  ["Pacific/Guadalcanal", "M155.3 7.4L156.4 8.5 157.2 8.9 160 10 161.7 11 162.5 11.1 162.7 10.8 162.2 9.6 161.2 8.5 160.7 7.7 159 7.6 158.7 7.3 156.5 6.4 156.2 6.4 155.9 6.8 155.3 7.1ZM159 5.4L159 5.5 159.2 5.7 159.5 5.7 159.8 5.7 159.9 5.5 159.9 5.2 159.5 4.9 159.3 4.8 159.1 4.9ZM159.1 6.2L159.2 6.4 159.3 6.5 159.4 6.5 159.6 6.4 159.6 6.2 159.5 6 159.4 6 159.2 6ZM159.5 11.3L159.9 12.4 160.1 12.8 160.5 13.2 160.7 13.2 160.8 13 160.8 11.7 159.9 11.1 159.7 11.1ZM162.7 8.4L162.7 8.6 162.9 8.6 163.1 8.6 163.2 8.4 163.1 8.3 162.9 8.2 162.8 8.2 162.7 8.2ZM165.5 10.1L165.6 11 166.8 11.9 167.1 11.9 167.2 11.7 166.4 10 165.7 9.8 165.5 9.9ZM166.9 9.8L166.9 9.9 167.2 10.1 167.3 10.1 167.4 10.1 167.4 9.9 167.4 9.8 167.1 9.6 167 9.6 166.9 9.6ZM168.6 12.3L168.7 12.5 168.8 12.5 169 12.5 169 12.3 169 12.2 168.9 12.1 168.7 12.1 168.6 12.2ZM169.6 11.6L169.7 11.8 169.9 11.8 170 11.7 170.1 11.6 170 11.5 169.8 11.4 169.7 11.5ZM170 11.9L170 12 170.1 12.1 170.2 12.1 170.4 12 170.4 11.9 170.3 11.7 170.2 11.7 170 11.8Z"],
+  ["Pacific/Guam", "M144.4 -13.4L144.5 -13.1 144.7 -13 144.9 -13.1 145.1 -13.5 145.2 -13.6 145.1 -13.7 144.9 -13.9 144.7 -13.8 144.6 -13.7 144.5 -13.6Z"],
+  ["Pacific/Honolulu", "M-176.2 -27.8L-176.1 -27.6 -175.9 -27.6 -175.6 -27.6 -175.5 -27.9 -175.5 -28 -175.6 -28.1 -175.8 -28.2 -176.1 -28 -176.2 -27.9ZM-174.2 -26L-174.2 -25.9 -174.1 -25.9 -174 -25.8 -173.8 -25.9 -173.7 -26 -173.7 -26.1 -173.8 -26.2 -174 -26.3 -174.2 -26.2ZM-172 -25.8L-171.9 -25.6 -171.8 -25.6 -171.6 -25.6 -171.5 -25.8 -171.6 -25.9 -171.7 -26 -171.9 -25.9ZM-170.9 -25.5L-170.8 -25.4 -170.6 -25.3 -170.5 -25.4 -170.4 -25.5 -170.5 -25.6 -170.6 -25.7 -170.8 -25.6ZM-169.8 -16.7L-169.7 -16.5 -169.6 -16.5 -169.3 -16.6 -169.3 -16.7 -169.3 -16.9 -169.4 -17 -169.5 -17 -169.7 -16.9ZM-168.2 -25L-168.2 -24.9 -168 -24.8 -167.8 -24.9 -167.8 -25 -167.8 -25.1 -168 -25.2 -168.2 -25.1ZM-166.5 -23.9L-166.3 -23.5 -166.2 -23.4 -166 -23.5 -165.9 -23.7 -165.8 -23.8 -165.9 -23.9 -166.2 -24.1 -166.4 -24ZM-164.9 -23.6L-164.9 -23.4 -164.7 -23.4 -164.5 -23.4 -164.5 -23.6 -164.5 -23.7 -164.7 -23.8 -164.9 -23.7ZM-162.1 -23.1L-162.1 -22.9 -161.9 -22.9 -161.8 -22.9 -161.7 -23.1 -161.8 -23.2 -161.9 -23.3 -162.1 -23.2ZM-160.8 -21.7L-160.7 -21.5 -160.5 -21.4 -160.3 -21.6 -160.1 -21.6 -159.9 -21.8 -159.7 -21.7 -159.4 -21.7 -159.2 -21.8 -159.1 -22.1 -159.2 -22.4 -159.6 -22.4 -160 -22.2 -160.2 -22.2 -160.5 -21.8 -160.7 -21.8ZM-158.5 -21.6L-158.2 -21.1 -157.8 -21.1 -157.5 -21.1 -157.5 -21 -157.3 -20.9 -157.1 -20.6 -156.9 -20.5 -156.8 -20.3 -156.1 -20.4 -155.8 -20.6 -155.8 -20.8 -155.9 -21 -156.7 -21.4 -157.3 -21.4 -157.4 -21.3 -157.5 -21.6 -157.9 -21.9 -158.4 -21.7ZM-156.3 -19.7L-156.1 -19 -155.7 -18.7 -154.9 -19.2 -154.6 -19.5 -155 -20.1 -155.8 -20.5 -156.1 -20.4 -156.1 -20Z"],
+  ["Pacific/Kanton", "M-174.7 4.7L-174.7 4.8 -174.5 4.9 -174.4 4.8 -174.3 4.7 -174.4 4.5 -174.5 4.5 -174.7 4.5ZM-174.3 3.6L-174.3 3.7 -174.1 3.8 -174 3.7 -173.9 3.6 -174 3.4 -174.1 3.4 -174.3 3.5ZM-172.4 4.5L-172.4 4.7 -172.2 4.7 -172 4.7 -171.9 4.5 -172 4.4 -172.2 4.3 -172.4 4.4ZM-171.9 2.8L-171.9 3 -171.6 3.1 -171.5 3 -171.4 2.9 -171.5 2.7 -171.7 2.6 -171.9 2.6ZM-171.7 3.6L-171.7 3.7 -171.5 3.8 -171.4 3.7 -171.3 3.6 -171.4 3.4 -171.5 3.4 -171.7 3.4ZM-171.5 4.5L-171.4 4.6 -171.2 4.7 -171.1 4.6 -171 4.5 -171.1 4.3 -171.2 4.2 -171.4 4.3ZM-171.3 3.1L-171.2 3.3 -171.1 3.3 -170.9 3.3 -170.9 3.1 -170.9 3 -171.1 2.9 -171.2 3ZM-170.9 3.7L-170.9 3.9 -170.7 3.9 -170.6 3.9 -170.5 3.7 -170.6 3.6 -170.7 3.5 -170.9 3.6Z"],
+  ["Pacific/Kiritimati", "M-160.6 -4.7L-160.5 -4.5 -160.4 -4.5 -160.2 -4.5 -160.1 -4.7 -160.2 -4.8 -160.4 -4.9 -160.5 -4.8ZM-159.6 -3.9L-159.5 -3.7 -159.3 -3.6 -159.1 -3.7 -159 -3.9 -159.1 -4 -159.3 -4.1 -159.5 -4.1ZM-157.8 -1.9L-157.7 -1.7 -157.2 -1.5 -157 -1.6 -157 -1.8 -157.1 -1.9 -157.2 -2.1 -157.4 -2.2 -157.6 -2.2ZM-156.1 5.6L-156.1 5.8 -155.9 5.9 -155.7 5.8 -155.6 5.7 -155.7 5.6 -155.7 5.5 -155.9 5.4 -156.1 5.5ZM-155.2 4L-155.1 4.2 -154.9 4.3 -154.8 4.2 -154.7 4 -154.7 3.9 -154.9 3.8 -155.1 3.8 -155.2 3.9ZM-152.5 10.1L-152.5 10.2 -152.3 10.3 -152.2 10.2 -152.1 10.1 -152.2 9.9 -152.3 9.9 -152.5 9.9ZM-152 11.4L-152 11.6 -151.8 11.6 -151.7 11.6 -151.6 11.4 -151.7 11.3 -151.8 11.2 -152 11.3ZM-150.4 10L-150.4 10.2 -150.2 10.2 -150.1 10.1 -150 9.9 -150.1 9.8 -150.2 9.7 -150.4 9.8Z"],
+  ["Pacific/Kosrae", "M162.7 -5.3L162.8 -5.1 163 -5.1 163.2 -5.1 163.2 -5.3 163.2 -5.5 163 -5.6 162.8 -5.5 162.7 -5.4Z"],
+  ["Pacific/Kwajalein", "M166.3 -9.5L166.9 -8.7 167.3 -8.7 167.7 -8.4 168.1 -8.6 168 -8.8 167.9 -9.2 167.6 -9.6 167 -9.5 166.9 -10.2Z"],
+  ["Pacific/Majuro", "M160.6 -9.8L160.7 -9.7 161 -9.6 161.1 -9.6 161.2 -9.8 161.1 -10 160.8 -10.1 160.7 -10ZM161.8 -11.5L162 -11.2 162.3 -11.1 162.5 -11.3 162.6 -11.5 162.5 -11.8 162.2 -11.9 162 -11.8ZM165 -11.6L165.7 -10.2 165.3 -9.3 165.4 -8.9 165.7 -8.7 166.2 -8.7 168.1 -7.6 168.5 -7.2 169.2 -6 168.5 -4.7 168.5 -4.5 168.7 -4.4 168.9 -4.5 169.8 -5.7 169.9 -6.1 169.1 -7.9 168.1 -8.6 167.7 -8.4 167.3 -8.7 166.9 -8.7 166.3 -9.5 166.9 -10.2 166.8 -10.9 167.6 -11.1 167.7 -11.5 165.4 -11.9 165.1 -11.9ZM167.9 -5.6L167.9 -5.5 168.1 -5.4 168.3 -5.4 168.3 -5.6 168.3 -5.7 168.3 -5.8 168.1 -5.8 167.9 -5.8ZM168.7 -14.7L168.7 -14.5 168.9 -14.4 169 -14.4 169.2 -14.5 169.2 -14.6 169.2 -14.8 169 -14.9 168.8 -14.9 168.7 -14.8ZM168.8 -10.1L169 -9.7 169.6 -9.3 169.9 -8.9 170.8 -8.1 170.8 -7.1 171.6 -5.9 172.1 -5.7 172.4 -5.8 172.1 -7.2 171.4 -8.5 171.1 -10.4 170.1 -10.6 169.9 -11.5 169.4 -11.3 169.3 -10.3 168.9 -10.2ZM170.9 -7.4L170.9 -8.1 171.6 -8.1 171.6 -7.4ZM169.9 -12.2L170 -12 170.1 -12 170.3 -12.1 170.4 -12.3 170.3 -12.4 170.1 -12.5 169.9 -12.4ZM170.9 -7.4L171.6 -7.4 171.6 -8.1 170.9 -8.1Z"],
+  ["Pacific/Marquesas", "M-140.9 8L-140.9 8.2 -140.7 8.2 -140.4 8.1 -140.3 8 -140.2 7.9 -140.2 7.7 -140.4 7.7 -140.6 7.7 -140.8 7.8ZM-140.8 8.7L-140.7 8.9 -140.5 8.8 -140.4 9.1 -140.2 9.2 -140.3 9.4 -140.1 9.7 -139.9 9.6 -139.8 9.4 -139.9 9.2 -140 9.1 -139.9 9.1 -139.8 9 -139.8 9.1 -139.6 9.2 -139.3 9.1 -139.3 8.8 -139.5 8.7 -139.7 8.7 -139.8 8.8 -139.9 8.6 -140.2 8.6 -140.4 8.7 -140.5 8.5 -140.6 8.5 -140.8 8.5ZM-139.4 9.8L-139.3 10.1 -139.2 10.2 -139.1 10.2 -139 10.2 -138.8 10.2 -138.6 10.1 -138.6 9.7 -138.7 9.5 -138.8 9.3 -139 9.2 -139.1 9.3 -139.1 9.5 -139.3 9.6ZM-138.9 10.5L-138.8 10.7 -138.6 10.7 -138.5 10.7 -138.4 10.6 -138.3 10.5 -138.2 10.4 -138.3 10.2 -138.4 10.2 -138.5 10.2 -138.6 10.2 -138.7 10.2 -138.9 10.3Z"],
+  ["Pacific/Midway", "M-178.6 -28.4L-178.5 -28.2 -178.3 -28.2 -178.1 -28.3 -178.1 -28.4 -178.1 -28.5 -178.2 -28.6 -178.3 -28.7 -178.5 -28.6ZM-177.7 -28.2L-177.6 -28.1 -177.4 -28 -177.2 -28 -177.1 -28.2 -177.2 -28.4 -177.4 -28.5 -177.6 -28.4 -177.6 -28.3Z"],
+  ["Pacific/Nauru", "M166.7 0.5L166.8 0.7 166.9 0.8 167.1 0.7 167.2 0.5 167.1 0.4 166.9 0.3 166.8 0.4Z"],
+  ["Pacific/Niue", "M-170.2 19.1L-170.1 19.3 -169.8 19.4 -169.7 19.3 -169.6 19.2 -169.6 19 -169.7 18.8 -169.9 18.8 -170.1 18.9Z"],
+  ["Pacific/Norfolk", "M167.7 29L167.7 29.2 167.9 29.3 168.1 29.3 168.2 29.1 168.2 29 168.2 28.9 168 28.8 167.8 28.8Z"],
+  ["Pacific/Noumea", "M158 19.6L158.2 20 158.4 20.2 158.6 20.2 159.1 19.5 159.2 19 159 18.7 158.3 18.8 158.2 19ZM158.2 20.8L158.3 21.1 158.5 21.2 158.7 21.2 158.8 21.1 158.8 21 158.7 20.7 158.5 20.6 158.3 20.6ZM158.6 21.4L158.7 21.6 158.9 21.7 159.1 21.7 159.2 21.5 159.4 21.6 159.2 21.8 159.2 22 159.3 22.1 159.5 22.1 159.7 22 159.8 21.8 159.7 21.6 159.8 21.4 159.6 21.2 159.4 21.1 159.2 21.3 158.8 21.2 158.7 21.3ZM162.6 18.1L163 19.5 164.1 21 165.8 22.1 166.7 23.1 167 23.2 167.7 22.9 167.8 22.7 167.7 22.4 165.4 20.5 165 20.3 164.3 19.7 163.5 18.5 163.3 17.9 162.8 17.7ZM164.1 18.5L164.2 18.7 164.4 18.8 164.6 18.8 164.6 18.6 164.6 18.4 164.4 18.3 164.3 18.3 164.2 18.4ZM165.3 19.9L165.3 20 165.4 20.1 165.8 20.1 166 20 166.1 19.8 166 19.7 165.6 19.5 165.4 19.6ZM165.9 20.3L166 20.6 166.2 20.9 166.9 21.1 167.7 21.8 168 21.9 168.3 21.7 168.3 21.3 168 20.9 167.4 20.5 166.2 20.1 166 20.1ZM168.7 22.6L168.8 22.8 169 22.8 169.1 22.7 169.2 22.6 169.1 22.4 168.9 22.4 168.8 22.5ZM171.1 22.3L171.2 22.5 171.4 22.5 171.5 22.5 171.6 22.3 171.5 22.2 171.4 22.1 171.2 22.2ZM171.9 22.4L171.9 22.5 172.1 22.6 172.2 22.5 172.3 22.4 172.3 22.3 172.1 22.2 171.9 22.2Z"],
+  ["Pacific/Pago_Pago", "M-171.3 11.1L-171.2 11.2 -171.1 11.3 -170.9 11.2 -170.9 11.1 -170.9 10.9 -171.1 10.8 -171.2 10.9ZM-171.1 14.3L-171 14.5 -170.8 14.6 -170.4 14.5 -170.3 14.3 -170.4 14.1 -170.7 14 -170.9 14.1 -171 14.2ZM-169.9 14.2L-169.8 14.3 -169.5 14.5 -169.3 14.4 -169.2 14.3 -169.2 14.1 -169.3 14.1 -169.6 14 -169.8 14ZM-168.4 14.5L-168.3 14.7 -168.2 14.8 -168 14.7 -167.9 14.6 -168 14.4 -168.1 14.3 -168.3 14.4Z"],
+  ["Pacific/Palau", "M130.9 -3L131.1 -2.8 131.7 -2.6 131.9 -2.7 134.8 -7.3 134.9 -8.1 134.7 -8.4 134.5 -8.4 132.1 -5.5Z"],
+  ["Pacific/Pitcairn", "M-131 23.9L-130.9 24.1 -130.8 24.1 -130.6 24.1 -130.5 24 -130.6 23.8 -130.7 23.7 -130.9 23.8ZM-130.3 25.1L-130.3 25.2 -130.1 25.3 -129.9 25.2 -129.9 25.1 -129.9 24.9 -130.1 24.9 -130.3 24.9ZM-128.6 24.4L-128.5 24.5 -128.3 24.6 -128.1 24.6 -128.1 24.4 -128.1 24.2 -128.3 24.1 -128.5 24.2ZM-125 24.7L-125 24.8 -124.8 24.9 -124.6 24.8 -124.6 24.7 -124.6 24.6 -124.8 24.5 -124.9 24.5 -125 24.6Z"],
+  ["Pacific/Pohnpei", "M154 -8.1L154.1 -7.9 154.3 -7.9 154.5 -7.9 154.5 -8.1 154.5 -8.2 154.4 -8.3 154.3 -8.3 154.1 -8.3ZM154.5 -1.1L154.6 -0.9 154.8 -0.8 154.9 -0.9 155 -1.1 155 -1.2 154.8 -1.3 154.6 -1.2ZM154.7 -3.8L154.7 -3.7 154.8 -3.7 154.9 -3.6 155 -3.6 155.1 -3.7 155.2 -3.8 155.2 -3.9 155.1 -4 154.9 -4.1 154.8 -4ZM154.9 -7.6L155.1 -7.3 155.3 -7.2 155.5 -7.3 155.6 -7.5 155.6 -7.7 155.4 -7.8 155.1 -7.8 155 -7.7ZM156.9 -5.8L157 -5.7 157.1 -5.6 157.3 -5.6 157.5 -5.7 157.5 -5.9 157.4 -6 157.3 -6.1 157 -6ZM157.6 -7.1L157.7 -6.9 157.7 -6.6 157.9 -6.5 158.3 -6.6 158.6 -6.8 158.5 -7.1 158.3 -7.2 158.2 -7.2 158 -7.1 157.9 -7.3 157.7 -7.3 157.6 -7.2ZM159.5 -6.7L159.6 -6.5 159.8 -6.5 159.9 -6.5 160 -6.7 159.9 -6.8 159.7 -6.9 159.6 -6.8ZM160.5 -6.2L160.6 -6.1 160.7 -6 160.8 -6 160.9 -6.2 160.9 -6.4 160.7 -6.4 160.6 -6.4Z"],
+  ["Pacific/Port_Moresby", "M140.8 6.6L141 6.9 140.9 9.3 141 9.4 142.1 9.5 142.1 9.2 142.2 9.2 142.6 9.4 142.9 9.3 142.9 9.5 143.3 9.3 144 8.6 143.9 8.3 144.1 8 144.7 7.9 145.9 8.2 146.4 9.1 146.7 9.2 146.7 9.6 147.2 9.7 147.6 10.3 148.1 10.4 149.1 10.4 151.2 11.3 151.9 11.4 153.5 11.9 154.6 11.6 154.6 11.3 154.3 11.1 153.1 10.6 152.8 9.7 153.8 9.5 153.9 9.3 153.8 9.1 150.8 8.1 150 8.1 149.3 8.7 148.3 7.9 148.1 6.9 149.3 6.3 149.5 6.5 150.6 6.5 152.2 5.6 152.9 5.1 154 5.3 154 3 153.4 3.2 152.8 2.6 152.1 2.4 150.8 1.5 150.1 1.5 149.6 1.1 147.7 1.9 146.7 1.7 145.7 0.7 145.3 0.6 143 1.3 141.5 2.6 141 2.4 141 6.3ZM155.4 10.9L155.5 11 155.7 11.1 155.9 10.9 156 10.8 156.1 10.7 156 10.6 155.8 10.5 155.5 10.7Z"],
+  ["Pacific/Rarotonga", "M-166.1 10.9L-166.1 11 -165.8 11.1 -165.7 11.1 -165.6 10.9 -165.7 10.7 -165.8 10.6 -165.9 10.7 -166.1 10.7ZM-165.6 11.6L-165.6 11.7 -165.4 11.8 -165.3 11.7 -165.2 11.6 -165.3 11.4 -165.4 11.4 -165.6 11.4ZM-163.4 18.1L-163.3 18.2 -163.2 18.3 -163 18.2 -162.9 18 -162.9 17.9 -163 17.9 -163.2 17.8 -163.3 17.9ZM-163.4 13.3L-163.3 13.5 -163.1 13.5 -162.9 13.4 -162.8 13.3 -162.9 13.1 -163 13 -163.1 13 -163.3 13.1ZM-161.3 10L-161.3 10.2 -161.2 10.2 -161.2 10.4 -161.2 10.6 -161 10.7 -160.9 10.6 -160.8 10.6 -160.8 10.5 -160.8 10.3 -160.9 10.2 -160.9 10 -161 9.8 -161.1 9.8 -161.2 9.8 -161.3 9.9ZM-160.1 18.9L-160 19.1 -159.7 19.2 -159.6 19.1 -159.5 18.9 -159.6 18.7 -159.8 18.6 -160 18.7ZM-160 21.2L-160 21.4 -159.8 21.5 -159.6 21.4 -159.5 21.2 -159.6 21.1 -159.8 21 -160 21.1ZM-159.2 19.3L-159.1 19.4 -159 19.5 -158.8 19.4 -158.7 19.3 -158.8 19.1 -158.9 19 -159.1 19.1ZM-158.5 19.8L-158.5 19.9 -158.2 20.2 -158 20.2 -157.9 20 -157.7 20.1 -157.5 20 -157.5 20.3 -157.3 20.4 -157.2 20.3 -157.1 20.1 -157.3 19.9 -157.5 20 -157.5 19.8 -157.7 19.6 -157.8 19.7 -157.9 19.9 -158.2 19.6 -158.3 19.6 -158.5 19.7ZM-158.3 9L-158.2 9.2 -158 9.3 -157.8 9.2 -157.7 9.1 -157.7 9 -157.8 8.8 -158 8.7 -158.2 8.8ZM-158.2 21.9L-158.2 22 -158.1 22.1 -158 22.2 -157.9 22.2 -157.7 22.1 -157.7 21.9 -157.8 21.7 -157.9 21.7 -158.1 21.8Z"],
+  ["Pacific/Saipan", "M144.7 -20.5L144.7 -20.4 144.9 -20.3 145.1 -20.4 145.1 -20.6 145 -20.7 144.9 -20.8 144.7 -20.7ZM144.9 -14.1L144.9 -14 145 -13.9 145.2 -13.9 145.4 -14 145.5 -14.2 145.4 -14.4 145.2 -14.4 145 -14.3 144.9 -14.2ZM145 -20L145.1 -19.9 145.2 -19.8 145.2 -19.6 145.3 -19.5 145.4 -19.5 145.5 -19.5 145.6 -19.6 145.6 -19.7 145.6 -19.8 145.4 -19.9 145.4 -20.1 145.3 -20.2 145.2 -20.2 145.1 -20.2 145 -20.1ZM145.3 -14.8L145.4 -14.7 145.7 -14.7 146 -15 146 -15.3 146 -15.4 145.9 -15.5 145.6 -15.4 145.4 -15.1ZM145.4 -16.4L145.5 -16.2 145.8 -16.2 145.9 -16.3 145.9 -16.5 146 -16.6 146 -16.7 146 -16.8 145.9 -16.9 145.8 -16.9 145.7 -16.9 145.6 -16.7 145.6 -16.6 145.5 -16.5ZM145.4 -18.8L145.5 -18.6 145.7 -18.5 145.9 -18.6 145.9 -18.8 145.9 -18.9 145.8 -18.9 145.7 -19 145.5 -18.9ZM145.5 -18L145.6 -17.9 145.8 -17.9 146 -18 146 -18.2 145.9 -18.3 145.7 -18.4 145.6 -18.3ZM145.6 -17.6L145.7 -17.4 145.6 -17.3 145.7 -17.1 145.8 -17.1 145.9 -17.1 146 -17.2 146.1 -17.3 146 -17.5 146.1 -17.6 146 -17.8 145.8 -17.8 145.7 -17.8 145.6 -17.7ZM145.8 -16L145.9 -15.9 146.1 -15.8 146.2 -15.9 146.3 -16 146.2 -16.2 146 -16.2 145.9 -16.2Z"],
+  ["Pacific/Tahiti", "M-154.9 21.8L-154.9 22 -154.7 22 -154.5 22 -154.5 21.8 -154.5 21.7 -154.7 21.6 -154.9 21.7ZM-154.9 16.5L-154.9 16.7 -154.7 16.8 -154.6 16.8 -154.5 16.7 -154.4 16.6 -154.4 16.5 -154.5 16.4 -154.7 16.3 -154.9 16.4ZM-154.8 15.8L-154.7 16 -154.5 16 -154.4 16 -154.3 15.8 -154.4 15.7 -154.5 15.6 -154.7 15.7ZM-154.2 16.8L-154.1 17 -154 17.1 -153.8 17 -153.7 16.8 -153.8 16.6 -153.9 16.6 -154.1 16.6ZM-153 22.6L-153 22.8 -152.8 22.9 -152.7 22.8 -152.6 22.7 -152.6 22.5 -152.8 22.4 -153 22.5ZM-152.5 16.5L-152.4 16.6 -152.2 16.7 -152.1 16.6 -152 16.4 -152.1 16.3 -152.3 16.2 -152.4 16.3ZM-152 16.2L-152 16.6 -151.7 16.8 -151.7 17 -151.6 17.1 -151.4 17.1 -151.1 17 -150.9 17 -150.8 16.9 -150.7 16.7 -150.8 16.5 -151 16.5 -151.2 16.6 -151.3 16.4 -151.6 16.3 -151.6 16.2 -151.7 16.1 -151.9 16.1ZM-151.6 22.5L-151.5 22.7 -151.4 22.7 -151.2 22.7 -151.1 22.5 -151.2 22.3 -151.3 22.2 -151.5 22.3ZM-150.9 17.7L-150.8 17.8 -150.6 17.9 -150.5 17.8 -150.4 17.6 -150.5 17.5 -150.6 17.4 -150.8 17.5ZM-150.1 17.5L-150 17.7 -149.8 17.8 -149.7 17.9 -149.3 18.1 -149.1 18.1 -148.9 17.9 -149 17.7 -149.2 17.4 -149.4 17.3 -150 17.3 -150.1 17.4ZM-149.8 17L-149.7 17.2 -149.5 17.3 -149.4 17.2 -149.3 17 -149.3 16.9 -149.4 16.9 -149.6 16.8 -149.7 16.8ZM-149.7 23.4L-149.7 23.5 -149.5 23.6 -149.3 23.5 -149.2 23.4 -149.3 23.2 -149.4 23.1 -149.7 23.2ZM-148.9 14.9L-148.3 15.3 -147.5 15.5 -147.1 15.4 -147.1 15.8 -146.6 16.1 -146.5 16.3 -146 16.2 -145.4 16.9 -144.4 17.4 -144.2 17.3 -144.1 17 -143.9 16.8 -143.5 16.9 -143.2 17.4 -142.9 17.3 -142.9 17 -142.6 16.9 -142.6 16.7 -142.9 16.2 -143.2 16.1 -143.4 16.2 -143.4 16.4 -144.1 16.3 -144.3 16.1 -144.6 16.2 -144.7 16 -144.4 15.8 -144.6 15.5 -144.8 15.6 -144.8 15.9 -145 15.6 -145.3 15.6 -145.3 15.3 -145.6 15.3 -145.8 15.6 -145.5 15.9 -146 15.6 -146 15.3 -146.1 15.1 -146.8 15 -147 15.2 -147.8 14.7 -148.4 14.8 -148.7 14.7ZM-145.4 16L-145.2 16.2 -145.2 16.3 -145.1 16.4 -145 16.5 -144.8 16.5 -144.7 16.4 -144.6 16.5 -144.5 16.7 -144.6 16.7 -144.7 16.6 -145 16.6 -145.2 16.5 -145.2 16.4 -145.4 16.1ZM-148.5 15.8L-148.4 16 -148.2 16.1 -148.1 16 -148 15.8 -148.1 15.7 -148.3 15.6 -148.4 15.7ZM-148.3 17.9L-148.2 18 -148.1 18.1 -147.9 18 -147.9 17.9 -147.9 17.7 -148.1 17.7 -148.2 17.7ZM-147.9 23.9L-147.8 24.1 -147.6 24.1 -147.4 24 -147.4 23.9 -147.4 23.8 -147.4 23.7 -147.6 23.6 -147.9 23.7 -147.9 23.8ZM-146.6 14.6L-146.5 14.7 -146.4 14.8 -146.1 14.7 -145.8 14.6 -145.7 14.5 -145.6 14.4 -145.7 14.2 -145.9 14.1 -146.2 14.2 -146.5 14.3 -146.6 14.4ZM-145.8 17.4L-145.7 17.5 -145.5 17.7 -145.3 17.6 -145.2 17.5 -145.2 17.4 -145.4 17.2 -145.5 17.1 -145.7 17.2ZM-145.5 14.7L-145.4 14.9 -145.2 14.9 -145 14.7 -144.7 14.6 -144.6 14.4 -144.7 14.2 -145 14.2 -145.3 14.4 -145.4 14.5ZM-145.2 19.9L-145.2 20 -145 20.1 -144.8 20.1 -144.7 19.9 -144.8 19.7 -144.9 19.6 -145.1 19.7 -145.2 19.8ZM-144.8 15L-144.7 15.1 -144.6 15.2 -144.4 15.1 -144.3 15 -144.4 14.8 -144.5 14.7 -144.7 14.8ZM-144.6 27.6L-144.5 27.8 -144.3 27.9 -144.2 27.8 -144.1 27.6 -144.1 27.4 -144.3 27.4 -144.5 27.4ZM-143.8 20.4L-143.7 20.6 -143.5 20.7 -143.4 20.8 -143.2 20.8 -143.1 20.9 -142.9 20.9 -142.8 20.7 -142.9 20.5 -143.3 20.4 -143.4 20.3 -143.5 20.2 -143.7 20.3ZM-143.7 27.9L-143.7 28 -143.5 28.1 -143.3 28 -143.3 27.8 -143.4 27.7 -143.5 27.7 -143.7 27.7ZM-143.7 17.4L-143.6 17.6 -143.5 17.7 -143.3 17.6 -143.2 17.5 -143.3 17.3 -143.4 17.2 -143.6 17.3 -143.7 17.4ZM-143.3 17.9L-143.2 18 -143.1 18.1 -142.9 18 -142.9 17.9 -142.9 17.7 -143.1 17.6 -143.2 17.7ZM-142.9 17.6L-142.9 17.7 -142.8 17.8 -142.6 17.8 -142.5 17.8 -142.3 17.7 -142.3 17.6 -142.4 17.5 -142.4 17.4 -142.4 17.3 -142.4 17.2 -142.5 17.1 -142.6 17.1 -142.8 17.2 -142.8 17.4ZM-142.7 16.2L-142.6 16.4 -142.4 16.4 -141.9 15.8 -141.9 15.7 -142 15.6 -142.1 15.5 -142.2 15.6 -142.6 15.9ZM-142.6 18L-142.6 18.2 -142.4 18.3 -142.3 18.5 -142.2 18.5 -142.1 18.5 -142 18.4 -141.9 18.2 -142 17.9 -142.1 17.8 -142.5 17.8ZM-142.1 16.8L-142.1 17 -141.9 17 -141.8 17 -141.7 16.9 -141.8 16.7 -141.9 16.6 -142.1 16.7ZM-142.1 18.7L-142 18.9 -141.8 19 -141.6 19 -141.5 18.8 -141.6 18.6 -141.7 18.5 -141.8 18.5 -142 18.6ZM-141.7 17.4L-141.7 17.5 -141.5 17.6 -141.3 17.5 -141.3 17.4 -141.3 17.2 -141.5 17.2 -141.7 17.2ZM-141.6 14.1L-141.6 14.3 -141.3 14.4 -141.1 14.4 -141 14.3 -141 14.2 -141 14.1 -141.1 14 -141.4 13.9 -141.6 13.9ZM-141.5 19.2L-141.4 19.4 -141.2 19.4 -141.1 19.4 -141 19.2 -141.1 19.1 -141.2 19 -141.4 19ZM-141.3 18.1L-141.2 18.3 -141 18.6 -140.6 18.6 -140.5 18.6 -140.5 18.4 -140.7 18.1 -140.6 18 -140.5 17.8 -140.4 17.7 -140.5 17.5 -140.7 17.5 -141 17.7 -141.1 17.9 -141.2 18ZM-141.1 15.8L-141 16 -140.9 16 -140.7 16 -140.6 15.8 -140.7 15.7 -140.9 15.6 -141 15.7ZM-140.9 19.1L-140.9 19.3 -140.7 19.4 -140.5 19.3 -140.5 19.1 -140.5 19 -140.7 18.9 -140.9 19ZM-140.9 21.7L-140.8 21.8 -140.6 21.9 -140.4 21.9 -140.4 21.7 -140.5 21.5 -140.6 21.4 -140.8 21.5ZM-140.6 19.6L-140.6 19.8 -140.4 19.9 -140.3 19.8 -140.2 19.7 -140.2 19.5 -140.4 19.4 -140.6 19.5ZM-140.4 16L-140.4 16.1 -140.3 16.2 -140.1 16.2 -139.9 16.1 -139.9 16 -140 15.8 -140.1 15.8 -140.3 15.8ZM-139.5 19.4L-139.4 19.5 -139.2 19.6 -139.1 19.5 -139 19.4 -138.8 19.6 -138.6 19.6 -138.5 19.5 -138.5 19.4 -138.5 19.3 -138.6 19.1 -138.8 19.1 -138.9 19.1 -139 19.2 -139.1 19.1 -139.3 19.1 -139.4 19.2ZM-139.4 18.6L-139.4 18.7 -139.3 18.7 -139.2 18.8 -139 18.7 -139 18.9 -138.9 19 -138.7 18.9 -138.6 18.8 -138.6 18.6 -138.7 18.6 -138.9 18.6 -139 18.6 -139 18.5 -139.1 18.4 -139.3 18.4ZM-139.4 20.8L-139.3 20.9 -139.1 21 -139 20.9 -138.9 20.8 -139 20.6 -139.1 20.6 -139.3 20.6ZM-139.2 21.9L-139.2 22 -138.9 22.1 -139 22.3 -138.9 22.5 -138.7 22.5 -138.6 22.4 -138.5 22.3 -138.5 22.1 -138.7 22 -138.6 21.8 -138.7 21.6 -138.9 21.6 -139 21.6 -139.2 21.7ZM-139.1 14.8L-139 15 -138.8 15 -138.6 15 -138.6 14.8 -138.7 14.7 -138.8 14.6 -139 14.7ZM-138.8 20.8L-138.7 21 -138.5 21.1 -138.4 21 -138.3 20.9 -138.3 20.7 -138.5 20.6 -138.7 20.6ZM-138.7 17.3L-138.6 17.4 -138.6 17.5 -138.4 17.6 -138.2 17.5 -138.1 17.3 -138.1 17.2 -138.2 17.2 -138.4 17.1 -138.6 17.2ZM-137.3 18.3L-137.2 18.5 -137 18.6 -136.8 18.5 -136.8 18.4 -136.8 18.2 -137 18.1 -137.2 18.1ZM-136.7 18.5L-136.6 18.6 -136.4 18.8 -136.2 18.7 -136.1 18.6 -136.2 18.4 -136.4 18.3 -136.6 18.3Z"],
+  ["Pacific/Tarawa", "M169.3 0.9L169.4 1 169.5 1.1 169.7 1 169.7 0.9 169.7 0.7 169.5 0.6 169.4 0.7ZM172.5 -3.3L172.8 -0.8 173.3 -0.1 173.6 0.1 174.1 -0.2 174.1 -0.5 173.4 -1.4 173.5 -2 173.2 -3.5 172.9 -3.6 172.6 -3.4ZM174 0.6L174.8 1.7 175.5 2.1 175.7 2.1 176.2 1.4 176.5 1.6 176.7 1.4 176.5 1.1 176.3 1.1 176.2 1.3 176 1.1 174.3 0.3 174.1 0.4ZM175.8 2.5L175.8 2.6 176 2.7 176.1 2.7 176.2 2.5 176.1 2.4 176 2.3 175.8 2.3ZM176.6 2.6L176.6 2.7 176.7 2.8 176.8 2.9 177 2.8 177 2.7 177 2.5 176.8 2.4 176.7 2.5Z"],
+  ["Pacific/Tongatapu", "M-179.4 23.9L-179.4 24.1 -179.3 24.1 -179 24.1 -178.9 24 -178.9 23.9 -178.7 23.8 -178.7 23.6 -178.8 23.4 -179 23.4 -179.1 23.6 -179.2 23.7 -179.3 23.8ZM-176.4 22.3L-176.4 22.5 -176.2 22.5 -176 22.5 -176 22.3 -176 22.2 -176.2 22.1 -176.4 22.2 -176.4 22.3ZM-175.9 15.6L-175.8 15.8 -175.7 15.8 -175.6 15.8 -175.4 15.7 -175.4 15.6 -175.4 15.5 -175.5 15.4 -175.7 15.4 -175.8 15.4ZM-175.6 20.6L-175.5 20.7 -175.4 20.8 -175.2 20.7 -175.2 20.6 -175.2 20.4 -175.4 20.3 -175.6 20.4ZM-175.6 21.1L-175.5 21.3 -175.2 21.5 -175.1 21.6 -175 21.7 -174.8 21.6 -174.7 21.4 -174.8 21 -174.9 20.8 -175.3 20.8 -175.5 20.9ZM-175.3 19.7L-175.2 19.9 -175 20 -175 20.5 -174.8 20.7 -174.7 20.7 -174.4 20.5 -174.3 20.3 -174.3 20.2 -174.3 20.1 -174.1 19.7 -174.2 19.5 -174.5 19.4 -174.8 19.6 -174.9 19.5 -175.1 19.5 -175.2 19.6ZM-175.1 19.2L-175 19.3 -174.9 19.4 -174.7 19.4 -174.6 19.2 -174.7 19 -174.5 19 -174.4 18.8 -174.5 18.7 -174.6 18.6 -174.8 18.6 -174.9 18.8 -174.8 19 -175 19ZM-174.5 18L-174.5 18.2 -174.2 18.4 -174.1 18.3 -174 18.2 -174 18 -174.3 17.8 -174.4 17.8 -174.5 17.9ZM-174.4 18.8L-174.3 19 -174.1 19 -173.9 19 -173.8 18.9 -173.7 18.6 -173.8 18.4 -174 18.4 -174.3 18.6ZM-174 16L-173.9 16.1 -173.8 16.2 -173.7 16.1 -173.6 16.1 -173.5 15.9 -173.5 15.8 -173.6 15.7 -173.8 15.6 -173.9 15.7Z"],
+  ["Pacific/Wake", "M166.4 -19.3L166.5 -19.2 166.7 -19.1 166.8 -19.1 166.9 -19.3 166.8 -19.5 166.6 -19.5 166.5 -19.5Z"],
+  ["Pacific/Wallis", "M-178.4 14.3L-178.3 14.4 -178.1 14.6 -177.9 14.5 -177.8 14.3 -177.9 14.2 -178.2 14 -178.3 14.1ZM-176.5 13.3L-176.4 13.5 -176.2 13.6 -176 13.5 -175.9 13.3 -176 13.1 -176.2 13 -176.4 13.1Z"]
+];
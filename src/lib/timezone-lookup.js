@@ -0,0 +1,144 @@
+import { GAZETTEER } from './gazetteer.js';
+import { WORLD_LAND_PATHS } from './world-land.js';
+import { TIMEZONE_BOUNDARY_PATHS } from './timezone-boundaries.js';
+import { isValidTimezone } from './utils.js';
+
+/**
+ * Offline coordinate → IANA timezone lookup.
+ *
+ * The bundled zone boundaries (timezone-boundary-builder, simplified to ~0.1°, with territorial
+ * waters) decide first. A point on land that the simplified outlines miss (a sliver along a
+ * border) takes the zone of the nearest gazetteer place. At sea it is the nautical zone for the
+ * longitude (Etc/GMT±N, 15° wide).
+ */
+
+const RAD = Math.PI / 180;
+
+// Rings of [lng, lat] from an equirectangular SVG path (path y is -latitude)
+function parseRings(d) {
+  return d.split('M').filter(Boolean).map((sub) => {
+    const nums = sub.replace(/[LZ]/g, ' ').trim().split(/\s+/).map(Number);
+    const ring = [];
+    for (let i = 0; i + 1 < nums.length; i += 2) ring.push([nums[i], -nums[i + 1]]);
+    return ring;
+  });
+}
+
+// Even-odd rule over all rings, so holes (lakes, enclaves) are outside
+function insideRings(rings, latitude, longitude) {
+  let inside = false;
+  for (const ring of rings) {
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+      const [xi, yi] = ring[i];
+      const [xj, yj] = ring[j];
+      if ((yi > latitude) !== (yj > latitude) && longitude < ((xj - xi) * (latitude - yi)) / (yj - yi) + xi) {
+        inside = !inside;
+      }
+    }
+  }
+  return inside;
+}
+
+// Zone outlines with bounding boxes, smallest first: where the source data nests a zone
+// inside another (Asia/Urumqi within Asia/Shanghai) the more specific one wins
+let _zones = null;
+function getZones() {
+  if (!_zones) {
+    _zones = TIMEZONE_BOUNDARY_PATHS
+      .filter(([timezone]) => isValidTimezone(timezone))
+      .map(([timezone, d]) => {
+        const rings = parseRings(d);
+        let west = Infinity, east = -Infinity, south = Infinity, north = -Infinity;
+        for (const ring of rings) {
+          for (const [lng, lat] of ring) {
+            west = Math.min(west, lng); east = Math.max(east, lng);
+            south = Math.min(south, lat); north = Math.max(north, lat);
+          }
+        }
+        return { timezone, rings, west, east, south, north, area: (east - west) * (north - south) };
+      })
+      .sort((a, b) => a.area - b.area);
+  }
+  return _zones;
+}
+
+/**
+ * Zone whose (simplified) boundary contains a point, or null
+ * @param {number} latitude
+ * @param {number} longitude
+ * @returns {string|null}
+ */
+export function findBoundaryTimezone(latitude, longitude) {
+  for (const zone of getZones()) {
+    if (longitude < zone.west || longitude > zone.east || latitude < zone.south || latitude > zone.north) continue;
+    if (insideRings(zone.rings, latitude, longitude)) return zone.timezone;
+  }
+  return null;
+}
+
+let _places = null;
+function getPlaces() {
+  if (!_places) {
+    _places = GAZETTEER.map(([, , latitude, longitude, timezone]) => ({
+      timezone,
+      sinLat: Math.sin(latitude * RAD),
+      cosLat: Math.cos(latitude * RAD),
+      lng: longitude * RAD
+    }));
+  }
+  return _places;
+}
+
+// Land outlines as rings of [lng, lat]
+let _landRings = null;
+function getLandRings() {
+  if (!_landRings) _landRings = WORLD_LAND_PATHS.flatMap(parseRings);
+  return _landRings;
+}
+
+/**
+ * Whether a point is on land (even-odd rule over all outline rings, so lakes are water)
+ * @param {number} latitude
+ * @param {number} longitude
+ * @returns {boolean}
+ */
+export function isOnLand(latitude, longitude) {
+  return insideRings(getLandRings(), latitude, longitude);
+}
+
+/**
+ * Nautical timezone for a longitude (note the inverted POSIX sign: Etc/GMT-2 is UTC+2)
+ * @param {number} longitude
+ * @returns {string}
+ */
+export function getNauticalTimezone(longitude) {
+  const offset = Math.max(-12, Math.min(12, Math.round(longitude / 15)));
+  if (offset === 0) return 'Etc/GMT';
+  return `Etc/GMT${offset > 0 ? '-' : '+'}${Math.abs(offset)}`;
+}
+
+/**
+ * Best-guess IANA timezone for a location
+ * @param {number} latitude
+ * @param {number} longitude
+ * @returns {string}
+ */
+export function lookupTimezone(latitude, longitude) {
+  const zone = findBoundaryTimezone(latitude, longitude);
+  if (zone) return zone;
+  if (!isOnLand(latitude, longitude)) return getNauticalTimezone(longitude);
+  const sinLat = Math.sin(latitude * RAD);
+  const cosLat = Math.cos(latitude * RAD);
+  const lng = longitude * RAD;
+  let best = null;
+  let bestCos = -Infinity;
+  for (const place of getPlaces()) {
+    // Cosine of the central angle: larger is closer
+    const c = sinLat * place.sinLat + cosLat * place.cosLat * Math.cos(lng - place.lng);
+    if (c > bestCos) {
+      bestCos = c;
+      best = place;
+    }
+  }
+  return best.timezone;
+}
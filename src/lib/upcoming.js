@@ -0,0 +1,288 @@
+import {
+  getSunData,
+  getUpcomingAstronomicalEvents,
+  findUpcomingDaylightMilestones,
+  findUpcomingSunriseMilestones,
+  findUpcomingSunsetMilestones,
+  findUpcomingTwilightMilestones,
+  findUpcomingThresholdMilestones,
+  findUpcomingSunTimeExtremes,
+  findUpcomingDSTChanges
+} from './solar.js';
+import { findUpcomingMoonPhases } from './moon.js';
+import { addMonths } from './utils.js';
+
+/**
+ * Event types produced by collectUpcomingEvents, in display order for filters
+ */
+export const UPCOMING_EVENT_TYPES = [
+  { id: 'astronomical', label: 'Equinoxes & solstices' },
+  { id: 'daylight', label: 'Daylight milestones' },
+  { id: 'twilight', label: 'Twilight milestones' },
+  { id: 'threshold', label: 'Altitude thresholds' },
+  { id: 'sunrise', label: 'Sunrise milestones' },
+  { id: 'sunset', label: 'Sunset milestones' },
+  { id: 'extremes', label: 'Sunrise & sunset extremes' },
+  { id: 'dst', label: 'DST changes' },
+  { id: 'polar', label: 'Polar events' },
+  { id: 'moon', label: 'Full & new moons' },
+];
+
+// Priority values for sub-sorting within same date (lower = appears first)
+const PRIORITY = {
+  DST: 0,
+  ASTRONOMICAL: 1,  // Equinox/solstice appear first after DST
+  SUNRISE: 2,
+  SUNSET: 3,
+  DAYLIGHT: 4,
+  TWILIGHT: 5,
+  THRESHOLD: 6,
+  EXTREMES: 7,
+  MOON: 8
+};
+
+/**
+ * Date key for grouping (YYYY-MM-DD format)
+ * @param {Date} date
+ * @returns {string}
+ */
+export function getDateKey(date) {
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+/**
+ * Collect all noteworthy upcoming dates (DST changes, sunrise/sunset milestones,
+ * daylight, twilight, altitude-threshold and polar milestones, sunrise/sunset/solar noon extremes,
+ * equinoxes/solstices, full and new moons), deduplicated and sorted.
+ *
+ * Each event carries `time` (the exact moment, when there is one) and optionally
+ * `endTime`, so it can be exported with real times rather than just a date. Extremes also carry
+ * `detail`, explaining why they fall off the solstice.
+ *
+ * @param {Date} selectedDate - First day to include
+ * @param {Array} yearData - Precomputed year data for the selected year
+ * @param {number} latitude
+ * @param {number} longitude
+ * @param {string} timezone - IANA timezone for sunrise/sunset hour milestones and DST
+ * @param {Object} [options]
+ * @param {number|null} [options.months] - If set, collect every event within this many months (max 12) instead of the default short list
+ * @param {number} [options.limit] - Maximum number of events to return when `months` is not set
+ * @returns {Array<{date: Date, dateKey: string, description: string, priority: number, type: string, time: Date|null, endTime?: Date|null, detail?: string}>}
+ */
+export function collectUpcomingEvents(selectedDate, yearData, latitude, longitude, timezone, { months = null, limit = 25 } = {}) {
+  if (!selectedDate || !yearData) return [];
+
+  // With a horizon, ask the finders for more than could ever fit in it and cut by date afterwards
+  const horizon = months ? Math.max(1, Math.min(12, months)) : null;
+  const counts = horizon
+    ? { dst: 4, sunrise: 100, sunset: 100, daylight: 100, twilight: 100, threshold: 100, extremes: 12, astronomical: 8, moon: 26 }
+    : { dst: 2, sunrise: 10, sunset: 10, daylight: 10, twilight: 8, threshold: 6, extremes: 6, astronomical: 4, moon: 4 };
+
+  const events = [];
+
+  // Add DST changes (priority 0) - pass latitude/longitude for sun times
+  const dstChanges = findUpcomingDSTChanges(selectedDate, timezone, latitude, longitude, counts.dst);
+  const dstDateKeys = new Set(dstChanges.map(d => getDateKey(d.date)));
+
+  for (const change of dstChanges) {
+    const sunData = getSunData(change.date, latitude, longitude);
+
+    // Add DST event itself
+    events.push({
+      date: change.date,
+      dateKey: getDateKey(change.date),
+      description: change.description,
+      priority: PRIORITY.DST,
+      type: 'dst',
+      time: null
+    });
+
+    // Add exact sunrise time for DST date
+    if (change.sunriseTime) {
+      events.push({
+        date: change.date,
+        dateKey: getDateKey(change.date),
+        description: `Sunrise at ${change.sunriseTime}`,
+        priority: PRIORITY.SUNRISE,
+        type: 'sunrise',
+        time: sunData.sunrise
+      });
+    }
+
+    // Add exact sunset time for DST date
+    if (change.sunsetTime) {
+      events.push({
+        date: change.date,
+        dateKey: getDateKey(change.date),
+        description: `Sunset at ${change.sunsetTime}`,
+        priority: PRIORITY.SUNSET,
+        type: 'sunset',
+        time: sunData.sunset
+      });
+    }
+  }
+
+  // Add sunrise milestones (priority 1) - skip DST dates
+  // Deduplicate: keep only earliest sunrise time per date
+  const sunriseMilestones = findUpcomingSunriseMilestones(selectedDate, latitude, longitude, timezone, counts.sunrise);
+  const sunriseByDate = new Map();
+  for (const milestone of sunriseMilestones) {
+    const dateKey = getDateKey(milestone.date);
+    if (!dstDateKeys.has(dateKey)) {
+      // Extract hour from description (e.g. "Sunrise at 06:00" -> 6)
+      const hourMatch = milestone.description.match(/(\d{2}):/);
+      const hour = hourMatch ? parseInt(hourMatch[1]) : 12;
+      const existing = sunriseByDate.get(dateKey);
+      // Keep earliest sunrise (lower hour value)
+      if (!existing || hour < existing.hour) {
+        sunriseByDate.set(dateKey, { ...milestone, hour });
+      }
+    }
+  }
+  // Add deduplicated sunrise events
+  for (const milestone of sunriseByDate.values()) {
+    events.push({
+      date: milestone.date,
+      dateKey: getDateKey(milestone.date),
+      description: milestone.description,
+      priority: PRIORITY.SUNRISE,
+      type: 'sunrise',
+      time: getSunData(milestone.date, latitude, longitude).sunrise
+    });
+  }
+
+  // Add sunset milestones (priority 2) - skip DST dates
+  // Deduplicate: keep only latest sunset time per date
+  const sunsetMilestones = findUpcomingSunsetMilestones(selectedDate, latitude, longitude, timezone, counts.sunset);
+  const sunsetByDate = new Map();
+  for (const milestone of sunsetMilestones) {
+    const dateKey = getDateKey(milestone.date);
+    if (!dstDateKeys.has(dateKey)) {
+      // Extract hour from description (e.g. "Sunset at 19:00" -> 19)
+      const hourMatch = milestone.description.match(/(\d{2}):/);
+      const hour = hourMatch ? parseInt(hourMatch[1]) : 12;
+      const existing = sunsetByDate.get(dateKey);
+      // Keep latest sunset (higher hour value)
+      if (!existing || hour > existing.hour) {
+        sunsetByDate.set(dateKey, { ...milestone, hour });
+      }
+    }
+  }
+  // Add deduplicated sunset events
+  for (const milestone of sunsetByDate.values()) {
+    events.push({
+      date: milestone.date,
+      dateKey: getDateKey(milestone.date),
+      description: milestone.description,
+      priority: PRIORITY.SUNSET,
+      type: 'sunset',
+      time: getSunData(milestone.date, latitude, longitude).sunset
+    });
+  }
+
+  // Add daylight milestones (priority 3)
+  // Deduplicate same-day events - keep only the "biggest" (highest hour value)
+  const daylightMilestones = findUpcomingDaylightMilestones(selectedDate, yearData, latitude, counts.daylight);
+  const daylightByDate = new Map();
+  for (const milestone of daylightMilestones) {
+    const key = getDateKey(milestone.date);
+    // Extract hour value from description (e.g. "More than 12h of daylight" -> 12)
+    const hourMatch = milestone.description.match(/(\d+)h/);
+    const hours = hourMatch ? parseInt(hourMatch[1]) : 0;
+    const existing = daylightByDate.get(key);
+    if (!existing || hours > existing.hours) {
+      daylightByDate.set(key, { ...milestone, hours });
+    }
+  }
+  // Add the deduplicated daylight events; midnight sun / polar night get their own type
+  for (const milestone of daylightByDate.values()) {
+    const isPolar = /^(Polar night|Midnight sun)/.test(milestone.description);
+    const sunData = getSunData(milestone.date, latitude, longitude);
+    events.push({
+      date: milestone.date,
+      dateKey: getDateKey(milestone.date),
+      description: milestone.description,
+      priority: PRIORITY.DAYLIGHT,
+      type: isPolar ? 'polar' : 'daylight',
+      // Daylight milestones span the day's daylight; polar events are all-day
+      time: isPolar ? null : sunData.sunrise,
+      endTime: isPolar ? null : sunData.sunset
+    });
+  }
+
+  // Add twilight milestones: white nights and civil day length
+  for (const milestone of findUpcomingTwilightMilestones(selectedDate, latitude, longitude, counts.twilight)) {
+    events.push({
+      date: milestone.date,
+      dateKey: getDateKey(milestone.date),
+      description: milestone.description,
+      priority: PRIORITY.TWILIGHT,
+      type: 'twilight',
+      time: milestone.time,
+      endTime: milestone.endTime ?? null
+    });
+  }
+
+  // Add the first and last days the sun clears each user-defined altitude threshold
+  for (const milestone of findUpcomingThresholdMilestones(selectedDate, latitude, longitude, counts.threshold)) {
+    events.push({
+      date: milestone.date,
+      dateKey: getDateKey(milestone.date),
+      description: milestone.description,
+      priority: PRIORITY.THRESHOLD,
+      type: 'threshold',
+      time: milestone.time
+    });
+  }
+
+  // Add the earliest and latest sunrise, sunset and solar noon of the year
+  for (const extreme of findUpcomingSunTimeExtremes(selectedDate, latitude, longitude, timezone, counts.extremes)) {
+    events.push({
+      date: extreme.date,
+      dateKey: getDateKey(extreme.date),
+      description: extreme.description,
+      priority: PRIORITY.EXTREMES,
+      type: 'extremes',
+      time: extreme.time,
+      detail: extreme.explanation
+    });
+  }
+
+  // Add astronomical events (priority 4) - with hemisphere-appropriate names
+  const astroEvents = getUpcomingAstronomicalEvents(selectedDate, latitude, counts.astronomical);
+  for (const event of astroEvents) {
+    events.push({
+      date: event.date,
+      dateKey: getDateKey(event.date),
+      description: event.name,
+      priority: PRIORITY.ASTRONOMICAL,
+      type: 'astronomical',
+      time: event.date
+    });
+  }
+
+  // Add full and new moons (priority 5)
+  for (const phase of findUpcomingMoonPhases(selectedDate, counts.moon)) {
+    events.push({
+      date: phase.date,
+      dateKey: getDateKey(phase.date),
+      description: phase.name,
+      priority: PRIORITY.MOON,
+      type: 'moon',
+      time: phase.date
+    });
+  }
+
+  // Sort by: (1) date, (2) priority within same date
+  events.sort((a, b) => {
+    const dateCompare = a.date.getTime() - b.date.getTime();
+    if (dateCompare !== 0) return dateCompare;
+    return a.priority - b.priority;
+  });
+
+  if (horizon) {
+    const end = addMonths(new Date(selectedDate.getFullYear(), selectedDate.getMonth(), selectedDate.getDate()), horizon);
+    return events.filter(e => e.date < end);
+  }
+  return events.slice(0, limit);
+}
@@ -155,6 +155,62 @@ export const PRESET_LOCATION_GROUPS = [
 /** Flat list of all preset locations (for lookup by name) */
 export const PRESET_LOCATIONS = PRESET_LOCATION_GROUPS.flatMap((g) => g.locations);
 
+/**
+ * Maximum number of extra locations that can be compared against the main location.
+ * Limited by the number of concentric rings that fit inside the YearGraph ring.
+ */
+export const MAX_COMPARISON_LOCATIONS = 3;
+
+/** Series colors for comparison locations (index-aligned with the comparison list) */
+export const COMPARISON_COLORS = [
+  'rgb(236, 72, 153)',  // pink-500
+  'rgb(20, 184, 166)',  // teal-500
+  'rgb(168, 85, 247)',  // purple-500
+];
+
+/** Colors for user-defined altitude thresholds, by position in the list (highest first) */
+export const ALTITUDE_THRESHOLD_COLORS = [
+  'rgb(16, 185, 129)',  // emerald-500
+  'rgb(244, 63, 94)',   // rose-500
+  'rgb(139, 92, 246)',  // violet-500
+  'rgb(6, 182, 212)',   // cyan-500
+  'rgb(132, 204, 22)',  // lime-500
+  'rgb(217, 70, 239)',  // fuchsia-500
+];
+
+/** Colors for golden hour and blue hour windows (shared by the planner and charts) */
+export const LIGHT_WINDOW_COLORS = {
+  golden: 'rgb(251, 146, 60)',  // orange-400
+  blue: 'rgb(79, 70, 229)',      // indigo-600
+};
+
+/** Colors for the yearly sunrise, sunset and solar noon extremes (getSunTimeExtremes), by field */
+export const SUN_TIME_EXTREME_COLORS = {
+  sunrise: 'rgb(234, 179, 8)',    // yellow-500
+  sunset: 'rgb(168, 85, 247)',    // purple-500
+  solarNoon: 'rgb(100, 116, 139)', // slate-500
+};
+
+/**
+ * Color for a daylight duration on the year overview ring's ramp, over a fixed 0–24h
+ * (shared by the latitude heatmap and the world map)
+ * @param {number} hours
+ * @returns {number[]} [r, g, b]
+ */
+export function getDaylightColor(hours) {
+  const b = Math.max(0, Math.min(1, hours / 24));
+  return hslToRgb(200 + b * 15, 0.5 + b * 0.4, 0.2 + b * 0.5);
+}
+
+function hslToRgb(h, s, l) {
+  const a = s * Math.min(l, 1 - l);
+  const f = (n) => {
+    const k = (n + h / 30) % 12;
+    return Math.round(255 * (l - a * Math.max(-1, Math.min(k - 3, 9 - k, 1))));
+  };
+  return [f(0), f(8), f(4)];
+}
+
 /**
  * Common timezones grouped by region
  */
@@ -255,6 +311,22 @@ export function formatDurationChangeMinutesSeconds(ms) {
   return `${sign}${minutes}m ${seconds}s`;
 }
 
+/**
+ * Format the time left until an event (e.g. "2h 13m", "45m", "<1m", "1d 3h")
+ * @param {number} ms - Milliseconds until the event
+ * @returns {string}
+ */
+export function formatCountdown(ms) {
+  const totalMinutes = Math.floor(Math.max(0, ms) / (1000 * 60));
+  if (totalMinutes < 1) return '<1m';
+  const days = Math.floor(totalMinutes / (24 * 60));
+  const hours = Math.floor((totalMinutes % (24 * 60)) / 60);
+  const minutes = totalMinutes % 60;
+  if (days > 0) return `${days}d ${hours}h`;
+  if (hours > 0) return `${hours}h ${minutes}m`;
+  return `${minutes}m`;
+}
+
 /**
  * Format a time in a specific timezone
  * @param {Date} date - The date/time to format
@@ -382,3 +454,35 @@ export function dateAtLocalInTimezone(year, month, day, hour, min, timezone) {
   _dateAtLocalCache.set(key, result);
   return result;
 }
+
+/**
+ * Whether a string is a timezone Intl accepts
+ * @param {string} timezone
+ * @returns {boolean}
+ */
+export function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Trigger a browser download of generated text content
+ * @param {string} filename - Suggested file name
+ * @param {string} content - File contents
+ * @param {string} mimeType - MIME type (e.g. 'text/calendar')
+ */
+export function downloadFile(filename, content, mimeType) {
+  const blob = new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
@@ -0,0 +1,105 @@
+/**
+ * Error a task rejects with when its AbortSignal fires (same shape as fetch's)
+ */
+function abortError() {
+  return new DOMException('The operation was aborted.', 'AbortError');
+}
+
+/**
+ * Fixed-size pool of Web Workers running named tasks. Workers receive { id, task, args }
+ * and answer { id, result } or { id, error }; they are spawned on demand up to `size`.
+ *
+ * Tasks queue until a worker is free. Aborting a task's signal removes it from the queue,
+ * or — if it is already running — discards its result (the worker finishes and moves on),
+ * so keep tasks small when they need to be cancelled promptly.
+ */
+export class WorkerPool {
+  /**
+   * @param {() => Worker} createWorker - Factory for one worker
+   * @param {number} size - Maximum number of workers
+   */
+  constructor(createWorker, size) {
+    this._createWorker = createWorker;
+    this._size = Math.max(1, size);
+    this._slots = []; // { worker, job } — job is null when idle
+    this._queue = [];
+    this._nextId = 1;
+  }
+
+  /**
+   * Run a task on the next free worker
+   * @param {string} task - Task name understood by the worker
+   * @param {Array} args - Structured-clonable arguments
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Cancels the task (the promise rejects with an AbortError)
+   * @returns {Promise<*>} The task's result
+   */
+  run(task, args, { signal } = {}) {
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(abortError());
+        return;
+      }
+      const job = { id: this._nextId++, task, args, resolve, reject, signal, cancelled: false, onAbort: null };
+      if (signal) {
+        job.onAbort = () => {
+          const index = this._queue.indexOf(job);
+          if (index !== -1) this._queue.splice(index, 1);
+          job.cancelled = true;
+          reject(abortError());
+        };
+        signal.addEventListener('abort', job.onAbort, { once: true });
+      }
+      this._queue.push(job);
+      this._dispatch();
+    });
+  }
+
+  /**
+   * Stop all workers and reject everything still pending
+   */
+  terminate() {
+    for (const slot of this._slots) {
+      slot.worker.terminate();
+      if (slot.job) this._settle(slot.job, { error: 'Worker pool terminated' });
+    }
+    for (const job of this._queue) this._settle(job, { error: 'Worker pool terminated' });
+    this._slots = [];
+    this._queue = [];
+  }
+
+  _dispatch() {
+    while (this._queue.length > 0) {
+      let slot = this._slots.find((s) => s.job === null);
+      if (!slot && this._slots.length < this._size) slot = this._spawn();
+      if (!slot) return;
+      const job = this._queue.shift();
+      slot.job = job;
+      slot.worker.postMessage({ id: job.id, task: job.task, args: job.args });
+    }
+  }
+
+  _spawn() {
+    const slot = { worker: this._createWorker(), job: null };
+    const finish = (data) => {
+      const job = slot.job;
+      slot.job = null;
+      if (job) this._settle(job, data);
+      this._dispatch();
+    };
+    slot.worker.onmessage = (event) => finish(event.data);
+    slot.worker.onerror = (event) => {
+      event.preventDefault();
+      finish({ error: event.message || 'Worker error' });
+    };
+    this._slots.push(slot);
+    return slot;
+  }
+
+  _settle(job, data) {
+    if (job.onAbort) job.signal.removeEventListener('abort', job.onAbort);
+    if (job.cancelled) return;
+    if (data.error !== undefined) job.reject(new Error(data.error));
+    else job.resolve(data.result);
+  }
+}
@@ -0,0 +1,51 @@
+/**
+ * Service worker: precaches the built app (every emitted asset, public files and index.html)
+ * so it runs offline, and serves it cache-first. Emitted to the site root as sw.js by
+ * plugins/service-worker.js, which fills in PRECACHE and VERSION; a new deploy therefore
+ * changes this file, the browser installs the new worker, and it waits until the page asks
+ * it to take over (the update prompt).
+ */
+
+const PRECACHE = self.__PRECACHE_MANIFEST;
+const VERSION = self.__PRECACHE_VERSION;
+const CACHE_NAME = `daylight-tracker-${VERSION}`;
+const CACHE_PREFIX = 'daylight-tracker-';
+
+// Paths in the manifest are relative to the app's base URL (the worker's scope)
+const toUrl = (path) => new URL(path, self.registration.scope).href;
+const INDEX_URL = toUrl('index.html');
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(caches.open(CACHE_NAME).then((cache) => cache.addAll(PRECACHE.map(toUrl))));
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then((keys) => Promise.all(keys.filter((key) => key.startsWith(CACHE_PREFIX) && key !== CACHE_NAME).map((key) => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+// The page posts this when the user accepts the update prompt
+self.addEventListener('message', (event) => {
+  if (event.data?.type === 'SKIP_WAITING') self.skipWaiting();
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+
+  // Page loads (any URL in scope, including permalinks with a query string) get the cached app shell
+  if (request.mode === 'navigate') {
+    event.respondWith(
+      caches.match(INDEX_URL).then((cached) => cached ?? fetch(request))
+    );
+    return;
+  }
+
+  // Assets: cache first (they are content-hashed), else the network
+  event.respondWith(
+    caches.match(request).then((cached) => cached ?? fetch(request))
+  );
+});
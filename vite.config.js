@@ -1,9 +1,20 @@
 import { defineConfig } from 'vite'
 import { svelte } from '@sveltejs/vite-plugin-svelte'
 import tailwindcss from '@tailwindcss/vite'
+import { serviceWorker } from './plugins/service-worker.js'
 
 // https://vite.dev/config/
 export default defineConfig({
   base: '/daylight-tracker/',
-  plugins: [svelte(), tailwindcss()],
+  plugins: [svelte(), tailwindcss(), serviceWorker()],
+  build: {
+    rollupOptions: {
+      output: {
+        // Bundled map and timezone data changes rarely: keep it out of the app chunk
+        manualChunks(id) {
+          if (/src\/lib\/(world-land|gazetteer|timezone-boundaries)\.js$/.test(id)) return 'geodata'
+        },
+      },
+    },
+  },
 })